@@ -8,15 +8,40 @@
  *
  * ENDPOINTS:
  *   GET  /admin                    — dashboard HTML
- *   GET  /admin/api/stats          — overview counts
+ *   GET  /admin/api/stats          — overview counts + CSAT by intent / refund decision / agent
  *   GET  /admin/api/transactions   — recent transactions
  *   GET  /admin/api/refunds        — recent refund requests
+ *   GET  /admin/api/ledger         — ledger entries (+ balance when txnId & userId given)
  *   GET  /admin/api/fraud-logs     — recent fraud evaluations
  *   GET  /admin/api/audit-logs     — recent audit trail
  *   GET  /admin/api/feature-flags  — all feature flags
  *   POST /admin/api/feature-flags/:name/toggle — toggle a flag
+ *   GET  /admin/api/fx-rates       — FX rate table (units per 1 USD)
+ *   PUT  /admin/api/fx-rates/:currency — set one currency's rate
  *   GET  /admin/api/queue-status   — BullMQ queue health
- *   GET  /admin/api/llm-usage      — OpenAI spend summary
+ *   GET  /admin/api/llm-usage      — LLM spend summary + per-provider call counts
+ *   GET  /admin/api/refund-policies          — all policy versions (newest first)
+ *   GET  /admin/api/refund-policies/active   — the rule set evaluate() is using
+ *   POST /admin/api/refund-policies          — publish a new version
+ *   POST /admin/api/refund-policies/:version/activate — roll back to a version
+ *   POST /admin/api/refund-policies/simulate — backtest a candidate policy on history
+ *   GET  /admin/api/fraud-rules              — registered rules + the active rule set
+ *   GET  /admin/api/fraud-rule-sets          — all rule set versions (newest first)
+ *   POST /admin/api/fraud-rule-sets          — publish new weights/thresholds
+ *   POST /admin/api/fraud-rule-sets/:version/activate — roll back to a version
+ *   GET  /admin/api/fraud-reviews            — ESCALATE cases awaiting an analyst
+ *   POST /admin/api/fraud-reviews/:id/decision — approve | deny | request_info
+ *   GET  /admin/api/disputes                 — card disputes (open first, by evidence deadline)
+ *   GET  /admin/api/disputes/:id             — one dispute + evidence links + customer's uploads
+ *   POST /admin/api/disputes/:id/evidence    — attach an UploadProof as evidence
+ *   DELETE /admin/api/disputes/:id/evidence/:proofId — detach it
+ *   GET  /admin/api/reconciliation           — recent Stripe reconciliation runs + open issues
+ *   POST /admin/api/reconciliation/run       — queue a run now (inline if Redis is down)
+ *   POST /admin/api/reconciliation/issues/:id/retry   — re-issue the Stripe refund
+ *   POST /admin/api/reconciliation/issues/:id/dismiss — close without action
+ *   GET  /admin/api/coupons                  — compensation coupons (?status=&userId=)
+ *   POST /admin/api/coupons/:id/revoke       — revoke an unused coupon
+ *   POST /admin/api/pii/reveal               — value behind a PII vault token (reason required, audit-logged)
  */
 
 const express = require("express");
@@ -25,15 +50,53 @@ const path    = require("path");
 
 const {
   Transaction,
+  LedgerEntry,
   RefundRequest,
   FraudLog,
   AuditLog,
   TokenBudget,
+  RefundPolicy,
+  FraudRuleSet,
 } = require("../models");
 
 const { adminAuth }             = require("../middleware/adminAuthMiddleware");
 const { getAllFlags, toggleFlag } = require("../middleware/featureFlagMiddleware");
-const { getQueueStats }          = require("../queues/index");
+const { getQueueStats, getReconciliationQueue, addJobSafe } = require("../queues/index");
+const { log }                    = require("../services/auditService");
+const {
+  getActivePolicy,
+  getActiveVersion,
+  publishPolicy,
+  activatePolicyVersion,
+  validatePolicy,
+} = require("../policies/RefundPolicyEngine");
+const { simulatePolicy }         = require("../services/policySimulationService");
+const {
+  getActiveRuleSet,
+  publishRuleSet,
+  activateRuleSetVersion,
+} = require("../policies/FraudEngine");
+const { listRules }              = require("../policies/fraudRules");
+const { listReviewCases, decideReviewCase } = require("../services/fraudReviewService");
+const { getBalance }             = require("../services/ledgerService");
+const { listFxRates, setFxRate } = require("../services/currencyService");
+const {
+  runReconciliation,
+  listIssues,
+  listRuns,
+  retryIssueRefund,
+  dismissIssue,
+  DEFAULT_LOOKBACK_HOURS,
+} = require("../services/reconciliationService");
+const {
+  listDisputes,
+  getDisputeDetail,
+  attachEvidence,
+  detachEvidence,
+} = require("../services/disputeService");
+const { listCoupons, revokeCoupon } = require("../services/couponService");
+const { revealToken }            = require("../services/piiVaultService");
+const { getCsatStats }           = require("../services/feedbackService");
 
 // All /admin routes require Basic Auth
 router.use(adminAuth);
@@ -46,14 +109,15 @@ router.get("/", (_req, res) => {
 // ── GET /admin/api/stats ──────────────────────────────────────────────────────
 router.get("/api/stats", async (_req, res) => {
   try {
-    const [txnCount, refundCount, fraudCount, auditCount, budget] = await Promise.all([
+    const [txnCount, refundCount, fraudCount, auditCount, budget, csat] = await Promise.all([
       Transaction.countDocuments(),
       RefundRequest.countDocuments(),
       FraudLog.countDocuments(),
       AuditLog.countDocuments(),
       TokenBudget.findOne({ _id: "global" }).lean(),
+      getCsatStats(),
     ]);
-    const { OPENAI_BUDGET_USD } = require("../integrations/openaiClient");
+    const { LLM_BUDGET_USD } = require("../integrations/llmGateway");
     res.json({
       transactions: txnCount,
       refundRequests: refundCount,
@@ -61,10 +125,11 @@ router.get("/api/stats", async (_req, res) => {
       auditLogs: auditCount,
       llm: {
         spent_usd: budget?.totalCostUSD || 0,
-        budget_usd: OPENAI_BUDGET_USD,
-        used_pct: budget ? ((budget.totalCostUSD / OPENAI_BUDGET_USD) * 100).toFixed(1) : 0,
+        budget_usd: LLM_BUDGET_USD,
+        used_pct: budget ? ((budget.totalCostUSD / LLM_BUDGET_USD) * 100).toFixed(1) : 0,
         total_calls: (budget?.totalInputTokens || 0) + (budget?.totalOutputTokens || 0),
       },
+      csat,
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -99,6 +164,25 @@ router.get("/api/refunds", async (req, res) => {
   }
 });
 
+// ── GET /admin/api/ledger ─────────────────────────────────────────────────────
+// ?userId=&txnId= — both together also return the transaction's balance
+router.get("/api/ledger", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "100"), 500);
+    const query = {};
+    if (req.query.userId) query.userId = req.query.userId;
+    if (req.query.txnId) query.txnId = String(req.query.txnId).toUpperCase();
+    const entries = await LedgerEntry.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    const balance = query.userId && query.txnId ? await getBalance(query.txnId, query.userId) : undefined;
+    res.json({ count: entries.length, balance, data: entries });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ── GET /admin/api/fraud-logs ─────────────────────────────────────────────────
 router.get("/api/fraud-logs", async (req, res) => {
   try {
@@ -156,6 +240,33 @@ router.post("/api/feature-flags/:name/toggle", async (req, res) => {
   }
 });
 
+// ── GET /admin/api/fx-rates ───────────────────────────────────────────────────
+router.get("/api/fx-rates", async (_req, res) => {
+  try {
+    const data = await listFxRates();
+    res.json({ data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── PUT /admin/api/fx-rates/:currency ─────────────────────────────────────────
+// Body: { perUsd }
+router.put("/api/fx-rates/:currency", async (req, res) => {
+  try {
+    const { perUsd } = req.body || {};
+    const rate = await setFxRate(req.params.currency, { perUsd, updatedBy: req.adminUser });
+    await log("fx_rate_updated", {
+      userId: req.adminUser,
+      ipAddress: req.ip,
+      details: { currency: rate.currency, perUsd: rate.perUsd },
+    });
+    res.json({ success: true, rate });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // ── GET /admin/api/queue-status ───────────────────────────────────────────────
 router.get("/api/queue-status", async (_req, res) => {
   try {
@@ -169,21 +280,407 @@ router.get("/api/queue-status", async (_req, res) => {
 // ── GET /admin/api/llm-usage ──────────────────────────────────────────────────
 router.get("/api/llm-usage", async (_req, res) => {
   try {
-    const { OPENAI_BUDGET_USD, getOpenAI } = require("../integrations/openaiClient");
+    const { LLM_BUDGET_USD, isLLMConfigured, getProviderStats } = require("../integrations/llmGateway");
     const budget = await TokenBudget.findOne({ _id: "global" }).lean();
     res.json({
-      budget_usd:          OPENAI_BUDGET_USD,
+      budget_usd:          LLM_BUDGET_USD,
       spent_usd:           budget?.totalCostUSD || 0,
-      remaining_usd:       Math.max(0, OPENAI_BUDGET_USD - (budget?.totalCostUSD || 0)),
-      used_pct:            budget ? ((budget.totalCostUSD / OPENAI_BUDGET_USD) * 100).toFixed(2) : 0,
+      remaining_usd:       Math.max(0, LLM_BUDGET_USD - (budget?.totalCostUSD || 0)),
+      used_pct:            budget ? ((budget.totalCostUSD / LLM_BUDGET_USD) * 100).toFixed(2) : 0,
       warning_level:       budget?.warningLevel || "ok",
       total_input_tokens:  budget?.totalInputTokens || 0,
       total_output_tokens: budget?.totalOutputTokens || 0,
-      llm_enabled:         getOpenAI() !== null,
+      llm_enabled:         isLLMConfigured(),
+      providers:           getProviderStats(),
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// ── GET /admin/api/refund-policies ────────────────────────────────────────────
+router.get("/api/refund-policies", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "20"), 100);
+    const [policies, activeVersion] = await Promise.all([
+      RefundPolicy.find({}).sort({ version: -1 }).limit(limit).lean(),
+      getActiveVersion(),
+    ]);
+    // `active` comes from the ActiveVersion pointer, not the legacy per-version flag
+    const data = policies.map((p) => ({ ...p, active: p.version === activeVersion }));
+    res.json({ count: data.length, data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── GET /admin/api/refund-policies/active ─────────────────────────────────────
+router.get("/api/refund-policies/active", async (_req, res) => {
+  try {
+    res.json(await getActivePolicy());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── POST /admin/api/refund-policies ───────────────────────────────────────────
+// Body: { rules: [...], refundWindowDays?, notes? }
+router.post("/api/refund-policies", async (req, res) => {
+  try {
+    const { rules, refundWindowDays, notes } = req.body || {};
+    const policy = await publishPolicy({ rules, refundWindowDays, notes, publishedBy: req.adminUser });
+    await log("policy_published", {
+      userId: req.adminUser,
+      ipAddress: req.ip,
+      details: { version: policy.version, ruleCount: policy.rules.length, refundWindowDays: policy.refundWindowDays, notes },
+    });
+    res.status(201).json({ success: true, policy });
+  } catch (err) {
+    if (err.validationErrors) {
+      return res.status(400).json({ error: err.message, details: err.validationErrors });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "Another version was published concurrently — reload and retry." });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── POST /admin/api/refund-policies/:version/activate ─────────────────────────
+router.post("/api/refund-policies/:version/activate", async (req, res) => {
+  try {
+    const version = parseInt(req.params.version, 10);
+    if (!Number.isInteger(version)) {
+      return res.status(400).json({ error: "version must be an integer" });
+    }
+    const policy = await activatePolicyVersion(version);
+    if (!policy) return res.status(404).json({ error: `Policy version ${version} not found` });
+    await log("policy_published", {
+      userId: req.adminUser,
+      ipAddress: req.ip,
+      details: { version, action: "activate" },
+    });
+    res.json({ success: true, policy });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── POST /admin/api/refund-policies/simulate ──────────────────────────────────
+// Body: { policy?: { rules, refundWindowDays }, version?, from?, to?, sampleSize? }
+// Candidate = inline policy, else a stored version, else the active policy.
+// Date range defaults to the last 30 days.
+router.post("/api/refund-policies/simulate", async (req, res) => {
+  try {
+    const { policy: inlinePolicy, version, from, to, sampleSize } = req.body || {};
+
+    let policy;
+    if (inlinePolicy) {
+      const errors = validatePolicy(inlinePolicy);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid refund policy", details: errors });
+      }
+      policy = { refundWindowDays: 7, ...inlinePolicy, version: undefined };
+    } else if (version != null) {
+      policy = await RefundPolicy.findOne({ version: Number(version) }).lean();
+      if (!policy) return res.status(404).json({ error: `Policy version ${version} not found` });
+    } else {
+      policy = await getActivePolicy();
+    }
+
+    const toDate   = to   ? new Date(to)   : new Date();
+    const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(fromDate) || isNaN(toDate) || fromDate > toDate) {
+      return res.status(400).json({ error: "from and to must be valid dates with from <= to" });
+    }
+
+    const result = await simulatePolicy(policy, {
+      from: fromDate,
+      to: toDate,
+      sampleSize: Math.min(parseInt(sampleSize || "20"), 100),
+    });
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── GET /admin/api/fraud-rules ────────────────────────────────────────────────
+router.get("/api/fraud-rules", async (_req, res) => {
+  try {
+    res.json({ registered: listRules(), active: await getActiveRuleSet() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── GET /admin/api/fraud-rule-sets ────────────────────────────────────────────
+router.get("/api/fraud-rule-sets", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "20"), 100);
+    const ruleSets = await FraudRuleSet.find({})
+      .sort({ version: -1 })
+      .limit(limit)
+      .lean();
+    res.json({ count: ruleSets.length, data: ruleSets });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── POST /admin/api/fraud-rule-sets ───────────────────────────────────────────
+// Body: { rules: [{ name, enabled, weight, params }], thresholds: { medium, high }, notes? }
+router.post("/api/fraud-rule-sets", async (req, res) => {
+  try {
+    const { rules, thresholds, notes } = req.body || {};
+    const ruleSet = await publishRuleSet({ rules, thresholds, notes, publishedBy: req.adminUser });
+    await log("fraud_rules_published", {
+      userId: req.adminUser,
+      ipAddress: req.ip,
+      details: { version: ruleSet.version, thresholds: ruleSet.thresholds, rules: ruleSet.rules, notes },
+    });
+    res.status(201).json({ success: true, ruleSet });
+  } catch (err) {
+    if (err.validationErrors) {
+      return res.status(400).json({ error: err.message, details: err.validationErrors });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "Another version was published concurrently — reload and retry." });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── POST /admin/api/fraud-rule-sets/:version/activate ─────────────────────────
+router.post("/api/fraud-rule-sets/:version/activate", async (req, res) => {
+  try {
+    const version = parseInt(req.params.version, 10);
+    if (!Number.isInteger(version)) {
+      return res.status(400).json({ error: "version must be an integer" });
+    }
+    const ruleSet = await activateRuleSetVersion(version);
+    if (!ruleSet) return res.status(404).json({ error: `Fraud rule set version ${version} not found` });
+    await log("fraud_rules_published", {
+      userId: req.adminUser,
+      ipAddress: req.ip,
+      details: { version, action: "activate" },
+    });
+    res.json({ success: true, ruleSet });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── GET /admin/api/fraud-reviews ──────────────────────────────────────────────
+// ?status=open,info_requested (default) | approved | denied
+router.get("/api/fraud-reviews", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "50"), 200);
+    const statuses = req.query.status ? String(req.query.status).split(",") : undefined;
+    const cases = await listReviewCases({ statuses, limit });
+    res.json({ count: cases.length, data: cases });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── POST /admin/api/fraud-reviews/:id/decision ────────────────────────────────
+// Body: { decision: "approve" | "deny" | "request_info", note? }
+router.post("/api/fraud-reviews/:id/decision", async (req, res) => {
+  try {
+    const { decision, note } = req.body || {};
+    const result = await decideReviewCase(req.params.id, {
+      decision,
+      note,
+      adminUser: req.adminUser,
+      ipAddress: req.ip,
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (err.name === "CastError") return res.status(400).json({ error: "Invalid case id" });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── GET /admin/api/disputes ───────────────────────────────────────────────────
+// ?all=1 also returns won / lost / closed disputes
+router.get("/api/disputes", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "50"), 200);
+    const disputes = await listDisputes({ includeClosed: req.query.all === "1", limit });
+    res.json({ count: disputes.length, data: disputes });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── GET /admin/api/disputes/:id ───────────────────────────────────────────────
+router.get("/api/disputes/:id", async (req, res) => {
+  try {
+    res.json(await getDisputeDetail(req.params.id));
+  } catch (err) {
+    if (err.name === "CastError") return res.status(400).json({ error: "Invalid dispute id" });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── POST /admin/api/disputes/:id/evidence ─────────────────────────────────────
+// Body: { uploadProofId, description? }
+router.post("/api/disputes/:id/evidence", async (req, res) => {
+  try {
+    const { uploadProofId, description } = req.body || {};
+    const dispute = await attachEvidence(req.params.id, { uploadProofId, description, adminUser: req.adminUser });
+    await log("dispute_evidence", {
+      userId: req.adminUser,
+      txnId: dispute.txnId,
+      ipAddress: req.ip,
+      details: { action: "attach", disputeId: String(dispute._id), uploadProofId, description, customerUserId: dispute.userId },
+    });
+    res.status(201).json({ success: true, dispute });
+  } catch (err) {
+    if (err.name === "CastError") return res.status(400).json({ error: "Invalid dispute or upload id" });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── DELETE /admin/api/disputes/:id/evidence/:proofId ──────────────────────────
+router.delete("/api/disputes/:id/evidence/:proofId", async (req, res) => {
+  try {
+    const dispute = await detachEvidence(req.params.id, req.params.proofId);
+    await log("dispute_evidence", {
+      userId: req.adminUser,
+      txnId: dispute.txnId,
+      ipAddress: req.ip,
+      details: { action: "detach", disputeId: String(dispute._id), uploadProofId: req.params.proofId, customerUserId: dispute.userId },
+    });
+    res.json({ success: true, dispute });
+  } catch (err) {
+    if (err.name === "CastError") return res.status(400).json({ error: "Invalid dispute or upload id" });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── GET /admin/api/reconciliation ─────────────────────────────────────────────
+// ?status=open,retrying (default) | resolved
+router.get("/api/reconciliation", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "100"), 500);
+    const statuses = req.query.status ? String(req.query.status).split(",") : undefined;
+    const [runs, issues] = await Promise.all([listRuns(10), listIssues({ statuses, limit })]);
+    res.json({ runs, count: issues.length, data: issues });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── POST /admin/api/reconciliation/run ────────────────────────────────────────
+// Body: { lookbackHours? } (default 72, max 720)
+router.post("/api/reconciliation/run", async (req, res) => {
+  try {
+    const lookbackHours = Math.min(Number(req.body?.lookbackHours) || DEFAULT_LOOKBACK_HOURS, 720);
+    const data = { userId: req.adminUser, trigger: "manual", triggeredBy: req.adminUser, lookbackHours };
+
+    const queued = await addJobSafe(getReconciliationQueue(), "reconcile", data);
+    if (queued.queued) return res.status(202).json({ success: true, queued: true, jobId: queued.jobId });
+
+    // No queue (Redis down) — run inline so the button still works
+    const run = await runReconciliation(data);
+    await log("reconciliation", {
+      userId: req.adminUser,
+      ipAddress: req.ip,
+      details: { action: "run", runId: String(run._id), trigger: "manual", issuesFound: run.issuesFound, inline: true },
+    });
+    res.json({ success: true, queued: false, run });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── POST /admin/api/reconciliation/issues/:id/retry ───────────────────────────
+router.post("/api/reconciliation/issues/:id/retry", async (req, res) => {
+  try {
+    const result = await retryIssueRefund(req.params.id, { adminUser: req.adminUser });
+    await log("reconciliation", {
+      userId: req.adminUser,
+      txnId: result.issue.txnId,
+      ipAddress: req.ip,
+      details: {
+        action: "retry_refund",
+        issueId: String(result.issue._id),
+        type: result.issue.type,
+        stripeRefundId: result.stripeRefundId,
+        linkedExisting: result.linkedExisting,
+        amount: result.issue.dbAmount,
+        customerUserId: result.issue.userId,
+      },
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (err.name === "CastError") return res.status(400).json({ error: "Invalid issue id" });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── POST /admin/api/reconciliation/issues/:id/dismiss ─────────────────────────
+// Body: { note? }
+router.post("/api/reconciliation/issues/:id/dismiss", async (req, res) => {
+  try {
+    const issue = await dismissIssue(req.params.id, { adminUser: req.adminUser, note: req.body?.note });
+    await log("reconciliation", {
+      userId: req.adminUser,
+      txnId: issue.txnId,
+      ipAddress: req.ip,
+      details: { action: "dismiss", issueId: String(issue._id), type: issue.type, note: req.body?.note },
+    });
+    res.json({ success: true, issue });
+  } catch (err) {
+    if (err.name === "CastError") return res.status(400).json({ error: "Invalid issue id" });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── GET /admin/api/coupons ────────────────────────────────────────────────────
+// ?status=active|reserved|redeemed|revoked|expired  ?userId=
+router.get("/api/coupons", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "50"), 200);
+    const coupons = await listCoupons({ status: req.query.status, userId: req.query.userId, limit });
+    res.json({ count: coupons.length, data: coupons });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── POST /admin/api/coupons/:id/revoke ────────────────────────────────────────
+// Body: { reason? }
+router.post("/api/coupons/:id/revoke", async (req, res) => {
+  try {
+    const reason = req.body?.reason;
+    const coupon = await revokeCoupon(req.params.id, { adminUser: req.adminUser, reason });
+    await log("coupon_revoked", {
+      userId: req.adminUser,
+      txnId: coupon.sourceTxnId,
+      ipAddress: req.ip,
+      details: { couponId: String(coupon._id), couponCode: coupon.code, customerUserId: coupon.userId, reason },
+    });
+    res.json({ success: true, coupon });
+  } catch (err) {
+    if (err.name === "CastError") return res.status(400).json({ error: "Invalid coupon id" });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── POST /admin/api/pii/reveal ────────────────────────────────────────────────
+// Body: { token, reason } — piiVaultService audit-logs the access as "pii_access"
+router.post("/api/pii/reveal", async (req, res) => {
+  try {
+    const { token, reason } = req.body || {};
+    const revealed = await revealToken(token, { actor: req.adminUser, reason, ipAddress: req.ip });
+    res.set("Cache-Control", "no-store");
+    res.json(revealed);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,108 @@
+/**
+ * controllers/couponController.js
+ * --------------------------------
+ * Customer-facing coupon endpoints: check a code, then spend it on a retry
+ * checkout or a new payment. Issuing happens in the refund flow (OFFER_COUPON); listing and
+ * revoking live in the admin dashboard. Rules are in services/couponService.js.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { addBotToChannel, sendBotMessage } = require("../integrations/sendbirdClient");
+const { getStripe } = require("../integrations/stripeClient");
+const { checkCoupon, newPaymentDraft, startCouponCheckout } = require("../services/couponService");
+const { findTransaction } = require("../services/transactionService");
+const { logPaymentRetry } = require("../services/auditService");
+const { formatMoney } = require("../services/currencyService");
+
+// ----------------------------------------------------------
+// POST /coupons/validate
+// Checks a coupon against an unpaid transaction, or a new payment of
+// `amount`, without reserving it.
+// Body: { code, userId, txnId } or { code, userId, amount, currency }
+// Response: { valid: true, code, discount, amountDue, currency, expiresAt }
+//   404 unknown code (or another user's) | 410 expired | 409 used / in use | 400 currency mismatch
+// ----------------------------------------------------------
+router.post("/coupons/validate", async (req, res) => {
+  try {
+    const { code, txnId, amount, currency, userId } = req.body;
+    if (!code || !userId || (!txnId && amount == null)) {
+      return res.status(400).json({ error: "code, userId, and txnId or amount are required" });
+    }
+
+    const transaction = txnId ? await findTransaction(txnId, userId) : newPaymentDraft(amount, currency);
+    if (!transaction) return res.status(404).json({ error: `Transaction ${txnId} not found` });
+
+    const { coupon, discount, amountDue } = await checkCoupon(code, { userId, transaction });
+    return res.json({
+      valid: true,
+      code: coupon.code,
+      discount,
+      amountDue,
+      currency: coupon.currency,
+      expiresAt: coupon.expiresAt,
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ valid: false, error: err.message });
+    console.error("coupons/validate error:", err.message);
+    return res.status(500).json({ error: "coupons/validate", detail: err.message });
+  }
+});
+
+// ----------------------------------------------------------
+// POST /coupons/redeem
+// Reserves the coupon and opens a Stripe Checkout with the coupon applied as
+// a discount — for an unpaid transaction (txnId), or for a new payment of
+// `amount`, which opens a pending transaction first. The coupon is marked
+// redeemed when checkout.session.completed arrives (webhookController), or
+// released if the session expires unpaid. Demo mode (no Stripe) only validates.
+// Body: { code, channelUrl, userId, txnId } or { code, channelUrl, userId, amount, currency }
+// Response: { paymentUrl, txnId, discount, amountDue, demo? }
+// ----------------------------------------------------------
+router.post("/coupons/redeem", async (req, res) => {
+  try {
+    const { code, txnId, amount, currency, channelUrl, userId } = req.body;
+    if (!code || !channelUrl || !userId || (!txnId && amount == null)) {
+      return res.status(400).json({ error: "code, channelUrl, userId, and txnId or amount are required" });
+    }
+    const txnKey = txnId ? txnId.toUpperCase() : null;
+
+    if (!getStripe()) {
+      const transaction = txnKey ? await findTransaction(txnKey, userId) : newPaymentDraft(amount, currency);
+      if (!transaction) return res.status(404).json({ error: `Transaction ${txnId} not found` });
+      const { coupon, discount, amountDue } = await checkCoupon(code, { userId, transaction });
+      await addBotToChannel(channelUrl);
+      await sendBotMessage(
+        channelUrl,
+        `[DEMO] Stripe is not configured yet. In production, coupon ${coupon.code} would take ${formatMoney(discount, coupon.currency)} off ${txnKey || "your payment"} and open a secure Stripe Checkout for ${formatMoney(amountDue, coupon.currency)}. Add STRIPE_SECRET_KEY to enable real payments.`
+      );
+      return res.json({
+        paymentUrl: "https://stripe.com/docs/testing",
+        demo: true,
+        discount,
+        amountDue,
+        message: "Add STRIPE_SECRET_KEY to enable real Stripe Checkout.",
+      });
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+    const { paymentUrl, txnId: paidTxnId, coupon, discount, amountDue } = await startCouponCheckout({
+      code, userId, txnId: txnKey, amount, currency, channelUrl, frontendUrl,
+    });
+
+    await addBotToChannel(channelUrl);
+    await sendBotMessage(
+      channelUrl,
+      `Coupon ${coupon.code} applied — ${formatMoney(discount, coupon.currency)} off. Your secure payment link for ${paidTxnId} (${formatMoney(amountDue, coupon.currency)} to pay) is ready and valid for 1 hour.`
+    );
+
+    if (txnKey) await logPaymentRetry({ userId, txnId: txnKey, channelUrl, method: "stripe_checkout_coupon" });
+    return res.json({ paymentUrl, txnId: paidTxnId, discount, amountDue });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("coupons/redeem error:", err.message);
+    return res.status(500).json({ error: "coupons/redeem", detail: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+/**
+ * controllers/feedbackController.js
+ * ----------------------------------
+ * Customer-facing CSAT endpoint, posted by the ⭐ rating and Skip buttons the
+ * bot sends after a resolution. Prompts, comment capture and reporting live
+ * in services/feedbackService.js.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { recordRating, skipComment } = require("../services/feedbackService");
+
+// ----------------------------------------------------------
+// POST /feedback
+// Body: { feedbackId, userId, rating, comment? }  — action "csat_rating"
+//       { feedbackId, userId, skip: true }         — action "csat_skip"
+// Response: { success: true, feedbackId, rating, commentRequested }
+//   400 bad rating | 404 unknown feedbackId (or another user's)
+// ----------------------------------------------------------
+router.post("/feedback", async (req, res) => {
+  try {
+    const { feedbackId, userId, rating, comment, skip } = req.body;
+    if (!feedbackId || !userId) {
+      return res.status(400).json({ error: "feedbackId and userId are required" });
+    }
+
+    const feedback = skip
+      ? await skipComment(feedbackId, { userId })
+      : await recordRating(feedbackId, { userId, rating, comment });
+    return res.json({
+      success: true,
+      feedbackId: feedback._id,
+      rating: feedback.rating ?? null,
+      commentRequested: Boolean(feedback.commentUntil),
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("feedback error:", err.message);
+    return res.status(500).json({ error: "feedback", detail: err.message });
+  }
+});
+
+module.exports = router;
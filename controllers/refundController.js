@@ -4,6 +4,9 @@
  * Refund negotiation flow and refund execution endpoints.
  *
  * Flow states: refund_start → refund_reason → [refund_accept_partial | refund_decline]
+ * Every RefundRequest change goes through services/refundStateMachine.js — a
+ * stale or out-of-order button (e.g. accepting an offer that was never made)
+ * is refused with 409 and a chat message instead of acting.
  *
  * WHY DETERMINISTIC POLICY (not LLM):
  *   Every refund decision in this file goes through RefundPolicyEngine.evaluate()
@@ -20,23 +23,41 @@ const { addBotToChannel, sendBotMessage } = require("../integrations/sendbirdCli
 const { RefundRequest, Transaction } = require("../models");
 const { evaluatePolicyLegacy } = require("../policies/RefundPolicyEngine");
 const { evaluate: evaluateRefundPolicy, getRefundFraudScore } = require("../policies/RefundPolicyEngine");
+const { assessRefundRisk } = require("../services/riskService");
+const { getRefundableAmount } = require("../services/ledgerService");
+const { issueCoupon } = require("../services/couponService");
 const { processRefundInternal, findTransaction } = require("../services/transactionService");
+const { getBlockingDispute } = require("../services/disputeService");
+const { transition, assertTransition, stateOf, OPEN_STATES } = require("../services/refundStateMachine");
+const {
+  buildPartialOffer,
+  getValidOffer,
+  formatOfferExpiry,
+  expireOffer,
+} = require("../services/refundOfferService");
+const { formatMoney } = require("../services/currencyService");
 const { updateConversationState } = require("../services/sessionService");
-const { logRefundAttempt, logRefundDecision, logEscalation, trackAnalytics } = require("../services/auditService");
+const {
+  logRefundAttempt,
+  logRefundDecision,
+  logPolicyEvaluation,
+  logEscalation,
+  trackAnalytics,
+} = require("../services/auditService");
 const { detectSentiment } = require("../services/intentService");
 const {
   escalatedChannels,
   getOrCreateDeskChannel,
-  sendDeskContext,
+  findOpenMapping,
 } = require("../services/deskService");
-const { ChannelMapping } = require("../models");
+const { sendHandoffCard } = require("../services/handoffService");
 
 // ----------------------------------------------------------
 // POST /refund-action
 // Handles all refund negotiation button clicks from the frontend.
 //   action="refund_start"           → ask reason
 //   action="refund_reason"          → evaluate policy, execute decision
-//   action="refund_accept_partial"  → user accepts 50% offer
+//   action="refund_accept_partial"  → user accepts the stored partial offer (410 once expired)
 //   action="refund_decline"         → user declines offer
 // Body: { channelUrl, userId, txnId, action, reason? }
 // ----------------------------------------------------------
@@ -53,13 +74,24 @@ router.post("/refund-action", async (req, res) => {
 
     await addBotToChannel(channelUrl);
 
+    // A card dispute owns the money until the bank decides — no new refunds
+    const isNewRefund = ["refund_start", "start", "refund_reason", "refund_accept_partial"].includes(action);
+    if (isNewRefund && await getBlockingDispute(txnKey, userId)) {
+      await sendBotMessage(
+        channelUrl,
+        `There's an open dispute with your bank for ${txnKey}, so we can't process a refund while it's under review. ` +
+          "The bank will decide the outcome — we'll update you here when it's resolved."
+      );
+      return res.json({ success: true, decision: null, disputed: true });
+    }
+
     // ── START: ask the user to pick a reason ─────────────────────────────────
     if (action === "refund_start" || action === "start") {
       if (transaction.status === "refunded") {
-        await sendBotMessage(channelUrl, `A refund for ${txnKey} has already been processed.`);
+        await sendBotMessage(channelUrl, `${txnKey} has already been fully refunded.`);
         return res.json({ success: true });
       }
-      if (transaction.status !== "success") {
+      if (!["success", "partially_refunded"].includes(transaction.status)) {
         await sendBotMessage(
           channelUrl,
           `Refunds are only available for successful transactions. ${txnKey} has status: ${transaction.status}.`
@@ -67,24 +99,29 @@ router.post("/refund-action", async (req, res) => {
         return res.json({ success: true });
       }
 
-      await RefundRequest.findOneAndUpdate(
-        { userId, txnId: txnKey, channelUrl },
-        {
-          userId, txnId: txnKey, channelUrl,
-          refundStage: "reason_asked", status: "pending",
-          negotiationAttempts: 0, updatedAt: new Date(),
-        },
-        { upsert: true }
-      );
+      const existing = await RefundRequest.findOne({ userId, txnId: txnKey, channelUrl }).lean();
+      if (stateOf(existing) === "coupon_issued") {
+        await sendBotMessage(channelUrl, `Your refund request for ${txnKey} was already settled with a coupon.`);
+        return res.json({ success: true });
+      }
+      // negotiationAttempts carries over a restart, so the policy sees earlier tries
+      await transition(existing, "start", {
+        actor: "customer",
+        create: { userId, txnId: txnKey, channelUrl },
+      });
       await updateConversationState(channelUrl, userId, {
         activeTxnId: txnKey, refundStage: "reason_asked", lastIntent: "refund_start",
       });
-      await logRefundAttempt({ userId, txnId: txnKey, channelUrl, amount: transaction.amount });
+      const refundable = await getRefundableAmount(transaction);
+      await logRefundAttempt({ userId, txnId: txnKey, channelUrl, amount: refundable });
       await trackAnalytics("refund_request", { userId, txnId: txnKey, channelUrl });
 
+      const amountLabel = refundable < transaction.amount
+        ? `${formatMoney(refundable, transaction.currency)} of ${formatMoney(transaction.amount, transaction.currency)} still refundable`
+        : formatMoney(transaction.amount, transaction.currency);
       await sendBotMessage(
         channelUrl,
-        `I can help with a refund for ${txnKey} ($${transaction.amount}). Please select the reason for your request:`,
+        `I can help with a refund for ${txnKey} (${amountLabel}). Please select the reason for your request:`,
         {
           type: "action_buttons",
           txnId: txnKey,
@@ -104,25 +141,38 @@ router.post("/refund-action", async (req, res) => {
     if (action === "refund_reason") {
       if (!reason) return res.status(400).json({ error: "reason is required" });
 
-      const existing = await RefundRequest.findOne({ userId, txnId: txnKey, channelUrl });
+      const existing = await RefundRequest.findOne({ userId, txnId: txnKey, channelUrl }).lean();
+      assertTransition(existing, "evaluate"); // before the FraudEngine writes anything
       const attempts = existing?.negotiationAttempts || 0;
 
+      // Policy decides on what is still refundable, not the original charge
+      const refundable = await getRefundableAmount(transaction);
+      if (!(refundable > 0)) {
+        await sendBotMessage(channelUrl, `${txnKey} has already been fully refunded.`);
+        return res.json({ success: true, decision: null, refundable: 0 });
+      }
+
       // For duplicate claims: check last 5 transactions for a same-amount match
       let hasDuplicate = false;
       if (reason === "duplicate") {
         const recentTxns = await Transaction.find({ userId }).sort({ _id: -1 }).limit(5);
         hasDuplicate = recentTxns.some(
-          (t) => t.amount === transaction.amount && t.transactionId !== txnKey
+          (t) => t.amount === transaction.amount && t.currency === transaction.currency && t.transactionId !== txnKey
         );
         console.log(`🔍 Duplicate check for ${txnKey}: hasDuplicate=${hasDuplicate}`);
       }
 
-      // Get fraud score (max 3 refunds per 30 days)
-      const fraudScore = await getRefundFraudScore(userId);
+      // Risk assessment (FraudEngine, gated by FRAUD_ENGINE_ENABLED) feeds the policy.
+      // Without it, fall back to the plain refund-history count (max 3 refunds per 30 days).
+      const risk = await assessRefundRisk({
+        userId, txnId: txnKey, channelUrl, amount: refundable, currency: transaction.currency,
+      });
+      const fraudScore = risk ? risk.refundsInLast30Days : await getRefundFraudScore(userId);
 
       // Run the enhanced policy engine
       const policyResult = await evaluateRefundPolicy({
-        amount: transaction.amount,
+        amount: refundable,
+        currency: transaction.currency,
         reason,
         sentiment: detectSentiment(reason),
         attempts,
@@ -130,6 +180,7 @@ router.post("/refund-action", async (req, res) => {
         transactionDate: transaction.createdAt,
         userId,
         fraudScore,
+        risk,
       });
 
       // Map new policy decision names to legacy action names for the existing flow
@@ -141,80 +192,105 @@ router.post("/refund-action", async (req, res) => {
       }[policyResult.decision] || "ESCALATE_NORMAL";
 
       // Persist the decision
-      await RefundRequest.findOneAndUpdate(
-        { userId, txnId: txnKey, channelUrl },
-        {
+      const refundRequest = await transition(existing, "evaluate", {
+        actor: "customer",
+        note: `${legacyAction} (policy v${policyResult.policyVersion}, rule ${policyResult.ruleId})`,
+        set: {
           refundReason: reason,
-          refundStage: "policy_evaluated",
           finalDecision: legacyAction,
+          policyVersion: policyResult.policyVersion,
+          policyRuleId: policyResult.ruleId,
+          fraudLogId: risk?.fraudLogId || null,
+          riskLevel: risk?.riskLevel || null,
           negotiationAttempts: attempts + 1,
-          updatedAt: new Date(),
         },
-        { upsert: true }
-      );
+      });
       await updateConversationState(channelUrl, userId, {
         refundStage: "policy_evaluated", lastIntent: "refund_reason",
       });
 
       // Log for audit trail
-      await logRefundAttempt({ userId, txnId: txnKey, channelUrl, reason, amount: transaction.amount });
+      await logRefundAttempt({ userId, txnId: txnKey, channelUrl, reason, amount: refundable });
+      await logPolicyEvaluation({
+        userId, txnId: txnKey, channelUrl,
+        decision: policyResult.decision,
+        reason: policyResult.reason,
+        ruleId: policyResult.ruleId,
+        policyVersion: policyResult.policyVersion,
+        riskLevel: risk?.riskLevel,
+        fraudLogId: risk?.fraudLogId,
+      });
 
       if (legacyAction === "AUTO_REFUND") {
-        await processRefundInternal(txnKey, channelUrl, userId, transaction);
-        await logRefundDecision({ userId, txnId: txnKey, channelUrl, decision: "APPROVED", reason, amount: transaction.amount });
+        await transition(refundRequest, "approve", { actor: "system", note: "auto refund" });
+        // The rule's share of what is refundable — an APPROVED rule may pay out less than 100%
+        const { refundAmount } = await processRefundInternal(
+          txnKey, channelUrl, userId, transaction, Math.min(policyResult.amount, refundable)
+        );
+        await logRefundDecision({ userId, txnId: txnKey, channelUrl, decision: "APPROVED", reason, amount: refundAmount });
         await trackAnalytics("refund_approved", {
           userId, txnId: txnKey, channelUrl,
           metadata: { reason, action: "AUTO_REFUND" },
         });
 
       } else if (legacyAction === "OFFER_PARTIAL") {
-        const half = (transaction.amount * 0.5).toFixed(2);
+        const partialOffer = buildPartialOffer({
+          amount: policyResult.amount,
+          currency: transaction.currency,
+          policyVersion: policyResult.policyVersion,
+          policyRuleId: policyResult.ruleId,
+        });
+        const offer = formatMoney(partialOffer.amount, partialOffer.currency);
+        await transition(refundRequest, "offer_partial", { note: `offered ${offer}`, set: { partialOffer } });
         await sendBotMessage(
           channelUrl,
-          `${policyResult.message} Would you like to accept a 50% refund of $${half}?`,
+          `${policyResult.message} Would you like to accept a refund of ${offer}? This offer is valid until ${formatOfferExpiry(partialOffer)}.`,
           {
             type: "action_buttons",
             txnId: txnKey,
             buttons: [
-              { label: `Accept $${half} Refund`, action: "refund_accept_partial", txnId: txnKey },
+              { label: `Accept ${offer} Refund`, action: "refund_accept_partial", txnId: txnKey },
               { label: "Decline",                action: "refund_decline",         txnId: txnKey },
             ],
           }
         );
 
       } else if (legacyAction === "OFFER_COUPON") {
-        const coupon = `COUP-${Math.random().toString(36).slice(2, 8).toUpperCase()}`;
-        await RefundRequest.findOneAndUpdate(
-          { userId, txnId: txnKey, channelUrl },
-          { status: "approved", finalDecision: "OFFER_COUPON", refundStage: "completed", updatedAt: new Date() }
-        );
+        await transition(refundRequest, "issue_coupon");
+        let couponText = "";
+        let couponCode = null;
+        if (policyResult.couponValue > 0) {
+          const coupon = await issueCoupon({
+            userId, txnId: txnKey, channelUrl, value: policyResult.couponValue, currency: transaction.currency,
+            refundRequestId: refundRequest._id,
+          });
+          couponCode = coupon.code;
+          const validUntil = coupon.expiresAt.toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+          couponText = ` Your compensation coupon: **${coupon.code}** — ${formatMoney(coupon.value, coupon.currency)} off a future payment, valid until ${validUntil}.`;
+        }
         await sendBotMessage(
           channelUrl,
-          `${policyResult.message} Your compensation coupon: **${coupon}** (valid 30 days on your next transaction).`,
-          { type: "refund_status", status: "coupon_issued", txnId: txnKey, couponCode: coupon }
+          `${policyResult.message}${couponText}`,
+          { type: "refund_status", status: "coupon_issued", txnId: txnKey, couponCode }
         );
         await logRefundDecision({ userId, txnId: txnKey, channelUrl, decision: "COUPON", reason, amount: 0 });
         await trackAnalytics("refund_approved", {
           userId, txnId: txnKey, channelUrl,
-          metadata: { reason, action: "OFFER_COUPON", couponCode: coupon },
+          metadata: { reason, action: "OFFER_COUPON", couponCode },
         });
 
       } else if (legacyAction === "ESCALATE_HIGH") {
-        const deskUrl = await getOrCreateDeskChannel(channelUrl, userId);
+        const deskUrl = await getOrCreateDeskChannel(channelUrl, userId, {
+          priority: "HIGH", intent: "refund_request", refundReason: reason, riskLevel: risk?.riskLevel,
+        });
         await sendBotMessage(channelUrl, policyResult.message,
           { type: "priority_badge", priority: "HIGH", txnId: txnKey }
         );
         if (deskUrl) {
-          await sendDeskContext(
-            deskUrl, userId,
-            `[🤖 AI Support — Automated Context]\n\n` +
-            `🚨 HIGH PRIORITY — Refund Escalation\n\n` +
-            `Customer : ${userId}\n` +
-            `Transaction : ${txnKey}  ·  $${transaction.amount}\n` +
-            `Refund Reason : ${reason}\n` +
-            `Fraud Score : ${fraudScore} refunds in last 30 days\n\n` +
-            `⚠️  Immediate review required.`
-          );
+          await sendHandoffCard(deskUrl, {
+            userId, channelUrl, txnId: txnKey,
+            escalation: { ...handoffEscalation(policyResult, legacyAction, risk, fraudScore), priority: "HIGH", reason },
+          });
         }
         await logEscalation({ userId, txnId: txnKey, channelUrl, priority: "HIGH", reason });
         await trackAnalytics("escalation", { userId, txnId: txnKey, channelUrl, metadata: { reason, priority: "HIGH" } });
@@ -226,46 +302,63 @@ router.post("/refund-action", async (req, res) => {
           accidental:    "Accidental Payment (50% offer was presented)",
           other:         "Other / Unspecified",
         };
-        const deskUrl = await getOrCreateDeskChannel(channelUrl, userId);
+        const deskUrl = await getOrCreateDeskChannel(channelUrl, userId, {
+          intent: "refund_request", refundReason: reason, riskLevel: risk?.riskLevel,
+        });
         await sendBotMessage(channelUrl, policyResult.message,
           { type: "priority_badge", priority: "NORMAL", txnId: txnKey }
         );
         if (deskUrl) {
-          await sendDeskContext(
-            deskUrl, userId,
-            `[🤖 AI Support — Automated Context]\n\n` +
-            `📋 Refund Escalation — Agent Review Required\n\n` +
-            `Customer : ${userId}\n` +
-            `Transaction : ${txnKey}  ·  $${transaction.amount}\n` +
-            `Refund Reason : ${REASON_LABELS[reason] || reason}\n\n` +
-            `Policy engine could not auto-resolve. Please review manually.`
-          );
+          await sendHandoffCard(deskUrl, {
+            userId, channelUrl, txnId: txnKey,
+            escalation: {
+              ...handoffEscalation(policyResult, legacyAction, risk, fraudScore),
+              priority: "NORMAL", reason: REASON_LABELS[reason] || reason,
+            },
+          });
         }
         await logEscalation({ userId, txnId: txnKey, channelUrl, priority: "NORMAL", reason });
         await trackAnalytics("escalation", { userId, txnId: txnKey, channelUrl, metadata: { reason, priority: "NORMAL" } });
       }
 
-      return res.json({ success: true, decision: legacyAction });
+      return res.json({
+        success: true,
+        decision: legacyAction,
+        policyVersion: policyResult.policyVersion,
+        ruleId: policyResult.ruleId,
+        riskLevel: risk?.riskLevel || null,
+      });
     }
 
     // ── ACCEPT PARTIAL ─────────────────────────────────────────────────────────
+    // Pays exactly the amount stored when the offer was made — never recomputed
     if (action === "refund_accept_partial") {
-      const partialAmt = transaction.amount * 0.5;
-      await processRefundInternal(txnKey, channelUrl, userId, transaction, partialAmt);
-      await logRefundDecision({ userId, txnId: txnKey, channelUrl, decision: "PARTIAL", reason: "accidental", amount: partialAmt });
+      const existing = await RefundRequest.findOne({ userId, txnId: txnKey, channelUrl }).lean();
+      assertTransition(existing, "accept_partial");
+      const offer = getValidOffer(existing);
+      if (!offer) {
+        await expireOffer(existing, { actor: "customer" }); // re-prompts in chat
+        return res.status(410).json({ error: `The refund offer for ${txnKey} has expired`, expired: true });
+      }
+
+      await transition(existing, "accept_partial", {
+        actor: "customer", note: `accepted ${formatMoney(offer.amount, offer.currency)}`,
+      });
+      await processRefundInternal(txnKey, channelUrl, userId, transaction, offer.amount);
+      await logRefundDecision({
+        userId, txnId: txnKey, channelUrl, decision: "PARTIAL", reason: existing.refundReason, amount: offer.amount,
+      });
       await trackAnalytics("refund_approved", {
         userId, txnId: txnKey, channelUrl,
-        metadata: { action: "OFFER_PARTIAL", amount: partialAmt },
+        metadata: { action: "OFFER_PARTIAL", amount: offer.amount, policyVersion: offer.policyVersion },
       });
-      return res.json({ success: true, decision: "OFFER_PARTIAL" });
+      return res.json({ success: true, decision: "OFFER_PARTIAL", amount: offer.amount });
     }
 
     // ── DECLINE ────────────────────────────────────────────────────────────────
     if (action === "refund_decline") {
-      await RefundRequest.findOneAndUpdate(
-        { userId, txnId: txnKey, channelUrl },
-        { status: "rejected", refundStage: "completed", updatedAt: new Date() }
-      );
+      const existing = await RefundRequest.findOne({ userId, txnId: txnKey, channelUrl }).lean();
+      await transition(existing, "decline", { actor: "customer" });
       await sendBotMessage(
         channelUrl,
         `Understood. Your refund request for ${txnKey} has been cancelled. Is there anything else I can help you with?`
@@ -278,13 +371,30 @@ router.post("/refund-action", async (req, res) => {
     return res.status(400).json({ error: `Unknown refund action: ${action}` });
   } catch (err) {
     console.error("refund-action error:", err.message);
+    if (err.code === "ILLEGAL_REFUND_TRANSITION") {
+      const { channelUrl, txnId } = req.body;
+      await sendBotMessage(channelUrl, staleActionMessage(txnId.toUpperCase(), err.state));
+      return res.status(409).json({ error: err.message, state: err.state });
+    }
+    if (err.code === "REFUND_EXCEEDS_BALANCE") {
+      return res.status(409).json({ error: err.message, refundable: err.refundable });
+    }
+    if (err.code === "TRANSACTION_DISPUTED") {
+      return res.status(409).json({ error: err.message, disputeId: err.disputeId });
+    }
+    if (err.code === "REFUND_UNDER_REVIEW") {
+      return res.status(409).json({ error: err.message, fraudLogId: err.fraudLogId });
+    }
     return res.status(500).json({ error: "refund-action", detail: err.message });
   }
 });
 
 // ----------------------------------------------------------
 // POST /process-refund
-// Direct refund execution — requires an existing approved/pending RefundRequest.
+// Executes a refund that is already approved — by the policy, an agent's
+// /refund or an analyst — e.g. when its first attempt failed. It approves
+// nothing itself: a pending request goes through the policy / review queue.
+// Refused (409) while a fraud review case on the transaction is open.
 // Body: { txnId, channelUrl, userId, amount? }
 // ----------------------------------------------------------
 router.post("/process-refund", async (req, res) => {
@@ -298,26 +408,28 @@ router.post("/process-refund", async (req, res) => {
     const transaction = await findTransaction(txnKey, userId);
     if (!transaction) return res.status(404).json({ error: `Transaction ${txnId} not found` });
 
-    // Authorization gate: an approved/pending RefundRequest must exist
-    const refundReq = await RefundRequest.findOne({
-      txnId: txnKey,
-      userId,
-      status: { $in: ["pending", "approved"] },
-    });
-    if (!refundReq) {
+    // Authorization gate: the RefundRequest must already be approved
+    const refundReq = await RefundRequest.findOne({ txnId: txnKey, userId, channelUrl }).lean();
+    if (stateOf(refundReq) !== "approved") {
       return res.status(403).json({ error: "No approved refund request found for this transaction." });
     }
 
-    const refundAmount = amount != null ? Number(amount) : transaction.amount;
-    await processRefundInternal(txnKey, channelUrl, userId, transaction, refundAmount);
+    if (amount != null && !(Number(amount) > 0)) {
+      return res.status(400).json({ error: "amount must be a positive number" });
+    }
+
+    // Upper bound is the remaining refundable balance — enforced by the ledger (409)
+    const { refundAmount, refundable } = await processRefundInternal(
+      txnKey, channelUrl, userId, transaction, amount != null ? Number(amount) : null
+    );
 
     // Notify Desk channel if ticket is open
     if (escalatedChannels.has(channelUrl)) {
-      const mapping = await ChannelMapping.findOne({ originalChannelUrl: channelUrl });
+      const mapping = await findOpenMapping({ originalChannelUrl: channelUrl });
       if (mapping) {
         await sendBotMessage(
           mapping.deskChannelUrl,
-          `Refund of $${refundAmount.toFixed(2)} for ${txnKey} has been processed for customer ${userId}. Ticket can be closed.`
+          `Refund of ${formatMoney(refundAmount, transaction.currency)} for ${txnKey} has been processed for customer ${userId}. Ticket can be closed.`
         );
       }
     }
@@ -327,11 +439,57 @@ router.post("/process-refund", async (req, res) => {
       userId, txnId: txnKey, channelUrl,
       metadata: { source: "process-refund", amount: refundAmount },
     });
-    return res.json({ success: true, refundAmount });
+    return res.json({ success: true, refundAmount, refundable });
   } catch (err) {
     console.error("process-refund error:", err.message);
+    if (err.code === "ILLEGAL_REFUND_TRANSITION") {
+      return res.status(409).json({ error: err.message, state: err.state });
+    }
+    if (err.code === "REFUND_EXCEEDS_BALANCE") {
+      return res.status(409).json({ error: err.message, refundable: err.refundable });
+    }
+    if (err.code === "TRANSACTION_DISPUTED") {
+      return res.status(409).json({ error: err.message, disputeId: err.disputeId });
+    }
+    if (err.code === "REFUND_UNDER_REVIEW") {
+      return res.status(409).json({ error: err.message, fraudLogId: err.fraudLogId });
+    }
     return res.status(500).json({ error: "process-refund", detail: err.message });
   }
 });
 
+/**
+ * The policy decision behind an escalation, for the agent handoff card.
+ */
+function handoffEscalation(policyResult, legacyAction, risk, fraudScore) {
+  return {
+    intent: "refund_request",
+    decision: legacyAction,
+    policyDecision: policyResult.decision,
+    policyVersion: policyResult.policyVersion,
+    policyRuleId: policyResult.ruleId,
+    policyReason: policyResult.reason,
+    riskLevel: risk?.riskLevel || null,
+    riskScore: risk?.riskScore ?? null,
+    triggers: risk?.triggers || [],
+    fraudScore,
+  };
+}
+
+/**
+ * Chat reply for a refund button that no longer applies to the request's state.
+ */
+function staleActionMessage(txnKey, state) {
+  if (state === "none") {
+    return `There's no open refund request for ${txnKey}. Tap "Request Refund" to start one.`;
+  }
+  if (["reason_asked", "offer_sent"].includes(state)) {
+    return `That option is no longer available for ${txnKey} — please use the latest buttons above.`;
+  }
+  if (OPEN_STATES.includes(state)) {
+    return `Your refund request for ${txnKey} is already being handled — we'll update you here.`;
+  }
+  return `Your last refund request for ${txnKey} is already closed. Tap "Request Refund" to start a new one.`;
+}
+
 module.exports = router;
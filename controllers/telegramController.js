@@ -29,6 +29,7 @@ const { sendChannelMessage, addBotToChannel } = require("../integrations/sendbir
 const { ensureUserTransactions } = require("../services/transactionService");
 const { checkRateLimit, checkAndSetIdempotency } = require("../integrations/redisClient");
 const { isEnabled } = require("../middleware/featureFlagMiddleware");
+const { redact } = require("../services/redactionService");
 
 // ── Per-Telegram-user rate limit: 20 msg/min ─────────────────────────────────
 const TELEGRAM_RATE_LIMIT = 20;
@@ -154,8 +155,11 @@ router.post("/telegram-webhook", async (req, res) => {
 
     // Ensure user + channel mapping
     const { sendbirdUserId, channelUrl } = await ensureTelegramUser(telegramId, username);
+    if (message.from?.language_code) {
+      TelegramUser.updateOne({ telegramId }, { languageCode: message.from.language_code }).catch(() => {});
+    }
 
-    console.log(`[Telegram] Message from tg=${telegramId} (${username}): ${text}`);
+    console.log(`[Telegram] Message from tg=${telegramId} (${username}): ${redact(text)}`);
 
     // Forward message into Sendbird channel
     // This triggers the Sendbird webhook → bot processes it → bot replies in Sendbird
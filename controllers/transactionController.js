@@ -16,6 +16,7 @@ const {
 const { updateConversationState } = require("../services/sessionService");
 const { logPaymentRetry, trackAnalytics } = require("../services/auditService");
 const { generateNaturalResponse } = require("../services/intentService");
+const { formatMoney } = require("../services/currencyService");
 
 // ----------------------------------------------------------
 // POST /transaction-list
@@ -38,7 +39,7 @@ router.post("/transaction-list", async (req, res) => {
       return res.json({ success: true });
     }
 
-    const STATUS_EMOJI = { failed: "❌", success: "✅", pending: "⏳", refunded: "💚" };
+    const STATUS_EMOJI = { failed: "❌", success: "✅", pending: "⏳", partially_refunded: "💛", refunded: "💚", disputed: "⚠️", chargeback: "🚫" };
 
     await sendBotMessage(
       channelUrl,
@@ -46,7 +47,7 @@ router.post("/transaction-list", async (req, res) => {
       {
         type: "action_buttons",
         buttons: txns.map((t) => ({
-          label: `${t.transactionId}  ·  $${t.amount}  ·  ${STATUS_EMOJI[t.status] || "?"} ${t.status}`,
+          label: `${t.transactionId}  ·  ${formatMoney(t.amount, t.currency)}  ·  ${STATUS_EMOJI[t.status] || "?"} ${t.status}`,
           action: "view_transaction",
           txnId: t.transactionId,
         })),
@@ -101,6 +102,10 @@ router.post("/view-transaction", async (req, res) => {
         { label: "👤 Talk to Agent",  action: "escalate" },
         { label: "📚 FAQ",            action: "faq" },
       ],
+      partially_refunded: [
+        { label: "💰 Refund Remaining", action: "refund_start", txnId: txnKey },
+        { label: "👤 Talk to Agent",    action: "escalate" },
+      ],
       refunded: [
         { label: "👤 Talk to Agent",  action: "escalate" },
       ],
@@ -108,12 +113,19 @@ router.post("/view-transaction", async (req, res) => {
 
     const buttons = BUTTON_MAP[transaction.status] || [{ label: "👤 Talk to Agent", action: "escalate" }];
 
+    // Refund progress comes from the ledger-derived refundedAmount
+    const refunded = transaction.refundedAmount || 0;
+    const refundProgress = refunded > 0
+      ? ` · Refunded ${formatMoney(refunded, transaction.currency)} of ${formatMoney(transaction.amount, transaction.currency)}`
+      : "";
+
     const msg = await generateNaturalResponse({
       intent: "transaction_status",
       txnId: txnKey,
       status: transaction.status,
       amount: transaction.amount,
-      extra: `Transaction ${txnKey} · $${transaction.amount} · Status: ${transaction.status}`,
+      currency: transaction.currency,
+      extra: `Transaction ${txnKey} · ${formatMoney(transaction.amount, transaction.currency)} · Status: ${transaction.status}${refundProgress}`,
     });
 
     await sendBotMessage(channelUrl, msg, { type: "action_buttons", txnId: txnKey, buttons });
@@ -150,7 +162,7 @@ router.post("/retry-payment", async (req, res) => {
       await addBotToChannel(channelUrl);
       await sendBotMessage(
         channelUrl,
-        `[DEMO] Stripe is not configured yet. In production, clicking "Retry Payment" would open a secure Stripe Checkout for $${transaction.amount} (${txnId}). Add STRIPE_SECRET_KEY to enable real payments.`
+        `[DEMO] Stripe is not configured yet. In production, clicking "Retry Payment" would open a secure Stripe Checkout for ${formatMoney(transaction.amount, transaction.currency)} (${txnId}). Add STRIPE_SECRET_KEY to enable real payments.`
       );
       return res.json({
         paymentUrl: "https://stripe.com/docs/testing",
@@ -160,9 +172,10 @@ router.post("/retry-payment", async (req, res) => {
     }
 
     const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
-    const paymentUrl = await createCheckoutSession({
+    const { url: paymentUrl } = await createCheckoutSession({
       txnId: txnId.toUpperCase(),
       amount: transaction.amount,
+      currency: transaction.currency,
       channelUrl,
       userId,
       frontendUrl,
@@ -171,7 +184,7 @@ router.post("/retry-payment", async (req, res) => {
     await addBotToChannel(channelUrl);
     await sendBotMessage(
       channelUrl,
-      `Your secure payment link for ${txnId} ($${transaction.amount}) is ready. Complete the payment — you'll be redirected back here when done.`
+      `Your secure payment link for ${txnId} (${formatMoney(transaction.amount, transaction.currency)}) is ready. Complete the payment — you'll be redirected back here when done.`
     );
 
     await logPaymentRetry({ userId, txnId: txnId.toUpperCase(), channelUrl, method: "stripe_checkout" });
@@ -1,14 +1,18 @@
 /**
  * controllers/webhookController.js
  * ---------------------------------
- * Sendbird webhook handler (main bot logic) and Stripe payment webhook.
+ * Sendbird webhook handler (main bot logic) and Stripe payment webhook
+ * (payments, refunds, disputes — see STRIPE_EVENT_HANDLERS).
  *
  * Message routing order:
- *   1. Desk channel? → forward agent replies to customer
- *   2. Already escalated + no TXN? → forward customer follow-ups to Desk
- *   3. HIGH sentiment keywords? → auto-escalate
- *   4. No TXN ID? → LLM intent detection → route to intent handlers
- *   5. TXN ID found? → transaction lookup + action buttons
+ *   1. Desk channel? → agent /commands run (agentCommandService), other
+ *      agent replies are forwarded to the customer
+ *   2. Just rated (CSAT) + no TXN? → message is the feedback comment
+ *   3. Already escalated + no TXN? → forward customer follow-ups to Desk
+ *      (a ticket closed within DESK_REOPEN_GRACE_MINUTES is reopened first)
+ *   4. HIGH sentiment keywords? → auto-escalate
+ *   5. No TXN ID? → LLM intent detection → route to intent handlers
+ *   6. TXN ID found? → transaction lookup + action buttons
  */
 
 const express = require("express");
@@ -17,7 +21,7 @@ const router = express.Router();
 const { addBotToChannel, sendBotMessage, sendChannelMessage } = require("../integrations/sendbirdClient");
 const { sendTelegramMessage } = require("../integrations/telegramClient");
 const { constructWebhookEvent, getStripe } = require("../integrations/stripeClient");
-const { Transaction, ChannelMapping, TelegramUser } = require("../models");
+const { Transaction, ChannelMapping, TelegramUser, ConversationState } = require("../models");
 const {
   detectIntent,
   generateNaturalResponse,
@@ -25,6 +29,26 @@ const {
   queryKnowledgeBase,
 } = require("../services/intentService");
 const { ensureUserTransactions, findTransaction, processRefundInternal } = require("../services/transactionService");
+const {
+  recordCharge,
+  recordRefund,
+  recordRefundReversal,
+  attachStripeRefundId,
+  ensureOpeningEntries,
+  getBalance,
+  syncTransaction,
+} = require("../services/ledgerService");
+const { upsertDisputeFromStripe } = require("../services/disputeService");
+const { redeemCoupon, releaseCoupon } = require("../services/couponService");
+const { transition, transitionMatching, canTransition, stateOf } = require("../services/refundStateMachine");
+const { isAgentCommand, handleAgentCommand } = require("../services/agentCommandService");
+const { guardInboundMessage } = require("../services/inputGuardService");
+const { redact } = require("../services/redactionService");
+const { tokenise } = require("../services/piiVaultService");
+const { requestFeedback, captureComment } = require("../services/feedbackService");
+const { recordFirstResponse } = require("../services/slaService");
+const { formatMoney, toMinor, fromMinor } = require("../services/currencyService");
+const { isDuplicate, releaseEvent } = require("../middleware/idempotencyMiddleware");
 const { updateConversationState, getConversationState } = require("../services/sessionService");
 const { trackAnalytics, log } = require("../services/auditService");
 const {
@@ -32,6 +56,9 @@ const {
   deskChannels,
   createDeskTicket,
   getOrCreateDeskChannel,
+  findOpenMapping,
+  reopenRecentTicket,
+  archiveMappings,
   scheduleAgentAwayFallback,
   clearAgentAwayTimer,
   sendDeskContext,
@@ -115,7 +142,7 @@ async function sendbirdWebhookHandler(req, res) {
     const channelUrl  = event.channel?.channel_url;
     const senderId    = event.sender?.user_id;
 
-    console.log("📩 Webhook received:", { messageId, senderId, channelUrl, messageText });
+    console.log("📩 Webhook received:", { messageId, senderId, channelUrl, messageText: redact(messageText) });
 
     if (!senderId) return res.sendStatus(200);
     if (senderId === "support_bot") return res.sendStatus(200);
@@ -129,10 +156,20 @@ async function sendbirdWebhookHandler(req, res) {
 
     // ── Desk channel: forward agent replies back to the customer ──────────────
     if (channelUrl?.startsWith("sendbird_desk_") || deskChannels.has(channelUrl)) {
-      const mapping = await ChannelMapping.findOne({ deskChannelUrl: channelUrl });
-      if (mapping && senderId !== mapping.userId) {
+      const mapping = await findOpenMapping({ deskChannelUrl: channelUrl });
+      if (mapping && senderId !== mapping.userId && isAgentCommand(messageText)) {
+        // Slash commands act on the customer's account — never forwarded
+        await handleAgentCommand({ agentId: senderId, mapping, text: messageText });
+      } else if (mapping && senderId !== mapping.userId) {
         console.log(`📨 Forwarding agent message to customer channel: ${mapping.originalChannelUrl}`);
         clearAgentAwayTimer(mapping.originalChannelUrl);
+        recordFirstResponse(mapping).catch((err) =>
+          console.warn("⚠️ SLA first response not recorded (non-fatal):", err.message)
+        );
+        // The last agent to reply is the one credited in the CSAT rating
+        if (mapping.agentId !== senderId) {
+          ChannelMapping.updateOne({ _id: mapping._id }, { agentId: senderId }).catch(() => {});
+        }
         // Ensure bot is in the customer channel before forwarding
         try { await addBotToChannel(mapping.originalChannelUrl); } catch {}
         try {
@@ -151,21 +188,39 @@ async function sendbirdWebhookHandler(req, res) {
 
     const txnMatch = messageText?.match(/TXN\d+/i);
 
+    // ── CSAT comment: the customer just rated and was asked for a comment ────
+    if (!txnMatch && !escalatedChannels.has(channelUrl)) {
+      if (await captureComment(channelUrl, senderId, messageText)) return res.sendStatus(200);
+    }
+
+    // ── Recently closed ticket: the customer wrote again — reopen it ──────────
+    if (!escalatedChannels.has(channelUrl) && !txnMatch) {
+      const reopened = await reopenRecentTicket(channelUrl);
+      if (reopened) {
+        await sendBotMessageAndRelay(
+          channelUrl,
+          `We've reopened your support ticket #${reopened.ticketId} — an agent will pick up your message shortly.`
+        );
+      }
+    }
+
     // ── Already escalated: forward customer follow-ups to Desk ────────────────
     if (escalatedChannels.has(channelUrl) && !txnMatch) {
-      const mapping = await ChannelMapping.findOne({ originalChannelUrl: channelUrl });
+      const mapping = await findOpenMapping({ originalChannelUrl: channelUrl });
       if (mapping) {
         console.log(`📨 Forwarding customer follow-up to Desk channel: ${mapping.deskChannelUrl}`);
         // Wrap in try/catch — Desk channel API failures must not return 500
         // (a 500 causes Sendbird to retry, but idempotency then blocks the retry → message permanently lost)
+        // PII reaches the agent as vault tokens — revealed on request, audit-logged
+        const deskText = await tokenise(messageText, { userId: senderId, channelUrl });
         try {
-          await sendChannelMessage(mapping.deskChannelUrl, senderId, messageText);
+          await sendChannelMessage(mapping.deskChannelUrl, senderId, deskText);
         } catch (err) {
           console.error("⚠️ Failed to forward customer message to Desk channel:", err.response?.data || err.message);
           // Fallback: send as bot so the agent still sees the message
           try {
             await addBotToChannel(mapping.deskChannelUrl);
-            await sendBotMessageAndRelay(mapping.deskChannelUrl, `[Customer ${senderId}]: ${messageText}`);
+            await sendBotMessageAndRelay(mapping.deskChannelUrl, `[Customer ${senderId}]: ${deskText}`);
           } catch (fallbackErr) {
             console.error("⚠️ Fallback bot forward also failed:", fallbackErr.message);
           }
@@ -181,7 +236,7 @@ async function sendbirdWebhookHandler(req, res) {
       await addBotToChannel(channelUrl);
       if (!escalatedChannels.has(channelUrl)) {
         try {
-          await createDeskTicket(channelUrl, senderId);
+          await createDeskTicket(channelUrl, senderId, { priority: "HIGH", intent: "sentiment_escalation" });
           escalatedChannels.add(channelUrl);
           scheduleAgentAwayFallback(channelUrl);
         } catch (err) {
@@ -207,11 +262,13 @@ async function sendbirdWebhookHandler(req, res) {
 
     // ── No TXN ID: LLM intent detection ──────────────────────────────────────
     if (!txnMatch) {
+      // Injection attempts are stripped (and audit-logged) before the prompt sees them
+      const guarded = await guardInboundMessage({ userId: senderId, channelUrl, text: messageText });
       const {
         intent,
         transaction_id: llmTxnId,
         sentiment: llmSentiment,
-      } = await detectIntent(messageText, senderId);
+      } = await detectIntent(guarded.text, senderId);
 
       await addBotToChannel(channelUrl);
 
@@ -232,7 +289,8 @@ async function sendbirdWebhookHandler(req, res) {
             txnId: inferredTxn.transactionId,
             status: inferredTxn.status,
             amount: inferredTxn.amount,
-            extra: `Transaction ${inferredTxn.transactionId} status: ${inferredTxn.status}. Amount: $${inferredTxn.amount}.`,
+            currency: inferredTxn.currency,
+            extra: `Transaction ${inferredTxn.transactionId} status: ${inferredTxn.status}. Amount: ${formatMoney(inferredTxn.amount, inferredTxn.currency)}.`,
           });
           await sendBotMessageAndRelay(channelUrl, naturalMsg, {
             type: "action_buttons",
@@ -256,7 +314,7 @@ async function sendbirdWebhookHandler(req, res) {
       if (intent === "escalation") {
         if (!escalatedChannels.has(channelUrl)) {
           try {
-            await createDeskTicket(channelUrl, senderId);
+            await createDeskTicket(channelUrl, senderId, { intent: "escalation" });
             escalatedChannels.add(channelUrl);
             scheduleAgentAwayFallback(channelUrl);
           } catch (err) {
@@ -299,19 +357,24 @@ async function sendbirdWebhookHandler(req, res) {
           return res.sendStatus(200);
         }
         if (refundTxn.status === "refunded") {
-          await sendBotMessageAndRelay(channelUrl, `A refund for ${activeTxnId} has already been processed.`);
+          await sendBotMessageAndRelay(channelUrl, `${activeTxnId} has already been fully refunded.`);
           return res.sendStatus(200);
         }
 
-        await RefundRequest.findOneAndUpdate(
-          { userId: senderId, txnId: activeTxnId, channelUrl },
-          {
-            userId: senderId, txnId: activeTxnId, channelUrl,
-            refundStage: "reason_asked", status: "pending",
-            negotiationAttempts: 0, updatedAt: new Date(),
-          },
-          { upsert: true }
-        );
+        const existingRequest = await RefundRequest.findOne({ userId: senderId, txnId: activeTxnId, channelUrl }).lean();
+        if (!canTransition(existingRequest, "start")) {
+          await sendBotMessageAndRelay(
+            channelUrl,
+            stateOf(existingRequest) === "coupon_issued"
+              ? `Your refund request for ${activeTxnId} was already settled with a coupon.`
+              : `Your refund request for ${activeTxnId} is already being handled — we'll update you here.`
+          );
+          return res.sendStatus(200);
+        }
+        await transition(existingRequest, "start", {
+          actor: "customer",
+          create: { userId: senderId, txnId: activeTxnId, channelUrl },
+        });
         await updateConversationState(channelUrl, senderId, {
           lastIntent: "refund_request",
           refundStage: "reason_asked",
@@ -320,7 +383,7 @@ async function sendbirdWebhookHandler(req, res) {
 
         await sendBotMessageAndRelay(
           channelUrl,
-          `I can help with a refund for ${activeTxnId} ($${refundTxn.amount}). Please select the reason:`,
+          `I can help with a refund for ${activeTxnId} (${formatMoney(refundTxn.amount, refundTxn.currency)}). Please select the reason:`,
           {
             type: "action_buttons",
             txnId: activeTxnId,
@@ -340,6 +403,7 @@ async function sendbirdWebhookHandler(req, res) {
       const kbResult = queryKnowledgeBase(messageText);
       if (kbResult.found) {
         await sendBotMessageAndRelay(channelUrl, kbResult.answer);
+        await requestFeedback({ userId: senderId, channelUrl, trigger: "kb_answer", intent });
         return res.sendStatus(200);
       }
 
@@ -393,7 +457,7 @@ async function sendbirdWebhookHandler(req, res) {
     if (transaction.status === "failed") {
       try { await createHubSpotTicket(txnId, transaction.userEmail); } catch {}
       try {
-        await createDeskTicket(channelUrl, senderId);
+        await createDeskTicket(channelUrl, senderId, { intent: "payment_failed" });
         escalatedChannels.add(channelUrl);
         scheduleAgentAwayFallback(channelUrl);
       } catch (err) {
@@ -410,7 +474,8 @@ async function sendbirdWebhookHandler(req, res) {
         txnId,
         status: "failed",
         amount: transaction.amount,
-        extra: `Your transaction ${txnId} ($${transaction.amount}) has failed. A support case has been opened. How would you like to proceed?`,
+        currency: transaction.currency,
+        extra: `Your transaction ${txnId} (${formatMoney(transaction.amount, transaction.currency)}) has failed. A support case has been opened. How would you like to proceed?`,
       });
 
       await sendBotMessageAndRelay(channelUrl, failedMsg, {
@@ -431,7 +496,8 @@ async function sendbirdWebhookHandler(req, res) {
         txnId,
         status: "success",
         amount: transaction.amount,
-        extra: `Transaction ${txnId} completed successfully ✅. Amount: $${transaction.amount}.\nNeed help with this transaction?`,
+        currency: transaction.currency,
+        extra: `Transaction ${txnId} completed successfully ✅. Amount: ${formatMoney(transaction.amount, transaction.currency)}.\nNeed help with this transaction?`,
       });
 
       await sendBotMessageAndRelay(channelUrl, successMsg, {
@@ -445,9 +511,12 @@ async function sendbirdWebhookHandler(req, res) {
       return res.sendStatus(200);
     }
 
+    const refundProgress = transaction.refundedAmount > 0
+      ? ` Refunded ${formatMoney(transaction.refundedAmount, transaction.currency)} of ${formatMoney(transaction.amount, transaction.currency)}.`
+      : "";
     await sendBotMessageAndRelay(
       channelUrl,
-      `Transaction ${txnId} status: ${transaction.status} ⏳. Amount: $${transaction.amount}.`
+      `Transaction ${txnId} status: ${transaction.status} ⏳. Amount: ${formatMoney(transaction.amount, transaction.currency)}.${refundProgress}`
     );
     return res.sendStatus(200);
   } catch (error) {
@@ -456,12 +525,335 @@ async function sendbirdWebhookHandler(req, res) {
   }
 }
 
+// ----------------------------------------------------------
+// Stripe event handlers (used by POST /payment-webhook)
+// Each handler receives event.data.object, updates Transaction / RefundRequest
+// (and the ledger where money moved), notifies the customer's channel + Telegram
+// relay, and returns { userId, txnId, channelUrl, details } for the audit entry —
+// or null when the event doesn't belong to any transaction we know.
+// ----------------------------------------------------------
+
+/**
+ * Find the Transaction a Stripe object belongs to: by our metadata
+ * (checkout sessions, bot-created refunds) first, then by PaymentIntent id.
+ */
+async function findStripeTransaction({ metadata, paymentIntentId }) {
+  const { txnId, userId } = metadata || {};
+  if (txnId && userId) {
+    const transaction = await Transaction.findOne({ transactionId: txnId, userId });
+    if (transaction) return transaction;
+  }
+  if (paymentIntentId) return Transaction.findOne({ paymentIntentId });
+  return null;
+}
+
+/**
+ * Customer channel for a transaction. Stripe objects the bot didn't create
+ * carry no channelUrl, so fall back to the latest refund request, then to the
+ * conversation that last looked at this transaction.
+ */
+async function resolveCustomerChannel(transaction, metadata) {
+  if (metadata?.channelUrl) return metadata.channelUrl;
+  if (!transaction) return null;
+  const { transactionId: txnId, userId } = transaction;
+  const refundRequest = await RefundRequest.findOne({ txnId, userId }).sort({ createdAt: -1 }).lean();
+  if (refundRequest?.channelUrl) return refundRequest.channelUrl;
+  const state = await ConversationState.findOne({ userId, activeTxnId: txnId }).lean();
+  return state?.channelUrl || null;
+}
+
+/**
+ * Tell the customer and/or the Desk agent (if the chat is escalated).
+ * Non-fatal — the state change has already been written.
+ */
+async function notifyStripeUpdate(channelUrl, { customer, desk, data }) {
+  if (!channelUrl) return;
+  try {
+    if (customer) await sendBotMessageAndRelay(channelUrl, customer, data);
+    if (desk && escalatedChannels.has(channelUrl)) {
+      const mapping = await findOpenMapping({ originalChannelUrl: channelUrl });
+      if (mapping) await sendBotMessageAndRelay(mapping.deskChannelUrl, desk);
+    }
+  } catch (err) {
+    console.warn(`⚠️ Stripe webhook notification failed for ${channelUrl} (non-fatal):`, err.message);
+  }
+}
+
+// checkout.session.completed — a retried (or coupon-discounted new) payment went through
+async function onCheckoutCompleted(session) {
+  const { txnId, channelUrl, userId, couponCode, purpose } = session.metadata || {};
+  if (!txnId) return null;
+  const newPayment = purpose === "new_payment";
+
+  const updateFields = { status: "success" };
+  if (session.payment_intent) updateFields.paymentIntentId = session.payment_intent;
+  await Transaction.updateOne({ transactionId: txnId, userId }, updateFields);
+  console.log(`✅ Transaction ${txnId} updated to success via Stripe webhook`);
+  const transaction = await Transaction.findOne({ transactionId: txnId, userId });
+  if (transaction) {
+    await recordCharge({
+      transaction,
+      type: newPayment ? "charge" : "retry_payment",
+      amount: session.amount_total != null ? fromMinor(session.amount_total, session.currency) : transaction.amount,
+      stripePaymentIntentId: session.payment_intent,
+      stripeCheckoutSessionId: session.id,
+    });
+    if (couponCode) {
+      const discount = session.total_details?.amount_discount;
+      await redeemCoupon({
+        code: couponCode,
+        checkoutSessionId: session.id,
+        transaction,
+        amount: discount != null ? fromMinor(discount, session.currency) : undefined,
+      });
+    }
+  }
+  await trackAnalytics("payment_retry", {
+    userId, txnId, channelUrl,
+    metadata: { status: "success", paymentIntentId: session.payment_intent },
+  });
+
+  await notifyStripeUpdate(channelUrl, {
+    customer: `Payment for ${txnId} was successful! Your transaction is now complete. Thank you.`,
+    desk: newPayment
+      ? `Customer ${userId} paid ${txnId}${couponCode ? ` with coupon ${couponCode}` : ""}. Ticket can be closed.`
+      : `Customer ${userId} successfully retried payment for ${txnId}. Ticket can be closed.`,
+  });
+  return { userId, txnId, channelUrl, details: { checkoutSessionId: session.id, paymentIntentId: session.payment_intent, couponCode } };
+}
+
+// checkout.session.expired — the customer never finished a retry link
+async function onCheckoutExpired(session) {
+  const { txnId, channelUrl, userId, couponCode } = session.metadata || {};
+  if (!txnId) return null;
+
+  // A coupon held by this checkout goes back to the customer
+  const couponReleased = couponCode ? await releaseCoupon({ code: couponCode, checkoutSessionId: session.id }) : false;
+
+  // A later session may already have paid it — only an unpaid transaction is touched
+  const { modifiedCount } = await Transaction.updateOne(
+    { transactionId: txnId, userId, status: { $in: ["pending", "failed"] } },
+    { status: "failed" }
+  );
+  const transaction = await Transaction.findOne({ transactionId: txnId, userId }).lean();
+  if (transaction?.status === "failed") {
+    await notifyStripeUpdate(channelUrl, {
+      customer: `Your payment link for ${txnId} has expired and no payment was taken.` +
+        (couponReleased ? ` Coupon ${couponCode} is still yours to use.` : "") +
+        " You can request a new link below.",
+      data: {
+        type: "action_buttons",
+        txnId,
+        buttons: [
+          { label: "Retry Payment", action: "retry_payment", txnId },
+          { label: "Talk to Agent", action: "escalate" },
+        ],
+      },
+    });
+  }
+  return { userId, txnId, channelUrl, details: { checkoutSessionId: session.id, statusReset: modifiedCount > 0, couponReleased } };
+}
+
+// payment_intent.payment_failed — card declined / authentication failed
+async function onPaymentFailed(intent) {
+  const transaction = await findStripeTransaction({ metadata: intent.metadata, paymentIntentId: intent.id });
+  if (!transaction) return null;
+  const { transactionId: txnId, userId } = transaction;
+  const channelUrl = await resolveCustomerChannel(transaction, intent.metadata);
+
+  await Transaction.updateOne(
+    { _id: transaction._id, status: { $in: ["pending", "failed"] } },
+    { status: "failed" }
+  );
+  const failure = intent.last_payment_error?.message || "the payment was declined";
+  await notifyStripeUpdate(channelUrl, {
+    customer: `Your payment for ${txnId} didn't go through: ${failure}. No money was taken — you can try again below.`,
+    desk: `Payment retry for ${txnId} failed (${intent.last_payment_error?.code || "declined"}).`,
+    data: {
+      type: "action_buttons",
+      txnId,
+      buttons: [
+        { label: "Retry Payment", action: "retry_payment", txnId },
+        { label: "Talk to Agent", action: "escalate" },
+      ],
+    },
+  });
+  return {
+    userId, txnId, channelUrl,
+    details: { paymentIntentId: intent.id, failureCode: intent.last_payment_error?.code, failureMessage: failure },
+  };
+}
+
+// charge.refunded — Stripe confirms money went back (bot refunds and dashboard refunds alike)
+async function onChargeRefunded(charge) {
+  const transaction = await findStripeTransaction({ metadata: charge.metadata, paymentIntentId: charge.payment_intent });
+  if (!transaction) return null;
+  const { transactionId: txnId, userId } = transaction;
+  const channelUrl = await resolveCustomerChannel(transaction, charge.metadata);
+
+  // The bot writes its ledger entry before calling Stripe, so Stripe reporting
+  // more than the ledger means someone refunded outside the bot (e.g. the dashboard).
+  await ensureOpeningEntries(transaction);
+  const before = await getBalance(txnId, userId);
+  const { currency } = charge;
+  const stripeRefunded = fromMinor(charge.amount_refunded, currency);
+  const untracked = fromMinor(charge.amount_refunded - toMinor(before.refunded, currency), currency);
+  if (untracked > 0) {
+    try {
+      await recordRefund({ transaction, amount: untracked, memo: `refunded outside the bot (charge ${charge.id})` });
+      await transitionMatching({ txnId, userId }, "refunded_externally", {
+        actor: "stripe", note: `charge ${charge.id}`,
+      });
+    } catch (err) {
+      if (err.code !== "REFUND_EXCEEDS_BALANCE") throw err;
+      console.warn(`⚠️ Stripe reports ${formatMoney(stripeRefunded, currency)} refunded on ${txnId} but the ledger only allows ${formatMoney(before.refundable, currency)} more — needs reconciliation`);
+    }
+  }
+  const balance = await syncTransaction(transaction);
+
+  await notifyStripeUpdate(channelUrl, {
+    customer:
+      `Our payment processor has confirmed your refund for ${txnId}: ${formatMoney(stripeRefunded, currency)} of ` +
+      `${formatMoney(transaction.amount, transaction.currency)} refunded. It can take 5–10 business days to show on your statement.`,
+    desk: untracked > 0 ? `A ${formatMoney(untracked, currency)} refund on ${txnId} was issued outside the bot and has been recorded.` : null,
+  });
+  return {
+    userId, txnId, channelUrl,
+    details: { chargeId: charge.id, stripeRefunded, untrackedRecorded: Math.max(0, untracked), refundable: balance.refundable },
+  };
+}
+
+// refund.updated — a refund changed state; failed/canceled means the money never left
+async function onRefundUpdated(refund) {
+  const transaction = await findStripeTransaction({ metadata: refund.metadata, paymentIntentId: refund.payment_intent });
+  if (!transaction) return null;
+  const { transactionId: txnId, userId } = transaction;
+  const channelUrl = await resolveCustomerChannel(transaction, refund.metadata);
+  const amount = fromMinor(refund.amount, refund.currency);
+
+  // Links the entry even if the original refunds.create reply was lost
+  if (refund.metadata?.ledgerEntryId) await attachStripeRefundId(refund.metadata.ledgerEntryId, refund.id);
+
+  const details = { stripeRefundId: refund.id, refundStatus: refund.status, amount, currency: refund.currency };
+  // succeeded / pending need no action here — charge.refunded confirms the money to the customer
+  if (!["failed", "canceled"].includes(refund.status)) return { userId, txnId, channelUrl, details };
+
+  const reversal = await recordRefundReversal({
+    transaction,
+    amount,
+    stripeRefundId: refund.id,
+    ledgerEntryId: refund.metadata?.ledgerEntryId,
+    memo: `Stripe refund ${refund.status}${refund.failure_reason ? `: ${refund.failure_reason}` : ""}`,
+  });
+  // Already reversed, or the entry was re-linked to a reconciliation retry
+  if (!reversal) return { userId, txnId, channelUrl, details: { ...details, reversalSkipped: true } };
+
+  const refundRequestFilter = reversal.refundRequestId ? { _id: reversal.refundRequestId } : { txnId, userId };
+  await transitionMatching(refundRequestFilter, "refund_reversed", {
+    actor: "stripe", note: `Stripe refund ${refund.id} ${refund.status}`,
+  });
+
+  await notifyStripeUpdate(channelUrl, {
+    customer:
+      `Your refund of ${formatMoney(amount, refund.currency)} for ${txnId} could not be completed by your bank, so no money was returned. ` +
+      "An agent will follow up, or you can request the refund again.",
+    desk: `Stripe refund ${refund.id} (${formatMoney(amount, refund.currency)}) for ${txnId} ${refund.status}: ${refund.failure_reason || "no reason given"}. The amount is refundable again.`,
+  });
+  return { userId, txnId, channelUrl, details: { ...details, failureReason: refund.failure_reason, reversalEntryId: String(reversal._id) } };
+}
+
+// charge.dispute.created — the customer asked their bank for the money back
+async function onDisputeCreated(dispute) {
+  const transaction = await findStripeTransaction({ metadata: dispute.metadata, paymentIntentId: dispute.payment_intent });
+  if (!transaction) return null;
+  const { transactionId: txnId, userId } = transaction;
+  const channelUrl = await resolveCustomerChannel(transaction, dispute.metadata);
+
+  const record = await upsertDisputeFromStripe(dispute, transaction);
+  await Transaction.updateOne({ _id: transaction._id }, { status: "disputed" });
+  // Refunding now would pay the customer twice — the dispute decides the money
+  const closedRequests = await transitionMatching({ txnId, userId }, "dispute_opened", {
+    actor: "stripe", note: `dispute ${dispute.id}`,
+  });
+
+  const dueBy = dispute.evidence_details?.due_by ? new Date(dispute.evidence_details.due_by * 1000) : null;
+  await notifyStripeUpdate(channelUrl, {
+    customer:
+      `We've been notified that you opened a dispute with your bank for ${txnId}. ` +
+      "Your bank will now decide the outcome, so any open refund request for it has been closed. We'll update you here when the dispute is resolved.",
+    desk: `Customer ${userId} opened a card dispute on ${txnId} (${formatMoney(record.amount, record.currency)}, reason: ${dispute.reason}).` +
+      (dueBy ? ` Evidence due ${dueBy.toISOString().slice(0, 10)}.` : ""),
+  });
+  return {
+    userId, txnId, channelUrl,
+    details: { disputeId: dispute.id, disputeRecordId: String(record._id), reason: dispute.reason, amount: record.amount, currency: record.currency, evidenceDueBy: dueBy, refundRequestsClosed: closedRequests },
+  };
+}
+
+// charge.dispute.updated — status / deadline changes (e.g. evidence submitted → under_review)
+async function onDisputeUpdated(dispute) {
+  const transaction = await findStripeTransaction({ metadata: dispute.metadata, paymentIntentId: dispute.payment_intent });
+  if (!transaction) return null;
+  const { transactionId: txnId, userId } = transaction;
+  const channelUrl = await resolveCustomerChannel(transaction, dispute.metadata);
+
+  const record = await upsertDisputeFromStripe(dispute, transaction);
+  await notifyStripeUpdate(channelUrl, {
+    desk: `Card dispute on ${txnId} is now ${dispute.status}` +
+      (record.evidenceDueBy ? ` (evidence due ${record.evidenceDueBy.toISOString().slice(0, 10)}).` : "."),
+  });
+  return { userId, txnId, channelUrl, details: { disputeId: dispute.id, disputeStatus: dispute.status, evidenceDueBy: record.evidenceDueBy } };
+}
+
+// charge.dispute.closed — won/warning_closed restores the transaction, lost is a chargeback
+async function onDisputeClosed(dispute) {
+  const transaction = await findStripeTransaction({ metadata: dispute.metadata, paymentIntentId: dispute.payment_intent });
+  if (!transaction) return null;
+  const { transactionId: txnId, userId } = transaction;
+  const channelUrl = await resolveCustomerChannel(transaction, dispute.metadata);
+  const lost = dispute.status === "lost";
+  await upsertDisputeFromStripe(dispute, transaction);
+
+  if (lost) {
+    await Transaction.updateOne({ _id: transaction._id }, { status: "chargeback" });
+  } else {
+    // Back to whatever the ledger says (success / partially_refunded / refunded)
+    const restored = { ...transaction.toObject(), status: "success" };
+    await Transaction.updateOne({ _id: transaction._id }, { status: "success" });
+    await ensureOpeningEntries(restored);
+    await syncTransaction(restored);
+  }
+
+  await notifyStripeUpdate(channelUrl, {
+    customer: lost
+      ? `Your bank has resolved the dispute for ${txnId} in your favour — the funds are returned to you by your bank.`
+      : `The dispute for ${txnId} has been closed by your bank and the payment stands. Reply here if you still need help with it.`,
+    desk: `Card dispute on ${txnId} closed: ${dispute.status}.`,
+  });
+  return { userId, txnId, channelUrl, details: { disputeId: dispute.id, disputeStatus: dispute.status } };
+}
+
+const STRIPE_EVENT_HANDLERS = {
+  "checkout.session.completed":    onCheckoutCompleted,
+  "checkout.session.expired":      onCheckoutExpired,
+  "payment_intent.payment_failed": onPaymentFailed,
+  "charge.refunded":               onChargeRefunded,
+  "refund.updated":                onRefundUpdated,
+  "charge.dispute.created":        onDisputeCreated,
+  "charge.dispute.updated":        onDisputeUpdated,
+  "charge.dispute.closed":         onDisputeClosed,
+};
+
 // ----------------------------------------------------------
 // POST /payment-webhook
-// Stripe calls this after checkout.session.completed.
-// Signature verified before this handler via constructWebhookEvent.
+// Stripe events listed in STRIPE_EVENT_HANDLERS (configure the same list on the
+// Stripe webhook endpoint). Signature verified via constructWebhookEvent, then
+// the event id is deduplicated through ProcessedEvent (source "stripe") because
+// Stripe redelivers events it isn't sure we received. Every handled event is
+// audit-logged as "stripe_event".
 // ----------------------------------------------------------
 router.post("/payment-webhook", async (req, res) => {
+  let claimedEventId = null;
   try {
     const stripe = getStripe();
     const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
@@ -480,42 +872,31 @@ router.post("/payment-webhook", async (req, res) => {
       return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    if (event.type === "checkout.session.completed") {
-      const session = event.data.object;
-      const { txnId, channelUrl, userId } = session.metadata || {};
-
-      if (txnId) {
-        const updateFields = { status: "success" };
-        if (session.payment_intent) updateFields.paymentIntentId = session.payment_intent;
-        await Transaction.updateOne({ transactionId: txnId, userId }, updateFields);
-        console.log(`✅ Transaction ${txnId} updated to success via Stripe webhook`);
-        await trackAnalytics("payment_retry", {
-          userId, txnId, channelUrl,
-          metadata: { status: "success", paymentIntentId: session.payment_intent },
-        });
-      }
+    const handler = STRIPE_EVENT_HANDLERS[event.type];
+    if (!handler) return res.sendStatus(200);
 
-      if (channelUrl) {
-        await sendBotMessageAndRelay(
-          channelUrl,
-          `Payment for ${txnId} was successful! Your transaction is now complete. Thank you.`
-        );
-      }
+    if (await isDuplicate(event.id, "stripe")) {
+      console.log(`[Idempotency] Duplicate Stripe event ${event.id} (${event.type}) — skipping`);
+      return res.sendStatus(200);
+    }
+    claimedEventId = event.id;
 
-      if (channelUrl && escalatedChannels.has(channelUrl)) {
-        const mapping = await ChannelMapping.findOne({ originalChannelUrl: channelUrl });
-        if (mapping) {
-          await sendBotMessageAndRelay(
-            mapping.deskChannelUrl,
-            `Customer ${userId} successfully retried payment for ${txnId}. Ticket can be closed.`
-          );
-        }
-      }
+    const outcome = await handler(event.data.object, event);
+    if (!outcome) {
+      console.warn(`⚠️ Stripe ${event.type} ${event.id} matched no transaction — ignored`);
     }
+    await log("stripe_event", {
+      userId:     outcome?.userId,
+      txnId:      outcome?.txnId,
+      channelUrl: outcome?.channelUrl,
+      details:    { eventId: event.id, eventType: event.type, matched: Boolean(outcome), ...(outcome?.details || {}) },
+    });
 
     return res.sendStatus(200);
   } catch (err) {
     console.error("payment-webhook error:", err.message);
+    // Let Stripe's retry through — otherwise it is skipped as a duplicate and the event is lost
+    if (claimedEventId) await releaseEvent(claimedEventId);
     return res.sendStatus(500);
   }
 });
@@ -534,7 +915,7 @@ router.post("/escalate", async (req, res) => {
     await addBotToChannel(channelUrl);
 
     if (escalatedChannels.has(channelUrl)) {
-      const mapping = await ChannelMapping.findOne({ originalChannelUrl: channelUrl });
+      const mapping = await findOpenMapping({ originalChannelUrl: channelUrl });
       if (mapping) {
         let ticketIsActive = false;
         try {
@@ -579,15 +960,14 @@ router.post("/escalate", async (req, res) => {
           return res.json({ success: true, message: "Already escalated" });
         }
 
-        await ChannelMapping.deleteOne({ originalChannelUrl: channelUrl });
-        escalatedChannels.delete(channelUrl);
+        await archiveMappings({ originalChannelUrl: channelUrl }, { closedBy: "stale" });
       } else {
         escalatedChannels.delete(channelUrl);
       }
     }
 
     try {
-      const ticket = await createDeskTicket(channelUrl, userId);
+      const ticket = await createDeskTicket(channelUrl, userId, { intent: "escalation" });
       escalatedChannels.add(channelUrl);
       scheduleAgentAwayFallback(channelUrl);
       const ticketRef = ticket?.ticketId ? ` (Ticket #${ticket.ticketId})` : "";
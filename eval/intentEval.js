@@ -0,0 +1,371 @@
+/**
+ * eval/intentEval.js
+ * -------------------
+ * Offline evaluation of intent classification against a labelled dataset —
+ * both the LLM path (detectIntent) and the regexes (detectIntentRuleBased).
+ *
+ * WHY:
+ *   A prompt tweak in detectIntent or a new regex in detectIntentRuleBased
+ *   changes how every conversation is routed, and until now the only way to
+ *   judge it was to try a few messages by hand. This runs the whole dataset
+ *   through both classifiers and reports per-intent precision / recall, a
+ *   confusion matrix and what changed since the last accepted baseline.
+ *
+ * USAGE (npm run eval:intent -- <options>):
+ *   (no options)         replay recorded LLM replies, diff against the baseline
+ *   --update-baseline    save this run as the new baseline
+ *   --check              exit 1 when either classifier's accuracy dropped
+ *   --record <provider>  call a real provider (openai | azure | local) and save
+ *                        its replies as the fixture — the only mode that needs
+ *                        network; recording calls are not added to TokenBudget
+ *   --dataset <file>  --fixture <file>  --baseline <file>  --verbose
+ *
+ * FILES (eval/intent/):
+ *   dataset.jsonl        one example per line:
+ *                        { message, intent, transaction_id, sentiment }
+ *   llm-responses.json   { recordedWith, recordedAt, responses: { <prompt text>: <raw reply> } }
+ *                        keyed by the user message exactly as the provider saw it
+ *                        (after the injection guard and PII redaction)
+ *   baseline.json        metrics and per-example predictions of the accepted run
+ *
+ * The LLM side is the real detectIntent — prompt, schema validation, confidence
+ * threshold and rule-based fallback — with the "fake" provider answering from
+ * the fixture. A message with no recorded reply makes that provider fail, so
+ * detectIntent falls back to rules exactly as it would in production; those
+ * are counted as "missing" so a stale fixture is visible.
+ */
+
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+
+// No database here: audit writes from detectIntent must fail fast, not buffer
+mongoose.set("bufferCommands", false);
+
+const { createProvider } = require("../integrations/llmProviders");
+const { initLLM, setFakeResponder } = require("../integrations/llmGateway");
+const { detectIntent, detectIntentRuleBased } = require("../services/intentService");
+const { INTENTS } = require("../services/intentSchema");
+const { neutralise } = require("../services/inputGuardService");
+
+const EVAL_DIR = path.join(__dirname, "intent");
+
+// ── Options ───────────────────────────────────────────────────────────────────
+
+function parseArgs(argv) {
+  const opts = {
+    dataset: path.join(EVAL_DIR, "dataset.jsonl"),
+    fixture: path.join(EVAL_DIR, "llm-responses.json"),
+    baseline: path.join(EVAL_DIR, "baseline.json"),
+    record: null,
+    updateBaseline: false,
+    check: false,
+    verbose: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--update-baseline") opts.updateBaseline = true;
+    else if (arg === "--check") opts.check = true;
+    else if (arg === "--verbose") opts.verbose = true;
+    else if (["--dataset", "--fixture", "--baseline", "--record"].includes(arg) && argv[i + 1]) opts[arg.slice(2)] = argv[++i];
+    else throw new Error(`Unknown or incomplete option ${arg}`);
+  }
+  return opts;
+}
+
+// ── Dataset / fixture ─────────────────────────────────────────────────────────
+
+function loadDataset(file) {
+  const examples = [];
+  fs.readFileSync(file, "utf8").split("\n").forEach((line, i) => {
+    if (!line.trim()) return;
+    let ex;
+    try {
+      ex = JSON.parse(line);
+    } catch {
+      throw new Error(`${file}:${i + 1} is not valid JSON`);
+    }
+    if (typeof ex.message !== "string" || !INTENTS.includes(ex.intent)) {
+      throw new Error(`${file}:${i + 1} needs a message and an intent from ${INTENTS.join(", ")}`);
+    }
+    examples.push({ message: ex.message, intent: ex.intent, transaction_id: ex.transaction_id ?? null, sentiment: ex.sentiment ?? null });
+  });
+  if (!examples.length) throw new Error(`${file} has no examples`);
+  return examples;
+}
+
+function readJson(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+function writeJson(file, value) {
+  fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+// The text the provider is sent as the user turn (already redacted by the gateway)
+const promptKey = (request) => [...request.messages].reverse().find((m) => m.role === "user")?.content || "";
+
+// ── Classifiers ───────────────────────────────────────────────────────────────
+
+// Inbound text goes through the injection guard before classification, as in webhookController
+const guarded = (message) => neutralise(message).text;
+
+async function runRules(examples) {
+  return examples.map((ex) => pick(detectIntentRuleBased(guarded(ex.message))));
+}
+
+/**
+ * Run detectIntent over the dataset with the fake provider answering from
+ * `responses` (replay) or from a real provider whose replies are collected
+ * into `responses` (record).
+ */
+async function runLLM(examples, { responses, recordWith }) {
+  const stats = { llm: 0, fallback: 0, missing: 0 };
+
+  if (recordWith) {
+    if (recordWith === "fake") throw new Error("Record from a real provider — the fake one is what replays the fixture");
+    const provider = createProvider(recordWith);
+    if (!provider) throw new Error(`Provider "${recordWith}" is not configured — see integrations/llmProviders.js`);
+    setFakeResponder(async (request) => {
+      const { text } = await provider.complete(request);
+      responses[promptKey(request)] = text;
+      return text;
+    });
+  } else {
+    setFakeResponder((request) => {
+      const key = promptKey(request);
+      if (!(key in responses)) {
+        stats.missing += 1;
+        throw new Error(`no recorded response for ${JSON.stringify(key)}`);
+      }
+      return responses[key];
+    });
+  }
+
+  const predictions = [];
+  for (const ex of examples) {
+    const result = await detectIntent(guarded(ex.message));
+    // Only LLM results carry a confidence — anything else came from the fallback
+    if (result.confidence != null) stats.llm += 1;
+    else stats.fallback += 1;
+    predictions.push(pick(result));
+  }
+  setFakeResponder(null);
+  return { predictions, stats };
+}
+
+const pick = ({ intent, transaction_id, sentiment }) => ({ intent, transaction_id: transaction_id ?? null, sentiment });
+
+// ── Metrics ───────────────────────────────────────────────────────────────────
+
+function score(examples, predictions) {
+  const matrix = Object.fromEntries(INTENTS.map((e) => [e, Object.fromEntries(INTENTS.map((p) => [p, 0]))]));
+  let correct = 0;
+  let txnCorrect = 0;
+  let sentimentCorrect = 0;
+  let sentimentLabelled = 0;
+
+  examples.forEach((ex, i) => {
+    const p = predictions[i];
+    matrix[ex.intent][p.intent] += 1;
+    if (p.intent === ex.intent) correct += 1;
+    if ((p.transaction_id || null) === ex.transaction_id) txnCorrect += 1;
+    if (ex.sentiment) {
+      sentimentLabelled += 1;
+      if (p.sentiment === ex.sentiment) sentimentCorrect += 1;
+    }
+  });
+
+  const perIntent = {};
+  for (const label of INTENTS) {
+    const tp = matrix[label][label];
+    const predicted = INTENTS.reduce((n, e) => n + matrix[e][label], 0);
+    const support = INTENTS.reduce((n, p) => n + matrix[label][p], 0);
+    const precision = predicted ? tp / predicted : null;
+    const recall = support ? tp / support : null;
+    const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : support || predicted ? 0 : null;
+    perIntent[label] = { precision: round(precision), recall: round(recall), f1: round(f1), support };
+  }
+  const f1s = Object.values(perIntent).filter((m) => m.support).map((m) => m.f1);
+
+  return {
+    examples: examples.length,
+    accuracy: round(correct / examples.length),
+    macroF1: round(f1s.reduce((a, b) => a + b, 0) / f1s.length),
+    transactionIdAccuracy: round(txnCorrect / examples.length),
+    sentimentAccuracy: sentimentLabelled ? round(sentimentCorrect / sentimentLabelled) : null,
+    perIntent,
+    confusion: matrix,
+  };
+}
+
+const round = (n) => (n == null ? null : Math.round(n * 1000) / 1000);
+
+// ── Report ────────────────────────────────────────────────────────────────────
+
+const pct = (n) => (n == null ? "   —  " : `${(n * 100).toFixed(1)}%`.padStart(6));
+const signed = (n) => `${n > 0 ? "+" : ""}${(n * 100).toFixed(1)}pp`;
+const SHORT = {
+  transaction_lookup: "lookup", refund_request: "refund", escalation: "escal",
+  faq: "faq", retry_payment: "retry", unknown: "unknown",
+};
+
+function printReport(name, metrics) {
+  console.log(`\n━━ ${name} ━━`);
+  console.log(
+    `accuracy ${pct(metrics.accuracy)} · macro-F1 ${pct(metrics.macroF1)} · ` +
+      `transaction_id ${pct(metrics.transactionIdAccuracy)} · sentiment ${pct(metrics.sentimentAccuracy)}`
+  );
+
+  console.log(`\n  ${"intent".padEnd(20)}${"precision".padStart(10)}${"recall".padStart(8)}${"F1".padStart(8)}${"n".padStart(5)}`);
+  for (const [label, m] of Object.entries(metrics.perIntent)) {
+    console.log(`  ${label.padEnd(20)}${pct(m.precision).padStart(10)}${pct(m.recall).padStart(8)}${pct(m.f1).padStart(8)}${String(m.support).padStart(5)}`);
+  }
+
+  console.log(`\n  confusion (rows expected, columns predicted)`);
+  console.log(`  ${"".padEnd(20)}${INTENTS.map((p) => SHORT[p].padStart(8)).join("")}`);
+  for (const e of INTENTS) {
+    console.log(`  ${e.padEnd(20)}${INTENTS.map((p) => String(metrics.confusion[e][p] || ".").padStart(8)).join("")}`);
+  }
+}
+
+/**
+ * Metric deltas and the examples whose intent flipped between right and wrong.
+ * @returns {boolean} true when accuracy dropped
+ */
+function printDiff(name, run, base) {
+  if (!base) {
+    console.log(`\n  no ${name} baseline — run with --update-baseline to create one`);
+    return false;
+  }
+  const { metrics } = run;
+  const line = (label, now, before = null) => {
+    if (now === before) return null;
+    return `${label} ${pct(before)} → ${pct(now)}${now != null && before != null ? ` (${signed(now - before)})` : ""}`;
+  };
+
+  const changes = [
+    line("accuracy", metrics.accuracy, base.metrics.accuracy),
+    line("macro-F1", metrics.macroF1, base.metrics.macroF1),
+    line("transaction_id", metrics.transactionIdAccuracy, base.metrics.transactionIdAccuracy),
+    line("sentiment", metrics.sentimentAccuracy, base.metrics.sentimentAccuracy),
+    ...INTENTS.flatMap((label) => {
+      const now = metrics.perIntent[label];
+      const before = base.metrics.perIntent?.[label] || {};
+      return [line(`${label} precision`, now.precision, before.precision), line(`${label} recall`, now.recall, before.recall)];
+    }),
+  ].filter(Boolean);
+
+  const fixed = [];
+  const broken = [];
+  let added = 0;
+  for (const p of run.predictions) {
+    const before = base.predictions?.[p.message];
+    if (!before) {
+      added += 1;
+      continue;
+    }
+    const wasRight = before.intent === p.expected;
+    const isRight = p.intent === p.expected;
+    if (!wasRight && isRight) fixed.push(p);
+    if (wasRight && !isRight) broken.push(p);
+  }
+
+  console.log(`\n  vs baseline (${base.createdAt}):`);
+  if (!changes.length && !fixed.length && !broken.length) console.log("    no change");
+  for (const c of changes) console.log(`    ${c}`);
+  for (const p of fixed) console.log(`    ✅ now ${p.intent}: ${JSON.stringify(p.message)}`);
+  for (const p of broken) console.log(`    ❌ now ${p.intent} (expected ${p.expected}): ${JSON.stringify(p.message)}`);
+  if (added) console.log(`    ${added} example(s) not in the baseline`);
+
+  return metrics.accuracy < base.metrics.accuracy;
+}
+
+function toBaseline(examples, predictions, metrics) {
+  return {
+    metrics,
+    predictions: Object.fromEntries(examples.map((ex, i) => [ex.message, { ...predictions[i], expected: ex.intent }])),
+  };
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const examples = loadDataset(opts.dataset);
+  const fixture = opts.record ? { responses: {} } : readJson(opts.fixture) || { responses: {} };
+
+  process.env.LLM_PROVIDERS = "fake";
+  const quiet = !opts.verbose;
+  const { log: consoleLog, warn: consoleWarn } = console;
+  if (quiet) console.log = console.warn = () => {}; // classifier + audit chatter; --verbose shows it
+  initLLM();
+
+  let rules;
+  let llm;
+  try {
+    rules = await runRules(examples);
+    llm = await runLLM(examples, { responses: fixture.responses, recordWith: opts.record });
+  } finally {
+    console.log = consoleLog;
+    console.warn = consoleWarn;
+  }
+
+  if (opts.record) {
+    writeJson(opts.fixture, {
+      recordedWith: `${opts.record}`,
+      recordedAt: new Date().toISOString(),
+      responses: fixture.responses,
+    });
+    console.log(`📼 Recorded ${Object.keys(fixture.responses).length} ${opts.record} replies to ${path.relative(process.cwd(), opts.fixture)}`);
+  }
+
+  console.log(`Intent eval — ${examples.length} examples from ${path.relative(process.cwd(), opts.dataset)}`);
+  console.log(
+    `LLM replies from ${opts.record ? `${opts.record} (live)` : `${path.relative(process.cwd(), opts.fixture)} (${fixture.recordedWith || "unknown source"})`}: ` +
+      `${llm.stats.llm} accepted, ${llm.stats.fallback} fell back to rules` +
+      (llm.stats.missing ? ` (${llm.stats.missing} had no recorded reply)` : "")
+  );
+
+  const baseline = readJson(opts.baseline);
+  const runs = {
+    rules: { predictions: rules, metrics: score(examples, rules) },
+    llm: { predictions: llm.predictions, metrics: score(examples, llm.predictions) },
+  };
+
+  let dropped = false;
+  for (const [key, title] of [["rules", "Rule-based (detectIntentRuleBased)"], ["llm", "LLM (detectIntent, rule fallback)"]]) {
+    printReport(title, runs[key].metrics);
+    const diffRun = {
+      metrics: runs[key].metrics,
+      predictions: examples.map((ex, i) => ({ message: ex.message, expected: ex.intent, intent: runs[key].predictions[i].intent })),
+    };
+    if (printDiff(key, diffRun, baseline?.[key] && { createdAt: baseline.createdAt, ...baseline[key] })) dropped = true;
+  }
+
+  if (opts.updateBaseline) {
+    writeJson(opts.baseline, {
+      createdAt: new Date().toISOString(),
+      dataset: path.relative(EVAL_DIR, opts.dataset),
+      fixture: opts.record ? `${opts.record} (live)` : fixture.recordedWith || null,
+      rules: toBaseline(examples, rules, runs.rules.metrics),
+      llm: toBaseline(examples, llm.predictions, runs.llm.metrics),
+    });
+    console.log(`\n📌 Baseline written to ${path.relative(process.cwd(), opts.baseline)}`);
+  }
+
+  if (opts.check && dropped) {
+    console.error("\n🚨 Accuracy dropped below the baseline");
+    return 1;
+  }
+  return 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error("❌ Intent eval failed:", err.message);
+    process.exit(2);
+  });
@@ -0,0 +1,186 @@
+/**
+ * integrations/llmProviders.js
+ * -----------------------------
+ * Chat-completion providers behind integrations/llmGateway.js. Each one is a
+ * plain object:
+ *
+ *   { name, model, free, structuredOutputs,
+ *     complete({ messages, temperature, maxTokens, json, schema }) }
+ *     → { text, inputTokens, outputTokens }
+ *
+ * OUTPUT FORMAT:
+ *   schema given + structuredOutputs → response_format json_schema (strict) —
+ *                                      the model cannot return anything else
+ *   schema given, no structured outputs, or json → response_format json_object
+ *
+ * PROVIDERS (enabled by LLM_PROVIDERS, configured by env):
+ *   openai  OPENAI_API_KEY, OPENAI_MODEL (gpt-4o-mini)
+ *   azure   AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_DEPLOYMENT,
+ *           AZURE_OPENAI_API_VERSION, AZURE_OPENAI_MODEL (the model behind the
+ *           deployment — used for pricing only)
+ *   local   LOCAL_LLM_BASE_URL (e.g. Ollama's http://localhost:11434/v1),
+ *           LOCAL_LLM_MODEL — any OpenAI-compatible server; free, so it keeps
+ *           working after the budget is spent. LOCAL_LLM_STRUCTURED_OUTPUTS=true
+ *           if the server accepts json_schema
+ *   fake    deterministic, no network — for tests and local development
+ *
+ * All real providers use the openai SDK, which owns timeouts and retries
+ * (LLM_TIMEOUT_MS, LLM_MAX_RETRIES — retried on 408/409/429/5xx and network
+ * errors). A provider whose env is incomplete is skipped with a warning.
+ */
+
+const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 10000;
+const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || "1", 10);
+
+// OpenAI, Azure and local servers all speak the same chat-completions API.
+// `model` is what pricing and logs see; `requestModel` is what the API is sent.
+function openAICompatible({ name, client, model, requestModel = model, free = false, structuredOutputs = false }) {
+  return {
+    name,
+    model,
+    free,
+    structuredOutputs,
+    async complete({ messages, temperature, maxTokens, json, schema }) {
+      const response = await client.chat.completions.create({
+        model: requestModel,
+        temperature,
+        max_tokens: maxTokens,
+        messages,
+        ...responseFormat({ json, schema, structuredOutputs }),
+      });
+      return {
+        text: response.choices[0]?.message?.content?.trim() || "",
+        inputTokens: response.usage?.prompt_tokens || 0,
+        outputTokens: response.usage?.completion_tokens || 0,
+      };
+    },
+  };
+}
+
+function responseFormat({ json, schema, structuredOutputs }) {
+  if (schema && structuredOutputs) {
+    return { response_format: { type: "json_schema", json_schema: { name: schema.name, schema: schema.schema, strict: true } } };
+  }
+  if (schema || json) return { response_format: { type: "json_object" } };
+  return {};
+}
+
+function loadSdk() {
+  try {
+    return require("openai");
+  } catch {
+    console.warn("⚠️  openai package missing — run: npm install openai");
+    return null;
+  }
+}
+
+const FACTORIES = {
+  openai() {
+    if (!process.env.OPENAI_API_KEY) return skip("openai", "OPENAI_API_KEY not set");
+    const sdk = loadSdk();
+    if (!sdk) return null;
+    return openAICompatible({
+      name: "openai",
+      // apiKey read from env — NEVER hardcoded in source
+      client: new sdk.OpenAI({ apiKey: process.env.OPENAI_API_KEY, timeout: LLM_TIMEOUT_MS, maxRetries: LLM_MAX_RETRIES }),
+      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+      structuredOutputs: true,
+    });
+  },
+
+  azure() {
+    const { AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_DEPLOYMENT } = process.env;
+    if (!AZURE_OPENAI_API_KEY || !AZURE_OPENAI_ENDPOINT || !AZURE_OPENAI_DEPLOYMENT) {
+      return skip("azure", "AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_DEPLOYMENT are required");
+    }
+    const sdk = loadSdk();
+    if (!sdk) return null;
+    return openAICompatible({
+      name: "azure",
+      client: new sdk.AzureOpenAI({
+        apiKey: AZURE_OPENAI_API_KEY,
+        endpoint: AZURE_OPENAI_ENDPOINT,
+        deployment: AZURE_OPENAI_DEPLOYMENT,
+        apiVersion: process.env.AZURE_OPENAI_API_VERSION || "2024-10-21",
+        timeout: LLM_TIMEOUT_MS,
+        maxRetries: LLM_MAX_RETRIES,
+      }),
+      // Priced by the model behind the deployment, not the deployment name
+      model: process.env.AZURE_OPENAI_MODEL || "gpt-4o-mini",
+      requestModel: AZURE_OPENAI_DEPLOYMENT,
+      structuredOutputs: true,
+    });
+  },
+
+  local() {
+    if (!process.env.LOCAL_LLM_BASE_URL) return skip("local", "LOCAL_LLM_BASE_URL not set");
+    const sdk = loadSdk();
+    if (!sdk) return null;
+    return openAICompatible({
+      name: "local",
+      client: new sdk.OpenAI({
+        baseURL: process.env.LOCAL_LLM_BASE_URL,
+        apiKey: process.env.LOCAL_LLM_API_KEY || "local", // Ollama ignores it; the SDK requires one
+        timeout: LLM_TIMEOUT_MS,
+        maxRetries: LLM_MAX_RETRIES,
+      }),
+      model: process.env.LOCAL_LLM_MODEL || "llama3.1:8b",
+      free: true,
+      structuredOutputs: process.env.LOCAL_LLM_STRUCTURED_OUTPUTS === "true",
+    });
+  },
+
+  fake() {
+    return {
+      name: "fake",
+      model: "fake",
+      free: true,
+      structuredOutputs: true,
+      async complete(request) {
+        const text = await fakeResponder(request);
+        const promptChars = request.messages.reduce((n, m) => n + String(m.content || "").length, 0);
+        return { text, inputTokens: Math.ceil(promptChars / 4), outputTokens: Math.ceil(text.length / 4) };
+      },
+    };
+  },
+};
+
+function skip(name, why) {
+  console.warn(`⚠️  LLM provider "${name}" skipped — ${why}`);
+  return null;
+}
+
+// ── Fake provider script ──────────────────────────────────────────────────────
+
+// Default: "{}" for JSON requests, otherwise an echo of the last user message
+const defaultFakeResponder = ({ messages, json, schema }) =>
+  json || schema ? "{}" : `[fake] ${[...messages].reverse().find((m) => m.role === "user")?.content || ""}`;
+let fakeResponder = defaultFakeResponder;
+
+/**
+ * Script the fake provider. Pass null to restore the default.
+ *
+ * @param {Function|null} fn - (request) → string | Promise<string>; throw to simulate a provider failure
+ */
+function setFakeResponder(fn) {
+  fakeResponder = fn || defaultFakeResponder;
+}
+
+/**
+ * Build a provider by name.
+ *
+ * @param {string} name - openai | azure | local | fake
+ * @returns {object|null} null when unknown or not configured
+ */
+function createProvider(name) {
+  const factory = FACTORIES[name];
+  if (!factory) return skip(name, `unknown provider (expected one of ${Object.keys(FACTORIES).join(", ")})`);
+  return factory();
+}
+
+module.exports = {
+  LLM_TIMEOUT_MS,
+  LLM_MAX_RETRIES,
+  createProvider,
+  setFakeResponder,
+};
@@ -103,6 +103,16 @@ async function checkAndSetIdempotency(key, ttlSeconds = 300) {
   }
 }
 
+// Forget an idempotency key so a failed event can be processed again
+async function clearIdempotency(key) {
+  if (!getClient()) return;
+  try {
+    await client.del(`idem:${key}`);
+  } catch (err) {
+    console.warn("⚠️  Redis idempotency release failed:", err.message);
+  }
+}
+
 async function checkRateLimit(userId, scope, limit, windowMs) {
   if (!getClient()) return { allowed: true, remaining: limit };
 
@@ -163,6 +173,7 @@ module.exports = {
   getRedisStatus,
   getBullMQConnection,
   checkAndSetIdempotency,
+  clearIdempotency,
   checkRateLimit,
   cacheSession,
   getCachedSession,
@@ -101,4 +101,21 @@ async function uploadFile(buffer, originalName, userId, mimeType) {
   return { s3Key, s3Url };
 }
 
-module.exports = { initS3, getS3, uploadFile };
+/**
+ * Fresh pre-signed URL for an uploaded file (the one from uploadFile expires
+ * after an hour). Returns null when S3 is not configured.
+ *
+ * @param {string} s3Key
+ * @param {number} [expiresIn=3600] - seconds
+ * @returns {Promise<string|null>}
+ */
+async function getFileUrl(s3Key, expiresIn = 3600) {
+  if (!_s3 || !s3Key) return null;
+  return getSignedUrl(
+    _s3,
+    new GetObjectCommand({ Bucket: process.env.AWS_BUCKET_NAME, Key: s3Key }),
+    { expiresIn }
+  );
+}
+
+module.exports = { initS3, getS3, uploadFile, getFileUrl };
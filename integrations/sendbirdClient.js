@@ -66,15 +66,12 @@ async function addBotToChannel(channelUrl) {
  * Send a context message to a Desk ticket channel as the customer.
  * Uses userId (not support_bot) because Desk channels restrict messages
  * to users who participated in ticket creation.
+ * data = optional structured payload (message.data) for a Desk UI that renders it.
  * Non-fatal — a failure here must never break the customer-facing flow.
  */
-async function sendDeskContext(deskChannelUrl, userId, text) {
+async function sendDeskContext(deskChannelUrl, userId, text, data = null) {
   try {
-    await axios.post(
-      `${CHAT_BASE()}/group_channels/${deskChannelUrl}/messages`,
-      { message_type: "MESG", user_id: userId, message: text },
-      { headers: chatHeaders() }
-    );
+    await sendChannelMessage(deskChannelUrl, userId, text, data);
     console.log(`✅ Desk context message sent to ${deskChannelUrl}`);
   } catch (err) {
     console.error(
@@ -174,6 +171,43 @@ async function getDeskTicket(ticketId) {
   return res.data;
 }
 
+/**
+ * Close a Desk ticket. closeComment shows in the Desk ticket history.
+ */
+async function closeDeskTicketAPI(ticketId, closeComment) {
+  const res = await axios.patch(
+    `${DESK_BASE()}/tickets/${ticketId}/close`,
+    { closeComment },
+    { headers: deskHeaders() }
+  );
+  return res.data;
+}
+
+/**
+ * Update ticket fields — e.g. { group: <team key>, priority: "URGENT" } to move
+ * it to another team's queue.
+ */
+async function updateDeskTicketAPI(ticketId, fields) {
+  const res = await axios.patch(
+    `${DESK_BASE()}/tickets/${ticketId}`,
+    fields,
+    { headers: deskHeaders() }
+  );
+  return res.data;
+}
+
+/**
+ * Reopen a CLOSED Desk ticket — it goes back to the agent queue.
+ */
+async function reopenDeskTicketAPI(ticketId) {
+  const res = await axios.patch(
+    `${DESK_BASE()}/tickets/${ticketId}/reopen`,
+    {},
+    { headers: deskHeaders() }
+  );
+  return res.data;
+}
+
 /**
  * Ensure the support_bot user exists in Sendbird; create it if not.
  */
@@ -204,5 +238,8 @@ module.exports = {
   findOrCreateDeskCustomer,
   createDeskTicketAPI,
   getDeskTicket,
+  closeDeskTicketAPI,
+  reopenDeskTicketAPI,
+  updateDeskTicketAPI,
   ensureBotUser,
 };
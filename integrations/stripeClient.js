@@ -14,6 +14,8 @@
  *   without any real payment occurring — a critical security vulnerability.
  */
 
+const { toMinor, normalizeCurrency } = require("../services/currencyService");
+
 let stripe = null;
 
 function initStripe() {
@@ -36,49 +38,88 @@ function getStripe() {
 }
 
 /**
- * Create a Stripe Checkout session for retrying a failed payment.
- * Returns the session URL.
+ * Create a Stripe Checkout session for retrying a failed payment, or for a
+ * new payment a coupon is spent on.
  *
  * @param {object} params
  * @param {string} params.txnId
- * @param {number} params.amount  in dollars
+ * @param {number} params.amount    major units of `currency`
+ * @param {string} [params.currency] the transaction's currency (default usd)
  * @param {string} params.channelUrl
  * @param {string} params.userId
  * @param {string} params.frontendUrl
+ * @param {object} [params.discount] - { stripeCouponId, couponCode } from createStripeDiscount()
+ * @param {Date}   [params.expiresAt] - Stripe requires 30 min – 24 h from now
+ * @param {string} [params.purpose="retry_payment"] - retry_payment | new_payment (decides the ledger charge type)
+ * @returns {Promise<object>} the Stripe session (use .url for the payment link)
  */
-async function createCheckoutSession({ txnId, amount, channelUrl, userId, frontendUrl }) {
-  const session = await stripe.checkout.sessions.create({
+async function createCheckoutSession({ txnId, amount, currency, channelUrl, userId, frontendUrl, discount, expiresAt, purpose = "retry_payment" }) {
+  const metadata = { txnId, channelUrl, userId, purpose };
+  if (discount) metadata.couponCode = discount.couponCode; // webhook redeems / releases by this
+  const newPayment = purpose === "new_payment";
+
+  return stripe.checkout.sessions.create({
     payment_method_types: ["card"],
     mode: "payment",
     line_items: [
       {
         price_data: {
-          currency: "usd",
+          currency: normalizeCurrency(currency),
           product_data: {
-            name: `Retry Payment — ${txnId}`,
-            description: `Re-attempt for failed transaction ${txnId}`,
+            name: newPayment ? `Payment — ${txnId}` : `Retry Payment — ${txnId}`,
+            description: newPayment ? `Payment ${txnId}` : `Re-attempt for failed transaction ${txnId}`,
           },
-          unit_amount: amount * 100, // Stripe expects cents
+          unit_amount: toMinor(amount, currency), // Stripe expects the smallest currency unit
         },
         quantity: 1,
       },
     ],
+    ...(discount && { discounts: [{ coupon: discount.stripeCouponId }] }),
+    ...(expiresAt && { expires_at: Math.floor(expiresAt.getTime() / 1000) }),
     success_url: `${frontendUrl}?payment=success&txn=${txnId}`,
     cancel_url:  `${frontendUrl}?payment=cancelled&txn=${txnId}`,
-    metadata: { txnId, channelUrl, userId },
+    metadata,
+    // Copied to the PaymentIntent so payment_intent.payment_failed can find the chat
+    payment_intent_data: { metadata },
   });
-  return session.url;
+}
+
+/**
+ * Create a single-use Stripe coupon carrying one of our Coupon documents'
+ * value. Stripe applies it as a discount on exactly one checkout; our own
+ * Coupon record stays the source of truth for ownership and redemption.
+ *
+ * @param {object} params - { amount (major units), currency, couponCode }
+ * @returns {Promise<string>} the Stripe coupon id
+ */
+async function createStripeDiscount({ amount, currency, couponCode }) {
+  const coupon = await stripe.coupons.create({
+    amount_off: toMinor(amount, currency),
+    currency: normalizeCurrency(currency),
+    duration: "once",
+    max_redemptions: 1,
+    name: couponCode,
+    metadata: { couponCode },
+  });
+  return coupon.id;
 }
 
 /**
  * Create a refund via Stripe API.
- * amount = null → full refund; number → partial refund in dollars.
+ * amount = null → full refund; number → partial refund in major units of `currency`.
  * Non-fatal — in test/demo mode Stripe errors are logged but not re-thrown.
+ *
+ * @param {object} [options]
+ * @param {string} [options.currency]       - the charge's currency (default usd), for the minor-unit conversion
+ * @param {string} [options.idempotencyKey] - e.g. the ledger entry id, so a retried call never refunds twice
+ * @param {object} [options.metadata]       - copied onto the Stripe refund (links it back to our records)
+ * @returns {Promise<object>} the Stripe refund object
  */
-async function createStripeRefund(paymentIntentId, amount = null) {
+async function createStripeRefund(paymentIntentId, amount = null, { currency, idempotencyKey, metadata } = {}) {
   const params = { payment_intent: paymentIntentId };
-  if (amount !== null) params.amount = Math.round(amount * 100); // dollars → cents
-  await stripe.refunds.create(params);
+  if (amount !== null) params.amount = toMinor(amount, currency); // major → minor units
+  if (metadata) params.metadata = metadata;
+  return stripe.refunds.create(params, idempotencyKey ? { idempotencyKey } : undefined);
 }
 
 /**
@@ -100,6 +141,7 @@ module.exports = {
   initStripe,
   getStripe,
   createCheckoutSession,
+  createStripeDiscount,
   createStripeRefund,
   constructWebhookEvent,
 };
@@ -26,6 +26,7 @@ function adminAuth(req, res, next) {
   const [user, pass] = Buffer.from(base64, "base64").toString().split(":");
 
   if (user === username && pass === password) {
+    req.adminUser = user; // admin identity for audit entries
     return next();
   }
 
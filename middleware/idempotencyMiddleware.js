@@ -24,7 +24,7 @@
  */
 
 const { ProcessedEvent } = require("../models");
-const { checkAndSetIdempotency } = require("../integrations/redisClient");
+const { checkAndSetIdempotency, clearIdempotency } = require("../integrations/redisClient");
 
 // In-memory fallback (used only when both Redis and MongoDB are unavailable)
 const inMemoryCache = new Map();
@@ -80,6 +80,22 @@ async function isDuplicate(eventId, source = "sendbird") {
   return false;
 }
 
+/**
+ * Undo isDuplicate() for an event whose processing failed, so the sender's
+ * retry is processed instead of skipped. Clears all three layers; non-fatal.
+ *
+ * @param {string} eventId
+ */
+async function releaseEvent(eventId) {
+  inMemoryCache.delete(eventId);
+  await clearIdempotency(eventId);
+  try {
+    await ProcessedEvent.deleteOne({ eventId });
+  } catch (err) {
+    console.warn("⚠️  ProcessedEvent release failed (non-fatal):", err.message);
+  }
+}
+
 /**
  * Express middleware for the Sendbird webhook.
  * Extracts the message_id and rejects duplicates with 200 (Sendbird expects 200).
@@ -105,4 +121,4 @@ async function idempotencyMiddleware(req, res, next) {
   next();
 }
 
-module.exports = { idempotencyMiddleware, isDuplicate };
+module.exports = { idempotencyMiddleware, isDuplicate, releaseEvent };
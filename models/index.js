@@ -20,30 +20,240 @@ const mongoose = require("mongoose");
 const transactionSchema = new mongoose.Schema({
   transactionId: String,
   userId: String,         // scopes record to one user — prevents cross-user mutation
-  amount: Number,
-  status: String,         // failed | success | pending | refunded
+  amount: Number,         // major units of `currency` (mirror of amountMinor for older readers)
+  amountMinor: Number,    // integer minor units (cents, paise…) — see services/currencyService.js
+  currency: { type: String, default: "usd" }, // ISO 4217, lower-case like Stripe
+  status: String,         // failed | success | pending | partially_refunded | refunded | disputed | chargeback
   userEmail: String,
   paymentIntentId: String,
-  refundedAmount: Number,
+  refundedAmount: Number,   // derived from LedgerEntry — sum of refund entries
+  refundableAmount: Number, // derived from LedgerEntry — charged − refunded
   createdAt: { type: Date, default: Date.now },
 });
 const Transaction = mongoose.model("Transaction", transactionSchema);
 
+// ──────────────────────────────────────────────────────────────────────────────
+// LEDGER ENTRY — double-entry record of every money movement
+// WHY: Transaction.refundedAmount used to be overwritten on each refund, so two
+// partial refunds erased each other and there was no balance history. Entries
+// are append-only (only stripeRefundId is filled in once, after Stripe replies);
+// Transaction status / refundedAmount / refundableAmount are derived from them.
+// (userId, txnId, seq) is unique: two concurrent refunds on one transaction
+// collide on seq and the loser re-checks the balance instead of overdrawing.
+// ──────────────────────────────────────────────────────────────────────────────
+const ledgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["charge", "refund", "partial_refund", "coupon_issued", "coupon_redeemed", "coupon_voided", "retry_payment", "refund_reversal"],
+    required: true,
+  },
+  userId: { type: String, index: true },
+  txnId: String,
+  seq: Number,                 // per-transaction sequence number (1, 2, 3…)
+  debitAccount: String,        // e.g. "asset:stripe_clearing"
+  creditAccount: String,       // e.g. "revenue:sales"
+  amount: Number,              // major units, always positive — direction comes from the accounts
+  amountMinor: Number,         // same amount in integer minor units (what balances are summed in)
+  currency: { type: String, default: "usd" }, // always the transaction's currency
+  stripePaymentIntentId: String,
+  stripeCheckoutSessionId: String,
+  stripeRefundId: String,
+  refundRequestId: { type: mongoose.Schema.Types.ObjectId, ref: "RefundRequest" },
+  memo: String,
+  createdAt: { type: Date, default: Date.now },
+});
+ledgerEntrySchema.index({ userId: 1, txnId: 1, seq: 1 }, { unique: true });
+const LedgerEntry = mongoose.model("LedgerEntry", ledgerEntrySchema);
+
+// ──────────────────────────────────────────────────────────────────────────────
+// DISPUTE — card dispute (chargeback) on a Transaction, ingested from Stripe
+// WHY: Transaction.status "disputed" only says a dispute exists. Agents also need
+// the bank's evidence deadline and a place to collect evidence (UploadProof
+// screenshots). While a dispute is open or lost, refunds on the transaction are
+// refused — refunding and losing the dispute would pay the customer twice.
+// ──────────────────────────────────────────────────────────────────────────────
+const disputeSchema = new mongoose.Schema({
+  stripeDisputeId: { type: String, unique: true },
+  userId: { type: String, index: true },
+  txnId: String,
+  transaction: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+  stripeChargeId: String,
+  stripePaymentIntentId: String,
+  amount: Number,              // disputed, major units of `currency`
+  currency: { type: String, default: "usd" },
+  reason: String,              // Stripe reason: fraudulent | duplicate | product_not_received | …
+  status: String,              // Stripe status: needs_response | under_review | won | lost | warning_* …
+  evidenceDueBy: { type: Date, index: true },
+  evidence: [{
+    uploadProofId: { type: mongoose.Schema.Types.ObjectId, ref: "UploadProof" },
+    s3Key: String,
+    description: String,
+    attachedBy: String,        // admin username
+    attachedAt: { type: Date, default: Date.now },
+  }],
+  closedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+disputeSchema.index({ userId: 1, txnId: 1 });
+const Dispute = mongoose.model("Dispute", disputeSchema);
+
+// ──────────────────────────────────────────────────────────────────────────────
+// RECONCILIATION — scheduled comparison of our refund/payment records with Stripe
+// WHY: a Stripe refund call can fail after the ledger entry is written, leaving
+// the DB claiming money went back when it didn't. Each run (ReconciliationRun)
+// lists Stripe refunds + payment intents for a window; every mismatch becomes a
+// ReconciliationIssue, keyed by type + subject so re-runs update it instead of
+// duplicating it. Issues whose subject checks out on a later run auto-resolve.
+// ──────────────────────────────────────────────────────────────────────────────
+const reconciliationRunSchema = new mongoose.Schema({
+  from: Date,
+  to: Date,
+  trigger: String,             // schedule | manual
+  triggeredBy: String,         // admin username for manual runs
+  status: { type: String, default: "running" }, // running | completed | failed
+  counts: mongoose.Schema.Types.Mixed, // { ledgerEntries, stripeRefunds, paymentIntents, refundRequests }
+  issuesFound: Number,
+  issuesAutoResolved: Number,
+  error: String,
+  startedAt: { type: Date, default: Date.now, index: true },
+  finishedAt: Date,
+});
+const ReconciliationRun = mongoose.model("ReconciliationRun", reconciliationRunSchema);
+
+const reconciliationIssueSchema = new mongoose.Schema({
+  key: { type: String, unique: true }, // `${type}|${subject}`
+  type: String,                // missing_stripe_refund | stripe_refund_failed | refund_amount_drift |
+                               // untracked_stripe_refund | payment_not_recorded | charge_amount_drift |
+                               // refund_request_mismatch
+  subject: { type: String, index: true }, // ledger:<id> | refund:<re_…> | pi:<pi_…> | rr:<id>
+  status: { type: String, default: "open", index: true }, // open | retrying | resolved
+  userId: String,
+  txnId: String,
+  ledgerEntryId: { type: mongoose.Schema.Types.ObjectId, ref: "LedgerEntry" },
+  stripeRefundId: String,
+  paymentIntentId: String,
+  dbAmount: Number,            // major units on our side
+  stripeAmount: Number,        // major units on Stripe's side
+  currency: String,
+  detail: String,
+  occurrences: Number,         // runs that have seen it ($inc on upsert — no default)
+  lastRunId: { type: mongoose.Schema.Types.ObjectId, ref: "ReconciliationRun" },
+  lastSeenAt: Date,
+  retryCount: { type: Number, default: 0 },
+  lastError: String,
+  resolution: String,          // retried | dismissed | auto
+  resolvedBy: String,
+  resolvedAt: Date,
+  resolutionNote: String,
+  createdAt: { type: Date, default: Date.now },
+});
+const ReconciliationIssue = mongoose.model("ReconciliationIssue", reconciliationIssueSchema);
+
+// ──────────────────────────────────────────────────────────────────────────────
+// COUPON — compensation credit issued by an OFFER_COUPON refund decision
+// WHY: the code used to be Math.random() text in a chat message — nothing stored
+// it, so "valid 30 days" could never be checked or honoured. A coupon is owned by
+// one user, in one currency, and is spent once against a retry checkout, where
+// Stripe applies it as a discount.
+// Lifecycle: active → reserved (checkout open) → redeemed
+//                     reserved → active (checkout expired / abandoned)
+//            active → revoked (admin) | expired (past expiresAt, set on read)
+// ──────────────────────────────────────────────────────────────────────────────
+const couponSchema = new mongoose.Schema({
+  code: { type: String, unique: true, index: true },
+  userId: { type: String, index: true },
+  value: Number,                 // major units of `currency`
+  valueMinor: Number,            // integer minor units — what Stripe's amount_off receives
+  currency: { type: String, default: "usd" },
+  status: { type: String, enum: ["active", "reserved", "redeemed", "revoked", "expired"], default: "active", index: true },
+  expiresAt: Date,
+  sourceTxnId: String,           // transaction the compensation was for
+  sourceRefundRequest: { type: mongoose.Schema.Types.ObjectId, ref: "RefundRequest" },
+  reservedUntil: Date,           // a stale reservation (missed webhook) lapses back to active after this
+  checkoutSessionId: String,     // Stripe Checkout session it is reserved for / redeemed in
+  stripeCouponId: String,        // single-use Stripe coupon carrying the discount
+  redeemedTxnId: String,
+  redeemedAt: Date,
+  revokedBy: String,
+  revokedAt: Date,
+  revokeReason: String,
+  createdAt: { type: Date, default: Date.now },
+});
+const Coupon = mongoose.model("Coupon", couponSchema);
+
+// ──────────────────────────────────────────────────────────────────────────────
+// PII VAULT — encrypted originals behind the tokens agents see in Desk
+// WHY: PII is redacted before it reaches an LLM, a log line or AuditLog.details,
+// but a Desk agent sometimes needs the real value (the UPI id a refund goes to,
+// the phone number to call back). Those messages carry a token instead of a
+// placeholder; the value is stored here AES-256-GCM encrypted and only comes
+// back through piiVaultService.revealToken, which audit-logs every access.
+// valueHash (HMAC, keyed) lets the same value for the same user reuse its token
+// without storing anything searchable in the clear.
+// ──────────────────────────────────────────────────────────────────────────────
+const piiVaultSchema = new mongoose.Schema({
+  token: { type: String, unique: true, index: true },
+  kind: String,                  // card | aadhaar | phone | email | upi | pan
+  userId: { type: String, index: true },
+  channelUrl: String,
+  valueHash: String,             // HMAC-SHA256 of the value under PII_VAULT_KEY
+  ciphertext: String,            // base64
+  iv: String,                    // base64, 12 bytes
+  authTag: String,               // base64
+  accessCount: { type: Number, default: 0 },
+  lastAccessedAt: Date,
+  expiresAt: { type: Date, expires: 0 }, // TTL: purged PII_VAULT_TTL_DAYS after last use
+  createdAt: { type: Date, default: Date.now },
+});
+piiVaultSchema.index({ userId: 1, valueHash: 1 });
+const PiiVault = mongoose.model("PiiVault", piiVaultSchema);
+
 // ──────────────────────────────────────────────────────────────────────────────
 // REFUND REQUEST — multi-step negotiation state machine
+// WHY history: refundStage / status are only ever changed through
+// services/refundStateMachine.js, which rejects illegal transitions and appends
+// every legal one here — so "how did this request end up refunded?" has an answer.
 // ──────────────────────────────────────────────────────────────────────────────
+const refundTransitionSchema = new mongoose.Schema({
+  event: String,          // key of REFUND_EVENTS (start, evaluate, accept_partial, …)
+  from: String,           // state name before ("none" when the request was created)
+  to: String,
+  actor: String,          // customer | system | stripe | admin user id
+  note: String,
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
 const refundRequestSchema = new mongoose.Schema({
   userId: String,
   txnId: String,
   channelUrl: String,
-  refundStage: { type: String, default: "reason_asked" }, // reason_asked | policy_evaluated | offer_sent | completed
+  refundStage: { type: String, default: "reason_asked" }, // reason_asked | policy_evaluated | offer_sent | info_requested | completed
   refundReason: String,   // duplicate | service_issue | accidental | fraud | other
   negotiationAttempts: { type: Number, default: 0 },
-  finalDecision: String,  // AUTO_REFUND | OFFER_PARTIAL | OFFER_COUPON | ESCALATE_HIGH | ESCALATE_NORMAL
-  status: { type: String, default: "pending" }, // pending | approved | rejected | refunded
+  finalDecision: String,  // AUTO_REFUND | OFFER_PARTIAL | OFFER_COUPON | ESCALATE_HIGH | ESCALATE_NORMAL | AGENT_REFUND (Desk /refund)
+  policyVersion: Number,  // RefundPolicy version that produced finalDecision
+  policyRuleId: String,   // id of the matched rule within that version
+  fraudLogId: { type: mongoose.Schema.Types.ObjectId, ref: "FraudLog" }, // risk assessment behind finalDecision
+  riskLevel: String,      // LOW | MEDIUM | HIGH — snapshot of FraudLog.riskLevel (null when fraud engine off)
+  status: { type: String, default: "pending" }, // pending | approved | rejected | refunded | refund_failed | expired
+  // Set when the policy offers a partial refund; refund_accept_partial pays exactly
+  // this amount and only before expiresAt (services/refundOfferService.js)
+  partialOffer: {
+    amount: Number,        // major units of `currency`
+    currency: String,
+    policyVersion: Number,
+    policyRuleId: String,
+    offeredAt: Date,
+    expiresAt: { type: Date, index: true },
+  },
+  history: [refundTransitionSchema], // append-only, written by refundStateMachine.transition()
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
+// One request per customer + transaction + channel — a new "start" reuses a
+// closed one, so two concurrent starts can't open two requests
+refundRequestSchema.index({ userId: 1, txnId: 1, channelUrl: 1 }, { unique: true });
 const RefundRequest = mongoose.model("RefundRequest", refundRequestSchema);
 
 // ──────────────────────────────────────────────────────────────────────────────
@@ -74,6 +284,14 @@ const userSessionSchema = new mongoose.Schema({
   lastTransactionId: String,
   lastSentiment: String,
   conversationSummary: String,   // short LLM-generated recap injected as context
+  // Last 20 detected intents, oldest first — the trail shown on the Desk handoff card
+  intentTrail: [{
+    _id: false,
+    intent: String,
+    sentiment: String,
+    source: String,              // llm | rules
+    at: { type: Date, default: Date.now },
+  }],
   messageCount: { type: Number, default: 0 },
   updatedAt: { type: Date, default: Date.now },
 });
@@ -110,9 +328,24 @@ const auditLogSchema = new mongoose.Schema({
       "escalation",
       "payment_retry",
       "llm_decision",
+      "llm_output_rejected",
+      "prompt_injection",
+      "pii_access",
       "rate_limit_hit",
       "webhook_received",
       "policy_evaluation",
+      "policy_published",
+      "fraud_rules_published",
+      "fraud_review",
+      "stripe_event",
+      "dispute_evidence",
+      "reconciliation",
+      "fx_rate_updated",
+      "coupon_issued",
+      "coupon_redeemed",
+      "coupon_revoked",
+      "agent_command",
+      "sla_breach",
       "user_registered",
     ],
     index: true,
@@ -142,16 +375,63 @@ const ProcessedEvent = mongoose.model("ProcessedEvent", processedEventSchema);
 
 // ──────────────────────────────────────────────────────────────────────────────
 // CHANNEL MAPPING — links Desk ticket channel → customer channel
+// WHY archived, not deleted: a closed ticket can be reopened when the customer
+// writes again within DESK_REOPEN_GRACE_MINUTES, and the mapping is the only
+// record of which ticket that was. Only "open" mappings route messages.
 // ──────────────────────────────────────────────────────────────────────────────
 const channelMappingSchema = new mongoose.Schema({
   deskChannelUrl: { type: String, unique: true },
   originalChannelUrl: String,
   userId: String,
   ticketId: String,
+  status: { type: String, enum: ["open", "closed"], default: "open" },
+  ticketStatus: String,    // last Desk status seen by the sync (UNASSIGNED, ASSIGNED, CLOSED, …)
+  agentId: String,         // last agent who replied — credited in CSAT feedback
+  // SLA (services/slaService.js) — clocks restart when the ticket is reopened
+  priority: { type: String, enum: ["HIGH", "NORMAL"], default: "NORMAL" },
+  slaStartedAt: Date,
+  firstResponseAt: Date,
+  slaBreaches: [{ kind: String, at: Date, _id: false }], // first_response | resolution
+  seniorGroupAt: Date,     // when a breach moved the ticket to DESK_SENIOR_GROUP
+  // Routing (services/routingService.js) — routedAgentId's open mappings are its load
+  routedAgentId: { type: String, index: true },
+  routedTeam: String,      // risk | senior | lang:<code> | refunds | payments | general
+  routingRule: String,     // id of the rule that matched (fraud, senior, …, general, none_online)
+  closedAt: Date,
+  closedBy: String,        // "desk" (closed in the Desk dashboard) | agent id (/close) | "admin"
+  reopenedAt: Date,
+  reopenCount: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now },
 });
+channelMappingSchema.index({ originalChannelUrl: 1, status: 1, closedAt: -1 });
 const ChannelMapping = mongoose.model("ChannelMapping", channelMappingSchema);
 
+// ──────────────────────────────────────────────────────────────────────────────
+// FEEDBACK — CSAT rating asked for after a resolution
+// WHY: nothing measured whether the bot or an agent actually helped. The prompt
+// is stored when it is sent, with what it is about (intent, refund decision,
+// agent), so a rating — and an optional comment — lands on that context and
+// /admin/api/stats can break CSAT down by it.
+// Lifecycle: requested → rated (comment optional, accepted until commentUntil)
+// ──────────────────────────────────────────────────────────────────────────────
+const feedbackSchema = new mongoose.Schema({
+  userId: { type: String, index: true },
+  channelUrl: { type: String, index: true },
+  trigger: { type: String, enum: ["refund_completed", "ticket_closed", "kb_answer"] },
+  intent: String,                // intent the conversation resolved (refund_request, escalation, faq, …)
+  txnId: String,
+  refundDecision: String,        // RefundRequest.finalDecision (AUTO_REFUND, OFFER_PARTIAL, AGENT_REFUND, …)
+  agentId: String,               // Desk agent who handled it, when one did
+  ticketId: String,
+  status: { type: String, enum: ["requested", "rated"], default: "requested", index: true },
+  rating: { type: Number, min: 1, max: 5 },
+  comment: String,
+  commentUntil: Date,            // the next customer message until then is taken as the comment
+  requestedAt: { type: Date, default: Date.now, index: true },
+  ratedAt: Date,
+});
+const Feedback = mongoose.model("Feedback", feedbackSchema);
+
 // ──────────────────────────────────────────────────────────────────────────────
 // REGISTERED USER — hard cap on user count for the test environment
 // ──────────────────────────────────────────────────────────────────────────────
@@ -162,7 +442,7 @@ const registeredUserSchema = new mongoose.Schema({
 const RegisteredUser = mongoose.model("RegisteredUser", registeredUserSchema);
 
 // ──────────────────────────────────────────────────────────────────────────────
-// TOKEN BUDGET — persists cumulative OpenAI cost across restarts
+// TOKEN BUDGET — persists cumulative paid LLM cost (all providers) across restarts
 // ──────────────────────────────────────────────────────────────────────────────
 const tokenBudgetSchema = new mongoose.Schema({
   _id: { type: String, default: "global" },
@@ -191,12 +471,96 @@ const fraudLogSchema = new mongoose.Schema({
     enum: ["APPROVE", "PARTIAL", "ESCALATE"],
   },
   triggers: [String],          // e.g. ["rapid_requests", "high_refund_amount"]
-  refundAmountINR: Number,     // amount at time of evaluation
+  refundAmount: Number,        // amount at time of evaluation (major units of refundCurrency)
+  refundCurrency: String,
+  refundAmountINR: Number,     // legacy — written before per-currency thresholds
   refundsInLast30Days: Number, // snapshot of refund count used in evaluation
+  ruleSetVersion: Number,      // FraudRuleSet version that produced this score
+  // Review queue — only ESCALATE cases are opened for an analyst
+  reviewStatus: {              // open | info_requested | approved | denied
+    type: String,
+    enum: ["open", "info_requested", "approved", "denied"],
+    index: true,
+  },
+  reviewedBy: String,          // admin username of the last analyst action
+  reviewedAt: Date,
+  reviewNote: String,
   createdAt: { type: Date, default: Date.now, index: true },
 });
 const FraudLog = mongoose.model("FraudLog", fraudLogSchema);
 
+// ──────────────────────────────────────────────────────────────────────────────
+// REFUND POLICY — versioned rule set interpreted by RefundPolicyEngine.evaluate()
+// WHY VERSIONED: thresholds (refund window, auto-approve amount, partial %) change
+// without a deploy, but every past decision must still be explainable. Versions
+// are never edited after publish — a change is a new version, and exactly one
+// version is active at a time. RefundRequest stores the version it was decided by.
+// ──────────────────────────────────────────────────────────────────────────────
+const refundPolicyRuleSchema = new mongoose.Schema({
+  id: String,                          // stable rule id, e.g. "small_transaction"
+  description: String,
+  conditions: mongoose.Schema.Types.Mixed, // { reasons, sentimentPriority, amount, fraudScore, attempts, withinWindow, hasDuplicate }
+  outcome: {
+    decision: String,                  // APPROVED | PARTIAL | COUPON | ESCALATE
+    reason: String,                    // reason code returned to callers
+    priority: String,                  // HIGH | NORMAL
+    refundPercent: Number,             // 0–100 of the transaction amount
+    message: String,                   // customer-facing text, supports {placeholders}
+  },
+}, { _id: false });
+
+const refundPolicySchema = new mongoose.Schema({
+  version: { type: Number, unique: true, index: true },
+  active: { type: Boolean, default: false, index: true }, // legacy — the active version is ActiveVersion "refund_policy"
+  refundWindowDays: { type: Number, default: 7 },
+  rules: [refundPolicyRuleSchema],     // evaluated in order — first match wins
+  notes: String,
+  publishedBy: String,                 // admin username (or "system" for the seed)
+  createdAt: { type: Date, default: Date.now },
+});
+const RefundPolicy = mongoose.model("RefundPolicy", refundPolicySchema);
+
+// ──────────────────────────────────────────────────────────────────────────────
+// ACTIVE VERSION — which version of a versioned rule set is live
+// WHY ONE DOCUMENT: an `active` flag on every version needs "activate this one"
+// and "deactivate the others" as two writes, and two overlapping publishes can
+// deactivate each other, leaving nothing active. A single pointer document is
+// switched by one atomic write — last writer wins, exactly one version is live.
+// ──────────────────────────────────────────────────────────────────────────────
+const activeVersionSchema = new mongoose.Schema({
+  _id: String,            // rule set name, e.g. "refund_policy"
+  version: Number,
+  updatedAt: { type: Date, default: Date.now },
+});
+const ActiveVersion = mongoose.model("ActiveVersion", activeVersionSchema);
+
+// ──────────────────────────────────────────────────────────────────────────────
+// FRAUD RULE SET — versioned weights/params for the FraudEngine rule registry
+// Rule logic lives in code (policies/fraudRules/); which rules run, how much
+// each one weighs and the MEDIUM/HIGH score thresholds live here. Same
+// publish-a-new-version model as RefundPolicy; FraudLog stores the version.
+// ──────────────────────────────────────────────────────────────────────────────
+const fraudRuleConfigSchema = new mongoose.Schema({
+  name: String,                        // registered rule name, e.g. "rapid_requests"
+  enabled: { type: Boolean, default: true },
+  weight: Number,                      // score added when the rule triggers
+  params: mongoose.Schema.Types.Mixed, // rule-specific knobs, e.g. { minRequests: 3, windowMinutes: 5 }
+}, { _id: false });
+
+const fraudRuleSetSchema = new mongoose.Schema({
+  version: { type: Number, unique: true, index: true },
+  active: { type: Boolean, default: false, index: true },
+  rules: [fraudRuleConfigSchema],
+  thresholds: {
+    medium: { type: Number, default: 31 }, // score >= medium → MEDIUM / PARTIAL
+    high:   { type: Number, default: 61 }, // score >= high   → HIGH / ESCALATE
+  },
+  notes: String,
+  publishedBy: String,
+  createdAt: { type: Date, default: Date.now },
+});
+const FraudRuleSet = mongoose.model("FraudRuleSet", fraudRuleSetSchema);
+
 // ──────────────────────────────────────────────────────────────────────────────
 // FEATURE FLAG — MongoDB-backed feature gates
 // Toggle features at runtime without redeploying.
@@ -210,6 +574,21 @@ const featureFlagSchema = new mongoose.Schema({
 });
 const FeatureFlag = mongoose.model("FeatureFlag", featureFlagSchema);
 
+// ──────────────────────────────────────────────────────────────────────────────
+// FX RATE — configurable conversion table (units of `currency` per 1 USD)
+// WHY: FraudEngine thresholds used to be INR while amounts were USD, bridged by
+// a hardcoded × 83. Rates are seeded from FX_RATES on startup ($setOnInsert,
+// like feature flags) and edited from the admin dashboard. Only risk thresholds
+// are converted — refunds always move money in the transaction's own currency.
+// ──────────────────────────────────────────────────────────────────────────────
+const fxRateSchema = new mongoose.Schema({
+  currency: { type: String, unique: true, index: true }, // ISO 4217, lower-case
+  perUsd: Number,
+  updatedBy: String,
+  updatedAt: { type: Date, default: Date.now },
+});
+const FxRate = mongoose.model("FxRate", fxRateSchema);
+
 // ──────────────────────────────────────────────────────────────────────────────
 // TELEGRAM USER — maps Telegram chat IDs to Sendbird user IDs
 // Allows a Telegram user to interact with the same bot as a Sendbird user.
@@ -219,6 +598,7 @@ const telegramUserSchema = new mongoose.Schema({
   sendbirdUserId: String,                                   // mapped Sendbird userId
   telegramUsername: String,                                 // @username (may be empty)
   channelUrl: String,                                       // active Sendbird channel
+  languageCode: String,                                     // from Telegram's user profile — used for Desk routing
   createdAt: { type: Date, default: Date.now },
 });
 const TelegramUser = mongoose.model("TelegramUser", telegramUserSchema);
@@ -239,6 +619,10 @@ const UploadProof = mongoose.model("UploadProof", uploadProofSchema);
 
 module.exports = {
   Transaction,
+  LedgerEntry,
+  Dispute,
+  ReconciliationRun,
+  ReconciliationIssue,
   RefundRequest,
   ConversationState,
   UserSession,
@@ -246,10 +630,17 @@ module.exports = {
   AuditLog,
   ProcessedEvent,
   ChannelMapping,
+  Feedback,
   RegisteredUser,
   TokenBudget,
   FraudLog,
+  RefundPolicy,
+  ActiveVersion,
+  FraudRuleSet,
   FeatureFlag,
+  FxRate,
+  Coupon,
+  PiiVault,
   TelegramUser,
   UploadProof,
 };
@@ -9,27 +9,50 @@
  *   Every decision here traces back to specific measurable inputs.
  *
  * RISK SCORING:
- *   Each triggered rule adds to a 0–100 risk score.
- *   riskLevel is derived from the final score:
+ *   Each triggered rule adds its weight to a 0–100 risk score.
+ *   riskLevel is derived from the final score (default thresholds):
  *     0–30  → LOW    → APPROVE
  *     31–60 → MEDIUM → PARTIAL refund or extra review
  *     61+   → HIGH   → ESCALATE to human agent
+ *   The action is advisory: services/riskService.js passes it to
+ *   RefundPolicyEngine, whose rules (riskLevels / riskActions) decide.
+ *
+ * RULES AND CONFIG:
+ *   Rule logic is registered in policies/fraudRules/. Which rules run, their
+ *   weights/params and the MEDIUM/HIGH thresholds come from the active
+ *   FraudRuleSet version in MongoDB (edited in the admin dashboard). Every
+ *   FraudLog records the ruleSetVersion that produced it.
  *
  * NO LLM CALLS HERE. No external API calls here.
  */
 
-const { RefundRequest, Transaction, FraudLog } = require("../models");
+const { RefundRequest, FraudLog, FraudRuleSet } = require("../models");
+const { getRule, listRules } = require("./fraudRules");
+const { convert, normalizeCurrency } = require("../services/currencyService");
+
+const DEFAULT_THRESHOLDS = { medium: 31, high: 61 };
 
-// Score weights per rule (must sum to ≤ 100 for a single case)
-const WEIGHTS = {
-  HIGH_REFUND_AMOUNT:    30,  // refund amount > ₹10,000
-  REFUND_HISTORY:        40,  // >3 approved refunds in last 30 days
-  NEW_USER_INSTANT:      20,  // account < 24h and requesting refund
-  RAPID_REQUESTS:        25,  // 3+ refund requests in 5 minutes
+// Rule set v1 — every built-in rule at its default weight/params.
+const DEFAULT_RULE_SET = {
+  version: 1,
+  thresholds: DEFAULT_THRESHOLDS,
+  notes: "Initial rule set — built-in rules at default weights.",
+  rules: listRules().map((r) => ({
+    name: r.name,
+    enabled: true,
+    weight: r.defaultWeight,
+    params: r.defaultParams,
+  })),
 };
 
+// ── Active rule set cache (30-second TTL, same as feature flags) ─────────────
+const RULE_SET_CACHE_TTL_MS = 30 * 1000;
+let _ruleSetCache = null; // { ruleSet, expiresAt }
+
 /**
  * Count approved refunds for userId in the last 30 days.
+ * Single source of truth — RefundPolicyEngine's fraudScore is the same count,
+ * and the refund_history rule reads it from ctx.refundsInLast30Days.
  * @returns {number}
  */
 async function countRecentApprovedRefunds(userId) {
@@ -41,60 +64,217 @@ async function countRecentApprovedRefunds(userId) {
   });
 }
 
+// ── Rule set persistence ──────────────────────────────────────────────────────
+
 /**
- * Count refund requests in the last 5 minutes (rapid-fire detection).
- * @returns {number}
+ * Seed rule set v1 if none has ever been published; otherwise bring in
+ * rules registered since (see seedNewRules).
  */
-async function countRecentRequests(userId) {
-  const since = new Date(Date.now() - 5 * 60 * 1000);
-  return RefundRequest.countDocuments({
-    userId,
-    createdAt: { $gte: since },
+async function seedFraudRuleSet() {
+  try {
+    const existing = await FraudRuleSet.countDocuments();
+    if (existing > 0) return await seedNewRules();
+    await FraudRuleSet.create({ ...DEFAULT_RULE_SET, active: true, publishedBy: "system" });
+    console.log("✅ Fraud rule set v1 seeded");
+  } catch (err) {
+    if (err.code !== 11000) console.error("⚠️  Fraud rule set seeding failed:", err.message);
+  }
+}
+
+/**
+ * Publish the active rule set plus every registered rule that no version has
+ * ever contained, at its default weight/params. A rule an admin removed was
+ * in some earlier version, so it stays removed.
+ */
+async function seedNewRules() {
+  const active = await FraudRuleSet.findOne({ active: true }).sort({ version: -1 }).lean();
+  if (!active) return;
+  const added = [];
+  for (const rule of listRules()) {
+    if (!(await FraudRuleSet.exists({ "rules.name": rule.name }))) added.push(rule);
+  }
+  if (added.length === 0) return;
+
+  const names = added.map((r) => r.name).join(", ");
+  const ruleSet = await publishRuleSet({
+    rules: [
+      ...active.rules.map(({ name, enabled, weight, params }) => ({ name, enabled, weight, params })),
+      ...added.map((r) => ({ name: r.name, enabled: true, weight: r.defaultWeight, params: r.defaultParams })),
+    ],
+    thresholds: active.thresholds || DEFAULT_THRESHOLDS,
+    notes: `v${active.version} plus new built-in rules (${names})`,
+    publishedBy: "system",
+  });
+  console.log(`✅ Fraud rule set v${ruleSet.version} published with ${names}`);
+}
+
+/**
+ * Return the active rule set. Cached in-memory for 30 seconds.
+ * Falls back to DEFAULT_RULE_SET so fraud checks never stop on a lookup failure.
+ */
+async function getActiveRuleSet() {
+  if (_ruleSetCache && _ruleSetCache.expiresAt > Date.now()) {
+    return _ruleSetCache.ruleSet;
+  }
+  try {
+    const ruleSet = await FraudRuleSet.findOne({ active: true }).sort({ version: -1 }).lean();
+    if (ruleSet) {
+      _ruleSetCache = { ruleSet, expiresAt: Date.now() + RULE_SET_CACHE_TTL_MS };
+      return ruleSet;
+    }
+    console.warn("⚠️  No active fraud rule set found — using built-in defaults");
+  } catch (err) {
+    console.warn("⚠️  Fraud rule set lookup failed — using built-in defaults:", err.message);
+  }
+  return DEFAULT_RULE_SET;
+}
+
+function invalidateRuleSetCache() {
+  _ruleSetCache = null;
+}
+
+/**
+ * Validate a candidate rule set. Returns a list of problems (empty = valid).
+ *
+ * @param {object} ruleSet - { rules, thresholds }
+ * @returns {string[]}
+ */
+function validateRuleSet(ruleSet) {
+  const errors = [];
+  if (!ruleSet || typeof ruleSet !== "object") return ["rule set must be an object"];
+
+  const { rules, thresholds = DEFAULT_THRESHOLDS } = ruleSet;
+  const { medium, high } = thresholds || {};
+  if (typeof medium !== "number" || typeof high !== "number" || !(medium > 0 && medium < high && high <= 100)) {
+    errors.push("thresholds must satisfy 0 < medium < high <= 100");
+  }
+  if (!Array.isArray(rules) || rules.length === 0) {
+    errors.push("rules must be a non-empty array");
+    return errors;
+  }
+
+  const seen = new Set();
+  rules.forEach((rule, i) => {
+    const at = `rules[${i}]`;
+    if (!rule?.name) {
+      errors.push(`${at}.name is required`);
+      return;
+    }
+    if (!getRule(rule.name)) errors.push(`${at}.name "${rule.name}" is not a registered rule`);
+    if (seen.has(rule.name)) errors.push(`${at}.name "${rule.name}" is duplicated`);
+    seen.add(rule.name);
+    if (typeof rule.weight !== "number" || rule.weight < 0 || rule.weight > 100) {
+      errors.push(`${at}.weight must be a number between 0 and 100`);
+    }
+    if (rule.enabled != null && typeof rule.enabled !== "boolean") errors.push(`${at}.enabled must be a boolean`);
+    if (rule.params != null && (typeof rule.params !== "object" || Array.isArray(rule.params))) {
+      errors.push(`${at}.params must be an object`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Publish a new rule set version and make it active. Versions are append-only.
+ *
+ * @param {object} params - { rules, thresholds, notes, publishedBy }
+ * @returns {Promise<object>} the new rule set document
+ * @throws {Error} with .validationErrors when the rule set is invalid
+ */
+async function publishRuleSet({ rules, thresholds = DEFAULT_THRESHOLDS, notes, publishedBy }) {
+  const errors = validateRuleSet({ rules, thresholds });
+  if (errors.length > 0) {
+    const err = new Error("Invalid fraud rule set");
+    err.validationErrors = errors;
+    throw err;
+  }
+
+  const latest = await FraudRuleSet.findOne({}).sort({ version: -1 }).lean();
+  const version = (latest?.version || 0) + 1;
+
+  const ruleSet = await FraudRuleSet.create({
+    version,
+    active: true,
+    rules: rules.map(({ name, enabled = true, weight, params = {} }) => ({ name, enabled, weight, params })),
+    thresholds,
+    notes,
+    publishedBy,
   });
+  await FraudRuleSet.updateMany({ version: { $ne: version } }, { active: false });
+  invalidateRuleSetCache();
+
+  console.log(`[FraudEngine] rule set v${version} published by ${publishedBy || "unknown"}`);
+  return ruleSet;
+}
+
+/**
+ * Re-activate an earlier rule set version. Returns null if it doesn't exist.
+ *
+ * @param {number} version
+ */
+async function activateRuleSetVersion(version) {
+  const ruleSet = await FraudRuleSet.findOneAndUpdate({ version }, { active: true }, { new: true });
+  if (!ruleSet) return null;
+  await FraudRuleSet.updateMany({ version: { $ne: version } }, { active: false });
+  invalidateRuleSetCache();
+  console.log(`[FraudEngine] rule set v${version} re-activated`);
+  return ruleSet;
 }
 
+// ── Evaluation ────────────────────────────────────────────────────────────────
+
 /**
  * Main fraud evaluation function.
  *
  * @param {object} params
  * @param {string} params.userId
  * @param {string} params.txnId
- * @param {number} params.amountINR   - refund amount in INR (use USD amount × 83 as approx if needed)
+ * @param {string} params.channelUrl    - channel the request came from (cross-channel velocity)
+ * @param {number} params.amount        - refund amount, major units of `currency`
+ * @param {string} params.currency      - the transaction's currency; rules with limits in other
+ *                                        currencies convert through the FX rate table
  * @param {Date}   params.userCreatedAt - when the user registered (for new-user check)
- * @returns {Promise<{riskScore: number, riskLevel: string, action: string, triggers: string[]}>}
+ * @param {boolean} [params.record=true] - write a FraudLog (and open a review case on ESCALATE).
+ *                                        false for checks that aren't a customer's refund attempt
+ * @returns {Promise<{riskScore: number, riskLevel: string, action: string, triggers: string[],
+ *                    refundsInLast30Days: number, fraudLogId: ObjectId|null, ruleSetVersion: number}>}
  */
-async function evaluate({ userId, txnId, amountINR = 0, userCreatedAt = null }) {
-  let score = 0;
-  const triggers = [];
+async function evaluate({ userId, txnId, channelUrl = null, amount = 0, currency, userCreatedAt = null, record = true }) {
+  const ruleSet = await getActiveRuleSet();
+  const thresholds = ruleSet.thresholds || DEFAULT_THRESHOLDS;
+  const recentRefunds = await countRecentApprovedRefunds(userId);
+  const code = normalizeCurrency(currency);
 
-  // ── Rule 1: High refund amount (> ₹10,000) ───────────────────────────────
-  if (amountINR > 10000) {
-    score += WEIGHTS.HIGH_REFUND_AMOUNT;
-    triggers.push("high_refund_amount");
-  }
+  const ctx = {
+    userId, txnId, channelUrl, amount, currency: code, userCreatedAt,
+    convertAmount: (to) => convert(amount, code, to),
+    refundsInLast30Days: recentRefunds,
+    now: Date.now(),
+  };
 
-  // ── Rule 2: >3 approved refunds in last 30 days ───────────────────────────
-  const recentRefunds = await countRecentApprovedRefunds(userId);
-  if (recentRefunds > 3) {
-    score += WEIGHTS.REFUND_HISTORY;
-    triggers.push("refund_history_abuse");
-  }
+  let score = 0;
+  const triggers = [];
 
-  // ── Rule 3: New user requesting refund immediately (account < 24h) ────────
-  if (userCreatedAt) {
-    const ageMs = Date.now() - new Date(userCreatedAt).getTime();
-    const ageHours = ageMs / (1000 * 60 * 60);
-    if (ageHours < 24) {
-      score += WEIGHTS.NEW_USER_INSTANT;
-      triggers.push("new_user_instant_refund");
+  for (const config of ruleSet.rules || []) {
+    if (config.enabled === false) continue;
+    const rule = getRule(config.name);
+    if (!rule) {
+      console.warn(`⚠️  FraudEngine: rule "${config.name}" is not registered — skipped`);
+      continue;
+    }
+    try {
+      const hit = await rule.evaluate(ctx, {
+        weight: config.weight ?? rule.defaultWeight,
+        params: { ...rule.defaultParams, ...(config.params || {}) },
+      });
+      if (hit) {
+        score += hit.score;
+        triggers.push(hit.trigger);
+      }
+    } catch (err) {
+      // One broken rule must not block refunds — the rest still score.
+      console.warn(`⚠️  FraudEngine: rule "${config.name}" failed (skipped):`, err.message);
     }
-  }
-
-  // ── Rule 4: Rapid repeated requests (3+ in 5 minutes) ────────────────────
-  const rapidCount = await countRecentRequests(userId);
-  if (rapidCount >= 3) {
-    score += WEIGHTS.RAPID_REQUESTS;
-    triggers.push("rapid_requests");
   }
 
   // Cap score at 100
@@ -102,10 +282,10 @@ async function evaluate({ userId, txnId, amountINR = 0, userCreatedAt = null })
 
   // ── Derive risk level + action ────────────────────────────────────────────
   let riskLevel, action;
-  if (score >= 61) {
+  if (score >= thresholds.high) {
     riskLevel = "HIGH";
     action = "ESCALATE";
-  } else if (score >= 31) {
+  } else if (score >= thresholds.medium) {
     riskLevel = "MEDIUM";
     action = "PARTIAL";
   } else {
@@ -114,24 +294,48 @@ async function evaluate({ userId, txnId, amountINR = 0, userCreatedAt = null })
   }
 
   // ── Persist fraud log (non-fatal) ─────────────────────────────────────────
-  try {
-    await FraudLog.create({
-      userId,
-      txnId,
-      riskScore: score,
-      riskLevel,
-      action,
-      triggers,
-      refundAmountINR: amountINR,
-      refundsInLast30Days: recentRefunds,
-    });
-  } catch (err) {
-    console.error("⚠️  FraudEngine: failed to persist fraud log:", err.message);
+  let fraudLogId = null;
+  if (record) {
+    try {
+      const fraudLog = await FraudLog.create({
+        userId,
+        txnId,
+        riskScore: score,
+        riskLevel,
+        action,
+        triggers,
+        refundAmount: amount,
+        refundCurrency: code,
+        refundsInLast30Days: recentRefunds,
+        ruleSetVersion: ruleSet.version,
+        reviewStatus: action === "ESCALATE" ? "open" : undefined,
+      });
+      fraudLogId = fraudLog._id;
+    } catch (err) {
+      console.error("⚠️  FraudEngine: failed to persist fraud log:", err.message);
+    }
   }
 
-  console.log(`[FraudEngine] userId=${userId} txnId=${txnId} score=${score} level=${riskLevel} action=${action} triggers=[${triggers.join(",")}]`);
+  console.log(`[FraudEngine] userId=${userId} txnId=${txnId} rules=v${ruleSet.version} score=${score} level=${riskLevel} action=${action} triggers=[${triggers.join(",")}]`);
 
-  return { riskScore: score, riskLevel, action, triggers };
+  return {
+    riskScore: score,
+    riskLevel,
+    action,
+    triggers,
+    refundsInLast30Days: recentRefunds,
+    fraudLogId,
+    ruleSetVersion: ruleSet.version,
+  };
 }
 
-module.exports = { evaluate };
+module.exports = {
+  evaluate,
+  countRecentApprovedRefunds,
+  seedFraudRuleSet,
+  getActiveRuleSet,
+  validateRuleSet,
+  publishRuleSet,
+  activateRuleSetVersion,
+  DEFAULT_RULE_SET,
+};
@@ -18,68 +18,615 @@
  *   The LLM's role ends at CLASSIFICATION (what does the user want?).
  *   The policy engine makes the DECISION (what do we do about it?).
  *
- * POLICY RULES:
+ * WHY DATA-DRIVEN RULES:
+ *   The rules below used to be a hardcoded if/else chain, so moving the 7-day
+ *   window or the $200 threshold needed a deploy. They now live in the
+ *   RefundPolicy collection as ordered, versioned rule sets. evaluate() walks
+ *   the active version top to bottom and the FIRST rule whose conditions all
+ *   match decides the outcome. The result carries { ruleId, policyVersion }
+ *   so every decision can be traced back to the exact rule that produced it.
+ *   Still deterministic: same inputs + same version → same decision.
+ *
+ * RULE SHAPE:
+ *   {
+ *     id: "small_transaction",
+ *     conditions: {
+ *       reasons:           ["duplicate", ...],   // refund reason in list
+ *       sentimentPriority: ["HIGH"],             // sentiment.priority in list
+ *       amount:            { usd: { lt: 200 } }, // per currency — see AMOUNT THRESHOLDS below
+ *       fraudScore:        { gte: 3 },          // numeric comparators: lt | lte | gt | gte | eq
+ *       attempts:          { eq: 0 },
+ *       withinWindow:      true,                 // inside policy.refundWindowDays
+ *       hasDuplicate:      true,
+ *       riskLevels:        ["HIGH"],             // FraudEngine riskLevel in list (LOW | MEDIUM | HIGH)
+ *       riskActions:       ["ESCALATE"],         // FraudEngine action in list (APPROVE | PARTIAL | ESCALATE)
+ *     },
+ *     outcome: { decision, reason, priority, refundPercent, message },
+ *   }
+ *   Omitted conditions always match; an empty conditions object is a catch-all.
+ *   refundPercent is the share of the amount refunded — for COUPON outcomes it
+ *   sets the coupon's face value instead (recorded in the ledger as a liability).
+ *   riskLevels / riskActions never match when no risk assessment ran
+ *   (FRAUD_ENGINE_ENABLED off) — see services/riskService.js.
+ *   message placeholders: {amount} {refundAmount} {refundPercent} {windowDays} {fraudScore}
+ *   ({amount} and {refundAmount} render in the transaction's currency, e.g. "₹1,200.00")
+ *
+ * AMOUNT THRESHOLDS:
+ *   `amount` is keyed by currency: { usd: { lt: 200 }, inr: { lt: 16000 } }.
+ *   The transaction's own currency entry is compared against its amount; a
+ *   currency with no entry never matches, so a new currency falls through to
+ *   escalation instead of being auto-approved against a USD number. A bare
+ *   comparator ({ lt: 200 }, versions published before currencies existed)
+ *   is read as USD.
+ *
+ * DEFAULT RULE SET (version 1, seeded on startup — the old hardcoded chain plus
+ * the FraudEngine risk rules and per-currency amount thresholds):
  *   1. Fraud / HIGH-priority sentiment   → Immediate senior escalation
- *   2. Refund window check (7 days):
- *      - Within 7 days + eligible        → Full or partial refund
- *      - Outside 7 days                  → Partial (50%) or escalate
- *   3. Fraud score (max 3 refunds/30 days):
- *      - 3+ approved refunds this month  → Escalate to human for review
- *   4. Amount thresholds:
- *      - < $200                          → Auto-approved (small transaction policy)
- *      - ≥ $200                          → Policy evaluation required
- *   5. Reason-specific rules:
- *      - duplicate + verified            → Auto-refund
- *      - duplicate + unverified          → Escalate
- *      - service_issue                   → Coupon compensation
- *      - accidental (first attempt)      → 50% offer
- *      - accidental (second attempt)     → Escalate
- *      - other                           → Escalate
+ *      FraudEngine riskLevel HIGH        → Immediate senior escalation
+ *   2. 3+ approved refunds this month    → Escalate to human for review
+ *      FraudEngine riskLevel MEDIUM      → no automatic full refund (50% offer / agent review)
+ *   3. < $200 / ₹16,000 and within 7 days → Auto-approved (small transaction policy)
+ *   4. duplicate + verified              → Auto-refund
+ *      duplicate + unverified            → Escalate
+ *   5. service_issue                     → Coupon compensation
+ *   6. accidental, outside window        → 50% offer on first attempt, else escalate
+ *      accidental, within window         → 50% offer on first attempt, else escalate
+ *   7. anything else                     → Escalate
+ *
+ * ACTIVE VERSION:
+ *   The live version is the ActiveVersion document "refund_policy", switched
+ *   by one atomic write on publish / activate, so overlapping publishes can't
+ *   leave no version active. Databases from before the pointer fall back to
+ *   the legacy RefundPolicy.active flag until the next publish or activation.
+ *
+ * RISK RULES ON EXISTING DATABASES:
+ *   The FraudEngine rules (RISK_RULE_IDS) came after v1 was first seeded, and
+ *   seeding never touches a database that has a policy. On startup, if no
+ *   version has ever contained them, seedRefundPolicy publishes the active
+ *   rule set plus the risk rules as a new version (publishedBy "system").
+ *   An admin who later removes them is not overridden.
  */
 
-const { RefundRequest, Transaction } = require("../models");
+const { RefundPolicy, ActiveVersion } = require("../models");
+const { countRecentApprovedRefunds } = require("./FraudEngine");
+const { toMinor, fromMinor, formatMoney, normalizeCurrency, isSupportedCurrency } = require("../services/currencyService");
+
+const DECISIONS  = ["APPROVED", "PARTIAL", "COUPON", "ESCALATE"];
+const PRIORITIES = ["HIGH", "NORMAL"];
+const NUMERIC_CONDITIONS = ["fraudScore", "attempts"];
+const LIST_CONDITIONS = ["reasons", "sentimentPriority", "riskLevels", "riskActions"];
+const COMPARATORS = ["lt", "lte", "gt", "gte", "eq"];
+
+const DEFAULT_POLICY = {
+  version: 1,
+  refundWindowDays: 7,
+  notes: "Initial rule set — mirrors the original hardcoded policy, plus FraudEngine risk rules.",
+  rules: [
+    {
+      id: "fraud_reason",
+      description: "Customer reports fraud — senior escalation",
+      conditions: { reasons: ["fraud"] },
+      outcome: {
+        decision: "ESCALATE", reason: "fraud_or_high_priority", priority: "HIGH", refundPercent: 0,
+        message: "🚨 This case has been flagged as high priority. A senior agent has been notified and will contact you immediately.",
+      },
+    },
+    {
+      id: "high_priority_sentiment",
+      description: "HIGH-priority sentiment (legal threats, chargeback, etc.) — senior escalation",
+      conditions: { sentimentPriority: ["HIGH"] },
+      outcome: {
+        decision: "ESCALATE", reason: "fraud_or_high_priority", priority: "HIGH", refundPercent: 0,
+        message: "🚨 This case has been flagged as high priority. A senior agent has been notified and will contact you immediately.",
+      },
+    },
+    {
+      id: "fraud_engine_high_risk",
+      description: "FraudEngine rated the request HIGH risk — senior escalation",
+      conditions: { riskLevels: ["HIGH"] },
+      outcome: {
+        decision: "ESCALATE", reason: "fraud_engine_high_risk", priority: "HIGH", refundPercent: 0,
+        message: "Your request needs a quick review by our team before we can proceed. A senior agent will contact you shortly.",
+      },
+    },
+    {
+      id: "excessive_refunds",
+      description: "3+ approved refunds in 30 days — manual review (request, re-purchase, repeat abuse)",
+      conditions: { fraudScore: { gte: 3 } },
+      outcome: {
+        decision: "ESCALATE", reason: "excessive_refunds", priority: "HIGH", refundPercent: 0,
+        message: "We've noticed multiple recent refund requests on your account. A senior agent will review this case personally.",
+      },
+    },
+    {
+      id: "medium_risk_small_transaction",
+      description: "FraudEngine MEDIUM risk on an otherwise auto-approved small transaction — partial offer instead",
+      conditions: { riskLevels: ["MEDIUM"], amount: { usd: { lt: 200 }, inr: { lt: 16000 } }, withinWindow: true },
+      outcome: {
+        decision: "PARTIAL", reason: "fraud_engine_medium_risk", priority: "NORMAL", refundPercent: 50,
+        message: "A full refund on this transaction needs an agent review, but we can offer {refundPercent}% right away.",
+      },
+    },
+    {
+      id: "medium_risk_duplicate",
+      description: "FraudEngine MEDIUM risk on a duplicate-charge claim — agent verifies before refunding",
+      conditions: { riskLevels: ["MEDIUM"], reasons: ["duplicate"] },
+      outcome: {
+        decision: "ESCALATE", reason: "fraud_engine_medium_risk", priority: "NORMAL", refundPercent: 0,
+        message: "An agent will verify the duplicate charge and complete your refund.",
+      },
+    },
+    {
+      id: "small_transaction",
+      description: "Under $200 (₹16,000) and inside the refund window — auto-approve",
+      conditions: { amount: { usd: { lt: 200 }, inr: { lt: 16000 } }, withinWindow: true },
+      outcome: {
+        decision: "APPROVED", reason: "small_transaction_policy", priority: "NORMAL", refundPercent: 100,
+        message: "Your refund of {refundAmount} qualifies for automatic approval under our small-transaction policy. Processing now.",
+      },
+    },
+    {
+      id: "verified_duplicate",
+      description: "Duplicate charge with a matching transaction on file — full refund",
+      conditions: { reasons: ["duplicate"], hasDuplicate: true },
+      outcome: {
+        decision: "APPROVED", reason: "verified_duplicate", priority: "NORMAL", refundPercent: 100,
+        message: "We found a matching duplicate charge on your account. Your full refund has been approved.",
+      },
+    },
+    {
+      id: "unverified_duplicate",
+      description: "Duplicate charge claim that could not be verified — agent review",
+      conditions: { reasons: ["duplicate"] },
+      outcome: {
+        decision: "ESCALATE", reason: "unverified_duplicate", priority: "NORMAL", refundPercent: 0,
+        message: "We couldn't automatically verify the duplicate charge. Escalating to an agent for manual review.",
+      },
+    },
+    {
+      id: "service_compensation",
+      description: "Service issue — compensation coupon",
+      conditions: { reasons: ["service_issue"] },
+      outcome: {
+        decision: "COUPON", reason: "service_compensation", priority: "NORMAL", refundPercent: 10,
+        message: "We're sorry for the service inconvenience. We'd like to offer you a compensation coupon.",
+      },
+    },
+    {
+      id: "outside_refund_window",
+      description: "Accidental payment outside the window, first attempt — goodwill partial",
+      conditions: { reasons: ["accidental"], withinWindow: false, attempts: { eq: 0 } },
+      outcome: {
+        decision: "PARTIAL", reason: "outside_refund_window", priority: "NORMAL", refundPercent: 50,
+        message: "This transaction is outside the standard {windowDays}-day refund window. We can offer a {refundPercent}% refund ({refundAmount}) as a goodwill gesture.",
+      },
+    },
+    {
+      id: "outside_window_repeat_attempt",
+      description: "Accidental payment outside the window, offer already made — escalate",
+      conditions: { reasons: ["accidental"], withinWindow: false },
+      outcome: {
+        decision: "ESCALATE", reason: "outside_window_repeat_attempt", priority: "NORMAL", refundPercent: 0,
+        message: "Connecting you with an agent to further assist with your refund request.",
+      },
+    },
+    {
+      id: "repeat_attempt",
+      description: "Accidental payment, offer already made — escalate",
+      conditions: { reasons: ["accidental"], attempts: { gt: 0 } },
+      outcome: {
+        decision: "ESCALATE", reason: "repeat_attempt", priority: "NORMAL", refundPercent: 0,
+        message: "Connecting you with an agent to further assist with your refund request.",
+      },
+    },
+    {
+      id: "accidental_payment",
+      description: "Accidental payment inside the window, first attempt — partial offer",
+      conditions: { reasons: ["accidental"] },
+      outcome: {
+        decision: "PARTIAL", reason: "accidental_payment", priority: "NORMAL", refundPercent: 50,
+        message: "For accidental payments we can offer a {refundPercent}% refund ({refundAmount}) immediately. Would you like to accept?",
+      },
+    },
+    {
+      id: "default_escalation",
+      description: "Catch-all — normal escalation",
+      conditions: {},
+      outcome: {
+        decision: "ESCALATE", reason: "default_escalation", priority: "NORMAL", refundPercent: 0,
+        message: "Connecting you with an agent to review your refund request.",
+      },
+    },
+  ],
+};
+
+// Rules added to DEFAULT_POLICY with the FraudEngine risk step
+const RISK_RULE_IDS = ["fraud_engine_high_risk", "medium_risk_small_transaction", "medium_risk_duplicate"];
+
+const ACTIVE_POINTER_ID = "refund_policy";
+
+// ── Active policy cache (30-second TTL, same as feature flags) ───────────────
+const POLICY_CACHE_TTL_MS = 30 * 1000;
+let _policyCache = null; // { policy, expiresAt }
 
 /**
  * Check if a transaction is within the refund window.
  * @param {Date} transactionCreatedAt
  * @param {number} windowDays - default 7 days
+ * @param {Date|number} [asOf] - reference time (default now; backtests pass the request time)
  * @returns {boolean}
  */
-function isWithinRefundWindow(transactionCreatedAt, windowDays = 7) {
+function isWithinRefundWindow(transactionCreatedAt, windowDays = 7, asOf = Date.now()) {
   if (!transactionCreatedAt) return true; // no creation date = assume eligible
   const windowMs = windowDays * 24 * 60 * 60 * 1000;
-  return (Date.now() - new Date(transactionCreatedAt).getTime()) <= windowMs;
+  return (new Date(asOf).getTime() - new Date(transactionCreatedAt).getTime()) <= windowMs;
 }
 
 /**
  * Calculate a user's refund fraud score.
- * Returns the count of approved refunds in the last 30 days.
- * A score of 3+ triggers escalation.
+ * Returns the count of approved refunds in the last 30 days — the same count
+ * FraudEngine's refund_history rule uses, so both agree on who is an abuser.
+ * A score of 3+ triggers escalation (default excessive_refunds rule).
  *
  * @param {string} userId
  * @returns {Promise<number>}
  */
 async function getRefundFraudScore(userId) {
-  const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
   try {
-    const count = await RefundRequest.countDocuments({
-      userId,
-      status: { $in: ["approved", "refunded"] },
-      createdAt: { $gte: thirtyDaysAgo },
-    });
-    return count;
+    return await countRecentApprovedRefunds(userId);
   } catch (err) {
     console.warn("⚠️  Fraud score check failed (defaulting to 0):", err.message);
     return 0;
   }
 }
 
+// ── Rule set persistence ──────────────────────────────────────────────────────
+
+/**
+ * Seed the default rule set as version 1 if no policy has ever been published.
+ * Never overwrites an existing version (preserves admin-published policies) —
+ * a database without the risk rules gets them as a new version instead.
+ */
+async function seedRefundPolicy() {
+  try {
+    const existing = await RefundPolicy.countDocuments();
+    if (existing > 0) return await seedRiskRules();
+    await RefundPolicy.create({ ...DEFAULT_POLICY, publishedBy: "system" });
+    await setActiveVersion(DEFAULT_POLICY.version);
+    console.log("✅ Refund policy v1 seeded");
+  } catch (err) {
+    if (err.code !== 11000) console.error("⚠️  Refund policy seeding failed:", err.message);
+  }
+}
+
+/**
+ * Publish the active rule set plus the FraudEngine risk rules as a new
+ * version, unless some version already carried them.
+ */
+async function seedRiskRules() {
+  if (await RefundPolicy.exists({ "rules.id": { $in: RISK_RULE_IDS } })) return;
+  const activeVersion = await getActiveVersion();
+  const active = activeVersion != null && await RefundPolicy.findOne({ version: activeVersion }).lean();
+  if (!active) return;
+
+  const policy = await publishPolicy({
+    rules: withRiskRules(active.rules),
+    refundWindowDays: active.refundWindowDays,
+    notes: `v${active.version} plus FraudEngine risk rules (${RISK_RULE_IDS.join(", ")})`,
+    publishedBy: "system",
+  });
+  console.log(`✅ Refund policy v${policy.version} published with FraudEngine risk rules`);
+}
+
+/**
+ * Insert each risk rule where DEFAULT_POLICY has it: before the next default
+ * rule the set still contains, else before its first non-escalating rule, so
+ * a risky request is caught before anything refunds automatically.
+ */
+function withRiskRules(rules) {
+  const out = rules.map(({ _id, ...rule }) => rule);
+  const defaults = DEFAULT_POLICY.rules;
+  for (const id of RISK_RULE_IDS) {
+    const idx = defaults.findIndex((r) => r.id === id);
+    const next = defaults.slice(idx + 1).find((r) => !RISK_RULE_IDS.includes(r.id) && out.some((o) => o.id === r.id));
+    let at = next ? out.findIndex((o) => o.id === next.id) : out.findIndex((o) => o.outcome?.decision !== "ESCALATE" && !RISK_RULE_IDS.includes(o.id));
+    if (at < 0) at = out.length - 1; // keep the catch-all last
+    out.splice(at, 0, defaults[idx]);
+  }
+  return out;
+}
+
+/**
+ * The live policy version: the ActiveVersion pointer, else (databases from
+ * before it) the newest version flagged active. null when none is.
+ *
+ * @returns {Promise<number|null>}
+ */
+async function getActiveVersion() {
+  const pointer = await ActiveVersion.findById(ACTIVE_POINTER_ID).lean();
+  if (pointer) return pointer.version;
+  const legacy = await RefundPolicy.findOne({ active: true }, "version").sort({ version: -1 }).lean();
+  return legacy?.version ?? null;
+}
+
+// One atomic write — whichever publish / activation writes last is live
+async function setActiveVersion(version) {
+  await ActiveVersion.findByIdAndUpdate(
+    ACTIVE_POINTER_ID,
+    { version, updatedAt: new Date() },
+    { upsert: true }
+  );
+  invalidatePolicyCache();
+}
+
+/**
+ * Return the active rule set. Cached in-memory for 30 seconds.
+ * Falls back to DEFAULT_POLICY if MongoDB is unavailable or nothing is active,
+ * so refund decisions never stop because of a policy lookup failure.
+ *
+ * @returns {Promise<object>} plain policy object
+ */
+async function getActivePolicy() {
+  if (_policyCache && _policyCache.expiresAt > Date.now()) {
+    return _policyCache.policy;
+  }
+  try {
+    const version = await getActiveVersion();
+    const policy = version != null ? await RefundPolicy.findOne({ version }).lean() : null;
+    if (policy) {
+      _policyCache = { policy, expiresAt: Date.now() + POLICY_CACHE_TTL_MS };
+      return policy;
+    }
+    console.warn("⚠️  No active refund policy found — using built-in default rules");
+  } catch (err) {
+    console.warn("⚠️  Refund policy lookup failed — using built-in default rules:", err.message);
+  }
+  return DEFAULT_POLICY;
+}
+
+function invalidatePolicyCache() {
+  _policyCache = null;
+}
+
+/**
+ * Validate a candidate rule set before it is published.
+ * Returns a list of human-readable problems (empty list = valid).
+ *
+ * @param {object} policy - { rules, refundWindowDays }
+ * @returns {string[]}
+ */
+function validatePolicy(policy) {
+  const errors = [];
+  if (!policy || typeof policy !== "object") return ["policy must be an object"];
+
+  const { rules, refundWindowDays } = policy;
+  if (refundWindowDays != null && !(Number(refundWindowDays) > 0)) {
+    errors.push("refundWindowDays must be a positive number");
+  }
+  if (!Array.isArray(rules) || rules.length === 0) {
+    errors.push("rules must be a non-empty array");
+    return errors;
+  }
+
+  const seenIds = new Set();
+  rules.forEach((rule, i) => {
+    const at = `rules[${i}]`;
+    if (!rule?.id) errors.push(`${at}.id is required`);
+    else if (seenIds.has(rule.id)) errors.push(`${at}.id "${rule.id}" is duplicated`);
+    else seenIds.add(rule.id);
+
+    const c = rule?.conditions || {};
+    for (const key of LIST_CONDITIONS) {
+      if (c[key] != null && !Array.isArray(c[key])) errors.push(`${at}.conditions.${key} must be an array`);
+    }
+    for (const key of ["withinWindow", "hasDuplicate"]) {
+      if (c[key] != null && typeof c[key] !== "boolean") errors.push(`${at}.conditions.${key} must be a boolean`);
+    }
+    for (const key of NUMERIC_CONDITIONS) {
+      if (c[key] != null && !isComparator(c[key])) {
+        errors.push(`${at}.conditions.${key} must use numeric comparators (${COMPARATORS.join(", ")})`);
+      }
+    }
+    if (c.amount != null && !isComparator(c.amount)) {
+      const entries = Object.entries(c.amount);
+      if (entries.length === 0 || entries.some(([code, cmp]) => !isSupportedCurrency(code) || code !== code.toLowerCase() || !isComparator(cmp))) {
+        errors.push(`${at}.conditions.amount must map lower-case currency codes to numeric comparators, e.g. { usd: { lt: 200 } }`);
+      }
+    }
+
+    const o = rule?.outcome || {};
+    if (!DECISIONS.includes(o.decision)) errors.push(`${at}.outcome.decision must be one of ${DECISIONS.join(", ")}`);
+    if (o.priority != null && !PRIORITIES.includes(o.priority)) errors.push(`${at}.outcome.priority must be HIGH or NORMAL`);
+    if (o.refundPercent != null && !(o.refundPercent >= 0 && o.refundPercent <= 100)) {
+      errors.push(`${at}.outcome.refundPercent must be between 0 and 100`);
+    }
+    if (o.decision === "APPROVED" && !(o.refundPercent > 0)) {
+      errors.push(`${at}.outcome.refundPercent must be above 0 for an APPROVED outcome (it is refunded automatically)`);
+    }
+    if (!o.reason) errors.push(`${at}.outcome.reason is required`);
+  });
+
+  // The last rule must be a catch-all so evaluate() always has a decision.
+  const last = rules[rules.length - 1];
+  if (last && Object.keys(last.conditions || {}).length > 0) {
+    errors.push("the last rule must have empty conditions (catch-all)");
+  }
+
+  return errors;
+}
+
+/**
+ * Publish a new policy version and make it the active one.
+ * Versions are append-only — the previous version stays on file for audit/rollback.
+ *
+ * @param {object} params
+ * @param {Array}  params.rules
+ * @param {number} [params.refundWindowDays]
+ * @param {string} [params.notes]
+ * @param {string} [params.publishedBy]
+ * @returns {Promise<object>} the new policy document
+ * @throws {Error} with .validationErrors when the rule set is invalid
+ */
+async function publishPolicy({ rules, refundWindowDays = 7, notes, publishedBy }) {
+  const errors = validatePolicy({ rules, refundWindowDays });
+  if (errors.length > 0) {
+    const err = new Error("Invalid refund policy");
+    err.validationErrors = errors;
+    throw err;
+  }
+
+  const latest = await RefundPolicy.findOne({}).sort({ version: -1 }).lean();
+  const version = (latest?.version || 0) + 1;
+
+  const policy = await RefundPolicy.create({
+    version,
+    refundWindowDays: Number(refundWindowDays),
+    rules,
+    notes,
+    publishedBy,
+  });
+  await setActiveVersion(version);
+
+  console.log(`[RefundPolicy] v${version} published by ${publishedBy || "unknown"} (${rules.length} rules)`);
+  return policy;
+}
+
+/**
+ * Re-activate an earlier version (rollback). Returns null if the version doesn't exist.
+ *
+ * @param {number} version
+ */
+async function activatePolicyVersion(version) {
+  const policy = await RefundPolicy.findOne({ version });
+  if (!policy) return null;
+  await setActiveVersion(version);
+  console.log(`[RefundPolicy] v${version} re-activated`);
+  return policy;
+}
+
+// ── Rule interpretation ───────────────────────────────────────────────────────
+
+function isComparator(value) {
+  if (!value || typeof value !== "object") return false;
+  const ops = Object.keys(value);
+  return ops.length > 0 && ops.every((op) => COMPARATORS.includes(op) && typeof value[op] === "number");
+}
+
+/**
+ * The comparator that applies to a currency, or null (condition can't match).
+ * A bare comparator predates per-currency thresholds and means USD.
+ */
+function amountComparator(condition, currency) {
+  if (isComparator(condition)) return currency === "usd" ? condition : null;
+  return condition[currency] || null;
+}
+
+function compare(value, comparator) {
+  return Object.entries(comparator).every(([op, target]) => {
+    if (op === "lt")  return value < target;
+    if (op === "lte") return value <= target;
+    if (op === "gt")  return value > target;
+    if (op === "gte") return value >= target;
+    if (op === "eq")  return value === target;
+    return false;
+  });
+}
+
+function ruleMatches(conditions = {}, facts) {
+  if (conditions.reasons && !conditions.reasons.includes(facts.reason)) return false;
+  if (conditions.sentimentPriority && !conditions.sentimentPriority.includes(facts.sentimentPriority)) return false;
+  if (conditions.riskLevels && !conditions.riskLevels.includes(facts.riskLevel)) return false;
+  if (conditions.riskActions && !conditions.riskActions.includes(facts.riskAction)) return false;
+  if (conditions.withinWindow != null && conditions.withinWindow !== facts.withinWindow) return false;
+  if (conditions.hasDuplicate != null && conditions.hasDuplicate !== facts.hasDuplicate) return false;
+  for (const key of NUMERIC_CONDITIONS) {
+    if (conditions[key] && !compare(facts[key], conditions[key])) return false;
+  }
+  if (conditions.amount) {
+    const comparator = amountComparator(conditions.amount, normalizeCurrency(facts.currency));
+    if (!comparator || !compare(facts.amount, comparator)) return false;
+  }
+  return true;
+}
+
+const MONEY_PLACEHOLDERS = ["amount", "refundAmount"];
+
+function renderMessage(template, vars, currency) {
+  return String(template || "")
+    // Versions published before currencies wrote "${refundAmount}" — the symbol now comes from formatMoney
+    .replace(/\$\{(amount|refundAmount)\}/g, "{$1}")
+    .replace(/\{(\w+)\}/g, (match, key) => {
+      if (!(key in vars)) return match;
+      return MONEY_PLACEHOLDERS.includes(key) ? formatMoney(vars[key], currency) : String(vars[key]);
+    });
+}
+
+// Share of an amount, rounded to the currency's minor unit
+function percentOf(amount, percent, currency) {
+  return fromMinor(Math.round((toMinor(amount, currency) * percent) / 100), currency);
+}
+
+/**
+ * Pure rule interpreter — no DB access. Used by evaluate() and anything that
+ * needs to replay a candidate policy against known facts.
+ *
+ * @param {object} policy - { version, refundWindowDays, rules }
+ * @param {object} facts  - { amount, currency, reason, sentimentPriority, attempts, hasDuplicate, withinWindow,
+ *                            fraudScore, riskLevel?, riskAction? }
+ * @returns {{ decision, reason, amount, couponValue, message, priority, fraudScore, ruleId, policyVersion }}
+ */
+function applyPolicy(policy, facts) {
+  const rule = (policy.rules || []).find((r) => ruleMatches(r.conditions, facts));
+  if (!rule) {
+    // Only reachable for unvalidated candidate policies — fail safe to a human.
+    return {
+      decision: "ESCALATE",
+      reason: "no_rule_matched",
+      amount: 0,
+      couponValue: 0,
+      message: "Connecting you with an agent to review your refund request.",
+      priority: "NORMAL",
+      fraudScore: facts.fraudScore,
+      ruleId: null,
+      policyVersion: policy.version ?? null,
+    };
+  }
+
+  const { decision, reason, priority = "NORMAL", refundPercent = 0, message } = rule.outcome;
+  const currency = normalizeCurrency(facts.currency);
+  const refundAmount = decision === "ESCALATE" || decision === "COUPON"
+    ? 0
+    : percentOf(facts.amount, refundPercent, currency);
+  const couponValue = decision === "COUPON"
+    ? percentOf(facts.amount, refundPercent, currency)
+    : 0;
+
+  return {
+    decision,
+    reason,
+    amount: refundAmount,
+    couponValue,
+    message: renderMessage(message, {
+      amount: facts.amount,
+      refundAmount,
+      refundPercent,
+      windowDays: policy.refundWindowDays,
+      fraudScore: facts.fraudScore,
+    }, currency),
+    priority,
+    fraudScore: facts.fraudScore,
+    ruleId: rule.id,
+    policyVersion: policy.version ?? null,
+  };
+}
+
 /**
  * Main policy evaluation function.
  * All inputs come from verified backend data — never from LLM output directly.
  *
  * @param {object} context
- * @param {number}  context.amount          - transaction amount in USD
+ * @param {number}  context.amount          - refundable amount, major units of context.currency
+ * @param {string}  context.currency        - the transaction's currency (picks the amount thresholds)
  * @param {string}  context.reason          - duplicate | service_issue | accidental | fraud | other
  * @param {object}  context.sentiment       - { priority: "HIGH" | "NORMAL" }
  * @param {number}  context.attempts        - number of prior negotiation attempts
@@ -87,13 +634,16 @@ async function getRefundFraudScore(userId) {
  * @param {Date}    context.transactionDate - when the original transaction occurred
  * @param {string}  context.userId          - for fraud score lookup
  * @param {number}  context.fraudScore      - pre-calculated fraud score (optional)
+ * @param {object}  context.risk            - riskService.assessRefundRisk() result, or null when the
+ *                                            fraud engine is disabled
  *
- * @returns {Promise<{ decision: string, reason: string, amount: number }>}
- *   decision: APPROVED | PARTIAL | ESCALATE | REJECT
+ * @returns {Promise<{ decision: string, reason: string, amount: number, ruleId: string, policyVersion: number }>}
+ *   decision: APPROVED | PARTIAL | COUPON | ESCALATE
  */
 async function evaluate(context) {
   const {
     amount,
+    currency,
     reason,
     sentiment,
     attempts = 0,
@@ -101,141 +651,40 @@ async function evaluate(context) {
     transactionDate,
     userId,
     fraudScore: preCalcFraudScore,
+    risk = null,
   } = context;
 
-  // ── Rule 1: Immediate senior escalation for fraud/HIGH priority ─────────────
-  if (reason === "fraud" || sentiment?.priority === "HIGH") {
-    return {
-      decision: "ESCALATE",
-      reason: "fraud_or_high_priority",
-      amount: 0,
-      message: "🚨 This case has been flagged as high priority. A senior agent has been notified and will contact you immediately.",
-      priority: "HIGH",
-    };
-  }
+  const policy = await getActivePolicy();
+  const fraudScore = preCalcFraudScore
+    ?? risk?.refundsInLast30Days
+    ?? (userId ? await getRefundFraudScore(userId) : 0);
 
-  // ── Rule 2: Fraud score check ────────────────────────────────────────────────
-  // Users with ≥ 3 approved refunds in 30 days are escalated for manual review.
-  // This prevents abuse patterns (request refund, re-purchase, repeat).
-  const fraudScore = preCalcFraudScore ?? (userId ? await getRefundFraudScore(userId) : 0);
-  if (fraudScore >= 3) {
-    return {
-      decision: "ESCALATE",
-      reason: "excessive_refunds",
-      amount: 0,
-      message: `We've noticed multiple recent refund requests on your account. A senior agent will review this case personally.`,
-      priority: "HIGH",
-      fraudScore,
-    };
-  }
-
-  // ── Rule 3: Refund window check ───────────────────────────────────────────────
-  const inWindow = isWithinRefundWindow(transactionDate, 7);
-
-  // ── Rule 4: Small transaction auto-approval (< $200) ────────────────────────
-  if (amount < 200 && inWindow) {
-    return {
-      decision: "APPROVED",
-      reason: "small_transaction_policy",
-      amount,
-      message: `Your refund of $${amount} qualifies for automatic approval under our small-transaction policy. Processing now.`,
-      priority: "NORMAL",
-    };
-  }
-
-  // ── Rule 5: Duplicate charge ─────────────────────────────────────────────────
-  if (reason === "duplicate") {
-    if (hasDuplicate) {
-      return {
-        decision: "APPROVED",
-        reason: "verified_duplicate",
-        amount,
-        message: "We found a matching duplicate charge on your account. Your full refund has been approved.",
-        priority: "NORMAL",
-      };
-    }
-    return {
-      decision: "ESCALATE",
-      reason: "unverified_duplicate",
-      amount: 0,
-      message: "We couldn't automatically verify the duplicate charge. Escalating to an agent for manual review.",
-      priority: "NORMAL",
-    };
-  }
-
-  // ── Rule 6: Service issue — offer coupon compensation ───────────────────────
-  if (reason === "service_issue") {
-    return {
-      decision: "COUPON",
-      reason: "service_compensation",
-      amount: 0,
-      message: "We're sorry for the service inconvenience. We'd like to offer you a compensation coupon.",
-      priority: "NORMAL",
-    };
-  }
-
-  // ── Rule 7: Accidental payment ───────────────────────────────────────────────
-  if (reason === "accidental") {
-    if (!inWindow) {
-      // Outside 7-day window: partial (50%) if first attempt, escalate if already tried
-      if (attempts === 0) {
-        const partial = parseFloat((amount * 0.5).toFixed(2));
-        return {
-          decision: "PARTIAL",
-          reason: "outside_refund_window",
-          amount: partial,
-          message: `This transaction is outside the standard 7-day refund window. We can offer a 50% refund ($${partial}) as a goodwill gesture.`,
-          priority: "NORMAL",
-        };
-      }
-      return {
-        decision: "ESCALATE",
-        reason: "outside_window_repeat_attempt",
-        amount: 0,
-        message: "Connecting you with an agent to further assist with your refund request.",
-        priority: "NORMAL",
-      };
-    }
-
-    // Within window
-    if (attempts > 0) {
-      return {
-        decision: "ESCALATE",
-        reason: "repeat_attempt",
-        amount: 0,
-        message: "Connecting you with an agent to further assist with your refund request.",
-        priority: "NORMAL",
-      };
-    }
-
-    const partial = parseFloat((amount * 0.5).toFixed(2));
-    return {
-      decision: "PARTIAL",
-      reason: "accidental_payment",
-      amount: partial,
-      message: `For accidental payments we can offer a 50% refund ($${partial}) immediately. Would you like to accept?`,
-      priority: "NORMAL",
-    };
-  }
+  const result = applyPolicy(policy, {
+    amount,
+    currency,
+    reason,
+    sentimentPriority: sentiment?.priority || "NORMAL",
+    attempts,
+    hasDuplicate,
+    withinWindow: isWithinRefundWindow(transactionDate, policy.refundWindowDays || 7),
+    fraudScore,
+    riskLevel: risk?.riskLevel ?? null,
+    riskAction: risk?.action ?? null,
+  });
 
-  // ── Rule 8: Default — normal escalation ──────────────────────────────────────
-  return {
-    decision: "ESCALATE",
-    reason: "default_escalation",
-    amount: 0,
-    message: "Connecting you with an agent to review your refund request.",
-    priority: "NORMAL",
-  };
+  console.log(`[RefundPolicy] v${result.policyVersion} rule=${result.ruleId} decision=${result.decision} reason=${result.reason}`);
+  return result;
 }
 
 /**
  * Legacy compatibility wrapper — maps to old evaluatePolicy() return shape.
  * Used by existing routes that haven't been migrated yet.
  *
- * @param {object} params - { amount, reason, sentiment, attempts, hasDuplicate }
+ * @param {object} params - { amount, currency, reason, sentiment, attempts, hasDuplicate }
  * @returns {{ action: string, message: string }}
  */
-function evaluatePolicyLegacy({ amount, reason, sentiment, attempts = 0, hasDuplicate = false, transactionDate }) {
+function evaluatePolicyLegacy({ amount, currency, reason, sentiment, attempts = 0, hasDuplicate = false, transactionDate }) {
+  const code = normalizeCurrency(currency);
   // Map new decision names back to legacy action names
   const DECISION_MAP = {
     APPROVED:  "AUTO_REFUND",
@@ -249,8 +698,8 @@ function evaluatePolicyLegacy({ amount, reason, sentiment, attempts = 0, hasDupl
     return { action: "ESCALATE_HIGH", message: "🚨 This case has been flagged as high priority. A senior agent has been notified and will contact you immediately." };
   }
   const inWindow = isWithinRefundWindow(transactionDate, 7);
-  if (amount < 200 && inWindow) {
-    return { action: "AUTO_REFUND", message: `Your refund of $${amount} qualifies for automatic approval under our small-transaction policy. Processing now.` };
+  if (code === "usd" && amount < 200 && inWindow) {
+    return { action: "AUTO_REFUND", message: `Your refund of ${formatMoney(amount, code)} qualifies for automatic approval under our small-transaction policy. Processing now.` };
   }
   if (reason === "duplicate") {
     if (hasDuplicate) return { action: "AUTO_REFUND", message: "We found a matching duplicate charge on your account. Your full refund has been approved." };
@@ -261,9 +710,22 @@ function evaluatePolicyLegacy({ amount, reason, sentiment, attempts = 0, hasDupl
   }
   if (reason === "accidental") {
     if (attempts > 0) return { action: "ESCALATE_NORMAL", message: "Connecting you with an agent to further assist with your refund request." };
-    return { action: "OFFER_PARTIAL", message: `For accidental payments we can offer a 50% refund ($${(amount * 0.5).toFixed(2)}) immediately.` };
+    return { action: "OFFER_PARTIAL", message: `For accidental payments we can offer a 50% refund (${formatMoney(percentOf(amount, 50, code), code)}) immediately.` };
   }
   return { action: "ESCALATE_NORMAL", message: "Connecting you with an agent to review your refund request." };
 }
 
-module.exports = { evaluate, evaluatePolicyLegacy, isWithinRefundWindow, getRefundFraudScore };
+module.exports = {
+  evaluate,
+  evaluatePolicyLegacy,
+  applyPolicy,
+  isWithinRefundWindow,
+  getRefundFraudScore,
+  seedRefundPolicy,
+  getActivePolicy,
+  getActiveVersion,
+  validatePolicy,
+  publishPolicy,
+  activatePolicyVersion,
+  DEFAULT_POLICY,
+};
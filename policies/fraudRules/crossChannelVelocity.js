@@ -0,0 +1,30 @@
+/**
+ * policies/fraudRules/crossChannelVelocity.js
+ * --------------------------------------------
+ * The same user opening refund requests from several channels at once
+ * (web chat + Telegram + a fresh channel) — a common way to shop for a
+ * more generous outcome.
+ */
+
+const { RefundRequest } = require("../../models");
+
+module.exports = {
+  name: "cross_channel_velocity",
+  description: "Refund requests from minChannels+ distinct channels within windowMinutes",
+  defaultWeight: 25,
+  defaultParams: { minChannels: 2, windowMinutes: 60 },
+
+  async evaluate(ctx, { weight, params }) {
+    const channels = await RefundRequest.distinct("channelUrl", {
+      userId: ctx.userId,
+      refundReason: { $ne: "agent" }, // agent /refund, not the customer
+      createdAt: { $gte: new Date(ctx.now - params.windowMinutes * 60 * 1000) },
+    });
+    const distinct = new Set(channels.filter(Boolean));
+    if (ctx.channelUrl) distinct.add(ctx.channelUrl);
+    if (distinct.size >= params.minChannels) {
+      return { trigger: "cross_channel_velocity", score: weight };
+    }
+    return null;
+  },
+};
@@ -0,0 +1,38 @@
+/**
+ * policies/fraudRules/highRefundAmount.js
+ * ----------------------------------------
+ * Large refunds carry more loss per mistake — flag anything above the limit.
+ *
+ * Limits are per currency (minAmount: { usd: 120, inr: 10000 }). A refund in
+ * a currency without its own limit is converted with the FX rate table into
+ * the first configured one. Rule sets published before per-currency limits
+ * carry minAmountINR, which still applies as the inr limit.
+ */
+
+module.exports = {
+  name: "high_refund_amount",
+  description: "Refund amount above minAmount for its currency (others converted via FX rates)",
+  defaultWeight: 30,
+  defaultParams: { minAmount: { usd: 120, inr: 10000 } },
+
+  async evaluate(ctx, { weight, params }) {
+    const limits = params.minAmountINR != null
+      ? { ...params.minAmount, inr: params.minAmountINR }
+      : params.minAmount || {};
+
+    let amount = ctx.amount;
+    let limit = limits[ctx.currency];
+    if (limit == null) {
+      const [currency, fallback] = Object.entries(limits)[0] || [];
+      if (!currency) return null;
+      amount = await ctx.convertAmount(currency);
+      if (amount == null) return null; // no FX rate — can't compare
+      limit = fallback;
+    }
+
+    if (amount > limit) {
+      return { trigger: "high_refund_amount", score: weight };
+    }
+    return null;
+  },
+};
@@ -0,0 +1,70 @@
+/**
+ * policies/fraudRules/index.js
+ * -----------------------------
+ * Registry of FraudEngine rules.
+ *
+ * WHY A REGISTRY:
+ *   Rules used to be hardwired into FraudEngine.evaluate() with a WEIGHTS
+ *   constant. Each rule is now a module:
+ *     {
+ *       name:          "rapid_requests",           // key used in FraudRuleSet config
+ *       description:   "...",
+ *       defaultWeight: 25,                         // seeded into rule set v1
+ *       defaultParams: { minRequests: 3 },         // rule-specific knobs
+ *       evaluate(ctx, { weight, params }) → null | { trigger, score }
+ *     }
+ *   Adding a rule = drop a module here and register it; weights, params and
+ *   on/off live in MongoDB (FraudRuleSet) and are edited from the admin dashboard.
+ *
+ * ctx passed to every rule:
+ *   { userId, txnId, channelUrl, amount, currency, convertAmount, userCreatedAt, refundsInLast30Days, now }
+ *   amount is in major units of currency; convertAmount(to) → Promise<number|null>
+ *   converts it with the FX rate table (null when a rate is missing).
+ */
+
+const _rules = new Map(); // name → rule module
+
+/**
+ * Register a rule module. Re-registering a name replaces the previous module.
+ * @param {object} rule
+ */
+function registerRule(rule) {
+  if (!rule?.name || typeof rule.evaluate !== "function") {
+    throw new Error("Fraud rule must have a name and an evaluate() function");
+  }
+  _rules.set(rule.name, {
+    defaultWeight: 0,
+    defaultParams: {},
+    description: "",
+    ...rule,
+  });
+}
+
+function getRule(name) {
+  return _rules.get(name) || null;
+}
+
+/**
+ * Metadata of every registered rule (for validation and the admin dashboard).
+ * @returns {Array<{name, description, defaultWeight, defaultParams}>}
+ */
+function listRules() {
+  return [..._rules.values()].map(({ name, description, defaultWeight, defaultParams }) => ({
+    name, description, defaultWeight, defaultParams,
+  }));
+}
+
+// ── Built-in rules ────────────────────────────────────────────────────────────
+[
+  require("./highRefundAmount"),
+  require("./refundHistory"),
+  require("./newUserInstant"),
+  require("./rapidRequests"),
+  require("./crossChannelVelocity"),
+  require("./sameAmountRepeat"),
+  require("./refundAfterDispute"),
+  require("./telegramOrigin"),
+  require("./promptInjection"),
+].forEach(registerRule);
+
+module.exports = { registerRule, getRule, listRules };
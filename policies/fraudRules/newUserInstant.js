@@ -0,0 +1,21 @@
+/**
+ * policies/fraudRules/newUserInstant.js
+ * --------------------------------------
+ * Brand-new accounts asking for money back straight away.
+ */
+
+module.exports = {
+  name: "new_user_instant",
+  description: "Account younger than maxAccountAgeHours",
+  defaultWeight: 20,
+  defaultParams: { maxAccountAgeHours: 24 },
+
+  async evaluate(ctx, { weight, params }) {
+    if (!ctx.userCreatedAt) return null;
+    const ageHours = (ctx.now - new Date(ctx.userCreatedAt).getTime()) / (1000 * 60 * 60);
+    if (ageHours < params.maxAccountAgeHours) {
+      return { trigger: "new_user_instant_refund", score: weight };
+    }
+    return null;
+  },
+};
@@ -0,0 +1,32 @@
+/**
+ * policies/fraudRules/promptInjection.js
+ * ---------------------------------------
+ * A customer who keeps trying to steer the bot's LLM ("ignore previous
+ * instructions…") is probing the system; one slip is curiosity, several is
+ * a pattern. Counts "prompt_injection" audit entries written by
+ * services/inputGuardService.js.
+ *
+ * Rule sets published before this rule existed didn't run it; on startup
+ * seedFraudRuleSet() publishes the active set plus this rule as a new version.
+ */
+
+const { AuditLog } = require("../../models");
+
+module.exports = {
+  name: "prompt_injection",
+  description: "minAttempts+ prompt-injection attempts within windowDays",
+  defaultWeight: 20,
+  defaultParams: { minAttempts: 2, windowDays: 7 },
+
+  async evaluate(ctx, { weight, params }) {
+    const attempts = await AuditLog.countDocuments({
+      userId: ctx.userId,
+      actionType: "prompt_injection",
+      createdAt: { $gte: new Date(ctx.now - params.windowDays * 24 * 60 * 60 * 1000) },
+    });
+    if (attempts >= params.minAttempts) {
+      return { trigger: "prompt_injection", score: weight };
+    }
+    return null;
+  },
+};
@@ -0,0 +1,27 @@
+/**
+ * policies/fraudRules/rapidRequests.js
+ * -------------------------------------
+ * Rapid-fire refund requests (scripted or button-mashing probing of the policy).
+ * Requests an agent opened with /refund (refundReason "agent") don't count.
+ */
+
+const { RefundRequest } = require("../../models");
+
+module.exports = {
+  name: "rapid_requests",
+  description: "minRequests+ refund requests within windowMinutes",
+  defaultWeight: 25,
+  defaultParams: { minRequests: 3, windowMinutes: 5 },
+
+  async evaluate(ctx, { weight, params }) {
+    const count = await RefundRequest.countDocuments({
+      userId: ctx.userId,
+      refundReason: { $ne: "agent" },
+      createdAt: { $gte: new Date(ctx.now - params.windowMinutes * 60 * 1000) },
+    });
+    if (count >= params.minRequests) {
+      return { trigger: "rapid_requests", score: weight };
+    }
+    return null;
+  },
+};
@@ -0,0 +1,25 @@
+/**
+ * policies/fraudRules/refundAfterDispute.js
+ * ------------------------------------------
+ * A user who already opened a card dispute (chargeback) and now also asks us
+ * for a refund risks being paid twice.
+ */
+
+const { Transaction, Dispute } = require("../../models");
+
+module.exports = {
+  name: "refund_after_dispute",
+  description: "User has an open or lost card dispute on any transaction",
+  defaultWeight: 40,
+  defaultParams: {},
+
+  async evaluate(ctx, { weight }) {
+    const disputed =
+      (await Dispute.exists({ userId: ctx.userId, status: { $nin: ["won", "warning_closed"] } })) ||
+      (await Transaction.exists({ userId: ctx.userId, status: { $in: ["disputed", "chargeback"] } }));
+    if (disputed) {
+      return { trigger: "refund_after_dispute", score: weight };
+    }
+    return null;
+  },
+};
@@ -0,0 +1,20 @@
+/**
+ * policies/fraudRules/refundHistory.js
+ * -------------------------------------
+ * Repeat refunders. Uses the engine's 30-day approved-refund count — the same
+ * number RefundPolicyEngine exposes to policy rules as fraudScore.
+ */
+
+module.exports = {
+  name: "refund_history",
+  description: "minRefunds+ approved refunds in the last 30 days",
+  defaultWeight: 40,
+  defaultParams: { minRefunds: 3 },
+
+  async evaluate(ctx, { weight, params }) {
+    if (ctx.refundsInLast30Days >= params.minRefunds) {
+      return { trigger: "refund_history_abuse", score: weight };
+    }
+    return null;
+  },
+};
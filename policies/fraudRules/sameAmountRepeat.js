@@ -0,0 +1,39 @@
+/**
+ * policies/fraudRules/sameAmountRepeat.js
+ * ----------------------------------------
+ * Buy, refund, buy the same thing again, refund again. Flags a refund when
+ * the user was already refunded for another transaction of the same amount
+ * (and currency).
+ */
+
+const { RefundRequest, Transaction } = require("../../models");
+
+module.exports = {
+  name: "same_amount_repeat",
+  description: "minRepeats+ earlier refunds of the same amount within lookbackDays",
+  defaultWeight: 20,
+  defaultParams: { minRepeats: 1, lookbackDays: 30 },
+
+  async evaluate(ctx, { weight, params }) {
+    if (!ctx.amount) return null;
+    const refunded = await RefundRequest.find({
+      userId: ctx.userId,
+      txnId: { $ne: ctx.txnId },
+      status: { $in: ["approved", "refunded"] },
+      createdAt: { $gte: new Date(ctx.now - params.lookbackDays * 24 * 60 * 60 * 1000) },
+    }, "txnId").lean();
+    if (refunded.length === 0) return null;
+
+    const repeats = await Transaction.countDocuments({
+      userId: ctx.userId,
+      transactionId: { $in: refunded.map((r) => r.txnId) },
+      amount: ctx.amount,
+      // Transactions created before the currency field existed are usd
+      currency: ctx.currency === "usd" ? { $in: ["usd", null] } : ctx.currency,
+    });
+    if (repeats >= params.minRepeats) {
+      return { trigger: "same_amount_repeat_refund", score: weight };
+    }
+    return null;
+  },
+};
@@ -0,0 +1,23 @@
+/**
+ * policies/fraudRules/telegramOrigin.js
+ * --------------------------------------
+ * Telegram users are created on first message with no email or payment
+ * identity behind them — a small risk bump, not a verdict on its own.
+ */
+
+const { TelegramUser } = require("../../models");
+
+module.exports = {
+  name: "telegram_origin",
+  description: "User was created through the Telegram relay",
+  defaultWeight: 10,
+  defaultParams: {},
+
+  async evaluate(ctx, { weight }) {
+    const telegramUser = await TelegramUser.exists({ sendbirdUserId: ctx.userId });
+    if (telegramUser) {
+      return { trigger: "telegram_origin", score: weight };
+    }
+    return null;
+  },
+};
@@ -68,8 +68,19 @@ setInterval(() => {
 let paymentQueue = null;
 let refundQueue = null;
 let escalationQueue = null;
+let reconciliationQueue = null;
+let offerExpiryQueue = null;
+let deskSyncQueue = null;
+let slaQueue = null;
 let _initialized = false;
 
+// Stripe reconciliation cadence (services/reconciliationService.js)
+const RECONCILIATION_INTERVAL_HOURS = Number(process.env.RECONCILIATION_INTERVAL_HOURS) || 6;
+// Partial refund offer sweep cadence (services/refundOfferService.js)
+const OFFER_EXPIRY_SWEEP_MINUTES = Number(process.env.OFFER_EXPIRY_SWEEP_MINUTES) || 5;
+// Desk ticket status poll cadence (services/deskService.js syncDeskTickets)
+const DESK_SYNC_INTERVAL_MINUTES = Number(process.env.DESK_SYNC_INTERVAL_MINUTES) || 2;
+
 function initQueues() {
   if (_initialized) return;
   try {
@@ -81,13 +92,63 @@ function initQueues() {
     paymentQueue    = new Queue("payments",    { connection: conn, defaultJobOptions: DEFAULT_JOB_OPTIONS });
     refundQueue     = new Queue("refunds",     { connection: conn, defaultJobOptions: DEFAULT_JOB_OPTIONS });
     escalationQueue = new Queue("escalations", { connection: conn, defaultJobOptions: DEFAULT_JOB_OPTIONS });
+    reconciliationQueue = new Queue("reconciliation", { connection: conn, defaultJobOptions: DEFAULT_JOB_OPTIONS });
+    offerExpiryQueue = new Queue("offer-expiry", { connection: conn, defaultJobOptions: DEFAULT_JOB_OPTIONS });
+    deskSyncQueue = new Queue("desk-sync", { connection: conn, defaultJobOptions: DEFAULT_JOB_OPTIONS });
+    slaQueue = new Queue("sla-timers", { connection: conn, defaultJobOptions: DEFAULT_JOB_OPTIONS });
     _initialized = true;
-    console.log("✅ BullMQ queues initialized (payments, refunds, escalations)");
+    console.log("✅ BullMQ queues initialized (payments, refunds, escalations, reconciliation, offer-expiry, desk-sync, sla-timers)");
+    scheduleReconciliation();
+    scheduleOfferExpiry();
+    scheduleDeskSync();
   } catch (err) {
     console.warn("⚠️  BullMQ queue init failed — background jobs disabled:", err.message);
   }
 }
 
+/**
+ * Register the repeating reconciliation job. upsertJobScheduler is idempotent,
+ * so every pod calling it on boot still yields one schedule.
+ */
+function scheduleReconciliation() {
+  reconciliationQueue
+    .upsertJobScheduler(
+      "reconciliation-scheduled",
+      { every: RECONCILIATION_INTERVAL_HOURS * 60 * 60 * 1000 },
+      { name: "reconcile", data: { trigger: "schedule" } }
+    )
+    .then(() => console.log(`✅ Stripe reconciliation scheduled every ${RECONCILIATION_INTERVAL_HOURS}h`))
+    .catch((err) => console.warn("⚠️  Reconciliation schedule failed (non-fatal):", err.message));
+}
+
+/**
+ * Register the repeating partial-offer expiry sweep (idempotent, like reconciliation).
+ */
+function scheduleOfferExpiry() {
+  offerExpiryQueue
+    .upsertJobScheduler(
+      "offer-expiry-scheduled",
+      { every: OFFER_EXPIRY_SWEEP_MINUTES * 60 * 1000 },
+      { name: "expire-offers", data: {} }
+    )
+    .then(() => console.log(`✅ Refund offer expiry sweep scheduled every ${OFFER_EXPIRY_SWEEP_MINUTES}m`))
+    .catch((err) => console.warn("⚠️  Offer expiry schedule failed (non-fatal):", err.message));
+}
+
+/**
+ * Register the repeating Desk ticket status poll (idempotent, like reconciliation).
+ */
+function scheduleDeskSync() {
+  deskSyncQueue
+    .upsertJobScheduler(
+      "desk-sync-scheduled",
+      { every: DESK_SYNC_INTERVAL_MINUTES * 60 * 1000 },
+      { name: "sync-desk-tickets", data: {} }
+    )
+    .then(() => console.log(`✅ Desk ticket sync scheduled every ${DESK_SYNC_INTERVAL_MINUTES}m`))
+    .catch((err) => console.warn("⚠️  Desk sync schedule failed (non-fatal):", err.message));
+}
+
 /**
  * Add a job to a queue with per-user rate guard.
  * Returns { queued: true } or { queued: false, reason: string }.
@@ -127,6 +188,10 @@ async function getQueueStats() {
     ["payments", paymentQueue],
     ["refunds", refundQueue],
     ["escalations", escalationQueue],
+    ["reconciliation", reconciliationQueue],
+    ["offer-expiry", offerExpiryQueue],
+    ["desk-sync", deskSyncQueue],
+    ["sla-timers", slaQueue],
   ]) {
     if (!q) {
       stats[name] = { status: "unavailable" };
@@ -153,6 +218,10 @@ module.exports = {
   getPaymentQueue:    () => paymentQueue,
   getRefundQueue:     () => refundQueue,
   getEscalationQueue: () => escalationQueue,
+  getReconciliationQueue: () => reconciliationQueue,
+  getOfferExpiryQueue: () => offerExpiryQueue,
+  getDeskSyncQueue: () => deskSyncQueue,
+  getSlaQueue: () => slaQueue,
   addJobSafe,
   getQueueStats,
 };
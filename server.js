@@ -8,12 +8,12 @@
  * ─────────────────────────────────────────────────────────────────────────────
  *
  * /models          — Mongoose schemas
- * /integrations    — Vendor clients (Redis, OpenAI, Stripe, Sendbird, S3, Firebase, Telegram)
+ * /integrations    — Vendor clients (Redis, LLM gateway, Stripe, Sendbird, S3, Firebase, Telegram)
  * /middleware      — Cross-cutting concerns (idempotency, rate limits, signatures, feature flags, admin auth)
  * /policies        — Deterministic business rules (RefundPolicyEngine, FraudEngine)
  * /services        — Orchestration layer (intent, session, audit, desk, push notifications)
  * /queues          — BullMQ queue definitions
- * /workers         — BullMQ job processors (payment, refund, escalation)
+ * /workers         — BullMQ job processors (payment, refund, escalation, reconciliation)
  * /controllers     — HTTP route handlers
  * /admin           — Admin dashboard static HTML
  *
@@ -30,7 +30,7 @@
  *   MongoDB Atlas:  512MB free (M0 cluster)
  *   Redis Cloud:    30MB free — https://redis.com/try-free/
  *   Render:         750 hrs/month free (web service)
- *   OpenAI:         Pay-per-use — guarded by OPENAI_BUDGET_USD ($5 default)
+ *   OpenAI / Azure: Pay-per-use — guarded by LLM_BUDGET_USD ($5 default); local models free
  *   Sendbird:       Free tier — 100 MAU, 1000 channels
  *   Stripe:         Free sandbox — no charges in test mode
  *   Telegram Bot:   Completely free
@@ -48,7 +48,7 @@ const rateLimit = require("express-rate-limit");
 const path      = require("path");
 
 // ── Vendor initializers ───────────────────────────────────────────────────────
-const { initOpenAI }    = require("./integrations/openaiClient");
+const { initLLM }       = require("./integrations/llmGateway");
 const { initStripe }    = require("./integrations/stripeClient");
 const { initRedis }     = require("./integrations/redisClient");
 const { initFirebase }  = require("./integrations/firebaseClient");
@@ -60,12 +60,18 @@ const { initQueues }            = require("./queues/index");
 const { startPaymentWorker }    = require("./workers/paymentWorker");
 const { startRefundWorker }     = require("./workers/refundWorker");
 const { startEscalationWorker } = require("./workers/escalationWorker");
+const { startReconciliationWorker } = require("./workers/reconciliationWorker");
+const { startOfferExpiryWorker } = require("./workers/offerExpiryWorker");
+const { startDeskSyncWorker }   = require("./workers/deskSyncWorker");
+const { startSlaWorker }        = require("./workers/slaWorker");
 
 // ── Route controllers ─────────────────────────────────────────────────────────
 const webhookController               = require("./controllers/webhookController");
 const { sendbirdWebhookHandler }      = require("./controllers/webhookController");
 const refundController                = require("./controllers/refundController");
 const transactionController           = require("./controllers/transactionController");
+const couponController                = require("./controllers/couponController");
+const feedbackController              = require("./controllers/feedbackController");
 const userController                  = require("./controllers/userController");
 const telegramController              = require("./controllers/telegramController");
 const uploadController                = require("./controllers/uploadController");
@@ -77,6 +83,11 @@ const { userRateLimitMiddleware }  = require("./middleware/rateLimitMiddleware")
 const { verifySendbirdSignature }  = require("./middleware/webhookSignatureMiddleware");
 const { seedFeatureFlags }         = require("./middleware/featureFlagMiddleware");
 
+// ── Policies ──────────────────────────────────────────────────────────────────
+const { seedRefundPolicy }         = require("./policies/RefundPolicyEngine");
+const { seedFraudRuleSet }         = require("./policies/FraudEngine");
+const { seedFxRates }              = require("./services/currencyService");
+
 // ── Services ──────────────────────────────────────────────────────────────────
 const { loadEscalatedChannels }  = require("./services/deskService");
 
@@ -157,7 +168,7 @@ if (!SENDBIRD_APP_ID || !SENDBIRD_API_TOKEN || !SENDBIRDDESKAPITOKEN) {
 // ===============================
 console.log("Starting server...");
 
-initOpenAI();
+initLLM();
 initStripe();
 initFirebase();   // FCM — no-op if FIREBASE_CONFIG_PATH not set
 initS3();         // AWS S3 — no-op if AWS credentials not set
@@ -172,6 +183,10 @@ initRedis()
     startPaymentWorker();
     startRefundWorker();
     startEscalationWorker();
+    startReconciliationWorker();
+    startOfferExpiryWorker();
+    startDeskSyncWorker();
+    startSlaWorker();
   });
 
 // ===============================
@@ -184,6 +199,9 @@ mongoose
     await ensureBotUser();
     await loadEscalatedChannels();
     await seedFeatureFlags();   // seed default feature flags if not present
+    await seedRefundPolicy();   // seed refund policy v1 if no version exists
+    await seedFraudRuleSet();   // seed fraud rule set v1 if no version exists
+    await seedFxRates();        // seed FX rates from FX_RATES if not present
   })
   .catch((err) => console.error("Mongo Error:", err));
 
@@ -211,6 +229,8 @@ app.use("/", uploadController);
 app.use("/", webhookController);
 app.use("/", refundController);
 app.use("/", transactionController);
+app.use("/", couponController);
+app.use("/", feedbackController);
 app.use("/", userController);
 
 // ── Admin dashboard — protected by Basic Auth ─────────────────────────────────
@@ -243,43 +263,43 @@ app.post("/register-push-token", async (req, res) => {
 // DIAGNOSTIC / UTILITY ENDPOINTS
 // ===============================
 
-// GET /llm-budget — live OpenAI spend vs configured budget
+// GET /llm-budget — live LLM spend vs configured budget
 app.get("/llm-budget", async (req, res) => {
   try {
-    const { OPENAI_BUDGET_USD, getOpenAI } = require("./integrations/openaiClient");
+    const { LLM_BUDGET_USD, isLLMConfigured, getProviderStats } = require("./integrations/llmGateway");
     const budget = await TokenBudget.findOne({ _id: "global" }) || {};
     const spent     = budget.totalCostUSD      || 0;
-    const remaining = Math.max(0, OPENAI_BUDGET_USD - spent);
-    const usedPct   = (spent / OPENAI_BUDGET_USD) * 100;
+    const remaining = Math.max(0, LLM_BUDGET_USD - spent);
+    const usedPct   = (spent / LLM_BUDGET_USD) * 100;
     return res.json({
-      budget_usd:           OPENAI_BUDGET_USD,
+      budget_usd:           LLM_BUDGET_USD,
       spent_usd:            parseFloat(spent.toFixed(6)),
       remaining_usd:        parseFloat(remaining.toFixed(6)),
       used_pct:             parseFloat(usedPct.toFixed(2)),
       status:               budget.warningLevel || "ok",
       total_input_tokens:   budget.totalInputTokens  || 0,
       total_output_tokens:  budget.totalOutputTokens || 0,
-      llm_enabled:          getOpenAI() !== null,
-      note: "LLM calls are disabled automatically when spent_usd >= budget_usd",
+      llm_enabled:          isLLMConfigured(),
+      providers:            getProviderStats(),
+      note: "Paid LLM calls are disabled automatically when spent_usd >= budget_usd",
     });
   } catch (err) {
     return res.status(500).json({ error: "llm-budget", detail: err.message });
   }
 });
 
-// GET /clear-escalation?channelUrl=<url> — reset stale escalation state
+// GET /clear-escalation?channelUrl=<url> — reset stale escalation state.
+// Closed tickets are de-escalated by the desk-sync job; this is for state the
+// sync can't see (no ticketId). Mappings are archived, not deleted.
 app.get("/clear-escalation", async (req, res) => {
-  const { ChannelMapping } = require("./models");
-  const { escalatedChannels } = require("./services/deskService");
+  const { archiveMappings } = require("./services/deskService");
   const { channelUrl } = req.query;
   if (channelUrl) {
-    escalatedChannels.delete(channelUrl);
-    const del = await ChannelMapping.deleteOne({ originalChannelUrl: channelUrl });
-    return res.json({ success: true, deleted: del.deletedCount, channelUrl });
+    const archived = await archiveMappings({ originalChannelUrl: channelUrl }, { closedBy: "clear-escalation" });
+    return res.json({ success: true, archived, channelUrl });
   }
-  escalatedChannels.clear();
-  const del = await ChannelMapping.deleteMany({});
-  res.json({ success: true, message: "Cleared all escalation mappings", deleted: del.deletedCount });
+  const archived = await archiveMappings({}, { closedBy: "clear-escalation" });
+  res.json({ success: true, message: "Cleared all escalation mappings", archived });
 });
 
 // GET /audit-logs — compliance audit trail (also available under /admin/api/audit-logs with auth)
@@ -336,7 +356,7 @@ app.get("/debug-desk", async (req, res) => {
 
 // GET / and GET /health — health check
 const healthHandler = async (_req, res) => {
-  const { getOpenAI, OPENAI_BUDGET_USD } = require("./integrations/openaiClient");
+  const { isLLMConfigured, describeProviders, LLM_BUDGET_USD } = require("./integrations/llmGateway");
   const { getStripe } = require("./integrations/stripeClient");
   const { getRedisStatus } = require("./integrations/redisClient");
   const { getMessaging } = require("./integrations/firebaseClient");
@@ -348,7 +368,7 @@ const healthHandler = async (_req, res) => {
   try {
     const budget = await TokenBudget.findOne({ _id: "global" });
     if (budget) {
-      budgetStatus = `$${budget.totalCostUSD.toFixed(4)}/$${OPENAI_BUDGET_USD} (${budget.warningLevel})`;
+      budgetStatus = `$${budget.totalCostUSD.toFixed(4)}/$${LLM_BUDGET_USD} (${budget.warningLevel})`;
     }
   } catch {}
 
@@ -362,7 +382,7 @@ const healthHandler = async (_req, res) => {
     status: "ok",
     service: "fintech-ai-backend",
     architecture: "layered (controllers/services/policies/queues/workers/integrations/middleware/models)",
-    llm_mode: getOpenAI() ? "hybrid (gpt-4o-mini + rule-based fallback)" : "rule-based only",
+    llm_mode: isLLMConfigured() ? `hybrid (${describeProviders()} + rule-based fallback)` : "rule-based only",
     llm_budget: budgetStatus,
     stripe: getStripe() ? "configured" : "demo mode",
     redis: getRedisStatus(),
@@ -377,7 +397,7 @@ const healthHandler = async (_req, res) => {
       "per-user-rate-limiting (10/min, 100/day)",
       "webhook-signature-verification (master-token)",
       "conversation-memory (UserSession+Redis cache)",
-      "refund-policy-engine (7-day window, fraud score)",
+      "refund-policy-engine (versioned rules, 7-day window, fraud score)",
       "fraud-engine (deterministic rules, no LLM)",
       "audit-logging",
       "hybrid-llm-intent",
@@ -0,0 +1,325 @@
+/**
+ * services/agentCommandService.js
+ * --------------------------------
+ * Slash commands typed by agents in a Sendbird Desk channel.
+ *
+ *   /refund TXN1002 [amount]   refund (full remaining balance when amount is omitted)
+ *   /coupon <value> [TXN1002]  issue a compensation coupon (defaults to the chat's active TXN)
+ *   /close [note]              close the Desk ticket, hand the chat back to the bot
+ *   /help                      list the commands this agent may use
+ *
+ * WHY:
+ *   Agents could only chat; refunds had to go through /process-refund from
+ *   somewhere else. Commands resolve the customer through ChannelMapping (the
+ *   agent never types a userId) and reuse the customer-facing paths —
+ *   refundStateMachine + processRefundInternal (ledger, dispute block, Stripe)
+ *   and couponService — so an agent can't do anything the ledger wouldn't.
+ *
+ * LIMITS:
+ *   /refund and /coupon run the same risk step and refund policy as the
+ *   customer flow first, and are refused while a fraud review case on the
+ *   transaction is open or when the policy escalates it for fraud — those go
+ *   through the fraud review queue. /coupon is refused while the customer
+ *   still holds an unused coupon for the transaction, and all coupons on one
+ *   transaction together are capped at AGENT_COUPON_MAX_PERCENT of its amount
+ *   (default 20).
+ *
+ * PERMISSIONS:
+ *   DESK_AGENT_PERMISSIONS="<agentId>=refund,coupon,close;<agentId>=close"
+ *   "*" as the agent id sets the default for everyone else. Unset → nobody
+ *   may run commands. Every attempt, allowed or not, is audit-logged as
+ *   "agent_command" under the agent's id.
+ */
+
+const { RefundRequest, Coupon } = require("../models");
+const { addBotToChannel, sendBotMessage } = require("../integrations/sendbirdClient");
+const { findTransaction, processRefundInternal } = require("./transactionService");
+const { issueCoupon } = require("./couponService");
+const { getRefundableAmount } = require("./ledgerService");
+const { assessRefundRisk, assertNoOpenReview } = require("./riskService");
+const { evaluate: evaluateRefundPolicy } = require("../policies/RefundPolicyEngine");
+const { closeDeskTicket } = require("./deskService");
+const { getConversationState } = require("./sessionService");
+const { transition, stateOf, CLOSED_STATES } = require("./refundStateMachine");
+const { log, logRefundDecision, trackAnalytics } = require("./auditService");
+const { formatMoney, toMinor, fromMinor } = require("./currencyService");
+
+// Unset or unparseable → 20; an explicit 0 is kept (no agent coupons)
+const AGENT_COUPON_MAX_PERCENT = Number.isFinite(parseFloat(process.env.AGENT_COUPON_MAX_PERCENT))
+  ? parseFloat(process.env.AGENT_COUPON_MAX_PERCENT)
+  : 20;
+// Policy rules whose ESCALATE means "suspected fraud", not just "needs a human"
+const FRAUD_RULE_IDS = ["fraud_reason", "fraud_engine_high_risk", "excessive_refunds"];
+
+const COMMANDS = {
+  refund: { usage: "/refund TXN1002 [amount]", run: runRefund },
+  coupon: { usage: "/coupon <value> [TXN1002]", run: runCoupon },
+  close:  { usage: "/close [note]",            run: runClose },
+};
+
+function isAgentCommand(text) {
+  return typeof text === "string" && text.trim().startsWith("/");
+}
+
+/**
+ * Commands an agent may run, from DESK_AGENT_PERMISSIONS.
+ *
+ * @returns {string[]}
+ */
+function agentPermissions(agentId) {
+  const table = new Map();
+  for (const entry of String(process.env.DESK_AGENT_PERMISSIONS || "").split(";")) {
+    const [id, commands] = entry.split("=").map((s) => s?.trim());
+    if (id && commands) table.set(id, commands.split(",").map((c) => c.trim().toLowerCase()).filter(Boolean));
+  }
+  return table.get(agentId) || table.get("*") || [];
+}
+
+/**
+ * Run one agent command and answer in the Desk channel. Never throws —
+ * failures become a ⚠️ reply to the agent.
+ *
+ * @param {object} params
+ * @param {string} params.agentId - Sendbird id of the agent who typed it
+ * @param {object} params.mapping - ChannelMapping for the Desk channel
+ * @param {string} params.text    - the raw message
+ */
+async function handleAgentCommand({ agentId, mapping, text }) {
+  const [rawName, ...args] = text.trim().slice(1).split(/\s+/);
+  const name = (rawName || "").toLowerCase();
+  const allowed = agentPermissions(agentId);
+  const ctx = {
+    agentId,
+    userId: mapping.userId,
+    channelUrl: mapping.originalChannelUrl,
+    deskChannelUrl: mapping.deskChannelUrl,
+    mapping,
+  };
+
+  let reply;
+  let outcome = { ok: false };
+  if (!COMMANDS[name]) {
+    reply = helpText(allowed, name && name !== "help" ? `Unknown command /${name}.` : null);
+    outcome = { ok: name === "help" };
+  } else if (!allowed.includes(name)) {
+    reply = `⚠️ You don't have permission to run /${name}.`;
+    outcome = { ok: false, error: "forbidden" };
+  } else {
+    try {
+      const result = await COMMANDS[name].run(ctx, args);
+      reply = result.reply;
+      outcome = { ok: true, ...result.details };
+    } catch (err) {
+      reply = `⚠️ /${name} failed: ${err.message}${err.usage ? `\nUsage: ${err.usage}` : ""}`;
+      outcome = { ok: false, error: err.message };
+      if (!err.usage && !err.code && !err.status) console.error(`[AgentCommand] /${name} error:`, err.message);
+    }
+  }
+
+  await log("agent_command", {
+    userId: agentId,
+    txnId: outcome.txnId,
+    channelUrl: ctx.channelUrl,
+    details: { command: name, args, customerUserId: ctx.userId, deskChannelUrl: ctx.deskChannelUrl, ...outcome },
+  });
+
+  // /close removed the mapping, but the Desk channel still exists for the reply
+  try {
+    await addBotToChannel(ctx.deskChannelUrl);
+    await sendBotMessage(ctx.deskChannelUrl, reply);
+  } catch (err) {
+    console.warn("⚠️ Agent command reply failed (non-fatal):", err.message);
+  }
+  console.log(`[AgentCommand] ${agentId} /${name} ${args.join(" ")} → ${outcome.ok ? "ok" : outcome.error || "rejected"}`);
+  return outcome;
+}
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+async function runRefund({ agentId, userId, channelUrl }, [txnArg, amountArg]) {
+  if (!/^TXN\d+$/i.test(txnArg || "")) throw usageError("refund");
+  const amount = amountArg != null ? Number(amountArg) : null;
+  if (amount !== null && !(amount > 0)) throw usageError("refund", "amount must be a positive number");
+
+  const txnId = txnArg.toUpperCase();
+  const transaction = await findTransaction(txnId, userId);
+  if (!transaction) throw new Error(`${txnId} not found for customer ${userId}`);
+
+  const balance = await getRefundableAmount(transaction);
+  if (!(balance > 0)) throw new Error(`${txnId} has nothing left to refund`);
+
+  let refundRequest = await RefundRequest.findOne({ userId, txnId, channelUrl }).lean();
+  const { risk, policyResult } = await checkPolicy({
+    userId, txnId, channelUrl, transaction, refundRequest, amount: Math.min(amount ?? balance, balance),
+  });
+
+  // Same state machine the customer flow uses: a fresh or closed request is
+  // started and evaluated with the policy run above, then approved by the agent.
+  // Not a policy decision — policy simulation skips AGENT_REFUND
+  const decided = {
+    finalDecision: "AGENT_REFUND",
+    policyVersion: policyResult.policyVersion,
+    policyRuleId: policyResult.ruleId,
+    riskLevel: risk?.riskLevel || null,
+  };
+  const state = stateOf(refundRequest);
+  if (state === "none" || CLOSED_STATES.includes(state)) {
+    refundRequest = await transition(refundRequest, "start", {
+      actor: agentId,
+      set: { refundReason: "agent" },
+      create: { userId, txnId, channelUrl },
+    });
+  }
+  if (stateOf(refundRequest) === "reason_asked") {
+    refundRequest = await transition(refundRequest, "evaluate", {
+      actor: agentId,
+      note: `desk /refund (policy v${policyResult.policyVersion}: ${policyResult.decision}, rule ${policyResult.ruleId})`,
+      set: decided,
+    });
+  }
+  if (stateOf(refundRequest) === "offer_sent") {
+    throw refusal(`a partial refund offer on ${txnId} is waiting for the customer's answer — refund once they accept or decline it`);
+  }
+  if (stateOf(refundRequest) !== "approved") {
+    await transition(refundRequest, "approve", {
+      actor: agentId, note: "desk /refund", set: decided,
+    });
+  }
+
+  const { refundAmount, refundable } = await processRefundInternal(txnId, channelUrl, userId, transaction, amount);
+  await logRefundDecision({ userId, txnId, channelUrl, decision: "APPROVED", reason: "agent_refund", amount: refundAmount });
+  await trackAnalytics("refund_approved", {
+    userId, txnId, channelUrl,
+    metadata: { source: "desk_command", agentId, amount: refundAmount },
+  });
+
+  return {
+    reply: `✅ Refunded ${formatMoney(refundAmount, transaction.currency)} on ${txnId} — ` +
+      `${formatMoney(refundable, transaction.currency)} still refundable. The customer has been notified.`,
+    details: { txnId, amount: refundAmount, currency: transaction.currency },
+  };
+}
+
+async function runCoupon({ agentId, userId, channelUrl }, [valueArg, txnArg]) {
+  const value = Number(valueArg);
+  if (!(value > 0)) throw usageError("coupon", "value must be a positive number");
+
+  const txnId = (txnArg || (await getConversationState(channelUrl))?.activeTxnId || "").toUpperCase();
+  if (!/^TXN\d+$/.test(txnId)) throw usageError("coupon", "no active transaction in this chat — add the TXN id");
+  const transaction = await findTransaction(txnId, userId);
+  if (!transaction) throw new Error(`${txnId} not found for customer ${userId}`);
+
+  // Coupons already given for this transaction — unused ones block a new one,
+  // and every one that wasn't revoked or left to expire counts toward the cap
+  const coupons = await Coupon.find({ userId, sourceTxnId: txnId }, "code status valueMinor").lean();
+  const unused = coupons.find((c) => ["active", "reserved"].includes(c.status));
+  if (unused) throw refusal(`the customer already holds coupon ${unused.code} for ${txnId}`);
+  const givenMinor = coupons
+    .filter((c) => !["revoked", "expired"].includes(c.status))
+    .reduce((sum, c) => sum + (c.valueMinor || 0), 0);
+  const capMinor = Math.floor(toMinor(transaction.amount, transaction.currency) * AGENT_COUPON_MAX_PERCENT / 100);
+  if (givenMinor + toMinor(value, transaction.currency) > capMinor) {
+    const left = fromMinor(Math.max(0, capMinor - givenMinor), transaction.currency);
+    throw usageError("coupon", `coupons on ${txnId} are capped at ${AGENT_COUPON_MAX_PERCENT}% of it — at most ${formatMoney(left, transaction.currency)} more`);
+  }
+
+  const refundRequest = await RefundRequest.findOne({ userId, txnId, channelUrl }).lean();
+  await checkPolicy({ userId, txnId, channelUrl, transaction, refundRequest, amount: value });
+
+  // An escalated request that the agent settles with a coupon is closed by it
+  const settles = stateOf(refundRequest) === "policy_evaluated";
+  if (settles) await transition(refundRequest, "issue_coupon", { actor: agentId, note: "desk /coupon" });
+
+  const coupon = await issueCoupon({
+    userId, txnId, channelUrl, value, currency: transaction.currency,
+    refundRequestId: refundRequest?._id,
+  });
+  const validUntil = coupon.expiresAt.toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+  await sendBotMessage(
+    channelUrl,
+    `Our support team has issued you a coupon: **${coupon.code}** — ${formatMoney(coupon.value, coupon.currency)} off a future payment, valid until ${validUntil}.`,
+    { type: "refund_status", status: "coupon_issued", txnId, couponCode: coupon.code }
+  );
+  await logRefundDecision({ userId, txnId, channelUrl, decision: "COUPON", reason: "agent_coupon", amount: 0 });
+
+  return {
+    reply: `✅ Coupon ${coupon.code} (${formatMoney(coupon.value, coupon.currency)}) sent to the customer` +
+      (settles ? ` — refund request for ${txnId} closed.` : "."),
+    details: { txnId, couponCode: coupon.code, value: coupon.value, currency: coupon.currency },
+  };
+}
+
+async function runClose({ agentId, mapping }, noteWords) {
+  const note = noteWords.join(" ").trim();
+  // Archives the mapping and sends the customer the resolved / CSAT message
+  const { deskClosed } = await closeDeskTicket(mapping, note || `Closed by ${agentId}`, { closedBy: agentId });
+  return {
+    reply: deskClosed
+      ? `✅ Ticket #${mapping.ticketId} closed. The customer is back with the bot.`
+      : "✅ Chat handed back to the bot. ⚠️ The Desk ticket itself could not be closed — close it in the Desk dashboard.",
+    details: { ticketId: mapping.ticketId, deskClosed, note },
+  };
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function helpText(allowed, prefix) {
+  const lines = Object.entries(COMMANDS)
+    .filter(([name]) => allowed.includes(name))
+    .map(([, c]) => `  ${c.usage}`);
+  return [
+    prefix,
+    lines.length ? "Commands you can use:" : "You don't have permission to run any commands — ask an admin to add you to DESK_AGENT_PERMISSIONS.",
+    ...lines,
+  ].filter(Boolean).join("\n");
+}
+
+function usageError(name, message) {
+  const err = new Error(message || "missing or invalid arguments");
+  err.usage = COMMANDS[name].usage;
+  return err;
+}
+
+/**
+ * Run the customer flow's risk step and refund policy on what the agent is
+ * about to give. An agent may override an ordinary escalation, not a fraud
+ * one. The check isn't a customer refund attempt, so it writes no FraudLog
+ * or review case.
+ *
+ * @returns {Promise<{ risk: object|null, policyResult: object }>}
+ * @throws {Error} .code "REFUND_UNDER_REVIEW" | "AGENT_COMMAND_REFUSED"
+ */
+async function checkPolicy({ userId, txnId, channelUrl, transaction, refundRequest, amount }) {
+  await assertNoOpenReview({ txnId, userId });
+  const reason = refundRequest?.refundReason && refundRequest.refundReason !== "agent" ? refundRequest.refundReason : "other";
+  const risk = await assessRefundRisk({
+    userId, txnId, channelUrl, amount, currency: transaction.currency, record: false,
+  });
+  const policyResult = await evaluateRefundPolicy({
+    amount,
+    currency: transaction.currency,
+    reason,
+    sentiment: { priority: "NORMAL" },
+    attempts: refundRequest?.negotiationAttempts || 0,
+    transactionDate: transaction.createdAt,
+    userId,
+    risk,
+  });
+  if (policyResult.decision === "ESCALATE" && FRAUD_RULE_IDS.includes(policyResult.ruleId)) {
+    throw refusal(`refund policy v${policyResult.policyVersion} escalates ${txnId} for fraud review (rule ${policyResult.ruleId}) — it can't be settled from chat`);
+  }
+  return { risk, policyResult };
+}
+
+// A command the rules forbid — answered in the channel, not logged as an error
+function refusal(message) {
+  const err = new Error(message);
+  err.code = "AGENT_COMMAND_REFUSED";
+  return err;
+}
+
+module.exports = {
+  isAgentCommand,
+  agentPermissions,
+  handleAgentCommand,
+};
@@ -16,11 +16,15 @@
  *   UNLIKE analytics (aggregated metrics), audit logs are per-action records
  *   with full context. They are NEVER modified or deleted in production.
  *
+ * details are PII-redacted on the way in (services/redactionService.js) —
+ * audit logs are kept forever, so a pasted card number must never land here.
+ *
  * All functions are fire-and-forget (non-fatal) — an audit log failure
  * must NEVER block the user-facing operation it is logging.
  */
 
 const { AuditLog, AnalyticsEvent } = require("../models");
+const { redactObject } = require("./redactionService");
 
 /**
  * Log an action to the audit trail.
@@ -42,7 +46,7 @@ async function log(actionType, data = {}) {
       channelUrl: data.channelUrl,
       txnId:      data.txnId,
       ipAddress:  data.ipAddress,
-      details:    data.details || {},
+      details:    redactObject(data.details || {}),
     });
   } catch (err) {
     console.warn(`⚠️  Audit log failed [${actionType}] (non-fatal):`, err.message);
@@ -73,6 +77,17 @@ async function logRefundDecision({ userId, txnId, channelUrl, decision, reason,
   });
 }
 
+/**
+ * Log a refund policy evaluation — which rule of which policy version decided,
+ * and the risk assessment (if any) it was given.
+ */
+async function logPolicyEvaluation({ userId, txnId, channelUrl, decision, reason, ruleId, policyVersion, riskLevel = null, fraudLogId = null }) {
+  await log("policy_evaluation", {
+    userId, txnId, channelUrl,
+    details: { decision, reason, ruleId, policyVersion, riskLevel, fraudLogId },
+  });
+}
+
 /**
  * Log an escalation event.
  */
@@ -86,10 +101,21 @@ async function logEscalation({ userId, txnId, channelUrl, priority, reason }) {
 /**
  * Log an LLM decision.
  */
-async function logLLMDecision({ userId, channelUrl, intent, sentiment, inputTokens, outputTokens }) {
+async function logLLMDecision({ userId, channelUrl, intent, sentiment, confidence, inputTokens, outputTokens, provider, model }) {
   await log("llm_decision", {
     userId, channelUrl,
-    details: { intent, sentiment, inputTokens, outputTokens },
+    details: { intent, sentiment, confidence, inputTokens, outputTokens, provider, model },
+  });
+}
+
+/**
+ * Log an LLM reply that failed intent-schema validation or was below the
+ * confidence threshold (the rule-based classifier answered instead).
+ */
+async function logLLMRejection({ userId, channelUrl, reasons, provider, model, raw }) {
+  await log("llm_output_rejected", {
+    userId, channelUrl,
+    details: { reasons, provider, model, raw: String(raw || "").slice(0, 500) },
   });
 }
 
@@ -121,8 +147,10 @@ module.exports = {
   log,
   logRefundAttempt,
   logRefundDecision,
+  logPolicyEvaluation,
   logEscalation,
   logLLMDecision,
+  logLLMRejection,
   logPaymentRetry,
   trackAnalytics,
 };
@@ -0,0 +1,375 @@
+/**
+ * services/couponService.js
+ * --------------------------
+ * Compensation coupons: issue, validate, spend on a checkout, revoke.
+ *
+ * WHY:
+ *   OFFER_COUPON used to print a Math.random() code in chat and forget it, so
+ *   the "valid 30 days" promise could not be honoured or enforced. A Coupon
+ *   document now owns the code: one user, one currency, one expiry, one use.
+ *
+ * REDEMPTION:
+ *   Spending a coupon opens a Stripe Checkout with a single-use Stripe coupon
+ *   attached, so Stripe charges amount − value. The checkout is either a retry
+ *   of an unpaid (pending/failed) transaction, or a new payment: given an
+ *   amount instead of a txnId, a pending transaction is opened for it first.
+ *     reserve   active → reserved while the checkout is open (atomic claim —
+ *               two tabs can't spend the same code)
+ *     redeem    checkout.session.completed → redeemed + ledger coupon_redeemed
+ *     release   checkout.session.expired → active again
+ *   A reservation whose webhook never arrives lapses after reservedUntil
+ *   (checkout expiry + grace), after which the code can be reserved again.
+ *
+ * LEDGER:
+ *   Issuing books a coupon_issued liability. Revoking or expiring an unused
+ *   coupon books coupon_voided for the same value, so the liability doesn't
+ *   outlive the coupon. Expiry is swept by the offer-expiry worker and also
+ *   enforced on read: an active coupon past expiresAt is flipped to "expired"
+ *   the first time it is looked at.
+ */
+
+const crypto = require("crypto");
+const { Coupon } = require("../models");
+const { createCheckoutSession, createStripeDiscount } = require("../integrations/stripeClient");
+const { recordCouponIssued, recordCouponRedeemed, recordCouponVoided } = require("./ledgerService");
+const { log } = require("./auditService");
+const { findTransaction, createPendingTransaction } = require("./transactionService");
+const { normalizeCurrency, toMinor, fromMinor, formatMoney } = require("./currencyService");
+
+const COUPON_VALIDITY_DAYS = Number(process.env.COUPON_VALIDITY_DAYS) || 30;
+const CHECKOUT_TTL_MS = 60 * 60 * 1000;        // coupon checkouts expire after 1h (Stripe minimum is 30 min)
+const RESERVATION_GRACE_MS = 15 * 60 * 1000;   // slack for a late checkout.session.expired
+const PAYABLE_STATUSES = ["pending", "failed"];
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O/1/I — codes get read aloud
+
+/**
+ * COUP-XXXXXXXX from crypto.randomBytes (32^8 codes — not guessable like Math.random()).
+ */
+function generateCode() {
+  const bytes = crypto.randomBytes(8);
+  let code = "";
+  for (const b of bytes) code += CODE_ALPHABET[b % CODE_ALPHABET.length];
+  return `COUP-${code}`;
+}
+
+function normalizeCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+// ── Issue ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Issue a compensation coupon and record the liability in the ledger.
+ *
+ * @param {object} params - { userId, txnId, value, currency, refundRequestId, channelUrl }
+ * @returns {Promise<object>} the Coupon (lean)
+ */
+async function issueCoupon({ userId, txnId, value, currency, refundRequestId, channelUrl }) {
+  const couponCurrency = normalizeCurrency(currency);
+  const expiresAt = new Date(Date.now() + COUPON_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+
+  let coupon = null;
+  for (let attempt = 0; !coupon; attempt++) {
+    try {
+      coupon = await Coupon.create({
+        code: generateCode(),
+        userId,
+        value: fromMinor(toMinor(value, couponCurrency), couponCurrency),
+        valueMinor: toMinor(value, couponCurrency),
+        currency: couponCurrency,
+        expiresAt,
+        sourceTxnId: txnId,
+        sourceRefundRequest: refundRequestId,
+      });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= 2) throw err; // code collision — draw again
+    }
+  }
+
+  await recordCouponIssued({
+    userId, txnId, amount: coupon.value, currency: coupon.currency,
+    couponCode: coupon.code, refundRequestId,
+  });
+  await log("coupon_issued", {
+    userId, txnId, channelUrl,
+    details: { couponCode: coupon.code, value: coupon.value, currency: coupon.currency, expiresAt },
+  });
+  return coupon.toObject();
+}
+
+/**
+ * Flip one active coupon to "expired" and reverse its liability. The status
+ * flip is the claim, so a concurrent sweep can't void the same coupon twice.
+ *
+ * @returns {Promise<boolean>} whether this call expired it
+ */
+async function expireCoupon(coupon) {
+  const { modifiedCount } = await Coupon.updateOne({ _id: coupon._id, status: "active" }, { status: "expired" });
+  if (!modifiedCount) return false;
+  await recordCouponVoided({
+    userId: coupon.userId, txnId: coupon.sourceTxnId, amount: coupon.value,
+    currency: coupon.currency, couponCode: coupon.code, reason: "expired",
+  });
+  return true;
+}
+
+/**
+ * Expire every active coupon past its expiresAt (offer-expiry worker, admin list).
+ * A coupon that fails is left active for the next sweep.
+ *
+ * @returns {Promise<number>} coupons expired
+ */
+async function expireDueCoupons() {
+  const due = await Coupon.find({ status: "active", expiresAt: { $lte: new Date() } }).lean();
+  let expired = 0;
+  for (const coupon of due) {
+    try {
+      if (await expireCoupon(coupon)) expired++;
+    } catch (err) {
+      console.warn(`⚠️  Coupon ${coupon.code} expiry failed (non-fatal):`, err.message);
+    }
+  }
+  return expired;
+}
+
+// ── Validate ──────────────────────────────────────────────────────────────────
+
+/**
+ * Check that a coupon can be spent by this user on this transaction.
+ *
+ * @param {string} code
+ * @param {object} params - { userId, transaction }
+ * @returns {Promise<{ coupon: object, discount: number, amountDue: number }>} major units
+ * @throws {Error} with .status 404 (unknown / not yours) | 410 (expired) |
+ *                 409 (already used / in use / unpayable transaction) | 400 (currency)
+ */
+async function checkCoupon(code, { userId, transaction }) {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) }).lean();
+  // Someone else's code is reported as unknown — don't confirm it exists
+  if (!coupon || coupon.userId !== userId) throw httpError(404, `Coupon ${normalizeCode(code)} not found`);
+
+  if (coupon.status === "active" && coupon.expiresAt && coupon.expiresAt <= new Date()) {
+    await expireCoupon(coupon);
+    coupon.status = "expired";
+  }
+  if (coupon.status === "expired") throw httpError(410, `Coupon ${coupon.code} has expired`);
+  if (coupon.status === "redeemed") throw httpError(409, `Coupon ${coupon.code} has already been used`);
+  if (coupon.status === "revoked") throw httpError(409, `Coupon ${coupon.code} is no longer valid`);
+  if (coupon.status === "reserved" && coupon.reservedUntil > new Date()) {
+    throw httpError(409, `Coupon ${coupon.code} is already applied to an open checkout`);
+  }
+
+  if (!PAYABLE_STATUSES.includes(transaction.status)) {
+    throw httpError(409, `${transaction.transactionId} is ${transaction.status} — coupons apply to unpaid transactions`);
+  }
+  if (normalizeCurrency(transaction.currency) !== coupon.currency) {
+    throw httpError(400, `Coupon ${coupon.code} is in ${coupon.currency.toUpperCase()} but ${transaction.transactionId} is in ${normalizeCurrency(transaction.currency).toUpperCase()}`);
+  }
+
+  const amountMinor = transaction.amountMinor ?? toMinor(transaction.amount, coupon.currency);
+  // Checkout can't take a zero-amount payment — the coupon has to leave something to pay
+  if (coupon.valueMinor >= amountMinor) {
+    throw httpError(409, `Coupon ${coupon.code} (${formatMoney(coupon.value, coupon.currency)}) covers the whole of ${transaction.transactionId} — use it on a larger payment`);
+  }
+
+  return {
+    coupon,
+    discount: coupon.value,
+    amountDue: fromMinor(amountMinor - coupon.valueMinor, coupon.currency),
+  };
+}
+
+// ── Redeem ────────────────────────────────────────────────────────────────────
+
+/**
+ * Reserve a coupon and open a discounted Stripe Checkout — a retry of an unpaid
+ * transaction (txnId), or a new payment (amount + currency). The coupon is
+ * released again if Stripe rejects the session.
+ *
+ * @param {object} params - { code, userId, txnId | amount + currency, channelUrl, frontendUrl }
+ * @returns {Promise<{ paymentUrl: string, txnId: string, coupon: object, discount: number, amountDue: number }>}
+ * @throws {Error} with .status — see checkCoupon(); 400 without txnId or a valid amount;
+ *                 409 if another checkout claimed it first
+ */
+async function startCouponCheckout({ code, userId, txnId, amount, currency, channelUrl, frontendUrl }) {
+  const newPayment = !txnId;
+  let transaction = newPayment
+    ? newPaymentDraft(amount, currency)
+    : await findTransaction(txnId, userId);
+  if (!transaction) throw httpError(404, `Transaction ${txnId} not found`);
+  const { coupon, discount, amountDue } = await checkCoupon(code, { userId, transaction });
+  if (newPayment) {
+    transaction = await createPendingTransaction({ userId, amount: transaction.amount, currency: transaction.currency });
+  }
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + CHECKOUT_TTL_MS);
+  const reserved = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      userId,
+      $or: [{ status: "active" }, { status: "reserved", reservedUntil: { $lte: now } }],
+    },
+    {
+      status: "reserved",
+      reservedUntil: new Date(expiresAt.getTime() + RESERVATION_GRACE_MS),
+      checkoutSessionId: null,
+      redeemedTxnId: transaction.transactionId,
+    },
+    { new: true }
+  ).lean();
+  if (!reserved) throw httpError(409, `Coupon ${coupon.code} is already applied to an open checkout`);
+
+  let session;
+  try {
+    const stripeCouponId = await createStripeDiscount({ amount: coupon.value, currency: coupon.currency, couponCode: coupon.code });
+    session = await createCheckoutSession({
+      txnId: transaction.transactionId,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      channelUrl,
+      userId,
+      frontendUrl,
+      discount: { stripeCouponId, couponCode: coupon.code },
+      expiresAt,
+      purpose: newPayment ? "new_payment" : "retry_payment",
+    });
+    await Coupon.updateOne({ _id: coupon._id }, { checkoutSessionId: session.id, stripeCouponId });
+  } catch (err) {
+    await Coupon.updateOne({ _id: coupon._id, status: "reserved" }, { status: "active", reservedUntil: null, redeemedTxnId: null });
+    throw err;
+  }
+
+  console.log(`[Coupon] ${coupon.code} reserved for ${transaction.transactionId} session=${session.id}`);
+  return { paymentUrl: session.url, txnId: transaction.transactionId, coupon: reserved, discount, amountDue };
+}
+
+/**
+ * Stand-in transaction for validating a coupon against a payment not yet made.
+ *
+ * @throws {Error} with .status 400 when amount is missing or not positive
+ */
+function newPaymentDraft(amount, currency) {
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) throw httpError(400, "txnId or a positive amount is required");
+  const code = normalizeCurrency(currency);
+  const amountMinor = toMinor(value, code);
+  return { transactionId: "the new payment", status: "pending", amount: fromMinor(amountMinor, code), amountMinor, currency: code };
+}
+
+/**
+ * Mark a reserved coupon redeemed once its checkout is paid. Idempotent —
+ * a redelivered webhook finds the coupon already redeemed and does nothing.
+ *
+ * @param {object} params - { code, checkoutSessionId, transaction, amount? (discount actually applied) }
+ * @returns {Promise<object|null>} the redeemed Coupon, or null when nothing was reserved for this session
+ */
+async function redeemCoupon({ code, checkoutSessionId, transaction, amount }) {
+  const coupon = await Coupon.findOneAndUpdate(
+    { code: normalizeCode(code), checkoutSessionId, status: "reserved" },
+    { status: "redeemed", redeemedTxnId: transaction.transactionId, redeemedAt: new Date(), reservedUntil: null },
+    { new: true }
+  ).lean();
+  if (!coupon) return null;
+
+  await recordCouponRedeemed({
+    transaction,
+    amount: amount ?? coupon.value,
+    couponCode: coupon.code,
+    stripeCheckoutSessionId: checkoutSessionId,
+  });
+  await log("coupon_redeemed", {
+    userId: coupon.userId,
+    txnId: transaction.transactionId,
+    details: { couponCode: coupon.code, value: coupon.value, currency: coupon.currency, checkoutSessionId },
+  });
+  console.log(`[Coupon] ${coupon.code} redeemed on ${transaction.transactionId}`);
+  return coupon;
+}
+
+/**
+ * Return a reserved coupon to active when its checkout expired unpaid.
+ *
+ * @returns {Promise<boolean>} whether a reservation was released
+ */
+async function releaseCoupon({ code, checkoutSessionId }) {
+  const { modifiedCount } = await Coupon.updateOne(
+    { code: normalizeCode(code), checkoutSessionId, status: "reserved" },
+    { status: "active", reservedUntil: null, checkoutSessionId: null, stripeCouponId: null, redeemedTxnId: null }
+  );
+  if (modifiedCount) console.log(`[Coupon] ${normalizeCode(code)} released — checkout ${checkoutSessionId} expired`);
+  return modifiedCount > 0;
+}
+
+// ── Admin ─────────────────────────────────────────────────────────────────────
+
+/**
+ * List coupons, newest first. Active coupons past their expiry are expired
+ * first so the status filter is accurate.
+ *
+ * @param {object} [params] - { status, userId, limit }
+ */
+async function listCoupons({ status, userId, limit = 50 } = {}) {
+  await expireDueCoupons();
+  const query = {};
+  if (status) query.status = status;
+  if (userId) query.userId = userId;
+  return Coupon.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+/**
+ * Revoke an unused coupon (admin dashboard) and reverse its ledger liability.
+ * A lapsed reservation (reservedUntil passed — its checkout can no longer be
+ * paid) is released and revoked in the same update.
+ *
+ * @param {string} id - Coupon _id
+ * @param {object} params - { adminUser, reason }
+ * @throws {Error} with .status 404 | 409 (already used, in an open checkout, or not active)
+ */
+async function revokeCoupon(id, { adminUser, reason }) {
+  const existing = await Coupon.findById(id).lean();
+  if (!existing) throw httpError(404, `Coupon ${id} not found`);
+  const now = new Date();
+  if (existing.status === "reserved" && existing.reservedUntil > now) {
+    throw httpError(409, `Coupon ${existing.code} is applied to an open checkout — try again once it completes or expires`);
+  }
+
+  const coupon = await Coupon.findOneAndUpdate(
+    {
+      _id: existing._id,
+      $or: [{ status: "active" }, { status: "reserved", reservedUntil: { $lte: now } }],
+    },
+    {
+      status: "revoked", revokedBy: adminUser, revokedAt: now, revokeReason: reason,
+      reservedUntil: null, checkoutSessionId: null, stripeCouponId: null, redeemedTxnId: null,
+    },
+    { new: true }
+  ).lean();
+  if (!coupon) throw httpError(409, `Coupon ${existing.code} is ${existing.status} — only active coupons can be revoked`);
+
+  await recordCouponVoided({
+    userId: coupon.userId, txnId: coupon.sourceTxnId, amount: coupon.value,
+    currency: coupon.currency, couponCode: coupon.code, reason: "revoked",
+  });
+  console.log(`[Coupon] ${adminUser} revoked ${coupon.code}`);
+  return coupon;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = {
+  COUPON_VALIDITY_DAYS,
+  issueCoupon,
+  checkCoupon,
+  newPaymentDraft,
+  startCouponCheckout,
+  redeemCoupon,
+  releaseCoupon,
+  expireDueCoupons,
+  listCoupons,
+  revokeCoupon,
+};
@@ -0,0 +1,221 @@
+/**
+ * services/currencyService.js
+ * ----------------------------
+ * Currency-aware amounts: minor units, formatting and FX conversion.
+ *
+ * WHY:
+ *   Amounts used to be implicitly USD — checkout hardcoded currency "usd",
+ *   bot messages printed "$", and FraudEngine thresholds (INR) were fed
+ *   amountUSD × 83. Every Transaction / LedgerEntry now carries a currency
+ *   and an integer amountMinor; `amount` stays as the major-unit mirror so
+ *   existing readers keep working.
+ *
+ * MINOR UNITS:
+ *   The exponent comes from Intl (ISO 4217): 2 for usd / inr / eur, 0 for
+ *   jpy / krw. That is also Stripe's "smallest currency unit", so Stripe
+ *   amounts pass through fromMinor() unchanged in meaning.
+ *
+ * FX RATES:
+ *   Rates are stored as "units per 1 USD" in the FxRate collection, seeded
+ *   from FX_RATES (e.g. "inr=83.2,eur=0.92") or the built-in table below,
+ *   then edited from the admin dashboard. Cached for 30 seconds like feature
+ *   flags. Conversion is only used for risk thresholds — money never moves
+ *   across currencies.
+ */
+
+const { FxRate } = require("../models");
+
+const DEFAULT_CURRENCY = "usd";
+const BASE_CURRENCY = "usd"; // FxRate.perUsd is expressed against this
+
+// Seed values only — the live table is the FxRate collection
+const DEFAULT_FX_RATES = { usd: 1, inr: 83, eur: 0.92, gbp: 0.79 };
+
+const RATE_CACHE_TTL_MS = 30 * 1000;
+let _rateCache = null; // { rates: { currency → perUsd }, expiresAt }
+
+const _digits = new Map(); // currency → minor-unit exponent
+
+// ── Minor units and formatting ────────────────────────────────────────────────
+
+function normalizeCurrency(currency) {
+  return String(currency || DEFAULT_CURRENCY).trim().toLowerCase();
+}
+
+/**
+ * Whether the ISO 4217 code is one Intl can format.
+ */
+function isSupportedCurrency(currency) {
+  return Intl.supportedValuesOf("currency").includes(normalizeCurrency(currency).toUpperCase());
+}
+
+/**
+ * Number of minor-unit digits for a currency (2 for usd, 0 for jpy).
+ */
+function minorDigits(currency) {
+  const code = normalizeCurrency(currency);
+  if (!_digits.has(code)) {
+    let digits = 2;
+    try {
+      digits = new Intl.NumberFormat("en", { style: "currency", currency: code }).resolvedOptions().maximumFractionDigits;
+    } catch {
+      // Unknown code — assume cents rather than throwing in a money path
+    }
+    _digits.set(code, digits);
+  }
+  return _digits.get(code);
+}
+
+/**
+ * Major units → integer minor units (12.34 usd → 1234).
+ */
+function toMinor(amount, currency) {
+  return Math.round(Number(amount || 0) * 10 ** minorDigits(currency));
+}
+
+/**
+ * Integer minor units → major units (1234 usd → 12.34).
+ */
+function fromMinor(minor, currency) {
+  return (minor || 0) / 10 ** minorDigits(currency);
+}
+
+/**
+ * Format a major-unit amount for customer-facing text: "$12.50", "₹1,200.00", "¥500".
+ *
+ * @param {number} amount   - major units
+ * @param {string} [currency="usd"]
+ * @returns {string}
+ */
+function formatMoney(amount, currency) {
+  const code = normalizeCurrency(currency);
+  try {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency: code.toUpperCase() })
+      .format(Number(amount || 0));
+  } catch {
+    return `${Number(amount || 0).toFixed(2)} ${code.toUpperCase()}`;
+  }
+}
+
+/**
+ * Format integer minor units (Stripe amounts, LedgerEntry.amountMinor).
+ */
+function formatMinor(minor, currency) {
+  return formatMoney(fromMinor(minor, currency), currency);
+}
+
+// ── FX rate table ─────────────────────────────────────────────────────────────
+
+/**
+ * Parse FX_RATES ("inr=83.2,eur=0.92") over the built-in defaults.
+ */
+function configuredRates() {
+  const rates = { ...DEFAULT_FX_RATES };
+  for (const pair of String(process.env.FX_RATES || "").split(",")) {
+    const [code, value] = pair.split("=").map((s) => s?.trim());
+    if (code && Number(value) > 0) rates[normalizeCurrency(code)] = Number(value);
+  }
+  return rates;
+}
+
+/**
+ * Seed FxRate rows on startup. $setOnInsert keeps admin-edited rates.
+ */
+async function seedFxRates() {
+  try {
+    for (const [currency, perUsd] of Object.entries(configuredRates())) {
+      await FxRate.findOneAndUpdate(
+        { currency },
+        { $setOnInsert: { currency, perUsd, updatedBy: "system" } },
+        { upsert: true, new: false }
+      );
+    }
+    console.log("✅ FX rates seeded");
+  } catch (err) {
+    console.error("⚠️  FX rate seeding failed:", err.message);
+  }
+}
+
+/**
+ * Active rate table { currency → units per 1 USD }. Cached for 30 seconds;
+ * falls back to the configured seed table if MongoDB is unavailable.
+ */
+async function getFxRates() {
+  if (_rateCache && _rateCache.expiresAt > Date.now()) return _rateCache.rates;
+  try {
+    const rows = await FxRate.find({}, "currency perUsd").lean();
+    const rates = { ...configuredRates() };
+    for (const row of rows) rates[row.currency] = row.perUsd;
+    _rateCache = { rates, expiresAt: Date.now() + RATE_CACHE_TTL_MS };
+    return rates;
+  } catch (err) {
+    console.warn("⚠️  FX rate lookup failed — using configured rates:", err.message);
+    return configuredRates();
+  }
+}
+
+/**
+ * Convert a major-unit amount between currencies through BASE_CURRENCY.
+ *
+ * @returns {Promise<number|null>} major units in `to`, or null when either rate is missing
+ */
+async function convert(amount, from, to) {
+  const src = normalizeCurrency(from);
+  const dst = normalizeCurrency(to);
+  if (src === dst) return Number(amount || 0);
+
+  const rates = await getFxRates();
+  if (!(rates[src] > 0) || !(rates[dst] > 0)) return null;
+  const converted = (Number(amount || 0) / rates[src]) * rates[dst];
+  return fromMinor(toMinor(converted, dst), dst);
+}
+
+async function listFxRates() {
+  return FxRate.find({}).sort({ currency: 1 }).lean();
+}
+
+/**
+ * Set one currency's rate (admin dashboard).
+ *
+ * @param {string} currency
+ * @param {object} params - { perUsd, updatedBy }
+ * @throws {Error} with .status 400 for an unknown currency or a non-positive rate
+ */
+async function setFxRate(currency, { perUsd, updatedBy }) {
+  const code = normalizeCurrency(currency);
+  if (!isSupportedCurrency(code)) throw httpError(400, `Unknown currency "${currency}"`);
+  if (code === BASE_CURRENCY) throw httpError(400, `${BASE_CURRENCY} is the base currency — its rate is always 1`);
+  if (!(typeof perUsd === "number" && perUsd > 0)) throw httpError(400, "perUsd must be a positive number");
+
+  const rate = await FxRate.findOneAndUpdate(
+    { currency: code },
+    { currency: code, perUsd, updatedBy, updatedAt: new Date() },
+    { upsert: true, new: true }
+  ).lean();
+  _rateCache = null;
+  console.log(`[FX] 1 ${BASE_CURRENCY.toUpperCase()} = ${perUsd} ${code.toUpperCase()} (set by ${updatedBy || "unknown"})`);
+  return rate;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  BASE_CURRENCY,
+  normalizeCurrency,
+  isSupportedCurrency,
+  minorDigits,
+  toMinor,
+  fromMinor,
+  formatMoney,
+  formatMinor,
+  seedFxRates,
+  getFxRates,
+  convert,
+  listFxRates,
+  setFxRate,
+};
@@ -3,6 +3,16 @@
  * ------------------------
  * Sendbird Desk ticket management, agent-away fallback timer,
  * and channel escalation state.
+ *
+ * TICKET LIFECYCLE:
+ *   open   — ChannelMapping.status "open"; the channel is in escalatedChannels
+ *            and messages are relayed both ways.
+ *   closed — closed in the Desk dashboard (picked up by syncDeskTickets, run by
+ *            the "desk-sync" BullMQ job) or by an agent's /close. The channel
+ *            goes back to the bot, the mapping is archived and the customer
+ *            gets a CSAT prompt crediting the agent (feedbackService).
+ *   reopen — the customer writes again within DESK_REOPEN_GRACE_MINUTES:
+ *            the same ticket is reopened instead of a new one being created.
  */
 
 const {
@@ -11,27 +21,45 @@ const {
   findOrCreateDeskCustomer,
   createDeskTicketAPI,
   getDeskTicket,
-  getOnlineAgents,
+  closeDeskTicketAPI,
+  reopenDeskTicketAPI,
   sendBotMessage,
   sendChannelMessage,
   sendDeskContext,
   getRecentMessages,
 } = require("../integrations/sendbirdClient");
 const { ChannelMapping } = require("../models");
+const { requestFeedback } = require("./feedbackService");
+const {
+  AGENT_AWAY_MESSAGE,
+  normalizePriority,
+  startSlaTimers,
+  stopSlaTimers,
+} = require("./slaService");
+const { getSlaQueue } = require("../queues/index");
+const { routeTicket } = require("./routingService");
 
 // In-memory channel state — restored from DB on each server startup.
 // These Sets are the fast-path check before hitting MongoDB on every webhook.
 const escalatedChannels = new Set();
 const deskChannels = new Set();
 
+const DESK_REOPEN_GRACE_MINUTES = Number(process.env.DESK_REOPEN_GRACE_MINUTES) || 60;
+
+// Legacy mappings have no status — they are open
+const OPEN_MAPPING = { status: { $ne: "closed" } };
+
 // ── Agent-away fallback timer ─────────────────────────────────────────────────
 // When a Desk ticket is created the customer expects an agent to respond quickly.
 // If no agent reply arrives within AGENT_REPLY_TIMEOUT_MS, the bot sends a
 // polite "agent is busy" message so the customer isn't left in silence.
+// With Redis this is one of the durable SLA timers (services/slaService.js)
+// and the in-memory timer below is skipped — it's the no-Redis fallback.
 const AGENT_REPLY_TIMEOUT_MS = parseInt(process.env.AGENT_REPLY_TIMEOUT_MS || "30000", 10);
 const agentAwaitTimers = new Map(); // channelUrl → setTimeout id
 
 function scheduleAgentAwayFallback(channelUrl) {
+  if (getSlaQueue()) return;
   clearAgentAwayTimer(channelUrl); // reset if already running
 
   const timerId = setTimeout(async () => {
@@ -42,10 +70,7 @@ function scheduleAgentAwayFallback(channelUrl) {
         (m) => typeof m.message === "string" && m.message.startsWith("[Support Agent]:")
       );
       if (!agentReplied) {
-        await sendBotMessage(
-          channelUrl,
-          "⏳ Our support agent is currently assisting other customers. You're in the queue — we'll be with you shortly. Feel free to type any additional details in the meantime."
-        );
+        await sendBotMessage(channelUrl, AGENT_AWAY_MESSAGE);
         console.log(`⏱ Agent-away message sent to ${channelUrl}`);
       }
     } catch (err) {
@@ -72,15 +97,19 @@ function clearAgentAwayTimer(channelUrl) {
  * Create a full Desk ticket:
  *   1. Find/create Desk customer
  *   2. Create ticket
- *   3. Add members (non-fatal)
+ *   3. Route to an agent and add them + the customer (non-fatal)
  *   4. Send activation message (non-fatal)
  *   5. Persist ChannelMapping to DB
+ *   6. Start the SLA timers for its priority
  *
  * @param {string} channelUrl - customer's original channel
  * @param {string} userId
+ * @param {object} [options] - routing / SLA context:
+ *   { priority "HIGH" | "NORMAL", intent, refundReason, riskLevel, language }
  * @returns {Promise<{ ticketId, deskChannelUrl }>}
  */
-async function createDeskTicket(channelUrl, userId) {
+async function createDeskTicket(channelUrl, userId, options = {}) {
+  const { priority } = options;
   const customerId = await findOrCreateDeskCustomer(userId);
 
   const { ticketId, deskChannelUrl } = await createDeskTicketAPI(
@@ -91,23 +120,36 @@ async function createDeskTicket(channelUrl, userId) {
   deskChannels.add(deskChannelUrl);
   console.log(`Desk ticket created! ID: ${ticketId}, Desk channel: ${deskChannelUrl}`);
 
+  // Pick the agent before saving the mapping — the mapping is their load count
+  let route = { agentId: null, team: "general", rule: "none_online" };
+  try {
+    route = await routeTicket({ ...options, userId, priority: normalizePriority(priority) });
+    console.log(`🧭 Ticket #${ticketId} routed to ${route.agentId || "nobody online"} (${route.rule} → ${route.team}, ${route.openTickets ?? 0} open)`);
+  } catch (err) {
+    console.warn(`⚠️ Ticket routing failed (non-fatal): ${err.message}`);
+  }
+
   // Persist mapping so agent replies can be routed back to the customer
+  let mapping = null;
   try {
-    await ChannelMapping.findOneAndUpdate(
+    mapping = await ChannelMapping.findOneAndUpdate(
       { deskChannelUrl },
-      { deskChannelUrl, originalChannelUrl: channelUrl, userId, ticketId },
+      {
+        deskChannelUrl, originalChannelUrl: channelUrl, userId, ticketId, status: "open",
+        priority: normalizePriority(priority), slaStartedAt: new Date(),
+        routedAgentId: route.agentId, routedTeam: route.team, routingRule: route.rule,
+      },
       { upsert: true, new: true }
     );
     console.log("✅ Channel mapping saved to DB");
   } catch (err) {
     console.error("⚠️ Channel mapping save failed (non-fatal):", err.message);
   }
+  if (mapping) await startSlaTimers(mapping);
 
-  // Add members to the Desk backing channel (non-fatal)
+  // Add the customer and the routed agent to the Desk backing channel (non-fatal)
   try {
-    let agentIds = [];
-    try { agentIds = await getOnlineAgents(); } catch (e) { /* non-fatal */ }
-    await addMembersToChannel(deskChannelUrl, [userId, ...agentIds]);
+    await addMembersToChannel(deskChannelUrl, [userId, route.agentId].filter(Boolean));
     console.log(`✅ Members added to Desk channel`);
   } catch (err) {
     console.warn(`⚠️ Adding members to Desk channel failed (non-fatal): ${err.message}`);
@@ -134,11 +176,12 @@ async function createDeskTicket(channelUrl, userId) {
  *
  * @param {string} channelUrl
  * @param {string} userId
+ * @param {object} [options] - routing / SLA context for a new ticket (see createDeskTicket)
  */
-async function getOrCreateDeskChannel(channelUrl, userId) {
+async function getOrCreateDeskChannel(channelUrl, userId, options = {}) {
   if (!escalatedChannels.has(channelUrl)) {
     try {
-      const ticket = await createDeskTicket(channelUrl, userId);
+      const ticket = await createDeskTicket(channelUrl, userId, options);
       escalatedChannels.add(channelUrl);
       scheduleAgentAwayFallback(channelUrl);
       return ticket?.deskChannelUrl || null;
@@ -147,16 +190,184 @@ async function getOrCreateDeskChannel(channelUrl, userId) {
       return null;
     }
   }
-  const mapping = await ChannelMapping.findOne({ originalChannelUrl: channelUrl });
+  const mapping = await findOpenMapping({ originalChannelUrl: channelUrl });
   return mapping?.deskChannelUrl || null;
 }
 
+/**
+ * The open ChannelMapping matching `filter` (by originalChannelUrl or
+ * deskChannelUrl). Archived mappings never route messages.
+ */
+function findOpenMapping(filter) {
+  return ChannelMapping.findOne({ ...filter, ...OPEN_MAPPING });
+}
+
+// ── Ticket lifecycle ──────────────────────────────────────────────────────────
+
+/**
+ * Close a Desk ticket from our side (agent /close) and hand the customer
+ * channel back to the bot. The Desk API call is non-fatal — the local
+ * escalation state is cleared either way.
+ *
+ * @param {object} mapping - ChannelMapping document
+ * @param {string} [closeComment]
+ * @param {object} [options] - { closedBy } agent id
+ * @returns {Promise<{ deskClosed: boolean }>}
+ */
+async function closeDeskTicket(mapping, closeComment, { closedBy = "agent" } = {}) {
+  let deskClosed = false;
+  if (mapping.ticketId) {
+    try {
+      await closeDeskTicketAPI(mapping.ticketId, closeComment);
+      deskClosed = true;
+    } catch (err) {
+      console.warn(`⚠️ Closing Desk ticket #${mapping.ticketId} failed (non-fatal): ${err.response?.status || err.message}`);
+    }
+  }
+  await resolveTicket(mapping, { closedBy });
+  return { deskClosed };
+}
+
+/**
+ * A ticket is closed: de-escalate the customer channel, archive the mapping
+ * and ask the customer how it went. Idempotent — a mapping that is already
+ * archived is left alone (the sync and a /close can race).
+ *
+ * @param {object} mapping
+ * @param {object} options - { closedBy, ticketStatus }
+ * @returns {Promise<boolean>} false if it was already closed
+ */
+async function resolveTicket(mapping, { closedBy, ticketStatus = "CLOSED" }) {
+  clearAgentAwayTimer(mapping.originalChannelUrl);
+  escalatedChannels.delete(mapping.originalChannelUrl);
+  deskChannels.delete(mapping.deskChannelUrl);
+
+  const archived = await ChannelMapping.findOneAndUpdate(
+    { _id: mapping._id, ...OPEN_MAPPING },
+    { status: "closed", ticketStatus, closedAt: new Date(), closedBy },
+    { new: true }
+  );
+  if (!archived) return false;
+  await stopSlaTimers(archived);
+  console.log(`✅ Desk ticket #${mapping.ticketId || "?"} closed by ${closedBy} — ${mapping.originalChannelUrl} is back with the bot`);
+
+  try {
+    await addBotToChannel(mapping.originalChannelUrl);
+  } catch (err) {
+    console.warn("⚠️ addBotToChannel failed on ticket close (non-fatal):", err.message);
+  }
+  await requestFeedback({
+    userId: mapping.userId,
+    channelUrl: mapping.originalChannelUrl,
+    trigger: "ticket_closed",
+    intent: "escalation",
+    ticketId: mapping.ticketId,
+    agentId: archived.agentId || (closedBy !== "desk" ? closedBy : undefined),
+    lead: `Your support ticket${mapping.ticketId ? ` #${mapping.ticketId}` : ""} has been resolved. If you need anything else, just send a message here.`,
+  });
+  return true;
+}
+
+/**
+ * Poll Desk for the status of every open ticket and resolve the ones an
+ * agent closed in the Desk dashboard. One failure doesn't stop the rest.
+ *
+ * @returns {Promise<{ checked: number, closed: number, failed: number }>}
+ */
+async function syncDeskTickets() {
+  const mappings = await ChannelMapping.find({ ...OPEN_MAPPING, ticketId: { $ne: null } }).lean();
+  let closed = 0, failed = 0;
+  for (const mapping of mappings) {
+    try {
+      const ticket = await getDeskTicket(mapping.ticketId);
+      const ticketStatus = ticket.status2 || ticket.status;
+      const assignee = ticket.recentAssignment?.agent?.sendbirdId;
+      if (assignee && assignee !== mapping.agentId) {
+        await ChannelMapping.updateOne({ _id: mapping._id }, { agentId: assignee });
+        mapping.agentId = assignee;
+      }
+      if (ticketStatus === "CLOSED") {
+        if (await resolveTicket(mapping, { closedBy: "desk", ticketStatus })) closed++;
+      } else if (ticketStatus && ticketStatus !== mapping.ticketStatus) {
+        await ChannelMapping.updateOne({ _id: mapping._id, ...OPEN_MAPPING }, { ticketStatus });
+      }
+    } catch (err) {
+      failed++;
+      console.warn(`⚠️ Desk sync failed for ticket #${mapping.ticketId} (non-fatal): ${err.response?.status || err.message}`);
+    }
+  }
+  return { checked: mappings.length, closed, failed };
+}
+
+/**
+ * The customer wrote in a channel that is not escalated. If its ticket was
+ * closed less than DESK_REOPEN_GRACE_MINUTES ago, reopen that ticket and put
+ * the channel back in escalation (the caller then forwards the message).
+ *
+ * @param {string} channelUrl - customer's original channel
+ * @returns {Promise<object|null>} the reopened mapping, or null
+ */
+async function reopenRecentTicket(channelUrl) {
+  const since = new Date(Date.now() - DESK_REOPEN_GRACE_MINUTES * 60 * 1000);
+  const mapping = await ChannelMapping.findOne({
+    originalChannelUrl: channelUrl,
+    status: "closed",
+    ticketStatus: "CLOSED", // really closed — not stale state archived by archiveMappings
+    closedAt: { $gte: since },
+    ticketId: { $ne: null },
+  }).sort({ closedAt: -1 });
+  if (!mapping) return null;
+
+  try {
+    await reopenDeskTicketAPI(mapping.ticketId);
+  } catch (err) {
+    console.warn(`⚠️ Reopening Desk ticket #${mapping.ticketId} failed (non-fatal): ${err.response?.status || err.message}`);
+    return null;
+  }
+
+  const reopened = await ChannelMapping.findOneAndUpdate(
+    { _id: mapping._id, status: "closed" },
+    {
+      status: "open", ticketStatus: "OPEN", reopenedAt: new Date(), slaStartedAt: new Date(),
+      $inc: { reopenCount: 1 }, $unset: { closedAt: 1, closedBy: 1, firstResponseAt: 1 },
+    },
+    { new: true }
+  );
+  if (!reopened) return null;
+  escalatedChannels.add(channelUrl);
+  deskChannels.add(reopened.deskChannelUrl);
+  await startSlaTimers(reopened);
+  scheduleAgentAwayFallback(channelUrl);
+  console.log(`🔁 Desk ticket #${reopened.ticketId} reopened — customer wrote again in ${channelUrl}`);
+  return reopened;
+}
+
+/**
+ * Archive the open mapping of a channel without touching Desk — for stale
+ * escalation state (/clear-escalation, a ticket that never activated).
+ *
+ * @returns {Promise<number>} how many mappings were archived
+ */
+async function archiveMappings(filter, { closedBy }) {
+  const open = await ChannelMapping.find({ ...filter, ...OPEN_MAPPING }, "originalChannelUrl deskChannelUrl").lean();
+  open.forEach((m) => {
+    clearAgentAwayTimer(m.originalChannelUrl);
+    escalatedChannels.delete(m.originalChannelUrl);
+    deskChannels.delete(m.deskChannelUrl);
+  });
+  const res = await ChannelMapping.updateMany(
+    { _id: { $in: open.map((m) => m._id) } },
+    { status: "closed", closedAt: new Date(), closedBy }
+  );
+  return res.modifiedCount;
+}
+
 /**
  * Restore escalated channel state from DB on server startup.
  * This ensures the in-memory Sets survive server restarts.
  */
 async function loadEscalatedChannels() {
-  const mappings = await ChannelMapping.find({}, "originalChannelUrl deskChannelUrl");
+  const mappings = await ChannelMapping.find(OPEN_MAPPING, "originalChannelUrl deskChannelUrl");
   mappings.forEach((m) => {
     escalatedChannels.add(m.originalChannelUrl);
     deskChannels.add(m.deskChannelUrl);
@@ -169,6 +380,12 @@ module.exports = {
   deskChannels,
   createDeskTicket,
   getOrCreateDeskChannel,
+  findOpenMapping,
+  closeDeskTicket,
+  resolveTicket,
+  syncDeskTickets,
+  reopenRecentTicket,
+  archiveMappings,
   loadEscalatedChannels,
   scheduleAgentAwayFallback,
   clearAgentAwayTimer,
@@ -0,0 +1,223 @@
+/**
+ * services/disputeService.js
+ * ---------------------------
+ * Card disputes (chargebacks) on our transactions.
+ *
+ * WHY A DISPUTE RECORD:
+ *   "chargeback" and "dispute" were only HIGH_TRIGGERS keywords — the backend
+ *   had no idea a bank was pulling money back. Stripe's charge.dispute.* webhooks
+ *   (POST /payment-webhook) now upsert a Dispute per Stripe dispute, carrying its
+ *   status, reason and the evidence due date.
+ *
+ * REFUND BLOCK:
+ *   While a dispute is open — or after it is lost — the bank controls the money.
+ *   Refunding on top would pay the customer twice, so processRefundInternal calls
+ *   assertNoBlockingDispute and refuses with .code "TRANSACTION_DISPUTED".
+ *   Won disputes and closed inquiries (warning_closed) stop blocking.
+ *
+ * EVIDENCE:
+ *   Agents attach the customer's UploadProof screenshots (receipts, delivery
+ *   confirmations) from the admin dashboard. Each attachment keeps the S3 key,
+ *   so fresh pre-signed links can be handed out until evidenceDueBy.
+ */
+
+const { Dispute, UploadProof } = require("../models");
+const { getFileUrl } = require("../integrations/s3Client");
+const { fromMinor, normalizeCurrency } = require("./currencyService");
+
+// Stripe dispute statuses that no longer stop a refund
+const NON_BLOCKING_STATUSES = ["won", "warning_closed"];
+// Stripe dispute statuses after which evidence can't change the outcome
+const CLOSED_STATUSES = ["won", "lost", "warning_closed"];
+const MAX_CANDIDATE_PROOFS = 20;
+
+// ── Ingestion ─────────────────────────────────────────────────────────────────
+
+/**
+ * Create or update the Dispute for a Stripe dispute object.
+ *
+ * @param {object} stripeDispute - event.data.object from a charge.dispute.* event
+ * @param {object} transaction   - the Transaction it was raised against
+ * @returns {Promise<object>} the Dispute document
+ */
+async function upsertDisputeFromStripe(stripeDispute, transaction) {
+  const dueBy = stripeDispute.evidence_details?.due_by;
+  const closed = CLOSED_STATUSES.includes(stripeDispute.status);
+
+  return Dispute.findOneAndUpdate(
+    { stripeDisputeId: stripeDispute.id },
+    {
+      $set: {
+        userId: transaction.userId,
+        txnId: transaction.transactionId,
+        transaction: transaction._id,
+        stripeChargeId: stripeDispute.charge,
+        stripePaymentIntentId: stripeDispute.payment_intent,
+        amount: fromMinor(stripeDispute.amount, stripeDispute.currency),
+        currency: normalizeCurrency(stripeDispute.currency),
+        reason: stripeDispute.reason,
+        status: stripeDispute.status,
+        evidenceDueBy: dueBy ? new Date(dueBy * 1000) : null,
+        closedAt: closed ? new Date() : null,
+        updatedAt: new Date(),
+      },
+      $setOnInsert: { createdAt: new Date() },
+    },
+    { upsert: true, new: true }
+  );
+}
+
+// ── Refund block ──────────────────────────────────────────────────────────────
+
+/**
+ * The dispute that currently stops refunds on a transaction, if any.
+ */
+async function getBlockingDispute(txnId, userId) {
+  return Dispute.findOne({ txnId, userId, status: { $nin: NON_BLOCKING_STATUSES } })
+    .sort({ createdAt: -1 })
+    .lean();
+}
+
+/**
+ * Throw unless the transaction can be refunded as far as disputes go.
+ * A Transaction marked disputed/chargeback by the webhook blocks even if its
+ * Dispute record is missing (e.g. it predates this collection).
+ *
+ * @param {object} transaction - Transaction document
+ * @throws {Error} with .code "TRANSACTION_DISPUTED" and .disputeId
+ */
+async function assertNoBlockingDispute(transaction) {
+  const dispute = await getBlockingDispute(transaction.transactionId, transaction.userId);
+  if (!dispute && !["disputed", "chargeback"].includes(transaction.status)) return;
+
+  const err = new Error(
+    `${transaction.transactionId} is under a card dispute${dispute ? ` (${dispute.status})` : ""} — refunds are blocked until the bank resolves it`
+  );
+  err.code = "TRANSACTION_DISPUTED";
+  err.disputeId = dispute?._id || null;
+  throw err;
+}
+
+// ── Admin: listing and evidence ───────────────────────────────────────────────
+
+/**
+ * List disputes, open ones with the nearest evidence deadline first.
+ *
+ * @param {object} params
+ * @param {boolean} [params.includeClosed=false]
+ * @param {number}  [params.limit=50]
+ */
+async function listDisputes({ includeClosed = false, limit = 50 } = {}) {
+  const query = includeClosed ? {} : { status: { $nin: CLOSED_STATUSES } };
+  return Dispute.find(query)
+    .sort({ evidenceDueBy: 1, createdAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
+/**
+ * One dispute with pre-signed links for its evidence and for the customer's
+ * uploads that could still be attached.
+ *
+ * @param {string} disputeId
+ * @returns {Promise<{ dispute: object, candidateProofs: object[] }>}
+ * @throws {Error} with .status 404
+ */
+async function getDisputeDetail(disputeId) {
+  const dispute = await Dispute.findById(disputeId).lean();
+  if (!dispute) throw httpError(404, `Dispute ${disputeId} not found`);
+
+  const attached = new Set(dispute.evidence.map((e) => String(e.uploadProofId)));
+  const proofs = await UploadProof.find({ userId: dispute.userId })
+    .sort({ createdAt: -1 })
+    .limit(MAX_CANDIDATE_PROOFS)
+    .lean();
+
+  const evidence = await Promise.all(
+    dispute.evidence.map(async (e) => ({ ...e, url: await signedUrl(e.s3Key) }))
+  );
+  const candidateProofs = await Promise.all(
+    proofs
+      .filter((p) => !attached.has(String(p._id)))
+      .map(async (p) => ({ ...p, url: await signedUrl(p.s3Key) }))
+  );
+  return { dispute: { ...dispute, evidence }, candidateProofs };
+}
+
+/**
+ * Attach one of the customer's UploadProof screenshots as dispute evidence.
+ *
+ * @param {string} disputeId
+ * @param {object} params - { uploadProofId, description, adminUser }
+ * @returns {Promise<object>} the updated Dispute
+ * @throws {Error} with .status (400 | 404 | 409)
+ */
+async function attachEvidence(disputeId, { uploadProofId, description, adminUser }) {
+  if (!uploadProofId) throw httpError(400, "uploadProofId is required");
+
+  const dispute = await Dispute.findById(disputeId).lean();
+  if (!dispute) throw httpError(404, `Dispute ${disputeId} not found`);
+  if (CLOSED_STATUSES.includes(dispute.status)) throw httpError(409, `Dispute is already ${dispute.status}`);
+
+  const proof = await UploadProof.findById(uploadProofId).lean();
+  if (!proof) throw httpError(404, `Upload ${uploadProofId} not found`);
+  if (proof.userId !== dispute.userId) throw httpError(400, "Upload belongs to a different customer");
+
+  // Conditional push — attaching the same proof twice is a no-op 409
+  const updated = await Dispute.findOneAndUpdate(
+    { _id: dispute._id, "evidence.uploadProofId": { $ne: proof._id } },
+    {
+      $push: { evidence: { uploadProofId: proof._id, s3Key: proof.s3Key, description, attachedBy: adminUser } },
+      $set: { updatedAt: new Date() },
+    },
+    { new: true }
+  ).lean();
+  if (!updated) throw httpError(409, "That upload is already attached to this dispute");
+  return updated;
+}
+
+/**
+ * Remove an attached proof from a dispute's evidence.
+ *
+ * @returns {Promise<object>} the updated Dispute
+ * @throws {Error} with .status (404 | 409)
+ */
+async function detachEvidence(disputeId, uploadProofId) {
+  const dispute = await Dispute.findById(disputeId).lean();
+  if (!dispute) throw httpError(404, `Dispute ${disputeId} not found`);
+  if (CLOSED_STATUSES.includes(dispute.status)) throw httpError(409, `Dispute is already ${dispute.status}`);
+
+  const updated = await Dispute.findOneAndUpdate(
+    { _id: dispute._id, "evidence.uploadProofId": uploadProofId },
+    { $pull: { evidence: { uploadProofId } }, $set: { updatedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!updated) throw httpError(404, "That upload is not attached to this dispute");
+  return updated;
+}
+
+async function signedUrl(s3Key) {
+  try {
+    return await getFileUrl(s3Key);
+  } catch (err) {
+    console.warn(`⚠️  Could not sign S3 link for ${s3Key} (non-fatal):`, err.message);
+    return null;
+  }
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = {
+  upsertDisputeFromStripe,
+  getBlockingDispute,
+  assertNoBlockingDispute,
+  listDisputes,
+  getDisputeDetail,
+  attachEvidence,
+  detachEvidence,
+  CLOSED_STATUSES,
+};
@@ -0,0 +1,217 @@
+/**
+ * services/feedbackService.js
+ * ----------------------------
+ * CSAT: ask for a 1–5 rating after a resolution, store it with what it was
+ * about, and report it by intent / refund decision / agent.
+ *
+ * TRIGGERS:
+ *   refund_completed  processRefundInternal, after the customer is told
+ *   ticket_closed     deskService.resolveTicket (Desk close or agent /close)
+ *   kb_answer         webhookController, after a knowledge-base answer
+ *
+ * FLOW:
+ *   requestFeedback() stores a "requested" Feedback and sends ⭐ buttons
+ *   (action "csat_rating", feedbackId) → the frontend posts POST /feedback →
+ *   recordRating() stores the rating and offers a comment: the customer's next
+ *   message within FEEDBACK_COMMENT_WINDOW_MINUTES is taken as the comment
+ *   (captureComment(), called from the Sendbird webhook), or "Skip" ends it.
+ *
+ * WHY a cooldown: a customer reading three FAQ answers in a row shouldn't be
+ * asked three times. One prompt per channel per CSAT_PROMPT_COOLDOWN_MINUTES.
+ */
+
+const { Feedback } = require("../models");
+const { sendBotMessage } = require("../integrations/sendbirdClient");
+const { trackAnalytics } = require("./auditService");
+
+const CSAT_PROMPT_COOLDOWN_MINUTES = Number(process.env.CSAT_PROMPT_COOLDOWN_MINUTES) || 60;
+const FEEDBACK_COMMENT_WINDOW_MINUTES = Number(process.env.FEEDBACK_COMMENT_WINDOW_MINUTES) || 10;
+
+const PROMPTS = {
+  refund_completed: "How was your refund experience?",
+  ticket_closed:    "How did our support team do?",
+  kb_answer:        "Did that answer help?",
+};
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Send a CSAT prompt. Non-fatal — a failed prompt never breaks the flow
+ * that resolved the customer's problem.
+ *
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.channelUrl
+ * @param {string} params.trigger          - refund_completed | ticket_closed | kb_answer
+ * @param {string} [params.intent]
+ * @param {string} [params.txnId]
+ * @param {string} [params.refundDecision]
+ * @param {string} [params.agentId]
+ * @param {string} [params.ticketId]
+ * @param {string} [params.lead]           - text shown before the question
+ * @returns {Promise<object|null>} the Feedback, or null when skipped / failed
+ */
+async function requestFeedback({ userId, channelUrl, trigger, intent, txnId, refundDecision, agentId, ticketId, lead }) {
+  if (!channelUrl || !userId) return null;
+  try {
+    const since = new Date(Date.now() - CSAT_PROMPT_COOLDOWN_MINUTES * 60 * 1000);
+    // A closed ticket is always asked about — it's the agent's only rating
+    if (trigger !== "ticket_closed" && (await Feedback.exists({ channelUrl, requestedAt: { $gte: since } }))) {
+      return null;
+    }
+
+    const feedback = await Feedback.create({
+      userId, channelUrl, trigger, intent, txnId, refundDecision, agentId, ticketId: ticketId && String(ticketId),
+    });
+    await sendBotMessage(
+      channelUrl,
+      [lead, PROMPTS[trigger]].filter(Boolean).join(" "),
+      {
+        type: "action_buttons",
+        feedbackId: String(feedback._id),
+        buttons: [1, 2, 3, 4, 5].map((rating) => ({
+          label: "⭐".repeat(rating), action: "csat_rating", rating, feedbackId: String(feedback._id),
+        })),
+      }
+    );
+    return feedback.toObject();
+  } catch (err) {
+    console.warn(`⚠️ CSAT prompt failed for ${channelUrl} (non-fatal):`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Store a rating (and optional comment). Re-rating overwrites the rating.
+ *
+ * @param {string} feedbackId
+ * @param {object} params - { userId, rating, comment }
+ * @returns {Promise<object>} the updated Feedback
+ * @throws {Error} .status 400 bad rating | 404 unknown feedback (or another user's)
+ */
+async function recordRating(feedbackId, { userId, rating, comment }) {
+  const score = Number(rating);
+  if (!Number.isInteger(score) || score < 1 || score > 5) throw httpError(400, "rating must be an integer from 1 to 5");
+
+  const feedback = await Feedback.findOne({ _id: feedbackId, userId }).catch(() => null);
+  if (!feedback) throw httpError(404, "Feedback request not found");
+
+  const text = typeof comment === "string" ? comment.trim().slice(0, 1000) : "";
+  feedback.rating = score;
+  feedback.status = "rated";
+  feedback.ratedAt = new Date();
+  if (text) {
+    feedback.comment = text;
+    feedback.commentUntil = undefined;
+  } else if (!feedback.comment) {
+    feedback.commentUntil = new Date(Date.now() + FEEDBACK_COMMENT_WINDOW_MINUTES * 60 * 1000);
+  }
+  await feedback.save();
+
+  await trackAnalytics("csat_submitted", {
+    userId, txnId: feedback.txnId, channelUrl: feedback.channelUrl,
+    metadata: { rating: score, trigger: feedback.trigger, intent: feedback.intent, agentId: feedback.agentId },
+  });
+
+  if (feedback.commentUntil) {
+    await sendBotMessage(
+      feedback.channelUrl,
+      "Thanks for the rating! Anything you'd like to add? Type it below, or tap Skip.",
+      {
+        type: "action_buttons",
+        buttons: [{ label: "Skip", action: "csat_skip", feedbackId: String(feedback._id) }],
+      }
+    );
+  } else {
+    await sendBotMessage(feedback.channelUrl, "Thanks for your feedback!");
+  }
+  return feedback.toObject();
+}
+
+/**
+ * The customer declined to comment.
+ */
+async function skipComment(feedbackId, { userId }) {
+  const feedback = await Feedback.findOneAndUpdate(
+    { _id: feedbackId, userId },
+    { $unset: { commentUntil: 1 } },
+    { new: true }
+  ).lean().catch(() => null);
+  if (!feedback) throw httpError(404, "Feedback request not found");
+  return feedback;
+}
+
+/**
+ * Take a customer message as the comment for their latest rating, if one is
+ * waiting for it. Called before normal message routing.
+ *
+ * @returns {Promise<boolean>} true if the message was used as a comment
+ */
+async function captureComment(channelUrl, userId, text) {
+  if (!text?.trim()) return false;
+  const feedback = await Feedback.findOneAndUpdate(
+    { channelUrl, userId, status: "rated", commentUntil: { $gte: new Date() } },
+    { comment: text.trim().slice(0, 1000), $unset: { commentUntil: 1 } },
+    { new: true, sort: { ratedAt: -1 } }
+  ).lean();
+  if (!feedback) return false;
+  await sendBotMessage(channelUrl, "Thanks — your comment has been passed on to the team.");
+  return true;
+}
+
+/**
+ * CSAT summary for /admin/api/stats: overall and grouped by intent, refund
+ * decision and agent. csat = share of ratings that are 4 or 5.
+ */
+async function getCsatStats() {
+  const summarise = (groupKey) => [
+    { $match: { status: "rated" } },
+    {
+      $group: {
+        _id: groupKey,
+        ratings: { $sum: 1 },
+        avgRating: { $avg: "$rating" },
+        satisfied: { $sum: { $cond: [{ $gte: ["$rating", 4] }, 1, 0] } },
+      },
+    },
+    { $sort: { ratings: -1 } },
+  ];
+  const shape = (rows) => rows.map(({ _id, ratings, avgRating, satisfied }) => ({
+    key: _id ?? "unknown",
+    ratings,
+    avgRating: Number(avgRating.toFixed(2)),
+    csatPct: Number(((satisfied / ratings) * 100).toFixed(1)),
+  }));
+
+  const [requested, overall, byIntent, byDecision, byAgent] = await Promise.all([
+    Feedback.countDocuments(),
+    Feedback.aggregate(summarise(null)),
+    Feedback.aggregate(summarise("$intent")),
+    Feedback.aggregate([{ $match: { refundDecision: { $ne: null } } }, ...summarise("$refundDecision")]),
+    Feedback.aggregate([{ $match: { agentId: { $ne: null } } }, ...summarise("$agentId")]),
+  ]);
+  const total = shape(overall)[0];
+  return {
+    requested,
+    ratings: total?.ratings || 0,
+    responseRatePct: requested ? Number((((total?.ratings || 0) / requested) * 100).toFixed(1)) : 0,
+    avgRating: total?.avgRating ?? null,
+    csatPct: total?.csatPct ?? null,
+    byIntent: shape(byIntent),
+    byDecision: shape(byDecision),
+    byAgent: shape(byAgent),
+  };
+}
+
+module.exports = {
+  CSAT_PROMPT_COOLDOWN_MINUTES,
+  requestFeedback,
+  recordRating,
+  skipComment,
+  captureComment,
+  getCsatStats,
+};
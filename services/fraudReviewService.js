@@ -0,0 +1,184 @@
+/**
+ * services/fraudReviewService.js
+ * -------------------------------
+ * Analyst review queue for FraudEngine ESCALATE cases.
+ *
+ * WHY A QUEUE:
+ *   A HIGH-risk FraudLog used to be a dead end — read-only in the dashboard.
+ *   Every ESCALATE evaluation is now opened for review (reviewStatus "open")
+ *   and an analyst closes it with one of:
+ *     approve      → full refund via processRefundInternal (customer is notified there)
+ *     deny         → RefundRequest rejected, customer told in chat
+ *     request_info → RefundRequest parked in "info_requested", the analyst's
+ *                    question is sent to the customer; the case stays in the queue
+ *
+ * The decision flows to the RefundRequest linked by fraudLogId (set in
+ * /refund-action) as a refundStateMachine event, checked before the case is
+ * claimed. Every action is audit-logged with the analyst's identity.
+ *
+ * CONCURRENCY:
+ *   The FraudLog is claimed with a conditional findOneAndUpdate before any
+ *   money moves, so two analysts clicking "approve" can't refund twice.
+ *
+ * FAILURES AFTER THE CLAIM:
+ *   If the decision then throws (REFUND_EXCEEDS_BALANCE, a dispute, a DB
+ *   error), the attempt is audit-logged with the error and the case goes back
+ *   to its previous status while the request can still take the decision —
+ *   an approval whose refund failed can be approved again. Otherwise the
+ *   claim stays, with the error in reviewNote.
+ */
+
+const { FraudLog, RefundRequest } = require("../models");
+const { sendBotMessage } = require("../integrations/sendbirdClient");
+const { processRefundInternal, findTransaction } = require("./transactionService");
+const { log, logRefundDecision } = require("./auditService");
+const { getBlockingDispute } = require("./disputeService");
+const { assertTransition, canTransition, stateOf, transition } = require("./refundStateMachine");
+
+const REVIEW_DECISIONS = {
+  approve:      "approved",
+  deny:         "denied",
+  request_info: "info_requested",
+};
+const OPEN_STATUSES = ["open", "info_requested"];
+// decision → refundStateMachine event applied to the linked RefundRequest
+const REFUND_EVENTS_BY_DECISION = {
+  approve:      "approve",
+  deny:         "reject",
+  request_info: "request_info",
+};
+
+/**
+ * List review cases, newest first, with the linked RefundRequest attached.
+ *
+ * @param {object} params
+ * @param {string[]} [params.statuses] - default: open + info_requested
+ * @param {number}   [params.limit=50]
+ */
+async function listReviewCases({ statuses = OPEN_STATUSES, limit = 50 } = {}) {
+  const cases = await FraudLog.find({ reviewStatus: { $in: statuses } })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+
+  const refunds = await RefundRequest.find({ fraudLogId: { $in: cases.map((c) => c._id) } }).lean();
+  const byFraudLog = new Map(refunds.map((r) => [String(r.fraudLogId), r]));
+  return cases.map((c) => ({ ...c, refundRequest: byFraudLog.get(String(c._id)) || null }));
+}
+
+/**
+ * Apply an analyst decision to a review case.
+ *
+ * @param {string} fraudLogId
+ * @param {object} params
+ * @param {string} params.decision  - approve | deny | request_info
+ * @param {string} [params.note]    - required for request_info (sent to the customer)
+ * @param {string} params.adminUser - analyst identity (req.adminUser)
+ * @param {string} [params.ipAddress]
+ * @returns {Promise<{ fraudLog: object, refundRequest: object }>}
+ * @throws {Error} with .status (400 | 404 | 409) for caller-facing failures
+ */
+async function decideReviewCase(fraudLogId, { decision, note, adminUser, ipAddress }) {
+  const reviewStatus = REVIEW_DECISIONS[decision];
+  if (!reviewStatus) throw httpError(400, `decision must be one of ${Object.keys(REVIEW_DECISIONS).join(", ")}`);
+  if (decision === "request_info" && !note?.trim()) throw httpError(400, "note is required when requesting more info");
+
+  const existing = await FraudLog.findById(fraudLogId).lean();
+  if (!existing) throw httpError(404, `Review case ${fraudLogId} not found`);
+
+  const refundRequest = await RefundRequest.findOne({ fraudLogId: existing._id }).lean();
+  if (!refundRequest) throw httpError(409, "No refund request is linked to this case");
+  if (!OPEN_STATUSES.includes(existing.reviewStatus)) {
+    throw httpError(409, `Case is already ${existing.reviewStatus || "closed"}`);
+  }
+  // e.g. the customer declined or a dispute closed the request meanwhile
+  const retryingApproval = isFailedApproval(refundRequest, decision);
+  if (!retryingApproval) assertTransition(refundRequest, REFUND_EVENTS_BY_DECISION[decision]);
+
+  const { userId, txnId, channelUrl } = refundRequest;
+  let transaction = null;
+  if (decision === "approve") {
+    transaction = await findTransaction(txnId, userId);
+    if (!transaction) throw httpError(404, `Transaction ${txnId} not found`);
+    if (transaction.status === "refunded") throw httpError(409, `${txnId} has already been refunded`);
+    if (await getBlockingDispute(txnId, userId)) throw httpError(409, `${txnId} is under a card dispute — refunds are blocked`);
+  }
+
+  // Claim the case — only one analyst action wins
+  const fraudLog = await FraudLog.findOneAndUpdate(
+    { _id: existing._id, reviewStatus: { $in: OPEN_STATUSES } },
+    { reviewStatus, reviewedBy: adminUser, reviewedAt: new Date(), reviewNote: note },
+    { new: true }
+  ).lean();
+  if (!fraudLog) throw httpError(409, "Case was decided by another analyst — reload the queue");
+
+  const auditDetails = { fraudLogId: String(fraudLog._id), decision, note, customerUserId: userId, refundRequestId: String(refundRequest._id) };
+  try {
+    if (decision === "approve") {
+      if (!retryingApproval) await transition(refundRequest, "approve", { actor: adminUser, note });
+      const { refundAmount } = await processRefundInternal(txnId, channelUrl, userId, transaction);
+      await logRefundDecision({ userId, txnId, channelUrl, decision: "APPROVED", reason: "fraud_review_approved", amount: refundAmount });
+
+    } else if (decision === "deny") {
+      await transition(refundRequest, "reject", { actor: adminUser, note });
+      await sendBotMessage(
+        channelUrl,
+        `After reviewing your refund request for ${txnId}, we're unable to approve it. ` +
+          "If you believe this is a mistake, reply here and an agent will follow up.",
+        { type: "refund_status", status: "rejected", txnId }
+      );
+      await logRefundDecision({ userId, txnId, channelUrl, decision: "REJECTED", reason: "fraud_review_denied", amount: 0 });
+
+    } else { // request_info
+      await transition(refundRequest, "request_info", { actor: adminUser, note: note.trim() });
+      await sendBotMessage(
+        channelUrl,
+        `To continue reviewing your refund for ${txnId}, we need a little more information:\n\n${note.trim()}`,
+        { type: "refund_status", status: "info_requested", txnId }
+      );
+    }
+  } catch (err) {
+    await log("fraud_review", {
+      userId: adminUser, txnId, channelUrl, ipAddress,
+      details: { ...auditDetails, failed: true, error: err.message, errorCode: err.code || null },
+    });
+    await releaseClaim(existing, fraudLog, decision, err);
+    throw err;
+  }
+
+  await log("fraud_review", { userId: adminUser, txnId, channelUrl, ipAddress, details: auditDetails });
+
+  console.log(`[FraudReview] ${adminUser} ${decision} case=${fraudLog._id} txn=${txnId}`);
+  return { fraudLog, refundRequest: await RefundRequest.findById(refundRequest._id).lean() };
+}
+
+// An earlier approval left the request "approved" but its refund threw
+function isFailedApproval(refundRequest, decision) {
+  return decision === "approve" && stateOf(refundRequest) === "approved" && refundRequest.history?.at(-1)?.event === "approve";
+}
+
+/**
+ * Undo a claim whose decision failed: back to the previous review status when
+ * the request can still take the decision, else keep it and record the error.
+ */
+async function releaseClaim(existing, fraudLog, decision, err) {
+  try {
+    const current = await RefundRequest.findOne({ fraudLogId: existing._id }).lean();
+    const retryable = canTransition(current, REFUND_EVENTS_BY_DECISION[decision]) || isFailedApproval(current, decision);
+    const update = retryable
+      ? { reviewStatus: existing.reviewStatus, reviewedBy: existing.reviewedBy ?? null, reviewedAt: existing.reviewedAt ?? null, reviewNote: existing.reviewNote ?? null }
+      : { reviewNote: [fraudLog.reviewNote, `${decision} failed: ${err.message}`].filter(Boolean).join(" — ") };
+    await FraudLog.updateOne({ _id: fraudLog._id, reviewStatus: fraudLog.reviewStatus }, update);
+    console.warn(`⚠️ [FraudReview] ${decision} failed for case=${fraudLog._id} (${retryable ? "case reopened" : "case kept closed"}): ${err.message}`);
+  } catch (releaseErr) {
+    console.warn(`⚠️ [FraudReview] could not release case=${fraudLog._id} (non-fatal):`, releaseErr.message);
+  }
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = { listReviewCases, decideReviewCase, REVIEW_DECISIONS };
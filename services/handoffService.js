@@ -0,0 +1,251 @@
+/**
+ * services/handoffService.js
+ * ---------------------------
+ * The handoff card an agent sees first in a new (or re-escalated) Desk ticket.
+ *
+ * WHY:
+ *   The Desk context used to be a fixed template — customer id, txn, reason —
+ *   so the agent's first move was to scroll the customer channel and open the
+ *   admin dashboard to find out what had already happened. The card puts that
+ *   in the ticket:
+ *
+ *     Summary        LLM-written when the budget allows, otherwise built from
+ *                    the facts below (never blocks the handoff)
+ *     Escalation     the policy decision that sent it here (version, rule, risk)
+ *     Intent trail   UserSession.intentTrail — what the bot understood, in order
+ *     Transactions   the customer's last 5
+ *     Prior refunds  earlier RefundRequests (other transactions)
+ *     Fraud checks   recent FraudLog entries
+ *     Proofs         UploadProof files, as links signed when the card is built
+ *                    (the stored s3Url expired an hour after upload)
+ *     Messages       last HANDOFF_MESSAGE_LIMIT messages of the customer channel,
+ *                    with PII swapped for vault tokens (services/piiVaultService.js)
+ *
+ *   The same card goes out as message.data ({ type: "handoff_card", card }) for
+ *   a Desk UI that renders it; the text version works everywhere.
+ *
+ * The LLM only sees the tokenised card (and llmGateway redacts on top) — it
+ * summarises, it decides nothing.
+ */
+
+const { Transaction, RefundRequest, FraudLog, UploadProof } = require("../models");
+const { getRecentMessages, sendDeskContext } = require("../integrations/sendbirdClient");
+const { getFileUrl } = require("../integrations/s3Client");
+const { complete, isLLMAvailable } = require("../integrations/llmGateway");
+const { getUserSession } = require("./sessionService");
+const { formatMoney } = require("./currencyService");
+const { tokenise } = require("./piiVaultService");
+
+const HANDOFF_MESSAGE_LIMIT = Number(process.env.HANDOFF_MESSAGE_LIMIT) || 10;
+const HANDOFF_LLM_SUMMARY = process.env.HANDOFF_LLM_SUMMARY !== "false";
+
+// ── Card ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Collect everything the agent needs. Each section is best-effort — a failed
+ * lookup leaves that section empty rather than dropping the card.
+ *
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.channelUrl       - customer's original channel
+ * @param {string} [params.txnId]
+ * @param {object} [params.escalation]     - why the ticket exists:
+ *   { priority, reason, intent, decision, policyDecision, policyVersion, policyRuleId,
+ *     policyReason, riskLevel, riskScore, triggers, fraudScore }
+ * @returns {Promise<object>} the card (plain JSON)
+ */
+async function buildHandoffCard({ userId, channelUrl, txnId = null, escalation = {} }) {
+  const settle = (promise) => promise.catch((err) => {
+    console.warn("⚠️ Handoff card lookup failed (non-fatal):", err.message);
+    return null;
+  });
+
+  const [messages, session, transactions, refunds, fraudChecks, proofs] = await Promise.all([
+    settle(getRecentMessages(channelUrl, HANDOFF_MESSAGE_LIMIT)),
+    settle(getUserSession(userId)),
+    settle(Transaction.find({ userId }).sort({ createdAt: -1 }).limit(5).lean()),
+    settle(RefundRequest.find({ userId, ...(txnId ? { txnId: { $ne: txnId } } : {}) }).sort({ createdAt: -1 }).limit(5).lean()),
+    settle(FraudLog.find({ userId }).sort({ createdAt: -1 }).limit(5).lean()),
+    settle(UploadProof.find({ userId }).sort({ createdAt: -1 }).limit(5).lean()),
+  ]);
+
+  const messageTexts = await Promise.all((messages || []).map((m) =>
+    m.type === "FILE" ? "[file]" : tokenise(String(m.message || ""), { userId, channelUrl })));
+  const proofUrls = await Promise.all((proofs || []).map((p) => signedUrl(p.s3Key)));
+
+  const card = {
+    userId,
+    txnId,
+    escalation,
+    intentTrail: (session?.intentTrail || []).slice(-10).map(({ intent, sentiment, at }) => ({ intent, sentiment, at })),
+    lastSentiment: session?.lastSentiment || null,
+    transactions: (transactions || []).map((t) => ({
+      txnId: t.transactionId, amount: t.amount, currency: t.currency, status: t.status, createdAt: t.createdAt,
+    })),
+    priorRefunds: (refunds || []).map((r) => ({
+      txnId: r.txnId, reason: r.refundReason, decision: r.finalDecision, status: r.status, createdAt: r.createdAt,
+    })),
+    fraudChecks: (fraudChecks || []).map((f) => ({
+      txnId: f.txnId, riskLevel: f.riskLevel, riskScore: f.riskScore, action: f.action,
+      triggers: f.triggers || [], reviewStatus: f.reviewStatus || null, createdAt: f.createdAt,
+    })),
+    proofs: (proofs || []).map((p, i) => ({
+      txnId: p.txnId, mimeType: p.mimeType, fileSize: p.fileSize, url: proofUrls[i], createdAt: p.createdAt,
+    })),
+    messages: (messages || []).map((m, i) => ({
+      from: speaker(m, userId),
+      text: messageTexts[i],
+      at: m.created_at ? new Date(m.created_at) : null,
+    })),
+  };
+  card.summary = await summarise(card);
+  return card;
+}
+
+function speaker(message, userId) {
+  if (message.user?.user_id === userId) return "Customer";
+  if (typeof message.message === "string" && message.message.startsWith("[Support Agent]:")) return "Agent";
+  return "Bot";
+}
+
+// A fresh pre-signed link (1h), or null when S3 is off or signing fails
+async function signedUrl(s3Key) {
+  try {
+    return await getFileUrl(s3Key);
+  } catch (err) {
+    console.warn(`⚠️ Could not sign S3 link for ${s3Key} (non-fatal):`, err.message);
+    return null;
+  }
+}
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+async function summarise(card) {
+  const fallback = deterministicSummary(card);
+  if (!HANDOFF_LLM_SUMMARY || !(await isLLMAvailable())) return { text: fallback, source: "rules" };
+
+  try {
+    const { text } = await complete({
+      purpose: "handoff_summary",
+      temperature: 0.2,
+      maxTokens: 180,
+      messages: [
+        {
+          role: "system",
+          content:
+            "You brief a fintech support agent who is taking over a chat from a bot.\n" +
+            "Given the handoff card JSON, write 2–4 plain sentences: what the customer wants, " +
+            "what the bot and policy already did, and what the agent should look at first.\n" +
+            "Rules:\n" +
+            "- Use only facts in the card — never invent amounts, statuses or outcomes\n" +
+            "- Mention fraud risk and prior refunds only if the card shows them\n" +
+            "- No greetings, no bullet points",
+        },
+        { role: "user", content: JSON.stringify(card) },
+      ],
+    });
+    return text ? { text, source: "llm" } : { text: fallback, source: "rules" };
+  } catch (err) {
+    console.warn("⚠️ Handoff LLM summary failed — using deterministic summary:", err.message);
+    return { text: fallback, source: "rules" };
+  }
+}
+
+function deterministicSummary(card) {
+  const { escalation: e } = card;
+  const parts = [];
+  const current = card.transactions.find((t) => t.txnId === card.txnId);
+  parts.push(
+    `${e.priority === "HIGH" ? "High-priority" : "Normal-priority"} ${e.reason ? `"${e.reason}" ` : ""}escalation` +
+      (card.txnId ? ` for ${card.txnId}${current ? ` (${formatMoney(current.amount, current.currency)}, ${current.status})` : ""}` : "") +
+      "."
+  );
+  if (e.decision) parts.push(`Policy decided ${e.decision}${e.policyRuleId ? ` (rule ${e.policyRuleId})` : ""}.`);
+  if (card.intentTrail.length) {
+    parts.push(`Bot understood: ${card.intentTrail.slice(-4).map((i) => i.intent).join(" → ")}.`);
+  }
+  if (card.lastSentiment && card.lastSentiment !== "neutral") parts.push(`Customer sounds ${card.lastSentiment}.`);
+  if (card.priorRefunds.length) parts.push(`${card.priorRefunds.length} earlier refund request(s).`);
+  const risky = card.fraudChecks.find((f) => f.riskLevel === "HIGH");
+  if (risky) parts.push(`HIGH fraud risk on ${risky.txnId} (${risky.riskScore}/100).`);
+  if (card.proofs.length) parts.push(`${card.proofs.length} proof file(s) uploaded.`);
+  return parts.join(" ");
+}
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+const shortDate = (d) => (d ? new Date(d).toLocaleDateString("en-US", { month: "short", day: "numeric" }) : "—");
+
+/**
+ * Plain-text card for the Desk channel.
+ */
+function renderHandoffCard(card) {
+  const e = card.escalation;
+  const lines = [
+    "[🤖 AI Support — Handoff]",
+    "",
+    e.priority === "HIGH" ? "🚨 HIGH PRIORITY — Escalation" : "📋 Escalation — Agent Review Required",
+    "",
+    `Summary : ${card.summary.text}`,
+    "",
+    "── Escalation ──",
+    `Customer : ${card.userId}`,
+  ];
+  if (card.txnId) lines.push(`Transaction : ${card.txnId}`);
+  if (e.reason) lines.push(`Reason : ${e.reason}`);
+  if (e.decision) {
+    lines.push(
+      `Policy : ${e.decision}` +
+        (e.policyVersion ? ` (v${e.policyVersion}, rule ${e.policyRuleId})` : "") +
+        (e.policyReason ? ` — ${e.policyReason}` : "")
+    );
+  }
+  if (e.riskLevel) lines.push(`Risk : ${e.riskLevel}${e.riskScore != null ? ` (${e.riskScore}/100)` : ""} ${e.triggers?.join(", ") || "no triggers"}`);
+  if (e.fraudScore != null) lines.push(`Refunds (30d) : ${e.fraudScore}`);
+
+  const section = (title, rows) => {
+    if (!rows.length) return;
+    lines.push("", `── ${title} ──`, ...rows);
+  };
+  section("Intent trail", card.intentTrail.length
+    ? [card.intentTrail.map((i) => (i.sentiment ? `${i.intent} (${i.sentiment})` : i.intent)).join(" → ")]
+    : []);
+  section("Last transactions", card.transactions.map((t) =>
+    `${t.txnId} · ${formatMoney(t.amount, t.currency)} · ${t.status} · ${shortDate(t.createdAt)}`));
+  section("Prior refunds", card.priorRefunds.map((r) =>
+    `${r.txnId} · ${r.reason || "no reason"} · ${r.decision || "undecided"} · ${r.status} · ${shortDate(r.createdAt)}`));
+  section("Fraud checks", card.fraudChecks.map((f) =>
+    `${f.txnId} · ${f.riskLevel} (${f.riskScore}/100) · ${f.action}${f.triggers.length ? ` · ${f.triggers.join(", ")}` : ""}` +
+      `${f.reviewStatus ? ` · review ${f.reviewStatus}` : ""}`));
+  section("Proofs", card.proofs.map((p) =>
+    `${p.txnId} · ${p.mimeType} · ${Math.round((p.fileSize || 0) / 1024)} KB · ${p.url || "link unavailable"}`));
+  section(`Last ${card.messages.length} messages`, card.messages.map((m) => `${m.from}: ${m.text}`));
+  return lines.join("\n");
+}
+
+/**
+ * Build and post the handoff card into a Desk channel. Non-fatal — a failed
+ * card never blocks the escalation itself.
+ *
+ * @param {string} deskChannelUrl
+ * @param {object} params - see buildHandoffCard
+ * @returns {Promise<object|null>} the card, or null on failure
+ */
+async function sendHandoffCard(deskChannelUrl, params) {
+  try {
+    const card = await buildHandoffCard(params);
+    await sendDeskContext(deskChannelUrl, params.userId, renderHandoffCard(card), { type: "handoff_card", card });
+    console.log(`🗂 Handoff card sent to ${deskChannelUrl} (summary: ${card.summary.source})`);
+    return card;
+  } catch (err) {
+    console.warn(`⚠️ Handoff card failed for ${deskChannelUrl} (non-fatal):`, err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  HANDOFF_MESSAGE_LIMIT,
+  buildHandoffCard,
+  renderHandoffCard,
+  sendHandoffCard,
+};
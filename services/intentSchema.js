@@ -0,0 +1,100 @@
+/**
+ * services/intentSchema.js
+ * -------------------------
+ * The contract for LLM intent classification output, and its validator.
+ *
+ * WHY:
+ *   detectIntent used to JSON.parse the model's reply and route on whatever
+ *   came back. An invented intent ("cancel_subscription") fell through to the
+ *   unknown branch, a transaction_id like "1234" or "TXN-12" was looked up as
+ *   if real, and a ```json-fenced reply threw into the fallback with no record
+ *   of why. Now the reply must match INTENT_JSON_SCHEMA exactly; anything else
+ *   is rejected with a list of reasons and the rule-based classifier answers.
+ *
+ * The same schema is sent to providers that support structured outputs
+ * (OpenAI / Azure json_schema mode), so a well-behaved model can't produce
+ * anything else — validation here is the guard for the ones that can.
+ */
+
+const INTENTS = ["transaction_lookup", "refund_request", "escalation", "faq", "retry_payment", "unknown"];
+const SENTIMENTS = ["neutral", "frustrated", "angry", "happy"];
+const TXN_ID_PATTERN = /^TXN\d+$/;
+
+// JSON Schema (structured-outputs subset: every property required, nullable via type array)
+const INTENT_JSON_SCHEMA = {
+  name: "intent_classification",
+  schema: {
+    type: "object",
+    properties: {
+      intent: { type: "string", enum: INTENTS },
+      transaction_id: { type: ["string", "null"], pattern: TXN_ID_PATTERN.source },
+      sentiment: { type: "string", enum: SENTIMENTS },
+      suggested_action: { type: "string" },
+      confidence: { type: "number", minimum: 0, maximum: 1 },
+    },
+    required: ["intent", "transaction_id", "sentiment", "suggested_action", "confidence"],
+    additionalProperties: false,
+  },
+};
+
+/**
+ * Parse and validate a raw model reply.
+ *
+ * @param {string} text - the model's reply
+ * @returns {{ ok: true, value: object } | { ok: false, reasons: string[] }}
+ */
+function validateIntentOutput(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(text || "").trim());
+  } catch {
+    return { ok: false, reasons: [/^\s*```/.test(text || "") ? "markdown-wrapped reply" : "reply is not valid JSON"] };
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { ok: false, reasons: ["reply is not a JSON object"] };
+  }
+
+  const reasons = [];
+  const { properties, required } = INTENT_JSON_SCHEMA.schema;
+  for (const key of required) {
+    if (!(key in parsed)) reasons.push(`missing ${key}`);
+  }
+  for (const key of Object.keys(parsed)) {
+    if (!(key in properties)) reasons.push(`unexpected field ${key}`);
+  }
+  if ("intent" in parsed && !INTENTS.includes(parsed.intent)) {
+    reasons.push(`invalid intent ${JSON.stringify(parsed.intent)}`);
+  }
+  if ("sentiment" in parsed && !SENTIMENTS.includes(parsed.sentiment)) {
+    reasons.push(`invalid sentiment ${JSON.stringify(parsed.sentiment)}`);
+  }
+  if (parsed.transaction_id != null && !(typeof parsed.transaction_id === "string" && TXN_ID_PATTERN.test(parsed.transaction_id))) {
+    reasons.push(`malformed transaction_id ${JSON.stringify(parsed.transaction_id)}`);
+  }
+  if ("suggested_action" in parsed && typeof parsed.suggested_action !== "string") {
+    reasons.push("suggested_action is not a string");
+  }
+  if ("confidence" in parsed && !(typeof parsed.confidence === "number" && parsed.confidence >= 0 && parsed.confidence <= 1)) {
+    reasons.push(`confidence ${JSON.stringify(parsed.confidence)} is not a number from 0 to 1`);
+  }
+
+  if (reasons.length) return { ok: false, reasons };
+  return {
+    ok: true,
+    value: {
+      intent: parsed.intent,
+      transaction_id: parsed.transaction_id ?? null,
+      sentiment: parsed.sentiment,
+      suggested_action: parsed.suggested_action,
+      confidence: parsed.confidence,
+    },
+  };
+}
+
+module.exports = {
+  INTENTS,
+  SENTIMENTS,
+  TXN_ID_PATTERN,
+  INTENT_JSON_SCHEMA,
+  validateIntentOutput,
+};
@@ -0,0 +1,420 @@
+/**
+ * services/ledgerService.js
+ * --------------------------
+ * Double-entry ledger for every money movement on a transaction.
+ *
+ * WHY A LEDGER:
+ *   processRefundInternal used to set Transaction.status = "refunded" and
+ *   overwrite refundedAmount, so a second partial refund erased the first and
+ *   nothing stopped refunds from exceeding the original charge. Every movement
+ *   is now an append-only LedgerEntry; balances are sums over entries and the
+ *   Transaction fields are a derived cache (syncTransaction).
+ *
+ * ACCOUNTS (each entry debits one and credits another for the same amount):
+ *   charge / retry_payment    debit asset:stripe_clearing            credit revenue:sales
+ *   refund / partial_refund   debit contra_revenue:refunds           credit asset:stripe_clearing
+ *   coupon_issued             debit expense:customer_compensation    credit liability:coupons
+ *   coupon_redeemed           debit liability:coupons                credit revenue:sales
+ *                             (the discount a coupon paid on a checkout — no cash moved)
+ *   coupon_voided             debit liability:coupons                credit expense:customer_compensation
+ *                             (a coupon revoked or expired unused — the liability is released)
+ *   refund_reversal           debit asset:stripe_clearing            credit contra_revenue:refunds
+ *                             (a refund Stripe reported as failed/canceled — the money never left)
+ *
+ * BALANCE PER TRANSACTION:
+ *   charged    = Σ charge + retry_payment
+ *   refunded   = Σ refund + partial_refund − refund_reversal
+ *   refundable = charged − refunded   (coupons are not cash: issuing one doesn't reduce it,
+ *                                      and the part of a payment a coupon covered isn't refundable)
+ *   status     = refunded once refundable hits 0, partially_refunded before that
+ *
+ * CURRENCY:
+ *   Every entry is in its transaction's currency. amountMinor (integer cents,
+ *   paise…) is what balances are summed in, so 0.1 + 0.2 style drift can never
+ *   let a refund slip past the balance check; `amount` keeps the major-unit
+ *   value for readers that predate it. Entries written before amountMinor
+ *   existed are converted on read. Balances are returned in major units.
+ */
+
+const { LedgerEntry, Transaction } = require("../models");
+const { toMinor, fromMinor, formatMoney, normalizeCurrency } = require("./currencyService");
+
+const ACCOUNTS = {
+  STRIPE_CLEARING:  "asset:stripe_clearing",
+  REVENUE:          "revenue:sales",
+  REFUNDS:          "contra_revenue:refunds",
+  COMPENSATION:     "expense:customer_compensation",
+  COUPON_LIABILITY: "liability:coupons",
+};
+
+const ENTRY_ACCOUNTS = {
+  charge:         { debitAccount: ACCOUNTS.STRIPE_CLEARING, creditAccount: ACCOUNTS.REVENUE },
+  retry_payment:  { debitAccount: ACCOUNTS.STRIPE_CLEARING, creditAccount: ACCOUNTS.REVENUE },
+  refund:         { debitAccount: ACCOUNTS.REFUNDS,         creditAccount: ACCOUNTS.STRIPE_CLEARING },
+  partial_refund: { debitAccount: ACCOUNTS.REFUNDS,         creditAccount: ACCOUNTS.STRIPE_CLEARING },
+  coupon_issued:  { debitAccount: ACCOUNTS.COMPENSATION,    creditAccount: ACCOUNTS.COUPON_LIABILITY },
+  coupon_redeemed: { debitAccount: ACCOUNTS.COUPON_LIABILITY, creditAccount: ACCOUNTS.REVENUE },
+  coupon_voided:  { debitAccount: ACCOUNTS.COUPON_LIABILITY, creditAccount: ACCOUNTS.COMPENSATION },
+  refund_reversal: { debitAccount: ACCOUNTS.STRIPE_CLEARING, creditAccount: ACCOUNTS.REFUNDS },
+};
+
+const CHARGE_TYPES = ["charge", "retry_payment"];
+const REFUND_TYPES = ["refund", "partial_refund"];
+
+// Memo on entries written by ensureOpeningEntries — they have no Stripe counterpart
+const OPENING_MEMO = "opening balance (recorded before the ledger existed)";
+
+// Retries when a concurrent writer takes the same seq
+const MAX_APPEND_ATTEMPTS = 3;
+
+const entryMinor = (e) => e.amountMinor ?? toMinor(e.amount, e.currency);
+
+// ── Balances ──────────────────────────────────────────────────────────────────
+
+/**
+ * Sum the ledger for one transaction.
+ *
+ * @param {string} txnId
+ * @param {string} userId
+ * @returns {Promise<{ currency: string, charged: number, refunded: number, couponsIssued: number, couponsRedeemed: number, couponsVoided: number,
+ *                    refundable: number, refundableMinor: number, lastSeq: number, entryCount: number }>}
+ */
+async function getBalance(txnId, userId) {
+  const entries = await LedgerEntry.find({ txnId, userId }, "type amount amountMinor currency seq").lean();
+  return summarize(entries);
+}
+
+function summarize(entries) {
+  const currency = normalizeCurrency(entries[0]?.currency);
+  let charged = 0, refunded = 0, coupons = 0, redeemed = 0, voided = 0, lastSeq = 0;
+  for (const e of entries) {
+    if (CHARGE_TYPES.includes(e.type)) charged += entryMinor(e);
+    else if (REFUND_TYPES.includes(e.type)) refunded += entryMinor(e);
+    else if (e.type === "refund_reversal") refunded -= entryMinor(e);
+    else if (e.type === "coupon_issued") coupons += entryMinor(e);
+    else if (e.type === "coupon_redeemed") redeemed += entryMinor(e);
+    else if (e.type === "coupon_voided") voided += entryMinor(e);
+    lastSeq = Math.max(lastSeq, e.seq || 0);
+  }
+  const refundableMinor = Math.max(0, charged - refunded);
+  return {
+    currency,
+    charged: fromMinor(charged, currency),
+    refunded: fromMinor(refunded, currency),
+    couponsIssued: fromMinor(coupons, currency),
+    couponsRedeemed: fromMinor(redeemed, currency),
+    couponsVoided: fromMinor(voided, currency),
+    refundable: fromMinor(refundableMinor, currency),
+    refundableMinor,
+    lastSeq,
+    entryCount: entries.length,
+  };
+}
+
+// An open or lost card dispute owns the status until /payment-webhook clears it
+const HELD_STATUSES = ["disputed", "chargeback"];
+
+/**
+ * Transaction status implied by a balance. Transactions with no captured
+ * money keep their own status (failed / pending), as do disputed ones.
+ */
+function deriveStatus(balance, currentStatus) {
+  if (balance.charged === 0 || HELD_STATUSES.includes(currentStatus)) return currentStatus;
+  if (balance.refunded > 0 && balance.refundable === 0) return "refunded";
+  if (balance.refunded > 0) return "partially_refunded";
+  return "success";
+}
+
+/**
+ * Recompute the derived Transaction fields from the ledger.
+ *
+ * @param {object} transaction - Transaction document (needs transactionId, userId, status)
+ * @returns {Promise<object>} the balance
+ */
+async function syncTransaction(transaction) {
+  const balance = await getBalance(transaction.transactionId, transaction.userId);
+  if (balance.entryCount === 0) return balance;
+  await Transaction.updateOne(
+    { transactionId: transaction.transactionId, userId: transaction.userId },
+    {
+      status: deriveStatus(balance, transaction.status),
+      refundedAmount: balance.refunded,
+      refundableAmount: balance.refundable,
+    }
+  );
+  return balance;
+}
+
+// ── Appending entries ─────────────────────────────────────────────────────────
+
+/**
+ * Append one entry at the next seq for its transaction.
+ * `amount` is in major units of `currency` (the transaction's currency).
+ * `guard(balance)` runs against a fresh balance on every attempt and may throw
+ * to abort (used for the refundable-amount check).
+ */
+async function appendEntry({ type, txnId, userId, amount, currency, guard, ...fields }) {
+  if (!ENTRY_ACCOUNTS[type]) throw new Error(`Unknown ledger entry type: ${type}`);
+  const code = normalizeCurrency(currency);
+  const amountMinor = toMinor(amount, code);
+  if (!(amountMinor > 0)) throw new Error(`Ledger amount must be positive (got ${amount})`);
+
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const balance = await getBalance(txnId, userId);
+    const entryType = guard ? guard(balance) || type : type;
+    try {
+      const entry = await LedgerEntry.create({
+        ...fields,
+        ...ENTRY_ACCOUNTS[entryType],
+        type: entryType,
+        txnId,
+        userId,
+        seq: balance.lastSeq + 1,
+        amount: fromMinor(amountMinor, code),
+        amountMinor,
+        currency: code,
+      });
+      console.log(`[Ledger] ${entryType} ${txnId} ${formatMoney(entry.amount, code)} (seq ${entry.seq})`);
+      return entry;
+    } catch (err) {
+      if (err.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) throw err;
+      // Another entry took this seq — re-read the balance and try again
+    }
+  }
+}
+
+/**
+ * Record opening entries for a transaction that predates the ledger:
+ * a charge for success/refunded transactions and, if it was already refunded,
+ * a refund of its stored refundedAmount. No-op once any entry exists.
+ *
+ * @param {object} transaction - Transaction document
+ */
+async function ensureOpeningEntries(transaction) {
+  const { transactionId: txnId, userId } = transaction;
+  if (await LedgerEntry.exists({ txnId, userId })) return;
+  if (!["success", "partially_refunded", "refunded"].includes(transaction.status) || !(transaction.amount > 0)) return;
+
+  // Fixed seqs (not appendEntry) so two concurrent openers collide on the
+  // unique index instead of both writing a charge.
+  const currency = normalizeCurrency(transaction.currency);
+  const opening = {
+    txnId, userId, currency,
+    stripePaymentIntentId: transaction.paymentIntentId,
+    memo: OPENING_MEMO,
+  };
+  const chargedMinor = transaction.amountMinor ?? toMinor(transaction.amount, currency);
+  const entries = [{
+    ...opening, ...ENTRY_ACCOUNTS.charge, type: "charge", seq: 1,
+    amount: fromMinor(chargedMinor, currency), amountMinor: chargedMinor,
+  }];
+  if (["partially_refunded", "refunded"].includes(transaction.status)) {
+    const refundedMinor = Math.min(toMinor(transaction.refundedAmount ?? transaction.amount, currency), chargedMinor);
+    const type = refundedMinor < chargedMinor ? "partial_refund" : "refund";
+    entries.push({
+      ...opening, ...ENTRY_ACCOUNTS[type], type, seq: 2,
+      amount: fromMinor(refundedMinor, currency), amountMinor: refundedMinor,
+    });
+  }
+  try {
+    await LedgerEntry.insertMany(entries, { ordered: true });
+  } catch (err) {
+    // A concurrent caller opened it first — the entries it wrote are equivalent
+    if (err.code !== 11000) throw err;
+  }
+}
+
+/**
+ * Record a captured payment. Idempotent per Stripe checkout session.
+ *
+ * @param {object} params
+ * @param {object} params.transaction
+ * @param {string} [params.type="charge"] - charge | retry_payment
+ * @param {number} [params.amount] - captured amount, major units (default: transaction.amount)
+ * @param {string} [params.stripePaymentIntentId]
+ * @param {string} [params.stripeCheckoutSessionId]
+ * @returns {Promise<object|null>} the entry, or null if this session was already recorded
+ */
+async function recordCharge({ transaction, type = "charge", amount, stripePaymentIntentId, stripeCheckoutSessionId }) {
+  const { transactionId: txnId, userId } = transaction;
+  if (stripeCheckoutSessionId && await LedgerEntry.exists({ txnId, userId, stripeCheckoutSessionId })) {
+    return null;
+  }
+  const entry = await appendEntry({
+    type, txnId, userId, amount: amount ?? transaction.amount, currency: transaction.currency,
+    stripePaymentIntentId, stripeCheckoutSessionId,
+  });
+  await syncTransaction(transaction);
+  return entry;
+}
+
+/**
+ * Record a refund, refusing anything above the remaining refundable amount.
+ * The entry type is "refund" when it empties the balance, else "partial_refund".
+ *
+ * @param {object} params
+ * @param {object} params.transaction
+ * @param {number} params.amount - major units of the transaction's currency
+ * @param {string} [params.refundRequestId]
+ * @param {string} [params.memo]
+ * @returns {Promise<object>} the entry
+ * @throws {Error} with .code "REFUND_EXCEEDS_BALANCE" and .refundable
+ */
+async function recordRefund({ transaction, amount, refundRequestId, memo }) {
+  await ensureOpeningEntries(transaction);
+  const { transactionId: txnId, userId } = transaction;
+  const currency = normalizeCurrency(transaction.currency);
+  const amountMinor = toMinor(amount, currency);
+
+  return appendEntry({
+    type: "partial_refund",
+    txnId, userId, amount, currency,
+    stripePaymentIntentId: transaction.paymentIntentId,
+    refundRequestId,
+    memo,
+    guard: (balance) => {
+      if (amountMinor > balance.refundableMinor) {
+        const err = new Error(
+          `Refund of ${formatMoney(amount, currency)} exceeds the refundable balance of ${formatMoney(balance.refundable, currency)} for ${txnId}`
+        );
+        err.code = "REFUND_EXCEEDS_BALANCE";
+        err.refundable = balance.refundable;
+        throw err;
+      }
+      return amountMinor === balance.refundableMinor ? "refund" : "partial_refund";
+    },
+  });
+}
+
+/**
+ * Link the Stripe refund id to its ledger entry once Stripe has answered.
+ * Write-once: an id already set is only replaced when the caller names it in
+ * `replacing` (a reconciliation retry superseding a failed Stripe refund).
+ *
+ * @returns {Promise<boolean>} whether the entry was updated
+ */
+async function attachStripeRefundId(entryId, stripeRefundId, { replacing = null } = {}) {
+  if (!stripeRefundId) return false;
+  const { modifiedCount } = await LedgerEntry.updateOne(
+    { _id: entryId, stripeRefundId: replacing },
+    { stripeRefundId }
+  );
+  return modifiedCount > 0;
+}
+
+/**
+ * Reverse a refund that Stripe reported as failed or canceled, so its amount
+ * becomes refundable again. Idempotent per Stripe refund id.
+ *
+ * @param {object} params
+ * @param {object} params.transaction
+ * @param {number} params.amount - major units of the transaction's currency
+ * @param {string} params.stripeRefundId
+ * @param {string} [params.ledgerEntryId] - from the Stripe refund's metadata, when the bot created it
+ * @param {string} [params.memo]
+ * @returns {Promise<object|null>} the entry, or null if this refund was already reversed
+ *   or its ledger entry has since been re-linked to a retried Stripe refund
+ */
+async function recordRefundReversal({ transaction, amount, stripeRefundId, ledgerEntryId, memo }) {
+  const { transactionId: txnId, userId } = transaction;
+  if (await LedgerEntry.exists({ txnId, userId, type: "refund_reversal", stripeRefundId })) {
+    return null;
+  }
+  if (ledgerEntryId) {
+    const linked = await LedgerEntry.findById(ledgerEntryId, "stripeRefundId").lean();
+    if (linked?.stripeRefundId && linked.stripeRefundId !== stripeRefundId) return null;
+  }
+  const original = await LedgerEntry.findOne({ txnId, userId, type: { $in: REFUND_TYPES }, stripeRefundId }).lean();
+  const entry = await appendEntry({
+    type: "refund_reversal",
+    txnId, userId, amount, currency: transaction.currency,
+    stripePaymentIntentId: transaction.paymentIntentId,
+    stripeRefundId,
+    refundRequestId: original?.refundRequestId,
+    memo,
+  });
+  await syncTransaction(transaction);
+  return entry;
+}
+
+/**
+ * Record a compensation coupon's face value as a liability.
+ *
+ * @param {object} params - { userId, txnId, amount, currency, couponCode, refundRequestId }
+ */
+async function recordCouponIssued({ userId, txnId, amount, currency, couponCode, refundRequestId }) {
+  return appendEntry({
+    type: "coupon_issued", txnId, userId, amount, currency, refundRequestId,
+    memo: couponCode ? `coupon ${couponCode}` : undefined,
+  });
+}
+
+/**
+ * Release the liability of a coupon that will never be spent (revoked or
+ * expired). Callers write it once, right after the atomic status change.
+ *
+ * @param {object} params - { userId, txnId, amount, currency, couponCode, reason: "revoked" | "expired" }
+ */
+async function recordCouponVoided({ userId, txnId, amount, currency, couponCode, reason }) {
+  return appendEntry({
+    type: "coupon_voided", txnId, userId, amount, currency,
+    memo: `coupon ${couponCode} ${reason}`,
+  });
+}
+
+/**
+ * Record the discount a coupon paid on a checkout. Idempotent per checkout
+ * session — Stripe may deliver checkout.session.completed more than once.
+ *
+ * @param {object} params - { transaction, amount, couponCode, stripeCheckoutSessionId }
+ * @returns {Promise<object|null>} the entry, or null if this session was already recorded
+ */
+async function recordCouponRedeemed({ transaction, amount, couponCode, stripeCheckoutSessionId }) {
+  const { transactionId: txnId, userId } = transaction;
+  if (await LedgerEntry.exists({ txnId, userId, type: "coupon_redeemed", stripeCheckoutSessionId })) {
+    return null;
+  }
+  return appendEntry({
+    type: "coupon_redeemed", txnId, userId, amount, currency: transaction.currency,
+    stripeCheckoutSessionId,
+    memo: `coupon ${couponCode}`,
+  });
+}
+
+/**
+ * Remaining refundable amount (major units) for a transaction (opens its ledger if needed).
+ *
+ * @param {object} transaction - Transaction document
+ * @returns {Promise<number>}
+ */
+async function getRefundableAmount(transaction) {
+  await ensureOpeningEntries(transaction);
+  const balance = await getBalance(transaction.transactionId, transaction.userId);
+  return balance.refundable;
+}
+
+/**
+ * All entries for a transaction, oldest first (for admin / support views).
+ */
+async function getEntries(txnId, userId) {
+  return LedgerEntry.find({ txnId, userId }).sort({ seq: 1 }).lean();
+}
+
+module.exports = {
+  ACCOUNTS,
+  REFUND_TYPES,
+  OPENING_MEMO,
+  getBalance,
+  getRefundableAmount,
+  getEntries,
+  deriveStatus,
+  syncTransaction,
+  ensureOpeningEntries,
+  recordCharge,
+  recordRefund,
+  attachStripeRefundId,
+  recordRefundReversal,
+  recordCouponIssued,
+  recordCouponRedeemed,
+  recordCouponVoided,
+};
@@ -0,0 +1,151 @@
+/**
+ * services/piiVaultService.js
+ * ----------------------------
+ * Reversible tokenisation of PII, for the few places an agent needs the value.
+ *
+ * WHY:
+ *   redact() (services/redactionService.js) throws the value away, which is
+ *   right for LLM prompts and logs. But a Desk agent processing a refund to a
+ *   UPI id, or calling a customer back, needs the real thing. Desk-bound text
+ *   goes through tokenise() instead: each match becomes a placeholder carrying
+ *   a vault token ("[upi pii_3f9a…]") and the value is stored encrypted in
+ *   PiiVault. An agent exchanges the token via POST /admin/api/pii/reveal,
+ *   stating a reason; every reveal is audit-logged ("pii_access").
+ *
+ * CRYPTO:
+ *   AES-256-GCM under sha256(PII_VAULT_KEY), a fresh IV per value. valueHash
+ *   is an HMAC of the value under the same key, so repeats of one value for
+ *   one user reuse a token without the vault holding anything searchable.
+ *   Entries expire PII_VAULT_TTL_DAYS after they were last tokenised.
+ *
+ * Without PII_VAULT_KEY, tokenise() falls back to plain redaction (warned
+ * once) and reveal answers 503 — the value is never stored unencrypted.
+ */
+
+const crypto = require("crypto");
+const { PiiVault } = require("../models");
+const { replacePII, placeholder, redact } = require("./redactionService");
+const { log } = require("./auditService");
+
+const PII_VAULT_TTL_DAYS = Number(process.env.PII_VAULT_TTL_DAYS) || 90;
+
+let _keyWarned = false;
+
+// Derived lazily so tests and scripts can set PII_VAULT_KEY after require()
+function vaultKey() {
+  const secret = process.env.PII_VAULT_KEY;
+  if (!secret) {
+    if (!_keyWarned) {
+      _keyWarned = true;
+      console.warn("⚠️  PII_VAULT_KEY not set — Desk messages get redacted PII, agents cannot reveal it");
+    }
+    return null;
+  }
+  return crypto.createHash("sha256").update(secret).digest();
+}
+
+function encrypt(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(value, "utf8"), cipher.final()]);
+  return { ciphertext: ciphertext.toString("base64"), iv: iv.toString("base64"), authTag: cipher.getAuthTag().toString("base64") };
+}
+
+function decrypt(key, { ciphertext, iv, authTag }) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(authTag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64")), decipher.final()]).toString("utf8");
+}
+
+/**
+ * Vault token for one value — the existing one for this user + value, or a new entry.
+ * Every call pushes the entry's expiry out by PII_VAULT_TTL_DAYS.
+ */
+async function tokenFor(key, { kind, value, userId, channelUrl }) {
+  const valueHash = crypto.createHmac("sha256", key).update(`${kind}:${value}`).digest("hex");
+  const entry = await PiiVault.findOneAndUpdate(
+    { userId, valueHash },
+    {
+      $set: { expiresAt: new Date(Date.now() + PII_VAULT_TTL_DAYS * 86400000) },
+      $setOnInsert: {
+        token: `pii_${crypto.randomBytes(8).toString("hex")}`,
+        kind, userId, channelUrl, valueHash,
+        ...encrypt(key, value),
+      },
+    },
+    { upsert: true, new: true }
+  ).lean();
+  return entry.token;
+}
+
+/**
+ * Replace PII in text bound for an agent with vault-token placeholders.
+ * Falls back to plain redaction when the vault is unavailable — never throws.
+ *
+ * @param {string} text
+ * @param {object} owner - { userId, channelUrl } the customer the values belong to
+ * @returns {Promise<string>}
+ */
+async function tokenise(text, { userId, channelUrl } = {}) {
+  const key = vaultKey();
+  if (!key || typeof text !== "string") return redact(text);
+
+  const found = [];
+  const marked = replacePII(text, (kind, value) => `\u0000${found.push({ kind, value }) - 1}\u0000`);
+  if (!found.length) return text;
+
+  try {
+    const tokens = [];
+    for (const match of found) tokens.push(await tokenFor(key, { ...match, userId, channelUrl }));
+    return marked.replace(/\u0000(\d+)\u0000/g, (_, i) => placeholder(found[i].kind, found[i].value, tokens[i]));
+  } catch (err) {
+    console.warn("⚠️  PII vault write failed — redacting instead (non-fatal):", err.message);
+    return marked.replace(/\u0000(\d+)\u0000/g, (_, i) => placeholder(found[i].kind, found[i].value));
+  }
+}
+
+/**
+ * Reveal the value behind a vault token. Every successful reveal is
+ * audit-logged as "pii_access" against the agent who asked.
+ *
+ * @param {string} token
+ * @param {object} params - { actor, reason, ipAddress }
+ * @returns {Promise<{ token, kind, value, userId, channelUrl, createdAt }>}
+ * @throws {Error} with .status 400 (no reason) | 404 (unknown or expired token) | 503 (no PII_VAULT_KEY)
+ */
+async function revealToken(token, { actor, reason, ipAddress } = {}) {
+  if (!token) throw httpError(400, "token is required");
+  if (!reason || !String(reason).trim()) throw httpError(400, "A reason is required to reveal PII");
+  const key = vaultKey();
+  if (!key) throw httpError(503, "PII vault is not configured (PII_VAULT_KEY)");
+
+  const entry = await PiiVault.findOneAndUpdate(
+    { token },
+    { $inc: { accessCount: 1 }, $set: { lastAccessedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!entry) throw httpError(404, `PII token ${token} not found`);
+
+  const value = decrypt(key, entry);
+  await log("pii_access", {
+    userId: actor,
+    channelUrl: entry.channelUrl,
+    ipAddress,
+    details: { token, kind: entry.kind, customerUserId: entry.userId, reason: String(reason).trim(), accessCount: entry.accessCount },
+  });
+  console.log(`[PII] ${actor} revealed ${entry.kind} ${token} (customer ${entry.userId})`);
+
+  return { token, kind: entry.kind, value, userId: entry.userId, channelUrl: entry.channelUrl, createdAt: entry.createdAt };
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = {
+  PII_VAULT_TTL_DAYS,
+  tokenise,
+  revealToken,
+};
@@ -0,0 +1,257 @@
+/**
+ * services/policySimulationService.js
+ * ------------------------------------
+ * Backtest a candidate refund policy against historical refund requests.
+ *
+ * WHY BACKTEST:
+ *   Raising the auto-approve threshold from $200 to $300 sounds harmless, but
+ *   nobody knows how many extra dollars it releases until it is live. Replaying
+ *   past RefundRequest + Transaction records through the candidate rule set
+ *   shows the shift in decision mix and refunded dollars BEFORE publishing.
+ *
+ * HOW FACTS ARE RECONSTRUCTED (as of each request's createdAt, not "now"):
+ *   amount        — the refundable balance at request time, from the ledger: charges
+ *                   minus refunds (net of reversals) entered before createdAt. In
+ *                   Transaction.currency, which picks the thresholds
+ *   reason        — RefundRequest.refundReason
+ *   sentiment     — detectSentiment(reason), same as /refund-action
+ *   attempts      — negotiationAttempts − 1 (the stored count includes the decision itself)
+ *   hasDuplicate  — another transaction of the same user with the same amount and currency
+ *   withinWindow  — transaction age at request time vs candidate refundWindowDays
+ *   fraudScore    — approved/refunded requests of the same user in the 30 days before
+ *   riskLevel     — RefundRequest.riskLevel recorded by the FraudEngine at the time
+ *                   (null for requests decided with the engine off — risk rules won't match)
+ *
+ * AMOUNT COMPARISON (per currency — totals are never summed across currencies):
+ *   recorded  — what was actually refunded for that request: its ledger refund
+ *               entries (linked by refundRequestId) net of reversals. A refunded
+ *               request from before the ledger has none; its transaction's opening
+ *               refund entry stands in, credited to one request only
+ *   simulated — what the candidate would pay, counting PARTIAL offers as accepted
+ *               (upper bound — some customers decline the offer)
+ *
+ * Read-only: nothing is written, no customer is messaged.
+ */
+
+const { RefundRequest, Transaction, LedgerEntry } = require("../models");
+const { applyPolicy, isWithinRefundWindow } = require("../policies/RefundPolicyEngine");
+const { detectSentiment } = require("./intentService");
+const { toMinor, fromMinor, normalizeCurrency } = require("./currencyService");
+const { REFUND_TYPES, OPENING_MEMO } = require("./ledgerService");
+
+// Hard cap on replayed cases — keeps a backtest within M0 memory limits.
+const MAX_CASES = 5000;
+const FRAUD_LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
+const DECISIONS = ["APPROVED", "PARTIAL", "COUPON", "ESCALATE"];
+
+// finalDecision is stored with the legacy action names
+const RECORDED_DECISION_MAP = {
+  AUTO_REFUND:     "APPROVED",
+  OFFER_PARTIAL:   "PARTIAL",
+  OFFER_COUPON:    "COUPON",
+  ESCALATE_HIGH:   "ESCALATE",
+  ESCALATE_NORMAL: "ESCALATE",
+};
+
+/**
+ * Replay historical refund requests through a candidate policy.
+ *
+ * @param {object} policy            - { rules, refundWindowDays, version? } (validated by caller)
+ * @param {object} params
+ * @param {Date}   params.from
+ * @param {Date}   params.to
+ * @param {number} [params.sampleSize=20] - max changed cases returned
+ * @returns {Promise<object>} decision diff, per-currency refunded diff and a sample of changed cases
+ */
+async function simulatePolicy(policy, { from, to, sampleSize = 20 }) {
+  const requests = await RefundRequest.find({
+    createdAt: { $gte: from, $lte: to },
+    refundReason: { $exists: true, $ne: null },
+    finalDecision: { $in: Object.keys(RECORDED_DECISION_MAP) },
+  })
+    .sort({ createdAt: 1 })
+    .limit(MAX_CASES + 1)
+    .lean();
+
+  const truncated = requests.length > MAX_CASES;
+  if (truncated) requests.length = MAX_CASES;
+
+  // Load every transaction, refund history and ledger for the users involved in one pass each
+  const userIds = [...new Set(requests.map((r) => r.userId))];
+  const [transactions, history, entries] = await Promise.all([
+    Transaction.find({ userId: { $in: userIds } }).lean(),
+    RefundRequest.find(
+      { userId: { $in: userIds }, status: { $in: ["approved", "refunded"] } },
+      "userId createdAt"
+    ).lean(),
+    LedgerEntry.find(
+      { userId: { $in: userIds }, txnId: { $in: [...new Set(requests.map((r) => r.txnId))] } },
+      "userId txnId type amount amountMinor currency refundRequestId memo createdAt"
+    ).lean(),
+  ]);
+
+  const txnsByUser = new Map();
+  for (const t of transactions) {
+    if (!txnsByUser.has(t.userId)) txnsByUser.set(t.userId, []);
+    txnsByUser.get(t.userId).push(t);
+  }
+  const historyByUser = new Map();
+  for (const h of history) {
+    if (!historyByUser.has(h.userId)) historyByUser.set(h.userId, []);
+    historyByUser.get(h.userId).push(new Date(h.createdAt).getTime());
+  }
+  const entriesByTxn = new Map();
+  for (const e of entries) {
+    const key = `${e.userId}|${e.txnId}`;
+    if (!entriesByTxn.has(key)) entriesByTxn.set(key, []);
+    entriesByTxn.get(key).push(e);
+  }
+  const openingCredited = new Set(); // transactions whose pre-ledger refund is already attributed
+
+  const decisions = Object.fromEntries(DECISIONS.map((d) => [d, { recorded: 0, simulated: 0, delta: 0 }]));
+  const refundedMinor = {}; // currency → { recorded, simulated } in minor units
+  const changed = [];
+  let evaluated = 0;
+  let skipped = 0;
+  let changedCount = 0;
+
+  for (const rr of requests) {
+    const userTxns = txnsByUser.get(rr.userId) || [];
+    const txn = userTxns.find((t) => t.transactionId === rr.txnId);
+    if (!txn) {
+      skipped++;
+      continue;
+    }
+
+    const asOf = new Date(rr.createdAt).getTime();
+    const fraudScore = (historyByUser.get(rr.userId) || [])
+      .filter((ts) => ts < asOf && ts >= asOf - FRAUD_LOOKBACK_MS)
+      .length;
+
+    const currency = normalizeCurrency(txn.currency);
+    const txnEntries = entriesByTxn.get(`${rr.userId}|${rr.txnId}`) || [];
+    const refundableMinor = refundableAt(txnEntries, txn, currency, asOf);
+    if (!(refundableMinor > 0)) {
+      skipped++;
+      continue;
+    }
+    const refundable = fromMinor(refundableMinor, currency);
+
+    const simulated = applyPolicy(policy, {
+      amount: refundable,
+      currency,
+      reason: rr.refundReason,
+      sentimentPriority: detectSentiment(rr.refundReason).priority,
+      attempts: Math.max(0, (rr.negotiationAttempts || 1) - 1),
+      hasDuplicate: userTxns.some((t) =>
+        t.amount === txn.amount && normalizeCurrency(t.currency) === currency && t.transactionId !== txn.transactionId
+      ),
+      withinWindow: isWithinRefundWindow(txn.createdAt, policy.refundWindowDays || 7, asOf),
+      fraudScore,
+      riskLevel: rr.riskLevel ?? null,
+    });
+
+    const recordedDecision = RECORDED_DECISION_MAP[rr.finalDecision];
+    const recordedMinor = refundedFor(rr, txnEntries, currency, openingCredited);
+    const recordedAmount = fromMinor(recordedMinor, currency);
+
+    evaluated++;
+    decisions[recordedDecision].recorded++;
+    decisions[simulated.decision].simulated++;
+    refundedMinor[currency] ||= { recorded: 0, simulated: 0 };
+    refundedMinor[currency].recorded += recordedMinor;
+    refundedMinor[currency].simulated += toMinor(simulated.amount, currency);
+
+    if (simulated.decision !== recordedDecision) {
+      changedCount++;
+      if (changed.length < sampleSize) {
+        changed.push({
+          refundRequestId: rr._id,
+          userId: rr.userId,
+          txnId: rr.txnId,
+          reason: rr.refundReason,
+          amount: refundable,
+          currency,
+          createdAt: rr.createdAt,
+          recorded: { decision: recordedDecision, policyVersion: rr.policyVersion ?? null, ruleId: rr.policyRuleId ?? null, refunded: recordedAmount },
+          simulated: { decision: simulated.decision, ruleId: simulated.ruleId, reason: simulated.reason, refund: simulated.amount },
+        });
+      }
+    }
+  }
+
+  for (const d of DECISIONS) {
+    decisions[d].delta = decisions[d].simulated - decisions[d].recorded;
+  }
+  const refunded = Object.fromEntries(
+    Object.entries(refundedMinor).map(([currency, m]) => [currency, {
+      recorded: fromMinor(m.recorded, currency),
+      simulated: fromMinor(m.simulated, currency),
+      delta: fromMinor(m.simulated - m.recorded, currency),
+    }])
+  );
+
+  return {
+    range: { from, to },
+    policy: { version: policy.version ?? "candidate", refundWindowDays: policy.refundWindowDays, ruleCount: policy.rules.length },
+    casesEvaluated: evaluated,
+    casesSkipped: skipped,     // transaction no longer on file, or nothing refundable at the time
+    truncated,
+    decisions,
+    refunded,                  // { usd: { recorded, simulated, delta }, inr: … }
+    casesChanged: changedCount,
+    changedSample: changed,
+  };
+}
+
+// ── Ledger reconstruction ─────────────────────────────────────────────────────
+
+const entryMinor = (e, currency) => e.amountMinor ?? toMinor(e.amount, currency);
+const before = (e, asOf) => new Date(e.createdAt).getTime() < asOf;
+
+/**
+ * Refundable balance (minor units) just before a request was made. Opening
+ * charges count whenever they were written — they stand for the original
+ * payment. A transaction with no ledger was never refunded through it.
+ */
+function refundableAt(entries, txn, currency, asOf) {
+  if (!entries.length) return toMinor(txn.amount || 0, currency);
+  let charged = 0;
+  let refunded = 0;
+  for (const e of entries) {
+    const minor = entryMinor(e, currency);
+    if (["charge", "retry_payment"].includes(e.type) && (e.memo === OPENING_MEMO || before(e, asOf))) charged += minor;
+    else if (REFUND_TYPES.includes(e.type) && before(e, asOf)) refunded += minor;
+    else if (e.type === "refund_reversal" && before(e, asOf)) refunded -= minor;
+  }
+  return Math.max(0, charged - refunded);
+}
+
+/**
+ * Money (minor units) actually refunded for one request, net of reversals.
+ */
+function refundedFor(rr, entries, currency, openingCredited) {
+  const id = String(rr._id);
+  let refunded = 0;
+  let linked = false;
+  for (const e of entries) {
+    if (String(e.refundRequestId) !== id) continue;
+    if (REFUND_TYPES.includes(e.type)) {
+      refunded += entryMinor(e, currency);
+      linked = true;
+    } else if (e.type === "refund_reversal") {
+      refunded -= entryMinor(e, currency);
+    }
+  }
+  if (linked || rr.status !== "refunded") return Math.max(0, refunded);
+
+  // Refunded before the ledger existed — the opening entry holds it, once
+  const key = `${rr.userId}|${rr.txnId}`;
+  if (openingCredited.has(key)) return 0;
+  openingCredited.add(key);
+  return entries
+    .filter((e) => REFUND_TYPES.includes(e.type) && e.memo === OPENING_MEMO)
+    .reduce((sum, e) => sum + entryMinor(e, currency), 0);
+}
+
+module.exports = { simulatePolicy };
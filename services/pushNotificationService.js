@@ -25,6 +25,7 @@
 const { getMessaging } = require("../integrations/firebaseClient");
 const { UserSession } = require("../models");
 const { checkRateLimit } = require("../integrations/redisClient");
+const { formatMoney } = require("./currencyService");
 
 // Max 50 push notifications per user per day
 const PUSH_DAILY_LIMIT  = 50;
@@ -109,11 +110,11 @@ async function sendPushNotification(userId, { title, body, data = {} }) {
  * Convenience wrappers for common notification types.
  */
 const notify = {
-  refundProcessed: (userId, { txnId, amount, success }) =>
+  refundProcessed: (userId, { txnId, amount, currency, success }) =>
     sendPushNotification(userId, {
       title: success ? "💸 Refund Processed" : "Refund Update",
       body: success
-        ? `Your refund of $${amount} for ${txnId} has been issued.`
+        ? `Your refund of ${formatMoney(amount, currency)} for ${txnId} has been issued.`
         : `Your refund request for ${txnId} needs attention.`,
       data: { txnId, type: "refund" },
     }),
@@ -132,10 +133,10 @@ const notify = {
       data: { txnId: txnId || "", type: "fraud", riskLevel },
     }),
 
-  paymentSuccess: (userId, { txnId, amount }) =>
+  paymentSuccess: (userId, { txnId, amount, currency }) =>
     sendPushNotification(userId, {
       title: "✅ Payment Successful",
-      body: `Payment of $${amount} for ${txnId} was successful.`,
+      body: `Payment of ${formatMoney(amount, currency)} for ${txnId} was successful.`,
       data: { txnId, type: "payment_success" },
     }),
 };
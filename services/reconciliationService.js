@@ -0,0 +1,434 @@
+/**
+ * services/reconciliationService.js
+ * ----------------------------------
+ * Compare our refund / payment records with Stripe and flag mismatches.
+ *
+ * WHY:
+ *   processRefundInternal writes the ledger entry first and treats a failing
+ *   Stripe call as non-fatal (the customer has already been told), so the DB can
+ *   say "refunded" while Stripe never moved the money. Webhooks to
+ *   /payment-webhook can also be missed. This job is the backstop; it runs on a
+ *   BullMQ schedule (workers/reconciliationWorker.js) or from the admin page.
+ *
+ * CHECKS (per run window, default the last 72 hours):
+ *   missing_stripe_refund    ledger refund entry with no Stripe refund                (retryable)
+ *   stripe_refund_failed     linked Stripe refund is failed/canceled and not reversed (retryable)
+ *   refund_amount_drift      ledger entry amount ≠ Stripe refund amount
+ *   untracked_stripe_refund  Stripe refund with no ledger entry (e.g. dashboard refund, missed webhook)
+ *   payment_not_recorded     succeeded PaymentIntent our DB doesn't show as paid
+ *   charge_amount_drift      PaymentIntent amount_received ≠ ledger charge
+ *   refund_request_mismatch  RefundRequest "refunded" but the ledger shows nothing refunded
+ *
+ * SELF-HEALING:
+ *   An unlinked ledger entry is first matched to a Stripe refund on the same
+ *   PaymentIntent (metadata.ledgerEntryId, else same amount) and linked — a lost
+ *   refunds.create reply is repaired rather than flagged.
+ *
+ * Entries younger than GRACE_MS are skipped (their Stripe call may be in flight),
+ * as are transactions without a paymentIntentId (demo data never reached Stripe).
+ */
+
+const mongoose = require("mongoose");
+const {
+  LedgerEntry,
+  Transaction,
+  RefundRequest,
+  ReconciliationRun,
+  ReconciliationIssue,
+} = require("../models");
+const { getStripe, createStripeRefund } = require("../integrations/stripeClient");
+const { REFUND_TYPES, OPENING_MEMO, attachStripeRefundId, getBalance } = require("./ledgerService");
+const { toMinor, fromMinor, formatMoney } = require("./currencyService");
+
+const DEFAULT_LOOKBACK_HOURS = 72;
+const GRACE_MS = 15 * 60 * 1000;
+// Stripe refunds created shortly before the window may belong to entries inside it
+const STRIPE_WINDOW_SLACK_S = 60 * 60;
+// Per Stripe list — keeps one run within memory / rate limits
+const MAX_STRIPE_OBJECTS = 2000;
+
+const RETRYABLE_TYPES = ["missing_stripe_refund", "stripe_refund_failed"];
+const FAILED_REFUND_STATUSES = ["failed", "canceled"];
+const CHARGE_TYPES = ["charge", "retry_payment"];
+
+// Stripe amounts are already minor units of their own currency
+const entryMinor = (e) => e.amountMinor ?? toMinor(e.amount, e.currency);
+
+async function listStripe(resource, params) {
+  const items = [];
+  for await (const item of resource.list({ ...params, limit: 100 })) {
+    items.push(item);
+    if (items.length >= MAX_STRIPE_OBJECTS) break;
+  }
+  return items;
+}
+
+// ── Run ───────────────────────────────────────────────────────────────────────
+
+/**
+ * Reconcile one time window against Stripe.
+ *
+ * @param {object} [params]
+ * @param {number} [params.lookbackHours=72]
+ * @param {string} [params.trigger="schedule"] - schedule | manual
+ * @param {string} [params.triggeredBy]        - admin username for manual runs
+ * @returns {Promise<object>} the finished ReconciliationRun
+ * @throws {Error} when Stripe is not configured or a Stripe list call fails (run marked failed)
+ */
+async function runReconciliation({ lookbackHours = DEFAULT_LOOKBACK_HOURS, trigger = "schedule", triggeredBy } = {}) {
+  const stripe = getStripe();
+  if (!stripe) throw new Error("Stripe is not configured — nothing to reconcile against");
+
+  const to = new Date();
+  const from = new Date(to.getTime() - lookbackHours * 60 * 60 * 1000);
+  const settledBefore = new Date(to.getTime() - GRACE_MS);
+  const run = await ReconciliationRun.create({ from, to, trigger, triggeredBy });
+
+  try {
+    const found = new Map();   // key → issue fields
+    const checked = new Set(); // subjects looked at this run (for auto-resolve)
+    const flag = (issue) => found.set(`${issue.type}|${issue.subject}`, issue);
+
+    const createdRange = { gte: Math.floor(from.getTime() / 1000), lte: Math.floor(to.getTime() / 1000) };
+    const stripeRefunds = await listStripe(stripe.refunds, {
+      created: { gte: createdRange.gte - STRIPE_WINDOW_SLACK_S, lte: createdRange.lte },
+    });
+    const paymentIntents = await listStripe(stripe.paymentIntents, { created: createdRange });
+    const refundsById = new Map(stripeRefunds.map((r) => [r.id, r]));
+
+    // Stripe refunds already linked to some ledger entry (inside the window or not)
+    const linked = new Set(
+      (await LedgerEntry.find({ stripeRefundId: { $in: [...refundsById.keys()] } }, "stripeRefundId").lean())
+        .map((e) => e.stripeRefundId)
+    );
+    const reversed = new Set(
+      (await LedgerEntry.find({ type: "refund_reversal", stripeRefundId: { $in: [...refundsById.keys()] } }, "stripeRefundId").lean())
+        .map((e) => e.stripeRefundId)
+    );
+
+    // ── Ledger refund entries → Stripe ────────────────────────────────────────
+    const entries = await LedgerEntry.find({
+      type: { $in: REFUND_TYPES },
+      memo: { $ne: OPENING_MEMO },
+      createdAt: { $gte: from, $lte: settledBefore },
+    }).lean();
+
+    for (const entry of entries) {
+      if (!entry.stripePaymentIntentId) continue; // never went to Stripe
+      const subject = `ledger:${entry._id}`;
+      checked.add(subject);
+      const base = {
+        subject,
+        userId: entry.userId,
+        txnId: entry.txnId,
+        ledgerEntryId: entry._id,
+        paymentIntentId: entry.stripePaymentIntentId,
+        dbAmount: entry.amount,
+        currency: entry.currency,
+      };
+
+      let refund = entry.stripeRefundId ? refundsById.get(entry.stripeRefundId) : null;
+      if (!entry.stripeRefundId) {
+        refund = matchUnlinkedRefund(entry, stripeRefunds, linked);
+        if (refund) {
+          await attachStripeRefundId(entry._id, refund.id);
+          linked.add(refund.id);
+          console.log(`[Reconciliation] linked ${refund.id} to ledger entry ${entry._id} (${entry.txnId})`);
+        } else {
+          flag({ ...base, type: "missing_stripe_refund", detail: "Ledger shows a refund but Stripe has no matching refund" });
+          continue;
+        }
+      }
+      if (!refund) continue; // linked to a Stripe refund outside the listed window
+
+      const base2 = { ...base, stripeRefundId: refund.id, stripeAmount: fromMinor(refund.amount, refund.currency) };
+      if (FAILED_REFUND_STATUSES.includes(refund.status)) {
+        if (!reversed.has(refund.id)) {
+          flag({ ...base2, type: "stripe_refund_failed", detail: `Stripe refund ${refund.status}: ${refund.failure_reason || "no reason given"}` });
+        }
+      } else if (entryMinor(entry) !== refund.amount || entry.currency !== refund.currency) {
+        flag({
+          ...base2, type: "refund_amount_drift",
+          detail: `Ledger ${formatMoney(entry.amount, entry.currency)} vs Stripe ${formatMoney(base2.stripeAmount, refund.currency)}`,
+        });
+      }
+    }
+
+    // ── Stripe refunds → ledger ───────────────────────────────────────────────
+    for (const refund of stripeRefunds) {
+      if (FAILED_REFUND_STATUSES.includes(refund.status)) continue; // no money moved
+      const subject = `refund:${refund.id}`;
+      checked.add(subject);
+      if (linked.has(refund.id)) continue;
+
+      // Bot-created refund whose entry is outside the window or still in its grace period
+      const entryId = refund.metadata?.ledgerEntryId;
+      if (entryId && mongoose.isValidObjectId(entryId) && await LedgerEntry.exists({ _id: entryId })) {
+        await attachStripeRefundId(entryId, refund.id);
+        continue;
+      }
+
+      const transaction = await Transaction.findOne({ paymentIntentId: refund.payment_intent }).lean();
+      flag({
+        type: "untracked_stripe_refund",
+        subject,
+        userId: transaction?.userId,
+        txnId: transaction?.transactionId,
+        stripeRefundId: refund.id,
+        paymentIntentId: refund.payment_intent,
+        stripeAmount: fromMinor(refund.amount, refund.currency),
+        currency: refund.currency,
+        detail: transaction
+          ? "Refunded in Stripe but missing from our ledger"
+          : "Refund on a PaymentIntent with no matching transaction",
+      });
+    }
+
+    // ── Stripe payments → transactions ────────────────────────────────────────
+    for (const pi of paymentIntents) {
+      if (pi.status !== "succeeded" || pi.created * 1000 > settledBefore.getTime()) continue;
+      const { txnId, userId } = pi.metadata || {};
+      const transaction = await Transaction.findOne(
+        txnId && userId ? { transactionId: txnId, userId } : { paymentIntentId: pi.id }
+      ).lean();
+      if (!transaction && !txnId) continue; // not created by this app
+
+      const subject = `pi:${pi.id}`;
+      checked.add(subject);
+      const base = {
+        subject,
+        userId: transaction?.userId || userId,
+        txnId: transaction?.transactionId || txnId,
+        paymentIntentId: pi.id,
+        stripeAmount: fromMinor(pi.amount_received, pi.currency),
+        currency: pi.currency,
+      };
+
+      if (!transaction || ["failed", "pending"].includes(transaction.status)) {
+        flag({ ...base, type: "payment_not_recorded", detail: `Stripe captured the payment but the transaction is ${transaction?.status || "missing"}` });
+        continue;
+      }
+      const charge = await LedgerEntry.findOne({ stripePaymentIntentId: pi.id, type: { $in: CHARGE_TYPES } }).lean();
+      if (charge && (entryMinor(charge) !== pi.amount_received || charge.currency !== pi.currency)) {
+        flag({
+          ...base, dbAmount: charge.amount, type: "charge_amount_drift",
+          detail: `Ledger ${formatMoney(charge.amount, charge.currency)} vs Stripe ${formatMoney(base.stripeAmount, pi.currency)}`,
+        });
+      }
+    }
+
+    // ── RefundRequest state → ledger ──────────────────────────────────────────
+    const refundedRequests = await RefundRequest.find(
+      { status: "refunded", updatedAt: { $gte: from, $lte: settledBefore } },
+      "userId txnId"
+    ).lean();
+    for (const rr of refundedRequests) {
+      const subject = `rr:${rr._id}`;
+      checked.add(subject);
+      const balance = await getBalance(rr.txnId, rr.userId);
+      if (balance.entryCount > 0 && balance.refunded === 0) {
+        flag({
+          type: "refund_request_mismatch", subject, userId: rr.userId, txnId: rr.txnId, dbAmount: 0,
+          detail: "Refund request is marked refunded but the ledger shows nothing refunded",
+        });
+      }
+    }
+
+    // ── Persist ───────────────────────────────────────────────────────────────
+    for (const [key, issue] of found) {
+      // A mismatch that comes back after an auto-resolve or a retry is open again;
+      // dismissed issues stay dismissed.
+      await ReconciliationIssue.updateOne(
+        { key, status: "resolved", resolution: { $ne: "dismissed" } },
+        { status: "open", resolution: null, resolvedAt: null, resolvedBy: null }
+      );
+      await ReconciliationIssue.updateOne(
+        { key },
+        {
+          $set: { ...issue, key, lastRunId: run._id, lastSeenAt: new Date() },
+          $inc: { occurrences: 1 },
+          $setOnInsert: { status: "open", createdAt: new Date() },
+        },
+        { upsert: true }
+      );
+    }
+
+    const { modifiedCount: autoResolved } = await ReconciliationIssue.updateMany(
+      { status: "open", subject: { $in: [...checked] }, key: { $nin: [...found.keys()] } },
+      { status: "resolved", resolution: "auto", resolvedBy: "reconciliation", resolvedAt: new Date() }
+    );
+
+    const finished = await ReconciliationRun.findByIdAndUpdate(
+      run._id,
+      {
+        status: "completed",
+        finishedAt: new Date(),
+        issuesFound: found.size,
+        issuesAutoResolved: autoResolved,
+        counts: {
+          ledgerEntries: entries.length,
+          stripeRefunds: stripeRefunds.length,
+          paymentIntents: paymentIntents.length,
+          refundRequests: refundedRequests.length,
+          truncated: stripeRefunds.length >= MAX_STRIPE_OBJECTS || paymentIntents.length >= MAX_STRIPE_OBJECTS,
+        },
+      },
+      { new: true }
+    ).lean();
+
+    console.log(`[Reconciliation] run ${run._id} (${trigger}): ${found.size} issue(s), ${autoResolved} auto-resolved`);
+    return finished;
+  } catch (err) {
+    await ReconciliationRun.updateOne(
+      { _id: run._id },
+      { status: "failed", error: err.message, finishedAt: new Date() }
+    ).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Stripe refund on the entry's PaymentIntent that no ledger entry claims yet —
+ * by metadata.ledgerEntryId first, else the first with the same amount.
+ */
+function matchUnlinkedRefund(entry, stripeRefunds, linked) {
+  const candidates = stripeRefunds.filter(
+    (r) => r.payment_intent === entry.stripePaymentIntentId && !linked.has(r.id)
+  );
+  return (
+    candidates.find((r) => r.metadata?.ledgerEntryId === String(entry._id)) ||
+    candidates.find((r) => !r.metadata?.ledgerEntryId && r.amount === entryMinor(entry)) ||
+    null
+  );
+}
+
+// ── Admin actions ─────────────────────────────────────────────────────────────
+
+/**
+ * List issues, newest sighting first.
+ *
+ * @param {object} params
+ * @param {string[]} [params.statuses=["open", "retrying"]]
+ * @param {number}   [params.limit=100]
+ */
+async function listIssues({ statuses = ["open", "retrying"], limit = 100 } = {}) {
+  return ReconciliationIssue.find({ status: { $in: statuses } })
+    .sort({ lastSeenAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
+async function listRuns(limit = 10) {
+  return ReconciliationRun.find({}).sort({ startedAt: -1 }).limit(limit).lean();
+}
+
+/**
+ * Re-issue the Stripe refund behind a missing_stripe_refund / stripe_refund_failed
+ * issue. If Stripe already has a live refund for the entry (the original reply was
+ * lost), it is linked instead of refunding twice.
+ *
+ * @param {string} issueId
+ * @param {object} params - { adminUser }
+ * @returns {Promise<{ issue: object, stripeRefundId: string, linkedExisting: boolean }>}
+ * @throws {Error} with .status (400 | 404 | 409 | 502 | 503)
+ */
+async function retryIssueRefund(issueId, { adminUser }) {
+  const issue = await ReconciliationIssue.findById(issueId).lean();
+  if (!issue) throw httpError(404, `Issue ${issueId} not found`);
+  if (!RETRYABLE_TYPES.includes(issue.type)) {
+    throw httpError(400, `Only ${RETRYABLE_TYPES.join(" / ")} issues can be retried`);
+  }
+  if (issue.status !== "open") throw httpError(409, `Issue is ${issue.status}`);
+  if (!getStripe()) throw httpError(503, "Stripe is not configured");
+
+  const entry = await LedgerEntry.findById(issue.ledgerEntryId).lean();
+  if (!entry) throw httpError(404, "Ledger entry for this issue no longer exists");
+  // A failed refund that the webhook has since reversed is refundable again through
+  // the normal flow — re-refunding here would pay twice.
+  if (entry.stripeRefundId && await LedgerEntry.exists({ type: "refund_reversal", stripeRefundId: entry.stripeRefundId })) {
+    await ReconciliationIssue.updateOne(
+      { _id: issue._id },
+      { status: "resolved", resolution: "auto", resolvedBy: "reconciliation", resolvedAt: new Date() }
+    );
+    throw httpError(409, "The failed refund was already reversed in the ledger — nothing to retry");
+  }
+
+  // Claim the issue — only one admin click issues a refund
+  const claimed = await ReconciliationIssue.findOneAndUpdate(
+    { _id: issue._id, status: "open" },
+    { status: "retrying" },
+    { new: true }
+  ).lean();
+  if (!claimed) throw httpError(409, "Issue is being retried by another admin — reload");
+
+  try {
+    const stripe = getStripe();
+    const existing = (await listStripe(stripe.refunds, { payment_intent: entry.stripePaymentIntentId })).find(
+      (r) => r.metadata?.ledgerEntryId === String(entry._id) &&
+        r.id !== entry.stripeRefundId &&
+        !FAILED_REFUND_STATUSES.includes(r.status)
+    );
+    const refund = existing || await createStripeRefund(entry.stripePaymentIntentId, entry.amount, {
+      currency: entry.currency,
+      idempotencyKey: `ledger-${entry._id}-retry-${claimed.retryCount + 1}`,
+      metadata: { txnId: entry.txnId, userId: entry.userId, ledgerEntryId: String(entry._id) },
+    });
+
+    const relinked = await attachStripeRefundId(entry._id, refund.id, { replacing: entry.stripeRefundId || null });
+    if (!relinked) console.warn(`⚠️  Reconciliation: ledger entry ${entry._id} changed during retry — left its Stripe link as is`);
+
+    const resolved = await ReconciliationIssue.findByIdAndUpdate(
+      issue._id,
+      {
+        status: "resolved",
+        resolution: "retried",
+        resolvedBy: adminUser,
+        resolvedAt: new Date(),
+        stripeRefundId: refund.id,
+        lastError: null,
+        $inc: { retryCount: existing ? 0 : 1 },
+      },
+      { new: true }
+    ).lean();
+    console.log(`[Reconciliation] ${adminUser} retried refund for ${entry.txnId}: ${refund.id}${existing ? " (linked existing)" : ""}`);
+    return { issue: resolved, stripeRefundId: refund.id, linkedExisting: Boolean(existing) };
+  } catch (err) {
+    await ReconciliationIssue.updateOne(
+      { _id: issue._id },
+      { status: "open", lastError: err.message, $inc: { retryCount: 1 } }
+    );
+    throw httpError(502, `Stripe refund retry failed: ${err.message}`);
+  }
+}
+
+/**
+ * Close an issue without action (e.g. explained drift, test-mode data).
+ *
+ * @throws {Error} with .status (404 | 409)
+ */
+async function dismissIssue(issueId, { adminUser, note }) {
+  const issue = await ReconciliationIssue.findOneAndUpdate(
+    { _id: issueId, status: "open" },
+    { status: "resolved", resolution: "dismissed", resolvedBy: adminUser, resolvedAt: new Date(), resolutionNote: note },
+    { new: true }
+  ).lean();
+  if (issue) return issue;
+  if (!(await ReconciliationIssue.exists({ _id: issueId }))) throw httpError(404, `Issue ${issueId} not found`);
+  throw httpError(409, "Issue is not open");
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = {
+  runReconciliation,
+  listIssues,
+  listRuns,
+  retryIssueRefund,
+  dismissIssue,
+  RETRYABLE_TYPES,
+  DEFAULT_LOOKBACK_HOURS,
+};
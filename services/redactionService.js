@@ -0,0 +1,112 @@
+/**
+ * services/redactionService.js
+ * -----------------------------
+ * Finds PII in free text and replaces it with placeholders. Pure — no I/O.
+ *
+ * WHY:
+ *   Customers paste card numbers, UPI ids, phone numbers, emails and Aadhaar /
+ *   PAN numbers into chat. That text went verbatim to the LLM provider, into
+ *   the "📩 Webhook received" log line and into AuditLog.details. Everything
+ *   that leaves for an LLM or a log now passes through redact() first.
+ *
+ * DETECTORS (applied in this order):
+ *   card     13–19 digits (spaces/dashes allowed) that pass the Luhn check —
+ *            order refs and other long numbers that fail it are left alone
+ *   aadhaar  12 digits, first 2–9, optionally grouped 4-4-4
+ *   phone    Indian mobile (+91 / 0091 optional, 6–9 first) or any +<country> number
+ *   email
+ *   upi      <handle>@<psp> (no dot after the @ — that's an email)
+ *   pan      Indian PAN: AAAPA9999A (4th letter is the holder type)
+ *
+ * Placeholders keep the last 4 digits of cards and Aadhaar numbers — enough
+ * to match against what the customer says, not enough to use. TXN ids never
+ * match (no detector fires inside a word).
+ *
+ * Where an agent needs the real value, services/piiVaultService.js swaps the
+ * placeholder for a vault token instead.
+ */
+
+const DETECTORS = [
+  {
+    kind: "card",
+    re: /(?<![\w-])\d(?:[ -]?\d){12,18}(?![\w-])/g,
+    accept: (m) => luhnValid(m.replace(/\D/g, "")),
+  },
+  { kind: "aadhaar", re: /(?<![\w-])[2-9]\d{3}[ -]?\d{4}[ -]?\d{4}(?![\w-])/g },
+  {
+    kind: "phone",
+    re: /(?<![\w+])(?:(?:\+|00)91[ -]?)?[6-9]\d{4}[ -]?\d{5}(?!\w)|(?<![\w+])\+\d{1,3}[ -]?\d[\d -]{6,13}\d(?!\w)/g,
+  },
+  { kind: "email", re: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+  { kind: "upi", re: /(?<![\w.-])[\w.-]{2,256}@[a-zA-Z]{2,64}(?![\w.@-])/g },
+  { kind: "pan", re: /\b[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]\b/g },
+];
+
+const KEEP_LAST4 = new Set(["card", "aadhaar"]);
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return digits.length >= 13 && sum % 10 === 0;
+}
+
+/**
+ * The placeholder for one match, e.g. "[card ••4242]" or "[upi]".
+ * @param {string} kind
+ * @param {string} value
+ * @param {string} [token] - vault token to embed
+ */
+function placeholder(kind, value, token = null) {
+  const last4 = KEEP_LAST4.has(kind) ? ` ••${value.replace(/\D/g, "").slice(-4)}` : "";
+  return `[${kind}${last4}${token ? ` ${token}` : ""}]`;
+}
+
+/**
+ * Replace every PII match, detector by detector.
+ *
+ * @param {string} text
+ * @param {Function} [replacer] - (kind, value) → replacement; default placeholder()
+ * @returns {string}
+ */
+function replacePII(text, replacer = placeholder) {
+  if (typeof text !== "string" || !text) return text;
+  let out = text;
+  for (const { kind, re, accept } of DETECTORS) {
+    out = out.replace(re, (match) => (accept && !accept(match) ? match : replacer(kind, match)));
+  }
+  return out;
+}
+
+/**
+ * Redact PII in a string. Non-strings are returned unchanged.
+ */
+function redact(text) {
+  return replacePII(text);
+}
+
+/**
+ * Redact every string inside a plain object / array (for AuditLog.details).
+ * Dates, ObjectIds and other non-plain values are kept as they are.
+ */
+function redactObject(value, depth = 0) {
+  if (typeof value === "string") return redact(value);
+  if (depth > 6 || value == null || typeof value !== "object") return value;
+  if (Array.isArray(value)) return value.map((v) => redactObject(v, depth + 1));
+  if (Object.getPrototypeOf(value) !== Object.prototype) return value;
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactObject(v, depth + 1)]));
+}
+
+module.exports = {
+  luhnValid,
+  placeholder,
+  replacePII,
+  redact,
+  redactObject,
+};
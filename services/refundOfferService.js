@@ -0,0 +1,122 @@
+/**
+ * services/refundOfferService.js
+ * -------------------------------
+ * Partial refund offers: what was offered, until when, and what happens after.
+ *
+ * WHY:
+ *   refund_accept_partial used to recompute "50% of what's refundable" at click
+ *   time, so the customer could get an amount nobody offered (the balance may
+ *   have changed, the policy may have been republished) and an offer button
+ *   from last month still worked. The offer is now stored on the RefundRequest
+ *   when the policy makes it — amount, currency, policy version/rule, expiry —
+ *   and acceptance pays exactly that, or nothing once it has expired.
+ *
+ * EXPIRY:
+ *   Enforced twice: on accept (a late click expires the offer and re-prompts)
+ *   and by the "offer-expiry" BullMQ sweep (workers/offerExpiryWorker.js), which
+ *   tells the customer the offer lapsed. Without Redis only the first applies.
+ */
+
+const { RefundRequest } = require("../models");
+const { sendBotMessage } = require("../integrations/sendbirdClient");
+const { transition } = require("./refundStateMachine");
+const { formatMoney } = require("./currencyService");
+
+const PARTIAL_OFFER_TTL_HOURS = Number(process.env.PARTIAL_OFFER_TTL_HOURS) || 24;
+
+/**
+ * Build the offer stored on RefundRequest.partialOffer at decision time.
+ *
+ * @param {object} params - { amount, currency, policyVersion, policyRuleId }
+ */
+function buildPartialOffer({ amount, currency, policyVersion, policyRuleId }) {
+  const offeredAt = new Date();
+  return {
+    amount,
+    currency,
+    policyVersion,
+    policyRuleId,
+    offeredAt,
+    expiresAt: new Date(offeredAt.getTime() + PARTIAL_OFFER_TTL_HOURS * 60 * 60 * 1000),
+  };
+}
+
+/**
+ * The stored offer, or null when there is none or it has lapsed. Requests
+ * sent an offer before offers were stored have none — they can't be accepted.
+ */
+function getValidOffer(refundRequest, now = new Date()) {
+  const offer = refundRequest?.partialOffer;
+  if (!(offer?.amount > 0) || !offer.expiresAt) return null;
+  return new Date(offer.expiresAt) > now ? offer : null;
+}
+
+function formatOfferExpiry(offer) {
+  return new Date(offer.expiresAt).toLocaleString("en-US", {
+    month: "short", day: "numeric", hour: "numeric", minute: "2-digit", timeZone: "UTC", timeZoneName: "short",
+  });
+}
+
+/**
+ * Expire an offer and re-prompt the customer to start again.
+ *
+ * @param {object} refundRequest - in state offer_sent
+ * @param {object} [options] - { actor } "customer" for a late click, "system" for the sweep
+ * @returns {Promise<object>} the updated RefundRequest
+ * @throws {Error} .code "ILLEGAL_REFUND_TRANSITION" if it is no longer offer_sent
+ */
+async function expireOffer(refundRequest, { actor = "system" } = {}) {
+  const updated = await transition(refundRequest, "expire_offer", { actor });
+  const { txnId, channelUrl, partialOffer: offer } = updated;
+
+  const offerLabel = offer?.amount > 0 ? `of ${formatMoney(offer.amount, offer.currency)} ` : "";
+  await sendBotMessage(
+    channelUrl,
+    `The refund offer ${offerLabel}for ${txnId} has expired. If you'd still like a refund, tap below and we'll take another look.`,
+    {
+      type: "action_buttons",
+      txnId,
+      buttons: [
+        { label: "Request Refund", action: "refund_start", txnId },
+        { label: "Talk to Agent",  action: "escalate" },
+      ],
+    }
+  );
+  return updated;
+}
+
+/**
+ * Sweep: expire every offer past its expiresAt. One failure doesn't stop the rest.
+ *
+ * @returns {Promise<{ expired: number, failed: number }>}
+ */
+async function expireStaleOffers(now = new Date()) {
+  const stale = await RefundRequest.find({
+    refundStage: "offer_sent",
+    status: "pending",
+    "partialOffer.expiresAt": { $lte: now },
+  }).lean();
+
+  let expired = 0, failed = 0;
+  for (const rr of stale) {
+    try {
+      await expireOffer(rr);
+      expired++;
+    } catch (err) {
+      // Accepted / declined between the find and the transition — nothing to expire
+      if (err.code === "ILLEGAL_REFUND_TRANSITION") continue;
+      failed++;
+      console.warn(`⚠️ Offer expiry failed for ${rr.txnId} (non-fatal):`, err.message);
+    }
+  }
+  return { expired, failed };
+}
+
+module.exports = {
+  PARTIAL_OFFER_TTL_HOURS,
+  buildPartialOffer,
+  getValidOffer,
+  formatOfferExpiry,
+  expireOffer,
+  expireStaleOffers,
+};
@@ -0,0 +1,230 @@
+/**
+ * services/refundStateMachine.js
+ * -------------------------------
+ * The only way a RefundRequest changes state.
+ *
+ * WHY:
+ *   refundStage / status used to be free strings written by scattered
+ *   findOneAndUpdate calls, so nothing stopped e.g. refund_accept_partial from
+ *   refunding when no partial offer was ever made, or a double click from
+ *   refunding twice. Every change is now a named EVENT that is only legal from
+ *   certain STATES; an illegal one throws before anything else happens.
+ *
+ * STATES (each is a refundStage + status pair — readers of those two fields
+ * keep working; the state name is derived, never stored):
+ *
+ *   reason_asked      reason_asked     / pending   customer is picking a reason
+ *   policy_evaluated  policy_evaluated / pending   decided; escalated or in fraud review
+ *   offer_sent        offer_sent       / pending   partial refund offered, awaiting reply
+ *   info_requested    info_requested   / pending   analyst asked the customer for more
+ *   approved          policy_evaluated / approved  approved, refund being executed
+ *   coupon_issued     completed        / approved  compensated with a coupon instead
+ *   refunded          completed        / refunded
+ *   rejected          completed        / rejected
+ *   refund_failed     completed        / refund_failed  Stripe refund failed and was reversed
+ *   offer_expired     completed        / expired   partial offer lapsed unanswered
+ *
+ * CONCURRENCY:
+ *   A transition is a conditional findOneAndUpdate on the from-state's pair,
+ *   so of two concurrent events only the first applies; the second re-reads
+ *   and is judged against the new state. Creation is guarded the same way by
+ *   the unique (userId, txnId, channelUrl) index: the losing "start" re-reads
+ *   the request that won.
+ *
+ * APPROVAL:
+ *   "approve" is only legal once the policy has decided (policy_evaluated, or
+ *   info_requested during a fraud review), and the caller must name who
+ *   approves it (options.actor) — the policy engine, an agent or an analyst.
+ *   Nothing moves money straight from reason_asked, and nothing is approved
+ *   while a fraud review case on the transaction is open (riskService).
+ *
+ * HISTORY:
+ *   Every transition pushes { event, from, to, actor, note, at } onto
+ *   RefundRequest.history.
+ */
+
+const { RefundRequest } = require("../models");
+const { assertNoOpenReview } = require("./riskService");
+
+const REFUND_STATES = {
+  reason_asked:     { refundStage: "reason_asked",     status: "pending" },
+  policy_evaluated: { refundStage: "policy_evaluated", status: "pending" },
+  offer_sent:       { refundStage: "offer_sent",       status: "pending" },
+  info_requested:   { refundStage: "info_requested",   status: "pending" },
+  approved:         { refundStage: "policy_evaluated", status: "approved" },
+  coupon_issued:    { refundStage: "completed",        status: "approved" },
+  refunded:         { refundStage: "completed",        status: "refunded" },
+  rejected:         { refundStage: "completed",        status: "rejected" },
+  refund_failed:    { refundStage: "completed",        status: "refund_failed" },
+  offer_expired:    { refundStage: "completed",        status: "expired" },
+};
+
+// States where nothing is in flight
+const CLOSED_STATES = ["coupon_issued", "refunded", "rejected", "refund_failed", "offer_expired"];
+// States where the customer is still waiting on an outcome
+const OPEN_STATES = ["reason_asked", "policy_evaluated", "offer_sent", "info_requested", "approved"];
+
+// A new request may start over a closed one — except a coupon_issued one: the
+// customer was compensated, and restarting would let them collect another coupon
+const RESTARTABLE_STATES = CLOSED_STATES.filter((s) => s !== "coupon_issued");
+
+// event → { from: [states], to: state, approver? }. "none" = no RefundRequest yet.
+// approver: the event must be given an explicit options.actor.
+const REFUND_EVENTS = {
+  start:            { from: ["none", "reason_asked", "offer_sent", ...RESTARTABLE_STATES], to: "reason_asked" },
+  evaluate:         { from: ["reason_asked"],                                      to: "policy_evaluated" },
+  offer_partial:    { from: ["policy_evaluated"],                                  to: "offer_sent" },
+  accept_partial:   { from: ["offer_sent"],                                        to: "approved" },
+  decline:          { from: ["reason_asked", "offer_sent"],                        to: "rejected" },
+  expire_offer:     { from: ["offer_sent"],                                        to: "offer_expired" },
+  issue_coupon:     { from: ["policy_evaluated"],                                  to: "coupon_issued" },
+  approve:          { from: ["policy_evaluated", "info_requested"],                to: "approved", approver: true },
+  reject:           { from: ["policy_evaluated", "info_requested"],                to: "rejected" },
+  request_info:     { from: ["policy_evaluated", "info_requested"],                to: "info_requested" },
+  refund:           { from: ["approved"],                                          to: "refunded" },
+  // Approved, but the ledger refused (nothing left / dispute opened meanwhile)
+  refund_blocked:   { from: ["approved"],                                          to: "rejected" },
+  // Facts reported by Stripe — applied wherever legal, never refused by a customer action
+  refunded_externally: { from: OPEN_STATES,                                        to: "refunded" },
+  dispute_opened:   { from: OPEN_STATES.filter((s) => s !== "approved"),           to: "rejected" },
+  refund_reversed:  { from: ["refunded"],                                          to: "refund_failed" },
+};
+
+/**
+ * Derive the state name of a RefundRequest (or "none" when there is none).
+ * Falls back to the raw status / stage for documents written before this module.
+ */
+function stateOf(refundRequest) {
+  if (!refundRequest) return "none";
+  const { refundStage, status } = refundRequest;
+  const match = Object.entries(REFUND_STATES).find(
+    ([, pair]) => pair.refundStage === refundStage && pair.status === status
+  );
+  if (match) return match[0];
+  return refundStage === "completed" || status !== "pending" ? status : refundStage;
+}
+
+function canTransition(refundRequest, event) {
+  return Boolean(REFUND_EVENTS[event]?.from.includes(stateOf(refundRequest)));
+}
+
+/**
+ * Throw unless `event` is legal from the request's current state.
+ *
+ * @throws {Error} .code "ILLEGAL_REFUND_TRANSITION", .status 409, .state, .event
+ */
+function assertTransition(refundRequest, event) {
+  if (!REFUND_EVENTS[event]) throw new Error(`Unknown refund event "${event}"`);
+  if (!canTransition(refundRequest, event)) throw illegalTransition(refundRequest, event);
+}
+
+/**
+ * Apply an event to a RefundRequest.
+ *
+ * @param {object} refundRequest - current document (needs _id, refundStage, status); null for "start"
+ * @param {string} event         - key of REFUND_EVENTS
+ * @param {object} [options]
+ * @param {string} [options.actor] - "customer" | "system" | "stripe" | admin user id
+ *                                   (default "system"; required for approver events)
+ * @param {string} [options.note]
+ * @param {object} [options.set]   - other fields written in the same update (finalDecision, …)
+ * @param {object} [options.create] - { userId, txnId, channelUrl } when starting from "none"
+ * @returns {Promise<object>} the updated RefundRequest (lean)
+ * @throws {Error} .code "ILLEGAL_REFUND_TRANSITION" — nothing is written
+ * @throws {Error} when an approver event has no actor — nothing is written
+ * @throws {Error} .code "REFUND_UNDER_REVIEW" for an approver event while a
+ *                 fraud review case is open — nothing is written
+ */
+async function transition(refundRequest, event, { actor, note, set = {}, create } = {}) {
+  assertTransition(refundRequest, event);
+  if (REFUND_EVENTS[event].approver && !actor) throw new Error(`Refund event "${event}" needs an explicit actor`);
+  if (REFUND_EVENTS[event].approver) await assertNoOpenReview(refundRequest);
+  actor = actor || "system";
+  const from = stateOf(refundRequest);
+  const to = REFUND_EVENTS[event].to;
+  const entry = { event, from, to, actor, note, at: new Date() };
+
+  if (from === "none") {
+    let created;
+    try {
+      created = await RefundRequest.create({
+        ...create, ...set, ...REFUND_STATES[to], history: [entry], updatedAt: new Date(),
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      // Lost a race — judge the event against the request that was created
+      const { userId, txnId, channelUrl } = create;
+      const current = await RefundRequest.findOne({ userId, txnId, channelUrl }).lean();
+      if (!current) throw err;
+      return transition(current, event, { actor, note, set, create });
+    }
+    logTransition(created, entry);
+    return created.toObject();
+  }
+
+  const updated = await RefundRequest.findOneAndUpdate(
+    { _id: refundRequest._id, refundStage: refundRequest.refundStage, status: refundRequest.status },
+    { ...set, ...REFUND_STATES[to], updatedAt: new Date(), $push: { history: entry } },
+    { new: true }
+  ).lean();
+  if (!updated) {
+    // Lost a race — judge the event against whatever won
+    const current = await RefundRequest.findById(refundRequest._id).lean();
+    if (!current) throw new Error(`RefundRequest ${refundRequest._id} no longer exists`);
+    return transition(current, event, { actor, note, set });
+  }
+  logTransition(updated, entry);
+  return updated;
+}
+
+/**
+ * Apply an event to every matching RefundRequest where it is legal; others
+ * are left alone. For Stripe-reported facts that may touch several requests.
+ *
+ * @returns {Promise<number>} how many requests transitioned
+ */
+async function transitionMatching(filter, event, options = {}) {
+  const candidates = await RefundRequest.find(filter).lean();
+  let count = 0;
+  for (const rr of candidates) {
+    if (!canTransition(rr, event)) continue;
+    try {
+      await transition(rr, event, options);
+      count++;
+    } catch (err) {
+      if (err.code !== "ILLEGAL_REFUND_TRANSITION") throw err;
+    }
+  }
+  return count;
+}
+
+function illegalTransition(refundRequest, event) {
+  const state = stateOf(refundRequest);
+  const allowed = Object.keys(REFUND_EVENTS).filter((e) => REFUND_EVENTS[e].from.includes(state));
+  const err = new Error(
+    state === "none"
+      ? `Can't ${event} — there is no refund request for this transaction`
+      : `Can't ${event} a refund request that is ${state} (allowed: ${allowed.join(", ") || "none"})`
+  );
+  err.code = "ILLEGAL_REFUND_TRANSITION";
+  err.status = 409;
+  err.state = state;
+  err.event = event;
+  return err;
+}
+
+function logTransition(rr, { event, from, to, actor }) {
+  console.log(`[RefundState] ${rr.txnId} ${from} → ${to} (${event} by ${actor})`);
+}
+
+module.exports = {
+  REFUND_STATES,
+  REFUND_EVENTS,
+  OPEN_STATES,
+  CLOSED_STATES,
+  stateOf,
+  canTransition,
+  assertTransition,
+  transition,
+  transitionMatching,
+};
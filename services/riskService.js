@@ -0,0 +1,88 @@
+/**
+ * services/riskService.js
+ * ------------------------
+ * Single risk assessment step that runs before every refund decision.
+ *
+ * WHY ONE PIPELINE:
+ *   FraudEngine and RefundPolicyEngine used to score fraud independently —
+ *   FraudEngine was never called, and the policy engine ran its own
+ *   "approved refunds in 30 days" count with a different threshold. Now:
+ *     1. assessRefundRisk() runs FraudEngine (if FRAUD_ENGINE_ENABLED) and
+ *        persists a FraudLog.
+ *     2. Its riskLevel / action and refund count are handed to
+ *        RefundPolicyEngine.evaluate(), where policy rules match on them
+ *        (riskLevels / riskActions conditions).
+ *     3. The caller links fraudLogId on the RefundRequest, so every decision
+ *        can be traced to the assessment that shaped it.
+ *
+ * REVIEW HOLD:
+ *   An ESCALATE assessment opens a FraudLog review case. Until an analyst
+ *   decides it, assertNoOpenReview() refuses every approval and refund of
+ *   that transaction — policy, agent /refund, /process-refund alike.
+ *
+ * FLAG OFF:
+ *   Returns null — no FraudLog is written, risk conditions never match and the
+ *   policy engine falls back to the plain refund-history count.
+ */
+
+const { RegisteredUser, FraudLog } = require("../models");
+const { evaluate: evaluateFraud } = require("../policies/FraudEngine");
+const { isEnabled } = require("../middleware/featureFlagMiddleware");
+
+/**
+ * Run the fraud engine for a refund request.
+ *
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.txnId
+ * @param {string} params.channelUrl
+ * @param {number} params.amount   - refund amount under consideration (major units)
+ * @param {string} params.currency - the transaction's currency
+ * @param {boolean} [params.record=true] - false for a check that isn't a customer's refund
+ *                                         attempt (agent /refund): no FraudLog, no review case
+ * @returns {Promise<{riskScore, riskLevel, action, triggers, refundsInLast30Days, fraudLogId}|null>}
+ *   null when FRAUD_ENGINE_ENABLED is off or the assessment failed
+ */
+async function assessRefundRisk({ userId, txnId, channelUrl, amount, currency, record = true }) {
+  if (!(await isEnabled("FRAUD_ENGINE_ENABLED"))) return null;
+
+  try {
+    const user = await RegisteredUser.findOne({ userId }, "createdAt").lean();
+    return await evaluateFraud({
+      userId,
+      txnId,
+      channelUrl,
+      amount,
+      currency,
+      userCreatedAt: user?.createdAt || null,
+      record,
+    });
+  } catch (err) {
+    // Non-fatal: the policy engine still applies its refund-history rule.
+    console.warn("⚠️  Risk assessment failed (continuing without it):", err.message);
+    return null;
+  }
+}
+
+const OPEN_REVIEW_STATUSES = ["open", "info_requested"];
+
+/**
+ * Throw while a fraud review case on the transaction is waiting for an analyst.
+ *
+ * @param {object} params - { txnId, userId }
+ * @throws {Error} with .code "REFUND_UNDER_REVIEW", .status 409, .fraudLogId
+ */
+async function assertNoOpenReview({ txnId, userId }) {
+  const open = await FraudLog.findOne(
+    { txnId, userId, reviewStatus: { $in: OPEN_REVIEW_STATUSES } },
+    "_id"
+  ).lean();
+  if (!open) return;
+  const err = new Error(`${txnId} has an open fraud review case — it is decided in the fraud review queue`);
+  err.code = "REFUND_UNDER_REVIEW";
+  err.status = 409;
+  err.fraudLogId = String(open._id);
+  throw err;
+}
+
+module.exports = { assessRefundRisk, assertNoOpenReview, OPEN_REVIEW_STATUSES };
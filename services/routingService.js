@@ -0,0 +1,134 @@
+/**
+ * services/routingService.js
+ * ---------------------------
+ * Picks which online Desk agent a new ticket goes to. A reopened ticket keeps
+ * its agent.
+ *
+ * WHY:
+ *   createDeskTicket used to invite every online agent into every ticket, so a
+ *   fraud case landed with whoever happened to look first and a HIGH-sentiment
+ *   customer waited behind refund chit-chat. A ticket now goes to the least
+ *   busy online agent of the team its context calls for.
+ *
+ * RULES (first match with an online agent wins; none → general pool):
+ *
+ *   fraud      riskLevel HIGH or refund reason "fraud"                         → risk
+ *   senior     priority HIGH (HIGH sentiment, ESCALATE_HIGH)                   → senior
+ *   language   customer language other than DESK_DEFAULT_LANGUAGE              → lang:<code>
+ *   refunds    intent refund_request or any refund reason                      → refunds
+ *   payments   intent payment_failed / retry_payment                           → payments
+ *
+ * TEAMS:
+ *   DESK_AGENT_TEAMS="<agentId>=risk,senior;<agentId>=refunds,lang:es"
+ *   Agents not listed are only in the general pool (every online agent).
+ *
+ * LOAD:
+ *   Open ChannelMappings routed to each candidate are counted; the one with
+ *   the fewest wins (ties → the order Desk listed them).
+ */
+
+const { ChannelMapping, TelegramUser } = require("../models");
+const { getOnlineAgents } = require("../integrations/sendbirdClient");
+
+const DESK_DEFAULT_LANGUAGE = (process.env.DESK_DEFAULT_LANGUAGE || "en").toLowerCase();
+
+const ROUTING_RULES = [
+  {
+    id: "fraud",
+    team: () => "risk",
+    when: (ctx) => ctx.riskLevel === "HIGH" || ctx.refundReason === "fraud",
+  },
+  {
+    id: "senior",
+    team: () => "senior",
+    when: (ctx) => ctx.priority === "HIGH",
+  },
+  {
+    id: "language",
+    team: (ctx) => `lang:${ctx.language}`,
+    when: (ctx) => Boolean(ctx.language) && ctx.language !== DESK_DEFAULT_LANGUAGE,
+  },
+  {
+    id: "refunds",
+    team: () => "refunds",
+    when: (ctx) => ctx.intent === "refund_request" || Boolean(ctx.refundReason),
+  },
+  {
+    id: "payments",
+    team: () => "payments",
+    when: (ctx) => ["payment_failed", "retry_payment"].includes(ctx.intent),
+  },
+];
+
+/**
+ * Team membership from DESK_AGENT_TEAMS.
+ *
+ * @returns {Map<string, string[]>} agentId → teams
+ */
+function agentTeams() {
+  const table = new Map();
+  for (const entry of String(process.env.DESK_AGENT_TEAMS || "").split(";")) {
+    const [id, teams] = entry.split("=").map((s) => s?.trim());
+    if (id && teams) table.set(id, teams.split(",").map((t) => t.trim().toLowerCase()).filter(Boolean));
+  }
+  return table;
+}
+
+/**
+ * Choose the agent for a ticket.
+ *
+ * @param {object} ctx
+ * @param {string} ctx.userId
+ * @param {string} [ctx.priority]     - HIGH | NORMAL
+ * @param {string} [ctx.intent]       - escalation | refund_request | payment_failed | …
+ * @param {string} [ctx.refundReason] - duplicate | service_issue | accidental | fraud | other
+ * @param {string} [ctx.riskLevel]    - LOW | MEDIUM | HIGH
+ * @param {string} [ctx.language]     - ISO 639-1; looked up from the Telegram profile when omitted
+ * @returns {Promise<{ agentId: string|null, team: string, rule: string, openTickets: number|null }>}
+ *   agentId null when no agent is online at all
+ */
+async function routeTicket(ctx) {
+  let online = [];
+  try {
+    online = await getOnlineAgents();
+  } catch (err) {
+    console.warn("⚠️ getOnlineAgents failed — ticket left unrouted (non-fatal):", err.message);
+  }
+  if (!online.length) return { agentId: null, team: "general", rule: "none_online", openTickets: null };
+
+  const context = { ...ctx, language: ctx.language || (await customerLanguage(ctx.userId)) };
+  const teams = agentTeams();
+  for (const rule of ROUTING_RULES) {
+    if (!rule.when(context)) continue;
+    const team = rule.team(context);
+    const specialists = online.filter((id) => teams.get(id)?.includes(team));
+    if (!specialists.length) {
+      console.log(`[Routing] ${rule.id}: no "${team}" agent online — trying the next rule`);
+      continue;
+    }
+    return { ...(await leastLoaded(specialists)), team, rule: rule.id };
+  }
+  return { ...(await leastLoaded(online)), team: "general", rule: "general" };
+}
+
+async function leastLoaded(agentIds) {
+  const counts = await ChannelMapping.aggregate([
+    { $match: { routedAgentId: { $in: agentIds }, status: { $ne: "closed" } } },
+    { $group: { _id: "$routedAgentId", open: { $sum: 1 } } },
+  ]);
+  const load = new Map(counts.map((c) => [c._id, c.open]));
+  const [agentId] = [...agentIds].sort((a, b) => (load.get(a) || 0) - (load.get(b) || 0));
+  return { agentId, openTickets: load.get(agentId) || 0 };
+}
+
+async function customerLanguage(userId) {
+  if (!userId) return null;
+  const tgUser = await TelegramUser.findOne({ sendbirdUserId: userId }, "languageCode").lean().catch(() => null);
+  return tgUser?.languageCode?.slice(0, 2).toLowerCase() || null;
+}
+
+module.exports = {
+  ROUTING_RULES,
+  agentTeams,
+  routeTicket,
+};
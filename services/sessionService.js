@@ -29,6 +29,8 @@
 const { ConversationState, UserSession } = require("../models");
 const { cacheSession, getCachedSession, invalidateSession } = require("../integrations/redisClient");
 
+const INTENT_TRAIL_LIMIT = 20;
+
 // ── ConversationState helpers (per-channel) ──────────────────────────────────
 
 /**
@@ -84,13 +86,26 @@ async function getUserSession(userId) {
  * @param {string} [updates.lastTransactionId]
  * @param {string} [updates.lastSentiment]
  * @param {string} [updates.conversationSummary]
+ * @param {string} [source] - llm | rules; when given, lastIntent/lastSentiment
+ *   are also appended to intentTrail (capped at INTENT_TRAIL_LIMIT)
  */
-async function updateUserSession(userId, updates) {
+async function updateUserSession(userId, updates, source = null) {
   try {
+    const trail = source && updates.lastIntent
+      ? {
+          $push: {
+            intentTrail: {
+              $each: [{ intent: updates.lastIntent, sentiment: updates.lastSentiment, source, at: new Date() }],
+              $slice: -INTENT_TRAIL_LIMIT,
+            },
+          },
+        }
+      : {};
     const session = await UserSession.findOneAndUpdate(
       { userId },
       {
         ...updates,
+        ...trail,
         $inc: { messageCount: 1 },
         updatedAt: new Date(),
       },
@@ -0,0 +1,227 @@
+/**
+ * services/slaService.js
+ * -----------------------
+ * First-response and resolution SLAs for Desk tickets, as delayed BullMQ jobs
+ * on the "sla-timers" queue (workers/slaWorker.js).
+ *
+ * WHY:
+ *   The only timer used to be scheduleAgentAwayFallback — one in-memory
+ *   setTimeout that sent "agent is busy" once and was lost on restart or when
+ *   another pod took the next webhook. Delayed jobs live in Redis, so they
+ *   fire whichever pod is up, and nothing was ever checked against a target.
+ *
+ * TIMERS (per ticket, from when it was opened or last reopened):
+ *
+ *   first_response_reminder  AGENT_REPLY_TIMEOUT_MS  "you're in the queue"
+ *   first_response_breach    firstResponseMin        breach → senior group, apology
+ *   resolution_reminder      resolutionMin / 2       "still working on it"
+ *   resolution_breach        resolutionMin           breach → senior group, apology
+ *
+ *   first_response_* are void once an agent replies; everything is void once
+ *   the ticket is closed. A job re-checks the ChannelMapping when it fires, so
+ *   a timer that wasn't removed in time does nothing.
+ *
+ * PRIORITY TARGETS (minutes, env overrides):
+ *   HIGH   — first response SLA_FIRST_RESPONSE_MINUTES_HIGH (5),   resolution SLA_RESOLUTION_MINUTES_HIGH (60)
+ *   NORMAL — first response SLA_FIRST_RESPONSE_MINUTES_NORMAL (15), resolution SLA_RESOLUTION_MINUTES_NORMAL (240)
+ *
+ * BREACH:
+ *   Recorded on ChannelMapping.slaBreaches, audit-logged as "sla_breach", and
+ *   the Desk ticket is moved to DESK_SENIOR_GROUP (once per ticket). Without
+ *   DESK_SENIOR_GROUP the breach is still recorded and the agents are told in
+ *   the Desk channel.
+ *
+ * Without Redis there are no durable timers; deskService falls back to the
+ * in-memory agent-away message.
+ */
+
+const { ChannelMapping } = require("../models");
+const { addBotToChannel, sendBotMessage, updateDeskTicketAPI } = require("../integrations/sendbirdClient");
+const { getSlaQueue } = require("../queues/index");
+const { log, trackAnalytics } = require("./auditService");
+
+const AGENT_REPLY_TIMEOUT_MS = parseInt(process.env.AGENT_REPLY_TIMEOUT_MS || "30000", 10);
+const DESK_SENIOR_GROUP = process.env.DESK_SENIOR_GROUP || null;
+
+const SLA_POLICY = {
+  HIGH: {
+    firstResponseMin: Number(process.env.SLA_FIRST_RESPONSE_MINUTES_HIGH) || 5,
+    resolutionMin:    Number(process.env.SLA_RESOLUTION_MINUTES_HIGH) || 60,
+  },
+  NORMAL: {
+    firstResponseMin: Number(process.env.SLA_FIRST_RESPONSE_MINUTES_NORMAL) || 15,
+    resolutionMin:    Number(process.env.SLA_RESOLUTION_MINUTES_NORMAL) || 240,
+  },
+};
+
+const AGENT_AWAY_MESSAGE =
+  "⏳ Our support agent is currently assisting other customers. You're in the queue — we'll be with you shortly. Feel free to type any additional details in the meantime.";
+
+const FIRST_RESPONSE_TIMERS = ["first_response_reminder", "first_response_breach"];
+const TIMERS = [...FIRST_RESPONSE_TIMERS, "resolution_reminder", "resolution_breach"];
+
+function normalizePriority(priority) {
+  return String(priority || "").toUpperCase() === "HIGH" ? "HIGH" : "NORMAL";
+}
+
+function timerDelays(priority) {
+  const { firstResponseMin, resolutionMin } = SLA_POLICY[normalizePriority(priority)];
+  return {
+    first_response_reminder: AGENT_REPLY_TIMEOUT_MS,
+    first_response_breach:   firstResponseMin * 60 * 1000,
+    resolution_reminder:     (resolutionMin / 2) * 60 * 1000,
+    resolution_breach:       resolutionMin * 60 * 1000,
+  };
+}
+
+// One job id per ticket, cycle (reopenCount) and timer — re-adding is a no-op
+function jobId(mapping, timer) {
+  return `sla-${mapping._id}-${mapping.reopenCount || 0}-${timer}`;
+}
+
+/**
+ * Start the SLA clocks for a ticket that was just opened or reopened.
+ *
+ * @param {object} mapping - ChannelMapping (needs _id, priority, reopenCount)
+ * @returns {Promise<boolean>} false when there is no queue (no Redis)
+ */
+async function startSlaTimers(mapping) {
+  const queue = getSlaQueue();
+  if (!queue) return false;
+  const delays = timerDelays(mapping.priority);
+  const cycle = mapping.reopenCount || 0;
+  try {
+    await Promise.all(TIMERS.map((timer) => queue.add(
+      timer,
+      { mappingId: String(mapping._id), timer, cycle },
+      { jobId: jobId(mapping, timer), delay: delays[timer] }
+    )));
+    console.log(`⏱ SLA timers started for ticket #${mapping.ticketId} (${normalizePriority(mapping.priority)})`);
+    return true;
+  } catch (err) {
+    console.warn("⚠️  SLA timers failed to start (non-fatal):", err.message);
+    return false;
+  }
+}
+
+/**
+ * An agent replied: stamp the first response and drop its timers.
+ */
+async function recordFirstResponse(mapping) {
+  if (mapping.firstResponseAt) return;
+  const updated = await ChannelMapping.findOneAndUpdate(
+    { _id: mapping._id, firstResponseAt: null },
+    { firstResponseAt: new Date() },
+    { new: true }
+  ).lean();
+  if (updated) await removeTimers(updated, FIRST_RESPONSE_TIMERS);
+}
+
+/**
+ * The ticket is closed: drop whatever is still pending.
+ */
+async function stopSlaTimers(mapping) {
+  await removeTimers(mapping, TIMERS);
+}
+
+async function removeTimers(mapping, timers) {
+  const queue = getSlaQueue();
+  if (!queue) return;
+  await Promise.allSettled(timers.map((timer) => queue.remove(jobId(mapping, timer))));
+}
+
+/**
+ * Run one fired timer (workers/slaWorker.js).
+ *
+ * @param {object} data - { mappingId, timer, cycle }
+ * @returns {Promise<object>} what happened, for the job result
+ */
+async function handleSlaTimer({ mappingId, timer, cycle }) {
+  const mapping = await ChannelMapping.findById(mappingId).lean();
+  if (!mapping || mapping.status === "closed") return { skipped: "closed" };
+  if ((mapping.reopenCount || 0) !== cycle) return { skipped: "stale_cycle" };
+  if (FIRST_RESPONSE_TIMERS.includes(timer) && mapping.firstResponseAt) return { skipped: "agent_replied" };
+
+  const { firstResponseMin, resolutionMin } = SLA_POLICY[normalizePriority(mapping.priority)];
+  switch (timer) {
+    case "first_response_reminder":
+      await sendBotMessage(mapping.originalChannelUrl, AGENT_AWAY_MESSAGE);
+      return { reminded: timer };
+    case "resolution_reminder":
+      await sendBotMessage(
+        mapping.originalChannelUrl,
+        "🔄 We're still working on your request — thanks for bearing with us. We'll update you here as soon as we have news."
+      );
+      return { reminded: timer };
+    case "first_response_breach":
+      return breach(mapping, "first_response", firstResponseMin);
+    case "resolution_breach":
+      return breach(mapping, "resolution", resolutionMin);
+    default:
+      throw new Error(`Unknown SLA timer "${timer}"`);
+  }
+}
+
+async function breach(mapping, kind, targetMin) {
+  const rerouted = await moveToSeniorGroup(mapping);
+  await ChannelMapping.updateOne(
+    { _id: mapping._id },
+    {
+      $push: { slaBreaches: { kind, at: new Date() } },
+      ...(rerouted ? { seniorGroupAt: new Date() } : {}),
+    }
+  );
+
+  const apology = kind === "first_response"
+    ? "🙏 Sorry for the wait — this is taking longer than it should."
+    : "🙏 Sorry this is taking so long.";
+  await sendBotMessage(
+    mapping.originalChannelUrl,
+    `${apology} ` + (mapping.seniorGroupAt || rerouted
+      ? "Your ticket is now with our senior support team, who will pick it up as a priority."
+      : "Your ticket has been flagged as a priority for our support team.")
+  ).catch((err) => console.warn("⚠️  SLA breach customer message failed (non-fatal):", err.message));
+  await addBotToChannel(mapping.deskChannelUrl).catch(() => {});
+  await sendBotMessage(
+    mapping.deskChannelUrl,
+    `[🤖 SLA] ${kind === "first_response" ? "First response" : "Resolution"} SLA of ${targetMin} min breached ` +
+      `(${normalizePriority(mapping.priority)} priority).` +
+      (rerouted ? ` Ticket moved to ${DESK_SENIOR_GROUP}.` : "")
+  ).catch((err) => console.warn("⚠️  SLA breach Desk note failed (non-fatal):", err.message));
+
+  await log("sla_breach", {
+    userId: mapping.userId,
+    channelUrl: mapping.originalChannelUrl,
+    details: { ticketId: mapping.ticketId, kind, targetMin, priority: normalizePriority(mapping.priority), rerouted, agentId: mapping.agentId },
+  });
+  await trackAnalytics("sla_breach", {
+    userId: mapping.userId,
+    channelUrl: mapping.originalChannelUrl,
+    metadata: { ticketId: mapping.ticketId, kind, priority: normalizePriority(mapping.priority) },
+  });
+  console.warn(`🚨 SLA breach (${kind}) on ticket #${mapping.ticketId}${rerouted ? ` — moved to ${DESK_SENIOR_GROUP}` : ""}`);
+  return { breached: kind, rerouted };
+}
+
+// Once per ticket — a resolution breach after a first-response breach is
+// already with the senior group
+async function moveToSeniorGroup(mapping) {
+  if (!DESK_SENIOR_GROUP || !mapping.ticketId || mapping.seniorGroupAt) return false;
+  try {
+    await updateDeskTicketAPI(mapping.ticketId, { group: DESK_SENIOR_GROUP, priority: "URGENT" });
+    return true;
+  } catch (err) {
+    console.warn(`⚠️  Moving ticket #${mapping.ticketId} to ${DESK_SENIOR_GROUP} failed (non-fatal): ${err.response?.status || err.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  SLA_POLICY,
+  AGENT_AWAY_MESSAGE,
+  normalizePriority,
+  startSlaTimers,
+  recordFirstResponse,
+  stopSlaTimers,
+  handleSlaTimer,
+};
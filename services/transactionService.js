@@ -8,6 +8,18 @@
 const { Transaction, RefundRequest, ChannelMapping } = require("../models");
 const { sendBotMessage } = require("../integrations/sendbirdClient");
 const { createStripeRefund, getStripe } = require("../integrations/stripeClient");
+const {
+  ensureOpeningEntries,
+  getBalance,
+  recordRefund,
+  attachStripeRefundId,
+  syncTransaction,
+} = require("./ledgerService");
+const { assertNoBlockingDispute } = require("./disputeService");
+const { assertNoOpenReview } = require("./riskService");
+const { formatMoney, normalizeCurrency, toMinor, fromMinor } = require("./currencyService");
+const { assertTransition, transition } = require("./refundStateMachine");
+const { requestFeedback } = require("./feedbackService");
 
 /**
  * Create 5 demo transactions scoped to the given userId if none exist yet.
@@ -20,12 +32,13 @@ async function ensureUserTransactions(userId) {
   const count = await Transaction.countDocuments({ userId });
   if (count > 0) return; // already seeded for this user
 
+  const demo = { userId, currency: "usd", userEmail: `${userId}@test.com` };
   await Transaction.insertMany([
-    { transactionId: "TXN1001", userId, amount: 500,  status: "failed",  userEmail: `${userId}@test.com`, createdAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000) },
-    { transactionId: "TXN1002", userId, amount: 1200, status: "success", userEmail: `${userId}@test.com`, createdAt: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000) },
-    { transactionId: "TXN1003", userId, amount: 300,  status: "pending", userEmail: `${userId}@test.com`, createdAt: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000) },
-    { transactionId: "TXN1004", userId, amount: 750,  status: "success", userEmail: `${userId}@test.com`, createdAt: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000) },
-    { transactionId: "TXN1005", userId, amount: 200,  status: "failed",  userEmail: `${userId}@test.com`, createdAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) },
+    { ...demo, transactionId: "TXN1001", amount: 500,  amountMinor: 50000,  status: "failed",  createdAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000) },
+    { ...demo, transactionId: "TXN1002", amount: 1200, amountMinor: 120000, status: "success", createdAt: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000) },
+    { ...demo, transactionId: "TXN1003", amount: 300,  amountMinor: 30000,  status: "pending", createdAt: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000) },
+    { ...demo, transactionId: "TXN1004", amount: 750,  amountMinor: 75000,  status: "success", createdAt: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000) },
+    { ...demo, transactionId: "TXN1005", amount: 200,  amountMinor: 20000,  status: "failed",  createdAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) },
   ]);
   console.log(`✅ 5 demo transactions seeded for user: ${userId}`);
 }
@@ -41,6 +54,26 @@ async function findTransaction(txnId, userId) {
   return Transaction.findOne({ transactionId: txnId.toUpperCase(), userId });
 }
 
+/**
+ * Open a new unpaid transaction for a payment started in chat (a coupon spent
+ * on a new purchase). It turns "success" when its checkout completes.
+ *
+ * @param {object} params - { userId, amount (major units), currency }
+ * @returns {Promise<object>} the Transaction document
+ */
+async function createPendingTransaction({ userId, amount, currency }) {
+  const code = normalizeCurrency(currency);
+  const amountMinor = toMinor(amount, code);
+  return Transaction.create({
+    transactionId: `TXN${Date.now()}${Math.floor(Math.random() * 900 + 100)}`,
+    userId,
+    amount: fromMinor(amountMinor, code),
+    amountMinor,
+    currency: code,
+    status: "pending",
+  });
+}
+
 /**
  * Get the last N transactions for a user.
  * @param {string} userId
@@ -52,12 +85,16 @@ async function getUserTransactions(userId, limit = 5) {
 
 /**
  * Execute a refund end-to-end:
- *   1. Stripe refund API (if paymentIntentId stored and Stripe configured)
- *   2. MongoDB transaction status → "refunded"
- *   3. RefundRequest record → status "refunded"
- *   4. Customer notification in chat
+ *   0. Refuse unless the RefundRequest (if any) is "approved", and while a card
+ *      dispute is open or lost (the bank controls the money)
+ *   1. Ledger entry (refuses anything above the remaining refundable balance)
+ *   2. Stripe refund API (if paymentIntentId stored and Stripe configured)
+ *   3. Transaction status / refundedAmount re-derived from the ledger
+ *   4. RefundRequest: approved → refunded (refund_blocked → rejected if step 0/1 refuses)
+ *   5. Customer notification in chat
  *
- * amount = null → full refund; a number → partial refund in dollars.
+ * amount = null → refund everything still refundable; a number → partial refund in
+ * major units of the transaction's currency.
  * Stripe errors are non-fatal in test/demo mode.
  *
  * @param {string} txnId
@@ -65,48 +102,103 @@ async function getUserTransactions(userId, limit = 5) {
  * @param {string} userId
  * @param {object} transaction - MongoDB Transaction document
  * @param {number|null} amount - override amount (null = full)
+ * @returns {Promise<{ refundAmount: number, ledgerEntryId: ObjectId, refundable: number }>}
+ * @throws {Error} with .code "REFUND_EXCEEDS_BALANCE" when amount > refundable (nothing is refunded)
+ * @throws {Error} with .code "TRANSACTION_DISPUTED" when a dispute blocks refunds (nothing is refunded)
+ * @throws {Error} with .code "ILLEGAL_REFUND_TRANSITION" when the RefundRequest isn't approved (nothing is refunded)
+ * @throws {Error} with .code "REFUND_UNDER_REVIEW" while a fraud review case is open (nothing is refunded)
  */
 async function processRefundInternal(txnId, channelUrl, userId, transaction, amount = null) {
-  const refundAmount = amount !== null ? amount : transaction.amount;
+  const refundRequest = await RefundRequest.findOne({ txnId, userId, channelUrl }).lean();
+  if (refundRequest) assertTransition(refundRequest, "refund");
+  await assertNoOpenReview({ txnId, userId });
+
+  // Ledger first: the balance check and the entry are one step, so two
+  // concurrent refunds can't both pass. A full refund takes what's left.
+  let entry;
+  try {
+    await assertNoBlockingDispute(transaction);
+    await ensureOpeningEntries(transaction);
+    const requested = amount !== null ? amount : (await getBalance(txnId, userId)).refundable;
+    if (!(requested > 0)) {
+      const err = new Error(`Nothing left to refund on ${txnId}`);
+      err.code = "REFUND_EXCEEDS_BALANCE";
+      err.refundable = 0;
+      throw err;
+    }
+    entry = await recordRefund({ transaction, amount: requested, refundRequestId: refundRequest?._id });
+  } catch (err) {
+    // Don't leave the request stuck in "approved" — the customer can start again
+    if (refundRequest && ["REFUND_EXCEEDS_BALANCE", "TRANSACTION_DISPUTED"].includes(err.code)) {
+      await transition(refundRequest, "refund_blocked", { note: err.message });
+    }
+    throw err;
+  }
+  const refundAmount = entry.amount;
   const stripe = getStripe();
 
   if (stripe && transaction.paymentIntentId) {
     try {
-      await createStripeRefund(transaction.paymentIntentId, amount);
-      console.log(`✅ Stripe refund created for ${txnId}: $${refundAmount}`);
+      const stripeRefund = await createStripeRefund(
+        transaction.paymentIntentId,
+        refundAmount,
+        {
+          currency: entry.currency,
+          idempotencyKey: `ledger-${entry._id}`,
+          metadata: { txnId, userId, ledgerEntryId: String(entry._id) },
+        }
+      );
+      await attachStripeRefundId(entry._id, stripeRefund?.id);
+      console.log(`✅ Stripe refund created for ${txnId}: ${formatMoney(refundAmount, entry.currency)}`);
     } catch (err) {
       // Non-fatal: continue to update DB and notify customer
       console.warn(`⚠️ Stripe refund API call failed (non-fatal): ${err.message}`);
     }
   } else {
-    console.log(`[DEMO] Refund for ${txnId}: $${refundAmount} — no Stripe paymentIntentId, test mode only`);
+    console.log(`[DEMO] Refund for ${txnId}: ${formatMoney(refundAmount, entry.currency)} — no Stripe paymentIntentId, test mode only`);
   }
 
-  // Update transaction status — scoped to userId so one user's refund
-  // never mutates the same TXN record for a different user.
-  await Transaction.updateOne(
-    { transactionId: txnId, userId },
-    { status: "refunded", refundedAmount: refundAmount }
-  );
+  // Derive transaction status / refundedAmount from the ledger — scoped to
+  // userId so one user's refund never mutates another user's TXN record.
+  const balance = await syncTransaction(transaction);
 
-  // Mark the negotiation record as completed
-  await RefundRequest.findOneAndUpdate(
-    { txnId, channelUrl },
-    { status: "refunded", refundStage: "completed", updatedAt: new Date() }
-  );
+  // Mark the negotiation record as completed. The money has moved — a state
+  // clash here (a concurrent Stripe event) is logged, not thrown.
+  if (refundRequest) {
+    try {
+      await transition(refundRequest, "refund", { note: formatMoney(refundAmount, entry.currency) });
+    } catch (err) {
+      console.warn(`⚠️ RefundRequest for ${txnId} not marked refunded (non-fatal): ${err.message}`);
+    }
+  }
 
   // Notify the customer in their chat channel
   await sendBotMessage(
     channelUrl,
-    `✅ Refund of $${Number(refundAmount).toFixed(2)} for ${txnId} has been approved and initiated. ` +
+    `✅ Refund of ${formatMoney(refundAmount, entry.currency)} for ${txnId} has been approved and initiated. ` +
       "It will reflect in your account within 5–7 business days.",
-    { type: "refund_status", status: "refunded", txnId, amount: refundAmount }
+    { type: "refund_status", status: "refunded", txnId, amount: refundAmount, currency: entry.currency }
   );
+
+  // Whoever approved it (agent /refund, analyst) is credited in the rating;
+  // the customer and the policy engine are not agents
+  const approvedBy = refundRequest?.history?.findLast((h) => h.event === "approve")?.actor;
+  const agentId = approvedBy && !["customer", "system"].includes(approvedBy) ? approvedBy : undefined;
+  await requestFeedback({
+    userId, channelUrl, txnId,
+    trigger: "refund_completed",
+    intent: "refund_request",
+    refundDecision: refundRequest?.finalDecision,
+    agentId,
+  });
+
+  return { refundAmount, ledgerEntryId: entry._id, refundable: balance.refundable };
 }
 
 module.exports = {
   ensureUserTransactions,
   findTransaction,
+  createPendingTransaction,
   getUserTransactions,
   processRefundInternal,
 };
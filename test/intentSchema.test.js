@@ -0,0 +1,62 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validateIntentOutput } = require("../services/intentSchema");
+
+const reply = (overrides = {}) => JSON.stringify({
+  intent: "refund_request",
+  transaction_id: "TXN1001",
+  sentiment: "frustrated",
+  suggested_action: "check refund eligibility",
+  confidence: 0.9,
+  ...overrides,
+});
+
+// Rejected with a reason matching `pattern`
+function assertRejected(text, pattern) {
+  const result = validateIntentOutput(text);
+  assert.equal(result.ok, false);
+  assert.match(result.reasons.join("; "), pattern);
+}
+
+describe("intent classifier output schema", () => {
+  test("accepts a well-formed reply", () => {
+    const result = validateIntentOutput(reply());
+    assert.equal(result.ok, true);
+    assert.equal(result.value.intent, "refund_request");
+    assert.equal(result.value.transaction_id, "TXN1001");
+  });
+
+  test("rejects a markdown-wrapped reply", () => {
+    assertRejected("```json\n" + reply() + "\n```", /markdown-wrapped reply/);
+  });
+
+  test("rejects a reply that is not JSON", () => {
+    assertRejected("intent: refund_request", /not valid JSON/);
+  });
+
+  test("rejects an invented intent", () => {
+    assertRejected(reply({ intent: "cancel_subscription" }), /invalid intent/);
+  });
+
+  test("rejects an unknown sentiment", () => {
+    assertRejected(reply({ sentiment: "sarcastic" }), /invalid sentiment/);
+  });
+
+  test("rejects a malformed transaction id", () => {
+    assertRejected(reply({ transaction_id: "TXN-1001" }), /malformed transaction_id/);
+  });
+
+  test("rejects a missing field", () => {
+    const { sentiment, ...rest } = JSON.parse(reply());
+    assertRejected(JSON.stringify(rest), /missing sentiment/);
+  });
+
+  test("rejects an unexpected field", () => {
+    assertRejected(reply({ reasoning: "the user is upset" }), /unexpected field reasoning/);
+  });
+
+  test("rejects a confidence outside 0..1", () => {
+    assertRejected(reply({ confidence: 1.5 }), /confidence/);
+  });
+});
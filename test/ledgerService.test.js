@@ -0,0 +1,94 @@
+const { describe, test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { LedgerEntry, Transaction } = require("../models");
+const { recordRefund, recordRefundReversal, getBalance } = require("../services/ledgerService");
+
+const transaction = {
+  transactionId: "TXN2001", userId: "user_1", amount: 100, currency: "usd",
+  status: "success", paymentIntentId: "pi_1",
+};
+
+// In-memory LedgerEntry collection with the (txnId, userId, seq) unique index
+let entries;
+
+function useFakeLedger(t) {
+  entries = [];
+  t.mock.method(LedgerEntry, "exists", async (filter) =>
+    entries.some((e) => Object.entries(filter).every(([k, v]) => e[k] === v)));
+  t.mock.method(LedgerEntry, "find", () => ({ lean: async () => entries.map((e) => ({ ...e })) }));
+  t.mock.method(LedgerEntry, "findOne", () => ({ lean: async () => null }));
+  t.mock.method(LedgerEntry, "create", async (doc) => {
+    if (entries.some((e) => e.seq === doc.seq)) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    entries.push({ _id: `le_${doc.seq}`, ...doc });
+    return { _id: `le_${doc.seq}`, ...doc };
+  });
+  t.mock.method(LedgerEntry, "insertMany", async (docs) => {
+    entries.push(...docs);
+    return docs;
+  });
+}
+
+describe("ledger refundable-balance guard", () => {
+  beforeEach((t) => useFakeLedger(t));
+
+  test("opens the ledger with the charge before the first refund", async () => {
+    await recordRefund({ transaction, amount: 40 });
+    assert.deepEqual(entries.map((e) => [e.seq, e.type, e.amountMinor]), [
+      [1, "charge", 10000],
+      [2, "partial_refund", 4000],
+    ]);
+  });
+
+  test("a refund that empties the balance is recorded as a full refund", async () => {
+    await recordRefund({ transaction, amount: 40 });
+    const entry = await recordRefund({ transaction, amount: 60 });
+    assert.equal(entry.type, "refund");
+
+    const balance = await getBalance(transaction.transactionId, transaction.userId);
+    assert.equal(balance.refunded, 100);
+    assert.equal(balance.refundableMinor, 0);
+  });
+
+  test("refuses a refund above the refundable balance and writes nothing", async () => {
+    await recordRefund({ transaction, amount: 70 });
+    await assert.rejects(recordRefund({ transaction, amount: 30.01 }), (err) => {
+      assert.equal(err.code, "REFUND_EXCEEDS_BALANCE");
+      assert.equal(err.refundable, 30);
+      return true;
+    });
+    assert.equal(entries.length, 2);
+  });
+
+  test("refuses any refund once the transaction is fully refunded", async () => {
+    await recordRefund({ transaction, amount: 100 });
+    await assert.rejects(recordRefund({ transaction, amount: 0.01 }), { code: "REFUND_EXCEEDS_BALANCE", refundable: 0 });
+  });
+
+  test("a reversed refund makes its amount refundable again", async (t) => {
+    t.mock.method(Transaction, "updateOne", async () => ({}));
+    await recordRefund({ transaction, amount: 100 });
+    await recordRefundReversal({ transaction, amount: 25, stripeRefundId: "re_1" });
+    await assert.rejects(recordRefund({ transaction, amount: 26 }), { code: "REFUND_EXCEEDS_BALANCE", refundable: 25 });
+    const entry = await recordRefund({ transaction, amount: 25 });
+    assert.equal(entry.type, "refund");
+  });
+
+  test("re-reads the balance when a concurrent entry takes the next seq", async (t) => {
+    await recordRefund({ transaction, amount: 50 });
+    const create = LedgerEntry.create;
+    let raced = false;
+    t.mock.method(LedgerEntry, "create", async (doc) => {
+      if (!raced) {
+        // Another refund lands between our balance read and our insert
+        raced = true;
+        entries.push({ type: "partial_refund", seq: doc.seq, amount: 30, amountMinor: 3000, currency: "usd" });
+      }
+      return create(doc);
+    });
+
+    await assert.rejects(recordRefund({ transaction, amount: 50 }), { code: "REFUND_EXCEEDS_BALANCE", refundable: 20 });
+  });
+});
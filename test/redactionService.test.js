@@ -0,0 +1,28 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { luhnValid, redact } = require("../services/redactionService");
+
+describe("card number redaction", () => {
+  test("luhnValid accepts real card numbers and rejects a changed digit", () => {
+    assert.equal(luhnValid("4242424242424242"), true);
+    assert.equal(luhnValid("5555555555554444"), true);
+    assert.equal(luhnValid("4242424242424241"), false);
+  });
+
+  test("a Luhn-valid card number keeps only its last four digits", () => {
+    for (const card of ["4242424242424242", "4242 4242 4242 4242", "4242-4242-4242-4242"]) {
+      const out = redact(`my card is ${card} thanks`);
+      assert.equal(out, "my card is [card ••4242] thanks");
+    }
+  });
+
+  test("a digit run that fails Luhn is not labelled as a card", () => {
+    const out = redact("order ref 4242424242424241");
+    assert.doesNotMatch(out, /\[card/);
+  });
+
+  test("transaction ids are left intact", () => {
+    assert.equal(redact("refund TXN1234567890123 please"), "refund TXN1234567890123 please");
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { applyPolicy, DEFAULT_POLICY, validatePolicy } = require("../policies/RefundPolicyEngine");
+
+// Facts for a plain, low-risk first request inside the refund window
+const facts = (overrides = {}) => ({
+  amount: 100,
+  currency: "usd",
+  reason: "accidental",
+  sentimentPriority: "NORMAL",
+  attempts: 0,
+  hasDuplicate: false,
+  withinWindow: true,
+  fraudScore: 0,
+  riskLevel: "LOW",
+  ...overrides,
+});
+
+describe("refund policy — first match wins", () => {
+  test("a fraud report escalates even when the amount would auto-approve", () => {
+    const result = applyPolicy(DEFAULT_POLICY, facts({ reason: "fraud", amount: 10 }));
+    assert.equal(result.ruleId, "fraud_reason");
+    assert.equal(result.decision, "ESCALATE");
+    assert.equal(result.priority, "HIGH");
+    assert.equal(result.amount, 0);
+  });
+
+  test("FraudEngine HIGH risk escalates before the small-transaction rule", () => {
+    const result = applyPolicy(DEFAULT_POLICY, facts({ riskLevel: "HIGH" }));
+    assert.equal(result.ruleId, "fraud_engine_high_risk");
+  });
+
+  test("FraudEngine MEDIUM risk turns a small auto-approval into a partial offer", () => {
+    const result = applyPolicy(DEFAULT_POLICY, facts({ riskLevel: "MEDIUM" }));
+    assert.equal(result.ruleId, "medium_risk_small_transaction");
+    assert.equal(result.decision, "PARTIAL");
+    assert.equal(result.amount, 50);
+  });
+
+  test("a small transaction inside the window is approved in full", () => {
+    const result = applyPolicy(DEFAULT_POLICY, facts());
+    assert.equal(result.ruleId, "small_transaction");
+    assert.equal(result.decision, "APPROVED");
+    assert.equal(result.amount, 100);
+    assert.equal(result.policyVersion, DEFAULT_POLICY.version);
+  });
+
+  test("the same amount outside the window falls through to a later rule", () => {
+    const result = applyPolicy(DEFAULT_POLICY, facts({ withinWindow: false }));
+    assert.equal(result.ruleId, "outside_refund_window");
+  });
+
+  test("a candidate policy with no matching rule escalates", () => {
+    const policy = { version: 9, rules: [{ id: "only_fraud", conditions: { reasons: ["fraud"] }, outcome: { decision: "ESCALATE", reason: "x" } }] };
+    const result = applyPolicy(policy, facts());
+    assert.equal(result.decision, "ESCALATE");
+    assert.equal(result.reason, "no_rule_matched");
+    assert.equal(result.ruleId, null);
+  });
+});
+
+describe("refund policy — per-currency amount thresholds", () => {
+  const cases = [
+    ["usd", 199.99, "small_transaction"],
+    ["usd", 200, "accidental_payment"],
+    ["inr", 15999, "small_transaction"],
+    ["inr", 16000, "accidental_payment"],
+    // $200-equivalent in INR is far above ₹199 — the USD threshold must not be applied to INR
+    ["inr", 199, "small_transaction"],
+    ["usd", 15999, "accidental_payment"],
+  ];
+  for (const [currency, amount, ruleId] of cases) {
+    test(`${amount} ${currency} matches ${ruleId}`, () => {
+      assert.equal(applyPolicy(DEFAULT_POLICY, facts({ currency, amount })).ruleId, ruleId);
+    });
+  }
+
+  test("a currency without a threshold never matches an amount condition", () => {
+    const result = applyPolicy(DEFAULT_POLICY, facts({ currency: "eur", amount: 1 }));
+    assert.notEqual(result.ruleId, "small_transaction");
+    assert.notEqual(result.decision, "APPROVED");
+  });
+
+  test("a bare comparator is read as a USD threshold", () => {
+    const policy = {
+      version: 2,
+      rules: [
+        { id: "small", conditions: { amount: { lt: 50 } }, outcome: { decision: "APPROVED", reason: "small", refundPercent: 100 } },
+        { id: "rest", conditions: {}, outcome: { decision: "ESCALATE", reason: "rest" } },
+      ],
+    };
+    assert.equal(applyPolicy(policy, facts({ currency: "usd", amount: 49 })).ruleId, "small");
+    assert.equal(applyPolicy(policy, facts({ currency: "usd", amount: 50 })).ruleId, "rest");
+    assert.equal(applyPolicy(policy, facts({ currency: "inr", amount: 49 })).ruleId, "rest");
+  });
+});
+
+describe("refund policy — validation", () => {
+  test("the default policy is valid", () => {
+    assert.deepEqual(validatePolicy(DEFAULT_POLICY), []);
+  });
+
+  test("rejects an amount threshold keyed by an unknown currency", () => {
+    const policy = {
+      rules: [
+        { id: "small", conditions: { amount: { xyz: { lt: 50 } } }, outcome: { decision: "APPROVED", reason: "small", refundPercent: 100 } },
+        { id: "rest", conditions: {}, outcome: { decision: "ESCALATE", reason: "rest" } },
+      ],
+    };
+    assert.match(validatePolicy(policy).join("\n"), /conditions\.amount must map lower-case currency codes/);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { RefundRequest, FraudLog } = require("../models");
+const {
+  REFUND_STATES,
+  stateOf,
+  canTransition,
+  assertTransition,
+  transition,
+} = require("../services/refundStateMachine");
+
+// A stored RefundRequest in the given state
+const requestIn = (state) => ({
+  _id: "rr_1", userId: "user_1", txnId: "TXN1001", channelUrl: "channel_1",
+  ...REFUND_STATES[state],
+});
+
+const leanResult = (value) => () => ({ lean: async () => value });
+
+describe("refund state machine — transitions", () => {
+  test("stateOf maps stored stage/status pairs back to a state", () => {
+    assert.equal(stateOf(null), "none");
+    assert.equal(stateOf(requestIn("approved")), "approved");
+    assert.equal(stateOf(requestIn("coupon_issued")), "coupon_issued");
+    assert.equal(stateOf(requestIn("refunded")), "refunded");
+  });
+
+  const legal = [
+    ["none", "start"],
+    ["rejected", "start"],
+    ["refunded", "start"],
+    ["reason_asked", "evaluate"],
+    ["policy_evaluated", "approve"],
+    ["info_requested", "approve"],
+    ["policy_evaluated", "issue_coupon"],
+    ["offer_sent", "accept_partial"],
+    ["approved", "refund"],
+    ["refunded", "refund_reversed"],
+  ];
+  for (const [state, event] of legal) {
+    test(`${event} is legal from ${state}`, () => {
+      const rr = state === "none" ? null : requestIn(state);
+      assert.equal(canTransition(rr, event), true);
+      assert.doesNotThrow(() => assertTransition(rr, event));
+    });
+  }
+
+  const illegal = [
+    ["coupon_issued", "start"],
+    ["policy_evaluated", "start"],
+    ["none", "approve"],
+    ["reason_asked", "approve"],
+    ["offer_sent", "approve"],
+    ["approved", "approve"],
+    ["policy_evaluated", "refund"],
+    ["refunded", "refund"],
+    ["approved", "dispute_opened"],
+  ];
+  for (const [state, event] of illegal) {
+    test(`${event} is illegal from ${state}`, () => {
+      const rr = state === "none" ? null : requestIn(state);
+      assert.equal(canTransition(rr, event), false);
+      assert.throws(() => assertTransition(rr, event), (err) => {
+        assert.equal(err.code, "ILLEGAL_REFUND_TRANSITION");
+        assert.equal(err.status, 409);
+        assert.equal(err.state, state);
+        assert.equal(err.event, event);
+        return true;
+      });
+    });
+  }
+
+  test("an unknown event is a programming error, not an illegal transition", () => {
+    assert.equal(canTransition(requestIn("reason_asked"), "no_such_event"), false);
+    assert.throws(() => assertTransition(requestIn("reason_asked"), "no_such_event"), /Unknown refund event/);
+  });
+});
+
+describe("refund state machine — transition()", () => {
+  test("refuses an illegal event without touching the database", async (t) => {
+    const update = t.mock.method(RefundRequest, "findOneAndUpdate", leanResult(null));
+    await assert.rejects(transition(requestIn("reason_asked"), "approve", { actor: "agent_1" }), {
+      code: "ILLEGAL_REFUND_TRANSITION",
+    });
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  test("approve needs an explicit actor", async (t) => {
+    const update = t.mock.method(RefundRequest, "findOneAndUpdate", leanResult(null));
+    await assert.rejects(transition(requestIn("policy_evaluated"), "approve"), /explicit actor/);
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  test("approve is refused while a fraud review case is open", async (t) => {
+    t.mock.method(FraudLog, "findOne", leanResult({ _id: "fraud_log_1" }));
+    const update = t.mock.method(RefundRequest, "findOneAndUpdate", leanResult(null));
+    await assert.rejects(transition(requestIn("policy_evaluated"), "approve", { actor: "agent_1" }), {
+      code: "REFUND_UNDER_REVIEW",
+      status: 409,
+      fraudLogId: "fraud_log_1",
+    });
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  test("approve moves policy_evaluated to approved, conditional on the state it was read in", async (t) => {
+    t.mock.method(FraudLog, "findOne", leanResult(null));
+    const update = t.mock.method(RefundRequest, "findOneAndUpdate", (filter, changes) => ({
+      lean: async () => ({ ...requestIn("policy_evaluated"), ...changes, history: [changes.$push.history] }),
+    }));
+
+    const updated = await transition(requestIn("policy_evaluated"), "approve", { actor: "agent_1" });
+
+    const [filter] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: "rr_1", refundStage: "policy_evaluated", status: "pending" });
+    assert.equal(stateOf(updated), "approved");
+    assert.equal(updated.history[0].from, "policy_evaluated");
+    assert.equal(updated.history[0].to, "approved");
+    assert.equal(updated.history[0].actor, "agent_1");
+  });
+
+  test("a start that loses the create race is judged against the winning request", async (t) => {
+    t.mock.method(RefundRequest, "create", async () => {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    });
+    const reread = t.mock.method(RefundRequest, "findOne", leanResult(requestIn("policy_evaluated")));
+
+    await assert.rejects(
+      transition(null, "start", { create: { userId: "user_1", txnId: "TXN1001", channelUrl: "channel_1" } }),
+      { code: "ILLEGAL_REFUND_TRANSITION", state: "policy_evaluated" }
+    );
+    assert.deepEqual(reread.mock.calls[0].arguments[0], { userId: "user_1", txnId: "TXN1001", channelUrl: "channel_1" });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * workers/deskSyncWorker.js
+ * -------------------------
+ * Processes jobs from the "desk-sync" BullMQ queue.
+ *
+ * Job data shape: {} — every job is one poll.
+ *
+ * Jobs come from the job scheduler registered in queues/index.js (every
+ * DESK_SYNC_INTERVAL_MINUTES). Each poll asks Desk for the status of every
+ * open ticket and hands channels whose ticket was closed back to the bot
+ * (services/deskService.js syncDeskTickets).
+ *
+ * Concurrency 1: overlapping polls would only resolve the same tickets twice.
+ */
+
+const { Worker } = require("bullmq");
+const { syncDeskTickets } = require("../services/deskService");
+const { getBullMQConnection } = require("../integrations/redisClient");
+
+let worker = null;
+
+function startDeskSyncWorker() {
+  try {
+    const conn = getBullMQConnection();
+    if (!conn) {
+      console.warn("⚠️  deskSyncWorker not started: Redis not connected");
+      return;
+    }
+
+    worker = new Worker(
+      "desk-sync",
+      async () => syncDeskTickets(),
+      {
+        connection: conn,
+        concurrency: 1,
+      }
+    );
+
+    worker.on("completed", (job, result) => {
+      if (result?.closed || result?.failed) {
+        console.log(`[DeskSyncWorker] ✅ Job ${job.id} completed:`, result);
+      }
+    });
+
+    worker.on("failed", (job, err) => {
+      console.error(`[DeskSyncWorker] ☠️  Dead-letter job ${job?.id}:`, {
+        error: err.message,
+        attemptsMade: job?.attemptsMade,
+      });
+    });
+
+    worker.on("error", (err) => {
+      console.error("[DeskSyncWorker] Worker error:", err.message);
+    });
+
+    console.log("✅ DeskSyncWorker started");
+  } catch (err) {
+    console.warn("⚠️  DeskSyncWorker failed to start:", err.message);
+  }
+}
+
+module.exports = { startDeskSyncWorker };
@@ -45,7 +45,7 @@ function startEscalationWorker() {
           return { skipped: true, reason: "already_escalated" };
         }
 
-        await createDeskTicket(channelUrl, userId);
+        await createDeskTicket(channelUrl, userId, { priority, intent: "escalation" });
         escalatedChannels.add(channelUrl);
         scheduleAgentAwayFallback(channelUrl);
 
@@ -0,0 +1,64 @@
+/**
+ * workers/offerExpiryWorker.js
+ * ----------------------------
+ * Processes jobs from the "offer-expiry" BullMQ queue.
+ *
+ * Job data shape: {} — every job is one sweep.
+ *
+ * Jobs come from the job scheduler registered in queues/index.js (every
+ * OFFER_EXPIRY_SWEEP_MINUTES). Each sweep expires partial refund offers past
+ * their expiresAt and tells the customer (services/refundOfferService.js),
+ * then expires unused coupons past theirs, reversing their ledger liability
+ * (services/couponService.js).
+ *
+ * Concurrency 1: overlapping sweeps would only race on the same offers.
+ */
+
+const { Worker } = require("bullmq");
+const { expireStaleOffers } = require("../services/refundOfferService");
+const { expireDueCoupons } = require("../services/couponService");
+const { getBullMQConnection } = require("../integrations/redisClient");
+
+let worker = null;
+
+function startOfferExpiryWorker() {
+  try {
+    const conn = getBullMQConnection();
+    if (!conn) {
+      console.warn("⚠️  offerExpiryWorker not started: Redis not connected");
+      return;
+    }
+
+    worker = new Worker(
+      "offer-expiry",
+      async () => ({ ...(await expireStaleOffers()), couponsExpired: await expireDueCoupons() }),
+      {
+        connection: conn,
+        concurrency: 1,
+      }
+    );
+
+    worker.on("completed", (job, result) => {
+      if (result?.expired || result?.failed || result?.couponsExpired) {
+        console.log(`[OfferExpiryWorker] ✅ Job ${job.id} completed:`, result);
+      }
+    });
+
+    worker.on("failed", (job, err) => {
+      console.error(`[OfferExpiryWorker] ☠️  Dead-letter job ${job?.id}:`, {
+        error: err.message,
+        attemptsMade: job?.attemptsMade,
+      });
+    });
+
+    worker.on("error", (err) => {
+      console.error("[OfferExpiryWorker] Worker error:", err.message);
+    });
+
+    console.log("✅ OfferExpiryWorker started");
+  } catch (err) {
+    console.warn("⚠️  OfferExpiryWorker failed to start:", err.message);
+  }
+}
+
+module.exports = { startOfferExpiryWorker };
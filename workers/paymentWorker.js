@@ -19,6 +19,7 @@ const { sendBotMessage } = require("../integrations/sendbirdClient");
 const { getStripe } = require("../integrations/stripeClient");
 const { sendPushNotification } = require("../services/pushNotificationService");
 const { log } = require("../services/auditService");
+const { toMinor, normalizeCurrency, formatMoney } = require("../services/currencyService");
 const { getBullMQConnection } = require("../integrations/redisClient");
 
 let worker = null;
@@ -54,9 +55,9 @@ function startPaymentWorker() {
             payment_method_types: ["card"],
             line_items: [{
               price_data: {
-                currency: "usd",
+                currency: normalizeCurrency(txn.currency),
                 product_data: { name: `Retry: ${txnId}` },
-                unit_amount: Math.round(txn.amount * 100),
+                unit_amount: txn.amountMinor ?? toMinor(txn.amount, txn.currency),
               },
               quantity: 1,
             }],
@@ -65,10 +66,10 @@ function startPaymentWorker() {
             cancel_url:  `${process.env.FRONTEND_URL || "http://localhost:3000"}/cancel`,
             metadata: { txnId, userId },
           });
-          replyMsg = `🔗 Retry payment for ${txnId} ($${txn.amount}): ${session.url}`;
+          replyMsg = `🔗 Retry payment for ${txnId} (${formatMoney(txn.amount, txn.currency)}): ${session.url}`;
         } else {
           // Demo mode — no Stripe configured
-          replyMsg = `[Demo] Retry initiated for ${txnId} ($${txn.amount}). No real payment processed.`;
+          replyMsg = `[Demo] Retry initiated for ${txnId} (${formatMoney(txn.amount, txn.currency)}). No real payment processed.`;
         }
 
         if (channelUrl) {
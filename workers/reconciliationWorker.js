@@ -0,0 +1,86 @@
+/**
+ * workers/reconciliationWorker.js
+ * -------------------------------
+ * Processes jobs from the "reconciliation" BullMQ queue.
+ *
+ * Job data shape:
+ *   { trigger: "schedule" | "manual", triggeredBy?, lookbackHours? }
+ *
+ * Scheduled runs come from the job scheduler registered in queues/index.js
+ * (every RECONCILIATION_INTERVAL_HOURS); manual runs from the admin
+ * Reconciliation page. Each job runs one services/reconciliationService pass.
+ *
+ * Concurrency 1: two overlapping runs would only race on the same issues.
+ */
+
+const { Worker } = require("bullmq");
+const { runReconciliation } = require("../services/reconciliationService");
+const { getStripe } = require("../integrations/stripeClient");
+const { log } = require("../services/auditService");
+const { getBullMQConnection } = require("../integrations/redisClient");
+
+let worker = null;
+
+function startReconciliationWorker() {
+  try {
+    const conn = getBullMQConnection();
+    if (!conn) {
+      console.warn("⚠️  reconciliationWorker not started: Redis not connected");
+      return;
+    }
+
+    worker = new Worker(
+      "reconciliation",
+      async (job) => {
+        const { trigger = "schedule", triggeredBy, lookbackHours } = job.data;
+        if (!getStripe()) {
+          // Demo mode — nothing to compare against; not a failure worth retrying
+          return { skipped: true, reason: "stripe_not_configured" };
+        }
+
+        console.log(`[ReconciliationWorker] Processing job ${job.id}: trigger=${trigger}`);
+        const run = await runReconciliation({ trigger, triggeredBy, lookbackHours });
+
+        await log("reconciliation", {
+          userId: triggeredBy || "system",
+          details: {
+            action: "run",
+            runId: String(run._id),
+            trigger,
+            issuesFound: run.issuesFound,
+            issuesAutoResolved: run.issuesAutoResolved,
+            counts: run.counts,
+          },
+        });
+
+        return { runId: String(run._id), issuesFound: run.issuesFound };
+      },
+      {
+        connection: conn,
+        concurrency: 1,
+      }
+    );
+
+    worker.on("completed", (job, result) => {
+      console.log(`[ReconciliationWorker] ✅ Job ${job.id} completed:`, result);
+    });
+
+    worker.on("failed", (job, err) => {
+      console.error(`[ReconciliationWorker] ☠️  Dead-letter job ${job?.id}:`, {
+        jobData: job?.data,
+        error: err.message,
+        attemptsMade: job?.attemptsMade,
+      });
+    });
+
+    worker.on("error", (err) => {
+      console.error("[ReconciliationWorker] Worker error:", err.message);
+    });
+
+    console.log("✅ ReconciliationWorker started");
+  } catch (err) {
+    console.warn("⚠️  ReconciliationWorker failed to start:", err.message);
+  }
+}
+
+module.exports = { startReconciliationWorker };
@@ -4,7 +4,7 @@
  * Processes refund jobs from the "refunds" BullMQ queue.
  *
  * Job data shape:
- *   { userId, txnId, channelUrl, reason, amountUSD }
+ *   { userId, txnId, channelUrl, reason, amount, currency }   (amount in major units)
  *
  * Each job:
  *   1. Re-validates the transaction (guards against double-processing)
@@ -23,6 +23,7 @@ const { processRefundInternal } = require("../services/transactionService");
 const { sendBotMessage } = require("../integrations/sendbirdClient");
 const { sendPushNotification } = require("../services/pushNotificationService");
 const { log } = require("../services/auditService");
+const { formatMoney } = require("../services/currencyService");
 const { getBullMQConnection } = require("../integrations/redisClient");
 
 let worker = null;
@@ -38,7 +39,7 @@ function startRefundWorker() {
     worker = new Worker(
       "refunds",
       async (job) => {
-        const { userId, txnId, channelUrl, reason, amountUSD } = job.data;
+        const { userId, txnId, channelUrl, reason, amount, currency } = job.data;
         console.log(`[RefundWorker] Processing job ${job.id}: userId=${userId} txnId=${txnId}`);
 
         // Execute refund
@@ -47,7 +48,7 @@ function startRefundWorker() {
         // Notify user via Sendbird
         if (channelUrl) {
           const msg = result.success
-            ? `✅ Refund of $${amountUSD} for ${txnId} has been processed successfully.`
+            ? `✅ Refund of ${formatMoney(amount, currency)} for ${txnId} has been processed successfully.`
             : `❌ Refund for ${txnId} could not be processed: ${result.reason || "please contact support"}`;
           await sendBotMessage(channelUrl, msg).catch(() => {});
         }
@@ -56,7 +57,7 @@ function startRefundWorker() {
         await sendPushNotification(userId, {
           title: result.success ? "Refund Processed" : "Refund Update",
           body: result.success
-            ? `Your refund of $${amountUSD} for ${txnId} is on its way.`
+            ? `Your refund of ${formatMoney(amount, currency)} for ${txnId} is on its way.`
             : `Refund for ${txnId} needs attention.`,
           data: { txnId, type: "refund_update" },
         }).catch(() => {});
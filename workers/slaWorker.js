@@ -0,0 +1,63 @@
+/**
+ * workers/slaWorker.js
+ * --------------------
+ * Processes jobs from the "sla-timers" BullMQ queue.
+ *
+ * Job data shape:
+ *   { mappingId, timer, cycle }
+ *   timer: first_response_reminder | first_response_breach | resolution_reminder | resolution_breach
+ *   cycle: ChannelMapping.reopenCount when the timer was started
+ *
+ * Jobs are delayed jobs added by services/slaService.js startSlaTimers() when
+ * a Desk ticket is opened or reopened. Each one re-checks the ticket before
+ * acting, so timers for answered / closed / reopened tickets are no-ops.
+ */
+
+const { Worker } = require("bullmq");
+const { handleSlaTimer } = require("../services/slaService");
+const { getBullMQConnection } = require("../integrations/redisClient");
+
+let worker = null;
+
+function startSlaWorker() {
+  try {
+    const conn = getBullMQConnection();
+    if (!conn) {
+      console.warn("⚠️  slaWorker not started: Redis not connected");
+      return;
+    }
+
+    worker = new Worker(
+      "sla-timers",
+      async (job) => handleSlaTimer(job.data),
+      {
+        connection: conn,
+        concurrency: 5,
+      }
+    );
+
+    worker.on("completed", (job, result) => {
+      if (!result?.skipped) {
+        console.log(`[SlaWorker] ✅ Job ${job.id} completed:`, result);
+      }
+    });
+
+    worker.on("failed", (job, err) => {
+      console.error(`[SlaWorker] ☠️  Dead-letter job ${job?.id}:`, {
+        error: err.message,
+        timer: job?.data?.timer,
+        attemptsMade: job?.attemptsMade,
+      });
+    });
+
+    worker.on("error", (err) => {
+      console.error("[SlaWorker] Worker error:", err.message);
+    });
+
+    console.log("✅ SlaWorker started");
+  } catch (err) {
+    console.warn("⚠️  SlaWorker failed to start:", err.message);
+  }
+}
+
+module.exports = { startSlaWorker };